@@ -132,6 +132,9 @@ function createDevScriptAction(commandName) {
       }
     }
     
+    // Options declared as --no-<name> default to true and have no --<name> flag to pass it with
+    const negatedOptions = new Set(cmd.options.filter(opt => opt.negate).map(opt => opt.attributeName()));
+    
     // Add Commander-provided defaults for options not specified by user
     Object.entries(options).forEach(([key, value]) => {
       // Debug output to see what keys we're getting
@@ -164,7 +167,7 @@ function createDevScriptAction(commandName) {
       // Add default values, using kebab-case for the parameter name
       if (value !== undefined) {
         if (typeof value === 'boolean') {
-          if (value === true) {
+          if (value === true && !negatedOptions.has(key)) {
             args.push(`--${kebabKey}`);
           } else if (value === false && key === 'generate') {
             args.push('--no-generate');
@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-import TaskMasterMCPServer from "./src/index.js";
+import TaskMasterMCPServer, { getTransportOptions } from "./src/index.js";
 import dotenv from "dotenv";
 import logger from "./src/logger.js";
 
@@ -25,7 +25,7 @@ async function startServer() {
   });
 
   try {
-    await server.start();
+    await server.start(getTransportOptions());
   } catch (error) {
     logger.error(`Failed to start MCP server: ${error.message}`);
     process.exit(1);
@@ -0,0 +1,55 @@
+/**
+ * auth.js
+ * Bearer token (JWT) authentication for the HTTP transport of the MCP server
+ */
+
+import jwt from "jsonwebtoken";
+import { createCodedError } from "../../scripts/modules/output.js";
+
+/**
+ * Get the bearer token from the Authorization header of a request
+ * @param {Object} req - Incoming HTTP request
+ * @returns {string|null} - The token, or null if there is none
+ */
+export function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || "");
+  return match ? match[1] : null;
+}
+
+/**
+ * Create a function that authenticates requests with a JWT signed with a shared secret
+ * @param {Object} options - Options
+ * @param {string} options.secret - Secret the tokens are signed with (HS256)
+ * @param {string} [options.issuer] - Required iss claim
+ * @param {string} [options.audience] - Required aud claim
+ * @returns {Function} - Takes a request, returns the token payload; tokens
+ *   without a sub claim are rejected
+ * @throws {Error} - If there is no secret
+ */
+export function createJwtAuthenticator({ secret, issuer, audience }) {
+  if (!secret) {
+    throw new Error("A JWT secret is required for bearer token authentication");
+  }
+
+  const verifyOptions = { algorithms: ["HS256"] };
+  if (issuer) verifyOptions.issuer = issuer;
+  if (audience) verifyOptions.audience = audience;
+
+  return (req) => {
+    const token = getBearerToken(req);
+    if (!token) {
+      throw createCodedError("Missing bearer token", "UNAUTHORIZED");
+    }
+    let payload;
+    try {
+      payload = jwt.verify(token, secret, verifyOptions);
+    } catch (error) {
+      throw createCodedError(`Invalid token: ${error.message}`, "UNAUTHORIZED");
+    }
+    // Sessions belong to the user named by sub, so every token must name one
+    if (typeof payload.sub !== "string" || !payload.sub) {
+      throw createCodedError("Invalid token: it has no sub claim naming its user", "UNAUTHORIZED");
+    }
+    return payload;
+  };
+}
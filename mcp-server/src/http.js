@@ -0,0 +1,257 @@
+/**
+ * http.js
+ * SSE transport for the MCP server, so several editors can share one server
+ *
+ * Clients open an event stream with GET on the SSE endpoint and send their
+ * messages with POST to the messages endpoint. Both need a bearer token when
+ * authentication is on, and messages are only accepted from whoever opened the
+ * session (same token subject).
+ */
+
+import { EventEmitter } from "events";
+import express from "express";
+import cors from "cors";
+import helmet from "helmet";
+import { FastMCPSession } from "fastmcp";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import logger from "./logger.js";
+
+export const DEFAULT_HTTP_OPTIONS = {
+  port: 3000,
+  host: "127.0.0.1",
+  endpoint: "/sse",
+  messagesEndpoint: "/messages",
+};
+
+/**
+ * Send an error response in the shape of the --json envelope
+ * @param {Object} res - HTTP response
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ */
+function sendError(res, status, code, message) {
+  res.status(status).json({ ok: false, error: { code, message } });
+}
+
+/**
+ * Serves MCP sessions over HTTP; emits "connect" and "disconnect" with
+ * { session } and lists open sessions in sessions, like FastMCP does for stdio
+ */
+export class McpHttpServer extends EventEmitter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.name - Server name
+   * @param {string} options.version - Server version
+   * @param {Object} options.definitions - Tools, resources, resourcesTemplates and prompts
+   * @param {Function|null} [options.authenticate] - Takes a request, returns its auth
+   *   payload or throws; null turns authentication off
+   * @param {Array<string>} [options.corsOrigins] - Origins allowed to call the server
+   *   from a browser; "*" allows any
+   * @param {string} [options.endpoint] - Path of the SSE stream
+   * @param {string} [options.messagesEndpoint] - Path clients post messages to
+   * @param {Function|null} [options.prepareSession] - Called with each new
+   *   session before it connects, e.g. to register capabilities
+   */
+  constructor({
+    name,
+    version,
+    definitions,
+    authenticate = null,
+    corsOrigins = [],
+    endpoint = DEFAULT_HTTP_OPTIONS.endpoint,
+    messagesEndpoint = DEFAULT_HTTP_OPTIONS.messagesEndpoint,
+    prepareSession = null,
+  }) {
+    super();
+    this.name = name;
+    this.version = version;
+    this.definitions = definitions;
+    this.authenticate = authenticate;
+    this.endpoint = endpoint;
+    this.messagesEndpoint = messagesEndpoint;
+    this.prepareSession = prepareSession;
+
+    // Session ID -> { session, transport, auth }
+    this.connections = new Map();
+    this.httpServer = null;
+
+    this.app = this.createApp(corsOrigins);
+  }
+
+  /**
+   * Open sessions
+   * @returns {Array} - FastMCP sessions
+   */
+  get sessions() {
+    return [...this.connections.values()].map(({ session }) => session);
+  }
+
+  /**
+   * Build the express app
+   * @param {Array<string>} corsOrigins - Allowed origins
+   * @returns {Object} - Express app
+   */
+  createApp(corsOrigins) {
+    const app = express();
+    app.disable("x-powered-by");
+    app.use(helmet());
+    app.use(
+      cors({
+        origin: corsOrigins.includes("*") ? true : corsOrigins,
+        allowedHeaders: ["Authorization", "Content-Type"],
+      })
+    );
+
+    app.get("/health", (req, res) => {
+      res.json({
+        ok: true,
+        name: this.name,
+        version: this.version,
+        sessions: this.connections.size,
+      });
+    });
+
+    app.use(this.endpoint, this.requireAuth.bind(this));
+    app.use(this.messagesEndpoint, this.requireAuth.bind(this));
+    app.get(this.endpoint, (req, res) => this.handleStream(req, res));
+    app.post(this.messagesEndpoint, (req, res) => this.handleMessage(req, res));
+
+    app.use((req, res) => {
+      sendError(res, 404, "NOT_FOUND", `Cannot ${req.method} ${req.path}`);
+    });
+
+    return app;
+  }
+
+  /**
+   * Middleware that rejects requests without a valid token
+   */
+  async requireAuth(req, res, next) {
+    if (!this.authenticate) {
+      req.auth = undefined;
+      return next();
+    }
+    try {
+      req.auth = await this.authenticate(req);
+      next();
+    } catch (error) {
+      res.set("WWW-Authenticate", 'Bearer realm="task-master"');
+      sendError(res, 401, error.code || "UNAUTHORIZED", error.message);
+    }
+  }
+
+  /**
+   * Open an SSE stream and connect a new session to it
+   */
+  async handleStream(req, res) {
+    const transport = new SSEServerTransport(this.messagesEndpoint, res);
+    const session = new FastMCPSession({
+      auth: req.auth,
+      name: this.name,
+      version: this.version,
+      ...this.definitions,
+    });
+    // A failed ping means the client went away; the stream closing cleans up
+    session.on("error", ({ error }) => {
+      logger.debug(`MCP session ${transport.sessionId}: ${error.message}`);
+    });
+    if (this.prepareSession) {
+      this.prepareSession(session);
+    }
+
+    // Known before connecting: the client posts its initialize request meanwhile
+    this.connections.set(transport.sessionId, {
+      session,
+      transport,
+      auth: req.auth,
+    });
+    res.on("close", () => this.closeSession(transport.sessionId));
+
+    try {
+      await session.connect(transport);
+    } catch (error) {
+      logger.error(`Could not connect MCP session: ${error.message}`);
+      await this.closeSession(transport.sessionId);
+      return;
+    }
+
+    // The stream closed while connecting: stop the pings connect() started
+    if (!this.connections.has(transport.sessionId)) {
+      await session.close();
+      return;
+    }
+    logger.info(`MCP session ${transport.sessionId} connected`);
+    this.emit("connect", { session });
+  }
+
+  /**
+   * Pass a posted message on to its session
+   */
+  async handleMessage(req, res) {
+    const connection = this.connections.get(String(req.query.sessionId || ""));
+    if (!connection) {
+      return sendError(res, 404, "NOT_FOUND", "Unknown or closed session");
+    }
+    if (this.authenticate && connection.auth?.sub !== req.auth?.sub) {
+      return sendError(
+        res,
+        403,
+        "FORBIDDEN",
+        "Session belongs to another user"
+      );
+    }
+    try {
+      await connection.transport.handlePostMessage(req, res);
+    } catch (error) {
+      logger.debug(`Could not handle MCP message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forget a session and close it
+   * @param {string} sessionId - Session ID
+   */
+  async closeSession(sessionId) {
+    const connection = this.connections.get(sessionId);
+    if (!connection) return;
+    this.connections.delete(sessionId);
+    await connection.session.close();
+    logger.info(`MCP session ${sessionId} disconnected`);
+    this.emit("disconnect", { session: connection.session });
+  }
+
+  /**
+   * Start listening
+   * @param {Object} [options] - Options
+   * @param {number} [options.port] - Port (0 for any free port)
+   * @param {string} [options.host] - Interface to bind to
+   * @returns {Promise<Object>} - Address the server listens on ({ address, port })
+   */
+  start({
+    port = DEFAULT_HTTP_OPTIONS.port,
+    host = DEFAULT_HTTP_OPTIONS.host,
+  } = {}) {
+    return new Promise((resolve, reject) => {
+      this.httpServer = this.app.listen(port, host, () =>
+        resolve(this.httpServer.address())
+      );
+      this.httpServer.once("error", reject);
+    });
+  }
+
+  /**
+   * Close every session and stop listening
+   */
+  async stop() {
+    await Promise.all(
+      [...this.connections.keys()].map((sessionId) =>
+        this.closeSession(sessionId)
+      )
+    );
+    if (this.httpServer) {
+      await new Promise((resolve) => this.httpServer.close(resolve));
+      this.httpServer = null;
+    }
+  }
+}
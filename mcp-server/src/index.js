@@ -1,10 +1,21 @@
-import { FastMCP } from "fastmcp";
+import { FastMCP, FastMCPSession } from "fastmcp";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import path from "path";
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
 import fs from "fs";
 import logger from "./logger.js";
+import { McpHttpServer, DEFAULT_HTTP_OPTIONS } from "./http.js";
+import { createJwtAuthenticator } from "./auth.js";
+import { isLoopbackHost } from "../../scripts/modules/api-server.js";
 import { registerTaskMasterTools } from "./tools/index.js";
+import { fixProjectRoot } from "./tools/utils.js";
+import {
+  registerTaskMasterResources,
+  watchTaskResources,
+  handleSubscriptions,
+} from "./resources/index.js";
+import { registerTaskMasterPrompts } from "./prompts/index.js";
 
 // Load environment variables
 dotenv.config();
@@ -13,6 +24,97 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Read the transport options of the server from the environment
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} - Options for TaskMasterMCPServer.start()
+ */
+export function getTransportOptions(env = process.env) {
+  const transportType = (env.MCP_TRANSPORT || "stdio").toLowerCase();
+  if (transportType === "stdio") {
+    return { transportType };
+  }
+  if (transportType !== "sse") {
+    throw new Error(
+      `Unknown MCP_TRANSPORT "${env.MCP_TRANSPORT}" (use stdio or sse)`
+    );
+  }
+
+  const port = env.MCP_PORT
+    ? Number(env.MCP_PORT)
+    : DEFAULT_HTTP_OPTIONS.port;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid MCP_PORT "${env.MCP_PORT}"`);
+  }
+
+  const auth = (env.MCP_AUTH || "jwt").toLowerCase();
+  if (auth !== "jwt" && auth !== "none") {
+    throw new Error(`Unknown MCP_AUTH "${env.MCP_AUTH}" (use jwt or none)`);
+  }
+  if (auth === "jwt" && !env.MCP_JWT_SECRET) {
+    throw new Error(
+      "MCP_JWT_SECRET is required for the sse transport (or set MCP_AUTH=none)"
+    );
+  }
+
+  // Without authentication any client on the network could change the project's files
+  const host = env.MCP_HOST || DEFAULT_HTTP_OPTIONS.host;
+  if (auth === "none" && !isLoopbackHost(host)) {
+    throw new Error(
+      `Refusing to serve MCP on ${host} without authentication. Set MCP_JWT_SECRET, or listen on 127.0.0.1.`
+    );
+  }
+
+  return {
+    transportType,
+    http: {
+      port,
+      host,
+      endpoint: env.MCP_SSE_ENDPOINT || DEFAULT_HTTP_OPTIONS.endpoint,
+      corsOrigins: (env.MCP_CORS_ORIGINS || "")
+        .split(",")
+        .map((origin) => origin.trim())
+        .filter(Boolean),
+      jwt:
+        auth === "jwt"
+          ? {
+              secret: env.MCP_JWT_SECRET,
+              issuer: env.MCP_JWT_ISSUER,
+              audience: env.MCP_JWT_AUDIENCE,
+            }
+          : null,
+    },
+  };
+}
+
+/**
+ * Forward registrations to the FastMCP server and keep a copy of them, from
+ * which the HTTP transport creates its sessions
+ * @param {Object} server - FastMCP server instance
+ * @param {Object} definitions - Receives tools, resources, resourcesTemplates and prompts
+ * @returns {Object} - Stands in for the server in the register functions
+ */
+function recordRegistrations(server, definitions) {
+  return {
+    addTool: (tool) => {
+      definitions.tools.push(tool);
+      server.addTool(tool);
+    },
+    addResource: (resource) => {
+      definitions.resources.push(resource);
+      server.addResource(resource);
+    },
+    addResourceTemplate: (template) => {
+      definitions.resourcesTemplates.push(template);
+      server.addResourceTemplate(template);
+    },
+    addPrompt: (prompt) => {
+      definitions.prompts.push(prompt);
+      server.addPrompt(prompt);
+    },
+  };
+}
+
 /**
  * Main MCP server class that integrates with Task Master
  */
@@ -28,11 +130,23 @@ class TaskMasterMCPServer {
     };
 
     this.server = new FastMCP(this.options);
+    this.definitions = {
+      tools: [],
+      resources: [],
+      resourcesTemplates: [],
+      prompts: [],
+    };
+    // Set by start(): the HTTP server, or the session of the stdio client
+    this.httpServer = null;
+    this.stdioSession = null;
     this.initialized = false;
 
-    // this.server.addResource({});
-
-    // this.server.addResourceTemplate({});
+    // Project the resources and prompts describe; tools take their own
+    // projectRoot, except over HTTP where they are confined to this one
+    this.projectRoot = path.resolve(
+      process.env.TASKMASTER_PROJECT_ROOT || process.cwd()
+    );
+    this.stopWatching = null;
 
     // Bind methods
     this.init = this.init.bind(this);
@@ -49,8 +163,11 @@ class TaskMasterMCPServer {
   async init() {
     if (this.initialized) return;
 
-    // Register Task Master tools
-    registerTaskMasterTools(this.server);
+    // Register Task Master tools, resources and prompts
+    const registry = recordRegistrations(this.server, this.definitions);
+    registerTaskMasterTools(registry);
+    registerTaskMasterResources(registry, this.projectRoot);
+    registerTaskMasterPrompts(registry, this.projectRoot);
 
     this.initialized = true;
 
@@ -59,16 +176,55 @@ class TaskMasterMCPServer {
 
   /**
    * Start the MCP server
+   * @param {Object} [options] - Transport options, see getTransportOptions()
+   * @param {string} [options.transportType="stdio"] - "stdio" or "sse"
+   * @param {Object} [options.http] - For sse: port, host, endpoint, corsOrigins
+   *   and jwt ({ secret, issuer, audience }, or null for no authentication)
    */
-  async start() {
+  async start({ transportType = "stdio", http = {} } = {}) {
     if (!this.initialized) {
       await this.init();
     }
 
-    // Start the FastMCP server
-    await this.server.start({
-      transportType: "stdio",
+    if (transportType === "sse") {
+      this.httpServer = new McpHttpServer({
+        ...this.options,
+        definitions: this.definitions,
+        authenticate: http.jwt ? createJwtAuthenticator(http.jwt) : null,
+        corsOrigins: http.corsOrigins,
+        endpoint: http.endpoint,
+        prepareSession: handleSubscriptions,
+      });
+      if (!http.jwt) {
+        logger.warn("MCP server is running without authentication");
+      }
+      // Clients must not reach other directories of the host
+      fixProjectRoot(this.projectRoot);
+      logger.info(`MCP tools work in ${this.projectRoot} only`);
+
+      this.stopWatching = await watchTaskResources(
+        this.httpServer,
+        this.projectRoot
+      );
+      const { address, port } = await this.httpServer.start(http);
+      logger.info(
+        `MCP server listening on http://${address}:${port}${this.httpServer.endpoint}`
+      );
+      return this;
+    }
+
+    // Created here rather than by FastMCP's start(), which connects the
+    // session before subscriptions could be advertised on it
+    this.stdioSession = new FastMCPSession({
+      ...this.options,
+      ...this.definitions,
     });
+    handleSubscriptions(this.stdioSession);
+    this.stopWatching = await watchTaskResources(
+      { sessions: [this.stdioSession] },
+      this.projectRoot
+    );
+    await this.stdioSession.connect(new StdioServerTransport());
 
     return this;
   }
@@ -77,6 +233,19 @@ class TaskMasterMCPServer {
    * Stop the MCP server
    */
   async stop() {
+    if (this.stopWatching) {
+      this.stopWatching();
+      this.stopWatching = null;
+    }
+    if (this.httpServer) {
+      await this.httpServer.stop();
+      this.httpServer = null;
+      fixProjectRoot(null);
+    }
+    if (this.stdioSession) {
+      await this.stdioSession.close();
+      this.stdioSession = null;
+    }
     if (this.server) {
       await this.server.stop();
     }
@@ -0,0 +1,122 @@
+/**
+ * prompts/context.js
+ * Task, dependency and complexity context shared by the MCP prompts
+ */
+
+import {
+  CONFIG,
+  readTasks,
+  readComplexityReport,
+  findTaskById,
+  findTaskInComplexityReport,
+} from "../../../scripts/modules/utils.js";
+import { getTask } from "../../../scripts/modules/task-manager.js";
+import { createCodedError } from "../../../scripts/modules/output.js";
+
+/**
+ * Read the tasks of the project
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {Array} - All tasks
+ * @throws {Error} - With code NOT_FOUND if there is no tasks file
+ */
+export function readAllTasks(tasksPath) {
+  const data = readTasks(tasksPath);
+  if (!data || !data.tasks) {
+    throw createCodedError(`No valid tasks found in ${tasksPath}`, "NOT_FOUND");
+  }
+  return data.tasks;
+}
+
+/**
+ * Format tasks as a bulleted list, one line each
+ * @param {Array} entries - { id, task } pairs; task is null if it does not exist
+ * @returns {string} - The list, or "None"
+ */
+export function formatTaskList(entries) {
+  if (entries.length === 0) {
+    return "None";
+  }
+  return entries
+    .map(({ id, task }) =>
+      task
+        ? `- ${id}: ${task.title} (${task.status || "pending"})`
+        : `- ${id}: does not exist`
+    )
+    .join("\n");
+}
+
+/**
+ * Describe the complexity analysis of a task in one line
+ * @param {Object|null} analysis - Entry of the complexity report for the task
+ * @returns {string} - The description, or "" without an analysis
+ */
+function describeComplexity(analysis) {
+  if (!analysis) {
+    return "";
+  }
+  return [
+    `score ${analysis.complexityScore}/10, ${analysis.recommendedSubtasks} subtasks recommended.`,
+    analysis.reasoning,
+    analysis.expansionPrompt && `Suggested focus: ${analysis.expansionPrompt}`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Gather the context of a task for a prompt; run it through loadResourceData,
+ * which reads the complexity report of the project
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Array} tasks - All tasks
+ * @param {string|number} taskId - Task ID ("5") or subtask ID ("5.2")
+ * @returns {Object} - Template variables: task (with the full ID of a subtask),
+ *   details, dependencies, subtasks, complexity, plus the complexity analysis
+ *   itself as analysis (or null)
+ * @throws {Error} - With code NOT_FOUND if there is no such task
+ */
+export function getTaskContext(tasksPath, tasks, taskId) {
+  const task = getTask(tasksPath, taskId);
+
+  // Numeric dependencies of a subtask refer to its siblings
+  const dependencies = (task.dependencies || []).map((dep) => {
+    const id =
+      task.parentId && typeof dep === "number"
+        ? `${task.parentId}.${dep}`
+        : String(dep);
+    return { id, task: findTaskById(tasks, id) };
+  });
+
+  const subtasks = (task.subtasks || []).map((subtask) => ({
+    id: `${task.id}.${subtask.id}`,
+    task: subtask,
+  }));
+
+  // Only tasks are analyzed, not subtasks
+  const analysis = task.parentId
+    ? null
+    : findTaskInComplexityReport(readComplexityReport(), task.id) || null;
+
+  return {
+    // Subtasks are referred to by their full ID, e.g. "5.2"
+    task: task.parentId ? { ...task, id: `${task.parentId}.${task.id}` } : task,
+    details: task.details || "None",
+    dependencies: formatTaskList(dependencies),
+    subtasks: subtasks.length > 0 ? formatTaskList(subtasks) : "",
+    complexity: describeComplexity(analysis),
+    analysis,
+  };
+}
+
+/**
+ * Number of subtasks to suggest for a task
+ * @param {Object|null} analysis - Complexity analysis of the task
+ * @param {string} [requested] - Number asked for in the prompt arguments
+ * @returns {number} - The requested number, else the recommended one, else the default
+ */
+export function getSubtaskCount(analysis, requested) {
+  const count = parseInt(requested, 10);
+  if (count > 0) {
+    return count;
+  }
+  return (analysis && analysis.recommendedSubtasks) || CONFIG.defaultSubtasks;
+}
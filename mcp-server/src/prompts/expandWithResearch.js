@@ -0,0 +1,52 @@
+/**
+ * prompts/expandWithResearch.js
+ * Prompt to research a task and break it down into subtasks
+ */
+
+import { renderPrompt } from "../../../scripts/modules/prompts.js";
+import { loadResourceData } from "../resources/utils.js";
+import { completeTaskId } from "../resources/tasks.js";
+import { readAllTasks, getTaskContext, getSubtaskCount } from "./context.js";
+
+/**
+ * Register the expand-with-research prompt with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {string} projectRoot - Root directory of the project
+ */
+export function registerExpandWithResearchPrompt(server, projectRoot) {
+  server.addPrompt({
+    name: "expand-with-research",
+    description:
+      "Research a task and break it down into subtasks, using the complexity report for the number of subtasks",
+    arguments: [
+      {
+        name: "id",
+        description: "Task ID to expand",
+        required: true,
+        complete: (value) => completeTaskId(projectRoot, value),
+      },
+      {
+        name: "num",
+        description:
+          "Number of subtasks (default: the recommendation of the complexity report)",
+      },
+      {
+        name: "context",
+        description: "Additional context to guide the breakdown",
+      },
+    ],
+    load: (args) =>
+      loadResourceData(projectRoot, ({ tasksPath }) => {
+        const { analysis, subtasks, ...variables } = getTaskContext(
+          tasksPath,
+          readAllTasks(tasksPath),
+          args.id
+        );
+        return renderPrompt("expand-with-research", {
+          ...variables,
+          numSubtasks: getSubtaskCount(analysis, args.num),
+          additionalContext: args.context || "",
+        });
+      }),
+  });
+}
@@ -0,0 +1,25 @@
+/**
+ * prompts/index.js
+ * Export all Task Master prompts for MCP server
+ */
+
+import { registerStartNextTaskPrompt } from "./startNextTask.js";
+import { registerExpandWithResearchPrompt } from "./expandWithResearch.js";
+import { registerLogImplementationDriftPrompt } from "./logImplementationDrift.js";
+import { registerReviewTaskPrompt } from "./reviewTask.js";
+
+/**
+ * Register all Task Master prompts with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {string} projectRoot - Root directory of the project the prompts describe
+ */
+export function registerTaskMasterPrompts(server, projectRoot) {
+  registerStartNextTaskPrompt(server, projectRoot);
+  registerExpandWithResearchPrompt(server, projectRoot);
+  registerLogImplementationDriftPrompt(server, projectRoot);
+  registerReviewTaskPrompt(server, projectRoot);
+}
+
+export default {
+  registerTaskMasterPrompts,
+};
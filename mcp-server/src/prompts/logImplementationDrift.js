@@ -0,0 +1,60 @@
+/**
+ * prompts/logImplementationDrift.js
+ * Prompt to update the remaining tasks after the implementation diverged from the plan
+ */
+
+import { renderPrompt } from "../../../scripts/modules/prompts.js";
+import { loadResourceData } from "../resources/utils.js";
+import { completeTaskId } from "../resources/tasks.js";
+import { readAllTasks, getTaskContext, formatTaskList } from "./context.js";
+
+/**
+ * Register the log-implementation-drift prompt with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {string} projectRoot - Root directory of the project
+ */
+export function registerLogImplementationDriftPrompt(server, projectRoot) {
+  server.addPrompt({
+    name: "log-implementation-drift",
+    description:
+      "Record how the implementation of a task differs from the plan and update the tasks that build on it",
+    arguments: [
+      {
+        name: "id",
+        description:
+          "Task ID (e.g. 5) or subtask ID (e.g. 5.2) whose implementation changed",
+        required: true,
+        complete: (value) => completeTaskId(projectRoot, value),
+      },
+      {
+        name: "changes",
+        description: "What was done differently from the plan, and why",
+        required: true,
+      },
+    ],
+    load: (args) =>
+      loadResourceData(projectRoot, ({ tasksPath }) => {
+        const tasks = readAllTasks(tasksPath);
+        const { task } = getTaskContext(tasksPath, tasks, args.id);
+        const topLevelId = task.parentId || task.id;
+        const open = tasks.filter((other) => other.status !== "done");
+
+        const dependents = open.filter((other) =>
+          (other.dependencies || []).some((dep) => String(dep) === String(task.id))
+        );
+        const upcoming = open.filter((other) => other.id > topLevelId);
+
+        return renderPrompt("log-implementation-drift", {
+          task,
+          changes: args.changes,
+          dependents: formatTaskList(
+            dependents.map((other) => ({ id: other.id, task: other }))
+          ),
+          upcoming: formatTaskList(
+            upcoming.map((other) => ({ id: other.id, task: other }))
+          ),
+          fromId: upcoming.length > 0 ? upcoming[0].id : topLevelId,
+        });
+      }),
+  });
+}
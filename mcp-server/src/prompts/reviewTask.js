@@ -0,0 +1,39 @@
+/**
+ * prompts/reviewTask.js
+ * Prompt to review a task before it is marked done
+ */
+
+import { renderPrompt } from "../../../scripts/modules/prompts.js";
+import { loadResourceData } from "../resources/utils.js";
+import { completeTaskId } from "../resources/tasks.js";
+import { readAllTasks, getTaskContext } from "./context.js";
+
+/**
+ * Register the review-task prompt with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {string} projectRoot - Root directory of the project
+ */
+export function registerReviewTaskPrompt(server, projectRoot) {
+  server.addPrompt({
+    name: "review-task",
+    description:
+      "Review the implementation of a task against its details, subtasks and test strategy before marking it done",
+    arguments: [
+      {
+        name: "id",
+        description: "Task ID (e.g. 5) or subtask ID (e.g. 5.2) to review",
+        required: true,
+        complete: (value) => completeTaskId(projectRoot, value),
+      },
+    ],
+    load: (args) =>
+      loadResourceData(projectRoot, ({ tasksPath }) => {
+        const { analysis, ...variables } = getTaskContext(
+          tasksPath,
+          readAllTasks(tasksPath),
+          args.id
+        );
+        return renderPrompt("review-task", variables);
+      }),
+  });
+}
@@ -0,0 +1,36 @@
+/**
+ * prompts/startNextTask.js
+ * Prompt to start working on the next task
+ */
+
+import { findNextTask } from "../../../scripts/modules/task-manager.js";
+import { renderPrompt } from "../../../scripts/modules/prompts.js";
+import { loadResourceData } from "../resources/utils.js";
+import { readAllTasks, getTaskContext } from "./context.js";
+
+/**
+ * Register the start-next-task prompt with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {string} projectRoot - Root directory of the project
+ */
+export function registerStartNextTaskPrompt(server, projectRoot) {
+  server.addPrompt({
+    name: "start-next-task",
+    description:
+      "Pick the next task whose dependencies are done and get step-by-step instructions to implement it",
+    load: () =>
+      loadResourceData(projectRoot, ({ tasksPath }) => {
+        const tasks = readAllTasks(tasksPath);
+        const next = findNextTask(tasks);
+        if (!next) {
+          return "There is no task to work on: every pending task waits for dependencies that are not done yet. List the tasks with the listTasks tool to see what is blocked.";
+        }
+        const { analysis, ...variables } = getTaskContext(
+          tasksPath,
+          tasks,
+          next.id
+        );
+        return renderPrompt("start-next-task", variables);
+      }),
+  });
+}
@@ -0,0 +1,28 @@
+/**
+ * resources/index.js
+ * Export all Task Master resources for MCP server
+ */
+
+import { registerTaskResources } from "./tasks.js";
+import { registerComplexityReportResource } from "./reports.js";
+import { registerPRDResource } from "./prd.js";
+
+export {
+  watchTaskResources,
+  handleSubscriptions,
+} from "./notifications.js";
+
+/**
+ * Register all Task Master resources with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {string} projectRoot - Root directory of the project the resources describe
+ */
+export function registerTaskMasterResources(server, projectRoot) {
+  registerTaskResources(server, projectRoot);
+  registerComplexityReportResource(server, projectRoot);
+  registerPRDResource(server, projectRoot);
+}
+
+export default {
+  registerTaskMasterResources,
+};
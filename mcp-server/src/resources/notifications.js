@@ -0,0 +1,128 @@
+/**
+ * resources/notifications.js
+ * Tell connected clients when the tasks of the project change
+ *
+ * Whoever changes tasks.json (a tool call, the CLI, an editor), every session
+ * gets a resources/updated notification for the task resources it subscribed
+ * to, so it knows to read them again. Sessions advertise subscriptions only if
+ * handleSubscriptions was called before they connected.
+ */
+
+import fs from "fs";
+import { z } from "zod";
+import {
+  CONFIG,
+  getStorageBackend,
+  resolveProjectPath,
+} from "../../../scripts/modules/utils.js";
+import { getStorage } from "../../../scripts/modules/storage.js";
+import logger from "../logger.js";
+import { loadResourceData } from "./utils.js";
+
+// How often the tasks file is checked for changes, in milliseconds
+const POLL_INTERVAL = 500;
+
+const SubscribeRequestSchema = z.object({
+  method: z.literal("resources/subscribe"),
+  params: z.object({ uri: z.string() }),
+});
+
+const UnsubscribeRequestSchema = z.object({
+  method: z.literal("resources/unsubscribe"),
+  params: z.object({ uri: z.string() }),
+});
+
+// Session -> Set of the URIs it subscribed to
+const subscriptions = new WeakMap();
+
+/**
+ * Advertise resource subscriptions on a session and keep track of the
+ * resources it subscribes to. Clients learn the capability when they
+ * initialize, so call this before connecting the session.
+ * @param {Object} session - FastMCP session
+ */
+export function handleSubscriptions(session) {
+  subscriptions.set(session, new Set());
+  session.server.registerCapabilities({ resources: { subscribe: true } });
+  session.server.setRequestHandler(SubscribeRequestSchema, (request) => {
+    subscriptions.get(session).add(request.params.uri);
+    return {};
+  });
+  session.server.setRequestHandler(UnsubscribeRequestSchema, (request) => {
+    subscriptions.get(session).delete(request.params.uri);
+    return {};
+  });
+}
+
+/**
+ * Send resources/updated notifications for the task resources each session
+ * subscribed to
+ * @param {Object} server - Server listing the open sessions in sessions
+ */
+function notifyTasksChanged(server) {
+  server.sessions.forEach((session) => {
+    const subscribed = [...(subscriptions.get(session) || [])].filter((uri) =>
+      uri.startsWith("tasks://")
+    );
+    subscribed.forEach((uri) => {
+      session.server.sendResourceUpdated({ uri }).catch((error) => {
+        logger.debug(`Could not notify about ${uri}: ${error.message}`);
+      });
+    });
+  });
+}
+
+/**
+ * Watch the tasks of the project and notify clients when they change. The
+ * project config is watched too: when migrate-storage moves the tasks to
+ * another backend, the new location is watched from then on.
+ * @param {Object} server - Server listing the open sessions in sessions
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Function>} - Stops watching
+ */
+export async function watchTaskResources(server, projectRoot) {
+  // tasks.json itself, or the directory of the directory backend
+  const findLocation = () =>
+    loadResourceData(projectRoot, ({ tasksPath }) =>
+      getStorage(getStorageBackend()).getLocation(tasksPath)
+    );
+  const configPath = await loadResourceData(projectRoot, () =>
+    resolveProjectPath(CONFIG.projectConfigPath)
+  );
+  const options = { interval: POLL_INTERVAL, persistent: false };
+  let location = await findLocation();
+  let stopped = false;
+
+  const onChange = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      notifyTasksChanged(server);
+    }
+  };
+  const onConfigChange = async (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
+    let newLocation;
+    try {
+      newLocation = await findLocation();
+    } catch (error) {
+      logger.debug(`Could not find the tasks location: ${error.message}`);
+      return;
+    }
+    if (stopped || newLocation === location) {
+      return;
+    }
+    fs.unwatchFile(location, onChange);
+    location = newLocation;
+    fs.watchFile(location, options, onChange);
+    notifyTasksChanged(server);
+  };
+  fs.watchFile(location, options, onChange);
+  fs.watchFile(configPath, options, onConfigChange);
+
+  return () => {
+    stopped = true;
+    fs.unwatchFile(location, onChange);
+    fs.unwatchFile(configPath, onConfigChange);
+  };
+}
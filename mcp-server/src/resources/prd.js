@@ -0,0 +1,34 @@
+/**
+ * resources/prd.js
+ * Resource for the PRD the tasks were generated from
+ */
+
+import fs from "fs";
+import { createCodedError } from "../../../scripts/modules/output.js";
+import { DEFAULT_PRD_FILE } from "../tools/utils.js";
+import { loadResourceData } from "./utils.js";
+
+/**
+ * Register the PRD resource with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {string} projectRoot - Root directory of the project
+ */
+export function registerPRDResource(server, projectRoot) {
+  server.addResource({
+    uri: "prd://source",
+    name: "Product requirements document",
+    mimeType: "text/plain",
+    load: async () => ({
+      text: await loadResourceData(projectRoot, ({ resolvePath }) => {
+        const prdPath = resolvePath(DEFAULT_PRD_FILE);
+        if (!fs.existsSync(prdPath)) {
+          throw createCodedError(
+            `No PRD found at ${DEFAULT_PRD_FILE}`,
+            "NOT_FOUND"
+          );
+        }
+        return fs.readFileSync(prdPath, "utf8");
+      }),
+    }),
+  });
+}
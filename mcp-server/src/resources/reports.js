@@ -0,0 +1,35 @@
+/**
+ * resources/reports.js
+ * Resource for the complexity report of the project
+ */
+
+import fs from "fs";
+import { createCodedError } from "../../../scripts/modules/output.js";
+import { DEFAULT_COMPLEXITY_REPORT_FILE } from "../tools/utils.js";
+import { loadResourceData, createJsonContent } from "./utils.js";
+
+/**
+ * Register the complexity report resource with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {string} projectRoot - Root directory of the project
+ */
+export function registerComplexityReportResource(server, projectRoot) {
+  server.addResource({
+    uri: "reports://complexity",
+    name: "Task complexity report",
+    mimeType: "application/json",
+    load: async () =>
+      createJsonContent(
+        await loadResourceData(projectRoot, ({ resolvePath }) => {
+          const reportPath = resolvePath(DEFAULT_COMPLEXITY_REPORT_FILE);
+          if (!fs.existsSync(reportPath)) {
+            throw createCodedError(
+              `No complexity report found at ${DEFAULT_COMPLEXITY_REPORT_FILE}. Run task-master analyze-complexity first.`,
+              "NOT_FOUND"
+            );
+          }
+          return JSON.parse(fs.readFileSync(reportPath, "utf8"));
+        })
+      ),
+  });
+}
@@ -0,0 +1,115 @@
+/**
+ * resources/tasks.js
+ * Resources for the tasks of the project
+ */
+
+import { readTasks } from "../../../scripts/modules/utils.js";
+import {
+  findNextTask,
+  getTask,
+} from "../../../scripts/modules/task-manager.js";
+import { createCodedError } from "../../../scripts/modules/output.js";
+import { loadResourceData, createJsonContent } from "./utils.js";
+
+/**
+ * Read the tasks data of the project
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {Object} - Tasks data
+ * @throws {Error} - With code NOT_FOUND if there is no tasks file
+ */
+function readTasksData(tasksPath) {
+  const data = readTasks(tasksPath);
+  if (!data || !data.tasks) {
+    throw createCodedError(`No valid tasks found in ${tasksPath}`, "NOT_FOUND");
+  }
+  return data;
+}
+
+/**
+ * Suggest task and subtask IDs starting with what was typed so far
+ * @param {string} projectRoot - Root directory of the project
+ * @param {string} value - Partial ID
+ * @returns {Promise<Object>} - Completion result ({ values })
+ */
+export async function completeTaskId(projectRoot, value) {
+  const ids = await loadResourceData(projectRoot, ({ tasksPath }) =>
+    readTasksData(tasksPath).tasks.flatMap((task) => [
+      String(task.id),
+      ...(task.subtasks || []).map((subtask) => `${task.id}.${subtask.id}`),
+    ])
+  ).catch(() => []);
+  return { values: ids.filter((id) => id.startsWith(value)).slice(0, 100) };
+}
+
+/**
+ * Register the task resources with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {string} projectRoot - Root directory of the project
+ */
+export function registerTaskResources(server, projectRoot) {
+  server.addResource({
+    uri: "tasks://list",
+    name: "All tasks",
+    mimeType: "application/json",
+    load: async () =>
+      createJsonContent(
+        await loadResourceData(projectRoot, ({ tasksPath }) =>
+          readTasksData(tasksPath)
+        )
+      ),
+  });
+
+  server.addResource({
+    uri: "tasks://next",
+    name: "Next task to work on",
+    mimeType: "application/json",
+    load: async () =>
+      createJsonContent(
+        await loadResourceData(projectRoot, ({ tasksPath }) => ({
+          task: findNextTask(readTasksData(tasksPath).tasks),
+        }))
+      ),
+  });
+
+  // Registered before tasks://{id}, which would also match "5/subtasks"
+  server.addResourceTemplate({
+    uriTemplate: "tasks://{id}/subtasks",
+    name: "Subtasks of a task",
+    mimeType: "application/json",
+    arguments: [
+      {
+        name: "id",
+        description: "Task ID",
+        required: true,
+        complete: (value) => completeTaskId(projectRoot, value),
+      },
+    ],
+    load: async ({ id }) =>
+      createJsonContent(
+        await loadResourceData(projectRoot, ({ tasksPath }) => {
+          const task = getTask(tasksPath, id);
+          return { taskId: task.id, subtasks: task.subtasks || [] };
+        })
+      ),
+  });
+
+  server.addResourceTemplate({
+    uriTemplate: "tasks://{id}",
+    name: "Task or subtask",
+    mimeType: "application/json",
+    arguments: [
+      {
+        name: "id",
+        description: "Task ID (e.g. 5) or subtask ID (e.g. 5.2)",
+        required: true,
+        complete: (value) => completeTaskId(projectRoot, value),
+      },
+    ],
+    load: async ({ id }) =>
+      createJsonContent(
+        await loadResourceData(projectRoot, ({ tasksPath }) => ({
+          task: getTask(tasksPath, id),
+        }))
+      ),
+  });
+}
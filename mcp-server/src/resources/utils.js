@@ -0,0 +1,36 @@
+/**
+ * resources/utils.js
+ * Utility functions for reading Task Master data in MCP resources
+ */
+
+import logger from "../logger.js";
+import { runTaskMasterFunction } from "../tools/utils.js";
+
+/**
+ * Run Task Master functions for a resource read, like a read-only tool call
+ * @param {string} projectRoot - Root directory of the project the resources describe
+ * @param {Function} fn - Function reading the data; takes { projectRoot, tasksPath,
+ *   resolvePath } like the functions of runTaskMasterFunction; may be async
+ * @returns {Promise<*>} - Whatever fn returns
+ * @throws {Error} - The error fn threw, with its code
+ */
+export async function loadResourceData(projectRoot, fn) {
+  const result = await runTaskMasterFunction(logger, { projectRoot }, fn, {
+    readOnly: true,
+  });
+  if (!result.success) {
+    const error = new Error(result.error);
+    error.code = result.code;
+    throw error;
+  }
+  return result.data;
+}
+
+/**
+ * Creates resource content holding data as JSON
+ * @param {*} data - JSON-serializable data
+ * @returns {Object} - Resource content object
+ */
+export function createJsonContent(data) {
+  return { text: JSON.stringify(data, null, 2) };
+}
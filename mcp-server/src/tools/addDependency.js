@@ -0,0 +1,58 @@
+/**
+ * tools/addDependency.js
+ * Tool to add a dependency to a task
+ */
+
+import { z } from "zod";
+import { addDependency } from "../../../scripts/modules/dependency-manager.js";
+import {
+  runTaskMasterFunction,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the addDependency tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAddDependencyTool(server) {
+  server.addTool({
+    name: "addDependency",
+    description:
+      "Make a task or subtask depend on another one. Dependencies that would be circular are refused.",
+    parameters: z.object({
+      id: z
+        .string()
+        .describe("Task ID (e.g. 5) or subtask ID (e.g. 5.2) to add the dependency to"),
+      dependsOn: z
+        .string()
+        .describe("ID of the task or subtask to depend on"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Adding dependency ${args.dependsOn} to task ${args.id}`);
+
+        const result = await runTaskMasterFunction(
+          log,
+          args,
+          ({ tasksPath }) => addDependency(tasksPath, args.id, args.dependsOn)
+        );
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error adding dependency: ${error.message}`);
+        return createErrorResponse(`Error adding dependency: ${error.message}`);
+      }
+    },
+  });
+}
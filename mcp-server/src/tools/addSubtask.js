@@ -0,0 +1,102 @@
+/**
+ * tools/addSubtask.js
+ * Tool to add a subtask to a task
+ */
+
+import { z } from "zod";
+import { addSubtask } from "../../../scripts/modules/task-manager.js";
+import {
+  runTaskMasterFunction,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the addSubtask tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAddSubtaskTool(server) {
+  server.addTool({
+    name: "addSubtask",
+    description:
+      "Add a new subtask to a task, or turn an existing task into a subtask of it",
+    parameters: z.object({
+      parent: z.string().describe("Parent task ID"),
+      taskId: z
+        .string()
+        .optional()
+        .describe("Existing task ID to convert to a subtask"),
+      title: z
+        .string()
+        .optional()
+        .describe("Title for the new subtask (when not converting a task)"),
+      description: z
+        .string()
+        .optional()
+        .describe("Description for the new subtask"),
+      details: z
+        .string()
+        .optional()
+        .describe("Implementation details for the new subtask"),
+      dependencies: z
+        .array(z.string())
+        .optional()
+        .describe("Dependency IDs for the new subtask (e.g. 3 or 5.2)"),
+      status: z
+        .string()
+        .optional()
+        .describe("Status for the new subtask (default: pending)"),
+      generate: z
+        .boolean()
+        .optional()
+        .describe("Regenerate task files afterwards (default: true)"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Adding subtask to task ${args.parent}`);
+
+        const result = await runTaskMasterFunction(log, args, async ({ tasksPath }) => {
+          if (!args.taskId && !args.title) {
+            throw new Error("Either taskId or title must be provided");
+          }
+          const newSubtaskData = args.taskId
+            ? null
+            : {
+                title: args.title,
+                description: args.description || "",
+                details: args.details || "",
+                status: args.status || "pending",
+                dependencies: (args.dependencies || []).map((id) =>
+                  id.includes(".") ? id.trim() : parseInt(id, 10)
+                ),
+              };
+          return {
+            parentId: parseInt(args.parent, 10),
+            subtask: await addSubtask(
+              tasksPath,
+              args.parent,
+              args.taskId || null,
+              newSubtaskData,
+              args.generate !== false
+            ),
+          };
+        });
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error adding subtask: ${error.message}`);
+        return createErrorResponse(`Error adding subtask: ${error.message}`);
+      }
+    },
+  });
+}
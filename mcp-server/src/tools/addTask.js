@@ -4,9 +4,10 @@
  */
 
 import { z } from "zod";
+import { addTask, getTask } from "../../../scripts/modules/task-manager.js";
 import {
-  executeTaskMasterCommand,
-  createContentResponse,
+  runTaskMasterFunction,
+  createJsonResponse,
   createErrorResponse,
 } from "./utils.js";
 
@@ -39,24 +40,25 @@ export function registerAddTaskTool(server) {
       try {
         log.info(`Adding new task: ${args.prompt}`);
 
-        const cmdArgs = [`--prompt="${args.prompt}"`];
-        if (args.dependencies)
-          cmdArgs.push(`--dependencies=${args.dependencies}`);
-        if (args.priority) cmdArgs.push(`--priority=${args.priority}`);
-        if (args.file) cmdArgs.push(`--file=${args.file}`);
+        const dependencies = args.dependencies
+          ? args.dependencies.split(",").map((id) => parseInt(id.trim(), 10))
+          : [];
 
-        const result = executeTaskMasterCommand(
-          "add-task",
-          log,
-          cmdArgs,
-          projectRoot
-        );
+        const result = await runTaskMasterFunction(log, args, async ({ tasksPath }) => {
+          const newTaskId = await addTask(
+            tasksPath,
+            args.prompt,
+            dependencies,
+            args.priority || "medium"
+          );
+          return { task: getTask(tasksPath, newTaskId) };
+        });
 
         if (!result.success) {
           throw new Error(result.error);
         }
 
-        return createContentResponse(result.stdout);
+        return createJsonResponse(result.data);
       } catch (error) {
         log.error(`Error adding task: ${error.message}`);
         return createErrorResponse(`Error adding task: ${error.message}`);
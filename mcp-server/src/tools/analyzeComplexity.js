@@ -0,0 +1,77 @@
+/**
+ * tools/analyzeComplexity.js
+ * Tool to analyze task complexity and write the complexity report
+ */
+
+import { z } from "zod";
+import { analyzeTaskComplexity } from "../../../scripts/modules/task-manager.js";
+import {
+  runTaskMasterFunction,
+  DEFAULT_COMPLEXITY_REPORT_FILE,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the analyzeComplexity tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAnalyzeComplexityTool(server) {
+  server.addTool({
+    name: "analyzeComplexity",
+    description:
+      "Analyze the complexity of all tasks and recommend which ones to expand. Writes the complexity report and returns it.",
+    parameters: z.object({
+      output: z
+        .string()
+        .optional()
+        .describe(
+          "Path of the report file to write (default: scripts/task-complexity-report.json)"
+        ),
+      model: z
+        .string()
+        .optional()
+        .describe("LLM model to use for the analysis (default: configured model)"),
+      threshold: z
+        .number()
+        .min(1)
+        .max(10)
+        .optional()
+        .describe("Minimum complexity score to recommend expansion (default: 5)"),
+      research: z
+        .boolean()
+        .optional()
+        .describe("Enable Perplexity AI for research-backed analysis"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Analyzing task complexity`);
+
+        const result = await runTaskMasterFunction(log, args, ({ tasksPath, resolvePath }) =>
+          analyzeTaskComplexity({
+            file: tasksPath,
+            output: resolvePath(args.output, DEFAULT_COMPLEXITY_REPORT_FILE),
+            model: args.model,
+            threshold: args.threshold || 5,
+            research: args.research || false,
+          })
+        );
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error analyzing task complexity: ${error.message}`);
+        return createErrorResponse(`Error analyzing task complexity: ${error.message}`);
+      }
+    },
+  });
+}
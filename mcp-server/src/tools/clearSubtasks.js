@@ -0,0 +1,69 @@
+/**
+ * tools/clearSubtasks.js
+ * Tool to remove the subtasks of tasks
+ */
+
+import { z } from "zod";
+import { readTasks } from "../../../scripts/modules/utils.js";
+import { clearSubtasks } from "../../../scripts/modules/task-manager.js";
+import {
+  runTaskMasterFunction,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the clearSubtasks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerClearSubtasksTool(server) {
+  server.addTool({
+    name: "clearSubtasks",
+    description:
+      "Remove all subtasks from the given tasks, or from every task",
+    parameters: z.object({
+      id: z
+        .string()
+        .optional()
+        .describe("Task IDs (comma-separated) to clear subtasks from"),
+      all: z
+        .boolean()
+        .optional()
+        .describe("Clear subtasks from all tasks"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Clearing subtasks from ${args.all ? "all tasks" : `task(s) ${args.id}`}`);
+
+        const result = await runTaskMasterFunction(log, args, async ({ tasksPath }) => {
+          let taskIds = args.id;
+          if (args.all) {
+            const data = readTasks(tasksPath);
+            if (!data || !data.tasks) {
+              throw new Error(`No valid tasks found in ${tasksPath}`);
+            }
+            taskIds = data.tasks.map((task) => task.id).join(",");
+          } else if (!taskIds) {
+            throw new Error("Please specify task IDs with id or set all");
+          }
+          return { cleared: await clearSubtasks(tasksPath, taskIds) };
+        });
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error clearing subtasks: ${error.message}`);
+        return createErrorResponse(`Error clearing subtasks: ${error.message}`);
+      }
+    },
+  });
+}
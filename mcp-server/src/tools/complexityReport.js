@@ -0,0 +1,60 @@
+/**
+ * tools/complexityReport.js
+ * Tool to read the complexity report
+ */
+
+import { z } from "zod";
+import { displayComplexityReport } from "../../../scripts/modules/ui.js";
+import {
+  runTaskMasterFunction,
+  DEFAULT_COMPLEXITY_REPORT_FILE,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the complexityReport tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerComplexityReportTool(server) {
+  server.addTool({
+    name: "complexityReport",
+    description:
+      "Get the complexity report written by analyzeComplexity",
+    parameters: z.object({
+      file: z
+        .string()
+        .optional()
+        .describe(
+          "Path to the report file (default: scripts/task-complexity-report.json)"
+        ),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Reading complexity report`);
+
+        const result = await runTaskMasterFunction(
+          log,
+          { projectRoot: args.projectRoot },
+          ({ resolvePath }) =>
+            displayComplexityReport(resolvePath(args.file, DEFAULT_COMPLEXITY_REPORT_FILE)),
+          { readOnly: true }
+        );
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error reading complexity report: ${error.message}`);
+        return createErrorResponse(`Error reading complexity report: ${error.message}`);
+      }
+    },
+  });
+}
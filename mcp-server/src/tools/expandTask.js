@@ -4,9 +4,11 @@
  */
 
 import { z } from "zod";
+import { CONFIG } from "../../../scripts/modules/utils.js";
+import { expandTask } from "../../../scripts/modules/task-manager.js";
 import {
-  executeTaskMasterCommand,
-  createContentResponse,
+  runTaskMasterFunction,
+  createJsonResponse,
   createErrorResponse,
 } from "./utils.js";
 
@@ -48,27 +50,24 @@ export function registerExpandTaskTool(server) {
       try {
         log.info(`Expanding task ${args.id}`);
 
-        const cmdArgs = [`--id=${args.id}`];
-        if (args.num) cmdArgs.push(`--num=${args.num}`);
-        if (args.research) cmdArgs.push("--research");
-        if (args.prompt) cmdArgs.push(`--prompt="${args.prompt}"`);
-        if (args.force) cmdArgs.push("--force");
-        if (args.file) cmdArgs.push(`--file=${args.file}`);
+        const taskId = parseInt(args.id, 10);
 
-        const projectRoot = args.projectRoot;
-
-        const result = executeTaskMasterCommand(
-          "expand",
-          log,
-          cmdArgs,
-          projectRoot
-        );
+        const result = await runTaskMasterFunction(log, args, async ({ tasksPath }) => ({
+          taskId,
+          subtasks: await expandTask(
+            taskId,
+            args.num || CONFIG.defaultSubtasks,
+            args.research || false,
+            args.prompt || "",
+            { file: tasksPath }
+          ),
+        }));
 
         if (!result.success) {
           throw new Error(result.error);
         }
 
-        return createContentResponse(result.stdout);
+        return createJsonResponse(result.data);
       } catch (error) {
         log.error(`Error expanding task: ${error.message}`);
         return createErrorResponse(`Error expanding task: ${error.message}`);
@@ -0,0 +1,50 @@
+/**
+ * tools/fixDependencies.js
+ * Tool to fix invalid dependencies
+ */
+
+import { z } from "zod";
+import { fixDependenciesCommand } from "../../../scripts/modules/dependency-manager.js";
+import {
+  runTaskMasterFunction,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the fixDependencies tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerFixDependenciesTool(server) {
+  server.addTool({
+    name: "fixDependencies",
+    description:
+      "Remove invalid dependencies (missing, self, duplicate and circular subtask dependencies) from all tasks and subtasks",
+    parameters: z.object({
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Fixing dependencies`);
+
+        const result = await runTaskMasterFunction(log, args, ({ tasksPath }) =>
+          fixDependenciesCommand(tasksPath)
+        );
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error fixing dependencies: ${error.message}`);
+        return createErrorResponse(`Error fixing dependencies: ${error.message}`);
+      }
+    },
+  });
+}
@@ -0,0 +1,76 @@
+/**
+ * tools/generateTaskFiles.js
+ * Tool to generate the individual task files from the tasks file
+ */
+
+import { z } from "zod";
+import { CONFIG, updateProjectConfig } from "../../../scripts/modules/utils.js";
+import { generateTaskFiles } from "../../../scripts/modules/task-manager.js";
+import {
+  TASK_FILE_FORMATS,
+  getTaskFileFormat,
+} from "../../../scripts/modules/task-files.js";
+import {
+  runTaskMasterFunction,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the generateTaskFiles tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGenerateTaskFilesTool(server) {
+  server.addTool({
+    name: "generateTaskFiles",
+    description:
+      "Generate a task file for every task in the tasks file. Task files edited by hand are kept unless force is set.",
+    parameters: z.object({
+      output: z
+        .string()
+        .optional()
+        .describe("Output directory (default: tasks)"),
+      force: z
+        .boolean()
+        .optional()
+        .describe("Overwrite task files that were edited by hand"),
+      format: z
+        .enum(TASK_FILE_FORMATS)
+        .optional()
+        .describe("Task file format, remembered for later commands"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Generating task files in ${args.output || "tasks"}`);
+
+        const result = await runTaskMasterFunction(log, args, ({ tasksPath, resolvePath }) => {
+          // Remember the format so commands that regenerate task files keep using it
+          if (args.format && args.format !== getTaskFileFormat()) {
+            updateProjectConfig({ taskFileFormat: args.format });
+            log.info(`Task file format set to ${args.format} in ${CONFIG.projectConfigPath}`);
+          }
+          return generateTaskFiles(
+            tasksPath,
+            resolvePath(args.output, "tasks"),
+            { force: args.force || false, format: args.format }
+          );
+        });
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error generating task files: ${error.message}`);
+        return createErrorResponse(`Error generating task files: ${error.message}`);
+      }
+    },
+  });
+}
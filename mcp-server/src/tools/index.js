@@ -4,24 +4,67 @@
  */
 
 import logger from "../logger.js";
+import { withHistoryContext } from "../../../scripts/modules/history.js";
 import { registerListTasksTool } from "./listTasks.js";
 import { registerShowTaskTool } from "./showTask.js";
+import { registerSearchTasksTool } from "./searchTasks.js";
 import { registerSetTaskStatusTool } from "./setTaskStatus.js";
 import { registerExpandTaskTool } from "./expandTask.js";
 import { registerNextTaskTool } from "./nextTask.js";
 import { registerAddTaskTool } from "./addTask.js";
+import { registerUpdateTaskTool } from "./updateTask.js";
+import { registerRemoveTaskTool } from "./removeTask.js";
+import { registerParsePRDTool } from "./parsePRD.js";
+import { registerUpdateTasksTool } from "./updateTasks.js";
+import { registerGenerateTaskFilesTool } from "./generateTaskFiles.js";
+import { registerAnalyzeComplexityTool } from "./analyzeComplexity.js";
+import { registerComplexityReportTool } from "./complexityReport.js";
+import { registerClearSubtasksTool } from "./clearSubtasks.js";
+import { registerAddSubtaskTool } from "./addSubtask.js";
+import { registerRemoveSubtaskTool } from "./removeSubtask.js";
+import { registerAddDependencyTool } from "./addDependency.js";
+import { registerRemoveDependencyTool } from "./removeDependency.js";
+import { registerValidateDependenciesTool } from "./validateDependencies.js";
+import { registerFixDependenciesTool } from "./fixDependencies.js";
 
 /**
- * Register all Task Master tools with the MCP server
- * @param {Object} server - FastMCP server instance
+ * Register all Task Master tools with the MCP server. Changes made by a tool
+ * call go into the history as command "mcp", with the tool and its arguments.
+ * @param {Object} mcpServer - FastMCP server instance
  */
-export function registerTaskMasterTools(server) {
+export function registerTaskMasterTools(mcpServer) {
+  const server = {
+    addTool: (tool) =>
+      mcpServer.addTool({
+        ...tool,
+        execute: (args, context) =>
+          withHistoryContext("mcp", { tool: tool.name, ...args }, () =>
+            tool.execute(args, context)
+          ),
+      }),
+  };
+
   registerListTasksTool(server);
   registerShowTaskTool(server);
+  registerSearchTasksTool(server);
   registerSetTaskStatusTool(server);
   registerExpandTaskTool(server);
   registerNextTaskTool(server);
   registerAddTaskTool(server);
+  registerUpdateTaskTool(server);
+  registerRemoveTaskTool(server);
+  registerParsePRDTool(server);
+  registerUpdateTasksTool(server);
+  registerGenerateTaskFilesTool(server);
+  registerAnalyzeComplexityTool(server);
+  registerComplexityReportTool(server);
+  registerClearSubtasksTool(server);
+  registerAddSubtaskTool(server);
+  registerRemoveSubtaskTool(server);
+  registerAddDependencyTool(server);
+  registerRemoveDependencyTool(server);
+  registerValidateDependenciesTool(server);
+  registerFixDependenciesTool(server);
 }
 
 export default {
@@ -4,9 +4,13 @@
  */
 
 import { z } from "zod";
+import { queryTasks } from "../../../scripts/modules/task-manager.js";
+import { createTaskFilter, getFieldDefinitions } from "../../../scripts/modules/task-fields.js";
+import { getTaskQueryData, formatTaskQueryResult } from "../../../scripts/modules/task-query.js";
 import {
-  executeTaskMasterCommand,
+  runTaskMasterFunction,
   createContentResponse,
+  createJsonResponse,
   createErrorResponse,
 } from "./utils.js";
 
@@ -20,6 +24,34 @@ export function registerListTasksTool(server) {
     description: "List all tasks from Task Master",
     parameters: z.object({
       status: z.string().optional().describe("Filter tasks by status"),
+      tag: z
+        .array(z.string())
+        .optional()
+        .describe("Only list tasks that have all of these tags"),
+      where: z
+        .array(z.string())
+        .optional()
+        .describe(
+          "Only list tasks matching all of these field clauses, e.g. estimate<=3 or component=api"
+        ),
+      query: z
+        .string()
+        .optional()
+        .describe(
+          "Query terms, e.g. \"status:pending deps:ready tag:api estimate:<=3\""
+        ),
+      sort: z
+        .string()
+        .optional()
+        .describe("Comma-separated sort keys, '-' for descending, e.g. priority,-id"),
+      groupBy: z
+        .enum(["status", "priority", "parent"])
+        .optional()
+        .describe("Group the tasks by status, priority or parent task"),
+      format: z
+        .enum(["table", "json", "csv", "md"])
+        .optional()
+        .describe("json (default) and table return the tasks as data, csv and md as text"),
       withSubtasks: z
         .boolean()
         .optional()
@@ -35,27 +67,38 @@ export function registerListTasksTool(server) {
       try {
         log.info(`Listing tasks with filters: ${JSON.stringify(args)}`);
 
-        const cmdArgs = [];
-        if (args.status) cmdArgs.push(`--status=${args.status}`);
-        if (args.withSubtasks) cmdArgs.push("--with-subtasks");
-        if (args.file) cmdArgs.push(`--file=${args.file}`);
-
-        const projectRoot = args.projectRoot;
+        const query = [args.query, args.status && `status:${args.status}`]
+          .filter(Boolean)
+          .join(" ");
+        const format = args.format || "json";
 
-        const result = executeTaskMasterCommand(
-          "list",
+        const result = await runTaskMasterFunction(
           log,
-          cmdArgs,
-          projectRoot
+          args,
+          ({ tasksPath }) => {
+            const queryResult = queryTasks(tasksPath, {
+              query,
+              filter: createTaskFilter({ tags: args.tag, where: args.where }),
+              withSubtasks: args.withSubtasks || false,
+              sort: args.sort,
+              groupBy: args.groupBy,
+              format,
+            });
+            // CSV and Markdown are returned as text, table and json as data
+            return format === "csv" || format === "md"
+              ? formatTaskQueryResult(queryResult, format, Object.keys(getFieldDefinitions()))
+              : getTaskQueryData(queryResult);
+          },
+          { readOnly: true }
         );
 
         if (!result.success) {
           throw new Error(result.error);
         }
 
-        log.info(`Listing tasks result: ${result.stdout}`, result.stdout);
-
-        return createContentResponse(result.stdout);
+        return typeof result.data === "string"
+          ? createContentResponse(result.data)
+          : createJsonResponse(result.data);
       } catch (error) {
         log.error(`Error listing tasks: ${error.message}`);
         return createErrorResponse(`Error listing tasks: ${error.message}`);
@@ -4,9 +4,11 @@
  */
 
 import { z } from "zod";
+import { readTasks } from "../../../scripts/modules/utils.js";
+import { findNextTask } from "../../../scripts/modules/task-manager.js";
 import {
-  executeTaskMasterCommand,
-  createContentResponse,
+  runTaskMasterFunction,
+  createJsonResponse,
   createErrorResponse,
 } from "./utils.js";
 
@@ -31,23 +33,24 @@ export function registerNextTaskTool(server) {
       try {
         log.info(`Finding next task to work on`);
 
-        const cmdArgs = [];
-        if (args.file) cmdArgs.push(`--file=${args.file}`);
-
-        const projectRoot = args.projectRoot;
-
-        const result = executeTaskMasterCommand(
-          "next",
+        const result = await runTaskMasterFunction(
           log,
-          cmdArgs,
-          projectRoot
+          args,
+          ({ tasksPath }) => {
+            const data = readTasks(tasksPath);
+            if (!data || !data.tasks) {
+              throw new Error(`No valid tasks found in ${tasksPath}`);
+            }
+            return { task: findNextTask(data.tasks) };
+          },
+          { readOnly: true }
         );
 
         if (!result.success) {
           throw new Error(result.error);
         }
 
-        return createContentResponse(result.stdout);
+        return createJsonResponse(result.data);
       } catch (error) {
         log.error(`Error finding next task: ${error.message}`);
         return createErrorResponse(`Error finding next task: ${error.message}`);
@@ -0,0 +1,70 @@
+/**
+ * tools/parsePRD.js
+ * Tool to generate tasks from a PRD file
+ */
+
+import { z } from "zod";
+import { parsePRD } from "../../../scripts/modules/task-manager.js";
+import {
+  runTaskMasterFunction,
+  DEFAULT_PRD_FILE,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the parsePRD tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerParsePRDTool(server) {
+  server.addTool({
+    name: "parsePRD",
+    description:
+      "Parse a PRD (product requirements document) and generate tasks from it. Replaces all tasks in the tasks file.",
+    parameters: z.object({
+      input: z
+        .string()
+        .optional()
+        .describe("Path to the PRD file (default: scripts/prd.txt)"),
+      numTasks: z
+        .number()
+        .optional()
+        .describe("Number of tasks to generate (default: 10)"),
+      output: z
+        .string()
+        .optional()
+        .describe("Path of the tasks file to write (default: tasks/tasks.json)"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Parsing PRD file: ${args.input || DEFAULT_PRD_FILE}`);
+
+        const result = await runTaskMasterFunction(
+          log,
+          { projectRoot: args.projectRoot, file: args.output },
+          async ({ tasksPath, resolvePath }) => ({
+            tasks: await parsePRD(
+              resolvePath(args.input, DEFAULT_PRD_FILE),
+              tasksPath,
+              args.numTasks || 10
+            ),
+          })
+        );
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error parsing PRD: ${error.message}`);
+        return createErrorResponse(`Error parsing PRD: ${error.message}`);
+      }
+    },
+  });
+}
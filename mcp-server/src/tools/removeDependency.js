@@ -0,0 +1,58 @@
+/**
+ * tools/removeDependency.js
+ * Tool to remove a dependency from a task
+ */
+
+import { z } from "zod";
+import { removeDependency } from "../../../scripts/modules/dependency-manager.js";
+import {
+  runTaskMasterFunction,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the removeDependency tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRemoveDependencyTool(server) {
+  server.addTool({
+    name: "removeDependency",
+    description:
+      "Remove a dependency from a task or subtask",
+    parameters: z.object({
+      id: z
+        .string()
+        .describe("Task ID (e.g. 5) or subtask ID (e.g. 5.2) to remove the dependency from"),
+      dependsOn: z
+        .string()
+        .describe("ID of the task or subtask to no longer depend on"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Removing dependency ${args.dependsOn} from task ${args.id}`);
+
+        const result = await runTaskMasterFunction(
+          log,
+          args,
+          ({ tasksPath }) => removeDependency(tasksPath, args.id, args.dependsOn)
+        );
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error removing dependency: ${error.message}`);
+        return createErrorResponse(`Error removing dependency: ${error.message}`);
+      }
+    },
+  });
+}
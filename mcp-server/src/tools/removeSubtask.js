@@ -0,0 +1,67 @@
+/**
+ * tools/removeSubtask.js
+ * Tool to remove a subtask or turn it into a task
+ */
+
+import { z } from "zod";
+import { removeSubtask } from "../../../scripts/modules/task-manager.js";
+import {
+  runTaskMasterFunction,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the removeSubtask tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRemoveSubtaskTool(server) {
+  server.addTool({
+    name: "removeSubtask",
+    description:
+      "Remove a subtask from its parent task, or convert it to a standalone task",
+    parameters: z.object({
+      id: z
+        .string()
+        .describe("Subtask ID in the format parentId.subtaskId (e.g. 5.2)"),
+      convert: z
+        .boolean()
+        .optional()
+        .describe("Convert the subtask to a standalone task instead of deleting it"),
+      generate: z
+        .boolean()
+        .optional()
+        .describe("Regenerate task files afterwards (default: true)"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Removing subtask ${args.id}`);
+
+        const result = await runTaskMasterFunction(log, args, async ({ tasksPath }) => ({
+          removed: args.id,
+          task: await removeSubtask(
+            tasksPath,
+            args.id,
+            args.convert || false,
+            args.generate !== false
+          ),
+        }));
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error removing subtask: ${error.message}`);
+        return createErrorResponse(`Error removing subtask: ${error.message}`);
+      }
+    },
+  });
+}
@@ -0,0 +1,58 @@
+/**
+ * tools/removeTask.js
+ * Tool to remove a task and clean up the tasks that depend on it
+ */
+
+import { z } from "zod";
+import { removeTask } from "../../../scripts/modules/task-manager.js";
+import {
+  runTaskMasterFunction,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the removeTask tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRemoveTaskTool(server) {
+  server.addTool({
+    name: "removeTask",
+    description:
+      "Remove a task and its task file. Dependencies of other tasks on it are dropped, repointed to its own dependencies, or the dependent tasks are removed too (cascade).",
+    parameters: z.object({
+      id: z.string().describe("Task ID to remove"),
+      dependents: z
+        .enum(["drop", "repoint", "cascade"])
+        .optional()
+        .describe("How to handle dependent tasks (default: drop)"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Removing task ${args.id}`);
+
+        const result = await runTaskMasterFunction(log, args, ({ tasksPath }) =>
+          removeTask(tasksPath, args.id, {
+            dependents: args.dependents,
+            yes: true,
+          })
+        );
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error removing task: ${error.message}`);
+        return createErrorResponse(`Error removing task: ${error.message}`);
+      }
+    },
+  });
+}
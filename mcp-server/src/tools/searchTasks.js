@@ -0,0 +1,90 @@
+/**
+ * tools/searchTasks.js
+ * Tool to fuzzy search tasks and subtasks
+ */
+
+import { z } from "zod";
+import { readTasks } from "../../../scripts/modules/utils.js";
+import { getTask } from "../../../scripts/modules/task-manager.js";
+import { searchTasks } from "../../../scripts/modules/task-search.js";
+import {
+  runTaskMasterFunction,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the searchTasks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerSearchTasksTool(server) {
+  server.addTool({
+    name: "searchTasks",
+    description:
+      "Fuzzy search the titles, descriptions, details and test strategies of tasks and subtasks, best matches first",
+    parameters: z.object({
+      query: z.string().describe("Words to look for; typos are tolerated"),
+      limit: z
+        .number()
+        .int()
+        .min(0)
+        .optional()
+        .describe("Maximum number of results (default: 10, 0 for all)"),
+      threshold: z
+        .number()
+        .min(0)
+        .max(1)
+        .optional()
+        .describe("Fuzziness from 0 (exact) to 1 (anything), default 0.3"),
+      show: z
+        .number()
+        .int()
+        .min(1)
+        .optional()
+        .describe("Show the full details of the match with this rank (1 is the best match)"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Searching tasks for: ${args.query}`);
+
+        const result = await runTaskMasterFunction(
+          log,
+          args,
+          ({ tasksPath }) => {
+            const data = readTasks(tasksPath);
+            if (!data || !data.tasks) {
+              throw new Error(`No valid tasks found in ${tasksPath}`);
+            }
+            const results = searchTasks(data.tasks, args.query, {
+              limit: args.limit,
+              threshold: args.threshold,
+            });
+            if (!args.show) {
+              return { results };
+            }
+            if (args.show > results.length) {
+              throw new Error(`There are only ${results.length} matches`);
+            }
+            return { results, task: getTask(tasksPath, results[args.show - 1].id) };
+          },
+          { readOnly: true }
+        );
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error searching tasks: ${error.message}`);
+        return createErrorResponse(`Error searching tasks: ${error.message}`);
+      }
+    },
+  });
+}
@@ -4,9 +4,10 @@
  */
 
 import { z } from "zod";
+import { setTaskStatus } from "../../../scripts/modules/task-manager.js";
 import {
-  executeTaskMasterCommand,
-  createContentResponse,
+  runTaskMasterFunction,
+  createJsonResponse,
   createErrorResponse,
 } from "./utils.js";
 
@@ -36,23 +37,15 @@ export function registerSetTaskStatusTool(server) {
       try {
         log.info(`Setting status of task(s) ${args.id} to: ${args.status}`);
 
-        const cmdArgs = [`--id=${args.id}`, `--status=${args.status}`];
-        if (args.file) cmdArgs.push(`--file=${args.file}`);
-
-        const projectRoot = args.projectRoot;
-
-        const result = executeTaskMasterCommand(
-          "set-status",
-          log,
-          cmdArgs,
-          projectRoot
-        );
+        const result = await runTaskMasterFunction(log, args, async ({ tasksPath }) => ({
+          updated: await setTaskStatus(tasksPath, args.id, args.status),
+        }));
 
         if (!result.success) {
           throw new Error(result.error);
         }
 
-        return createContentResponse(result.stdout);
+        return createJsonResponse(result.data);
       } catch (error) {
         log.error(`Error setting task status: ${error.message}`);
         return createErrorResponse(
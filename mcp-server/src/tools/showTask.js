@@ -4,9 +4,10 @@
  */
 
 import { z } from "zod";
+import { getTask } from "../../../scripts/modules/task-manager.js";
 import {
-  executeTaskMasterCommand,
-  createContentResponse,
+  runTaskMasterFunction,
+  createJsonResponse,
   createErrorResponse,
 } from "./utils.js";
 
@@ -31,23 +32,18 @@ export function registerShowTaskTool(server) {
       try {
         log.info(`Showing task details for ID: ${args.id}`);
 
-        const cmdArgs = [`--id=${args.id}`];
-        if (args.file) cmdArgs.push(`--file=${args.file}`);
-
-        const projectRoot = args.projectRoot;
-
-        const result = executeTaskMasterCommand(
-          "show",
+        const result = await runTaskMasterFunction(
           log,
-          cmdArgs,
-          projectRoot
+          args,
+          ({ tasksPath }) => ({ task: getTask(tasksPath, args.id) }),
+          { readOnly: true }
         );
 
         if (!result.success) {
           throw new Error(result.error);
         }
 
-        return createContentResponse(result.stdout);
+        return createJsonResponse(result.data);
       } catch (error) {
         log.error(`Error showing task: ${error.message}`);
         return createErrorResponse(`Error showing task: ${error.message}`);
@@ -0,0 +1,66 @@
+/**
+ * tools/updateTask.js
+ * Tool to update a single task or subtask based on new context
+ */
+
+import { z } from "zod";
+import { updateTaskById } from "../../../scripts/modules/task-manager.js";
+import {
+  runTaskMasterFunction,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the updateTask tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerUpdateTaskTool(server) {
+  server.addTool({
+    name: "updateTask",
+    description:
+      "Update a single task or subtask based on new context. Completed subtasks are preserved and the changes are saved without confirmation.",
+    parameters: z.object({
+      id: z
+        .string()
+        .describe("Task ID (e.g. 5) or subtask ID (e.g. 5.2) to update"),
+      prompt: z
+        .string()
+        .describe("Prompt explaining the changes or new context"),
+      research: z
+        .boolean()
+        .optional()
+        .describe("Enable Perplexity AI for research-backed updates"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Updating task ${args.id}`);
+
+        const result = await runTaskMasterFunction(log, args, async ({ tasksPath }) => ({
+          task: await updateTaskById(
+            tasksPath,
+            args.id,
+            args.prompt,
+            args.research || false,
+            { yes: true }
+          ),
+        }));
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error updating task: ${error.message}`);
+        return createErrorResponse(`Error updating task: ${error.message}`);
+      }
+    },
+  });
+}
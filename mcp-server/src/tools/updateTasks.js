@@ -0,0 +1,66 @@
+/**
+ * tools/updateTasks.js
+ * Tool to update upcoming tasks based on new context
+ */
+
+import { z } from "zod";
+import { updateTasks } from "../../../scripts/modules/task-manager.js";
+import {
+  runTaskMasterFunction,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the updateTasks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerUpdateTasksTool(server) {
+  server.addTool({
+    name: "updateTasks",
+    description:
+      "Update all tasks from a given ID onwards that are not done yet, based on new information or implementation changes",
+    parameters: z.object({
+      from: z
+        .string()
+        .optional()
+        .describe("Task ID to start updating from; tasks with a lower ID are left alone (default: 1)"),
+      prompt: z
+        .string()
+        .describe("Prompt explaining the changes or new context"),
+      research: z
+        .boolean()
+        .optional()
+        .describe("Enable Perplexity AI for research-backed updates"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Updating tasks from ID ${args.from || 1}`);
+
+        const result = await runTaskMasterFunction(log, args, async ({ tasksPath }) => ({
+          tasks: await updateTasks(
+            tasksPath,
+            parseInt(args.from || "1", 10),
+            args.prompt,
+            args.research || false
+          ),
+        }));
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error updating tasks: ${error.message}`);
+        return createErrorResponse(`Error updating tasks: ${error.message}`);
+      }
+    },
+  });
+}
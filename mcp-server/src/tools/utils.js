@@ -1,76 +1,138 @@
 /**
  * tools/utils.js
- * Utility functions for Task Master CLI integration
+ * Utility functions for calling Task Master from MCP tools
  */
 
-import { spawnSync } from "child_process";
+import path from "path";
+import {
+  runQuietly,
+  createCodedError,
+} from "../../../scripts/modules/output.js";
+import { withProjectRoot } from "../../../scripts/modules/utils.js";
 
-/**
- * Execute a Task Master CLI command using child_process
- * @param {string} command - The command to execute
- * @param {Object} log - The logger object from FastMCP
- * @param {Array} args - Arguments for the command
- * @param {string} cwd - Working directory for command execution (defaults to current project root)
- * @returns {Object} - The result of the command execution
- */
-export function executeTaskMasterCommand(
-  command,
-  log,
-  args = [],
-  cwd = process.cwd()
-) {
-  try {
-    log.info(
-      `Executing task-master ${command} with args: ${JSON.stringify(
-        args
-      )} in directory: ${cwd}`
-    );
+// Default tasks file, relative to the project root
+export const DEFAULT_TASKS_FILE = "tasks/tasks.json";
 
-    // Prepare full arguments array
-    const fullArgs = [command, ...args];
+// Default PRD and complexity report files, relative to the project root
+export const DEFAULT_PRD_FILE = "scripts/prd.txt";
+export const DEFAULT_COMPLEXITY_REPORT_FILE = "scripts/task-complexity-report.json";
 
-    // Common options for spawn
-    const spawnOptions = {
-      encoding: "utf8",
-      cwd: cwd,
-    };
+// Last call queued on each tasks file (absolute path -> promise)
+const fileQueues = new Map();
 
-    // Execute the command using the global task-master CLI or local script
-    // Try the global CLI first
-    let result = spawnSync("task-master", fullArgs, spawnOptions);
+// The only project tool calls may work in, when set by fixProjectRoot()
+let fixedProjectRoot = null;
 
-    // If global CLI is not available, try fallback to the local script
-    if (result.error && result.error.code === "ENOENT") {
-      log.info("Global task-master not found, falling back to local script");
-      result = spawnSync("node", ["scripts/dev.js", ...fullArgs], spawnOptions);
-    }
+/**
+ * Confine tool calls to one project, for servers shared over HTTP where any
+ * client could otherwise read and write files anywhere on the host. Calls
+ * for another projectRoot, or for files outside the project, then fail with
+ * code FORBIDDEN.
+ * @param {string|null} projectRoot - Root directory of the project, or null
+ *   to accept any projectRoot again
+ */
+export function fixProjectRoot(projectRoot) {
+  fixedProjectRoot = projectRoot ? path.resolve(projectRoot) : null;
+}
 
-    if (result.error) {
-      throw new Error(`Command execution error: ${result.error.message}`);
-    }
+/**
+ * Resolve the project root of a tool call
+ * @param {string} [projectRoot] - Root directory asked for by the client
+ * @returns {string} - Absolute root directory
+ * @throws {Error} - With code FORBIDDEN if the root is fixed to another directory
+ */
+function resolveProjectRoot(projectRoot) {
+  if (!fixedProjectRoot) {
+    return path.resolve(projectRoot || process.cwd());
+  }
+  if (projectRoot && path.resolve(projectRoot) !== fixedProjectRoot) {
+    throw createCodedError(
+      `This server only works in the project at ${fixedProjectRoot}`,
+      "FORBIDDEN"
+    );
+  }
+  return fixedProjectRoot;
+}
 
-    if (result.status !== 0) {
-      // Improve error handling by combining stderr and stdout if stderr is empty
-      const errorOutput = result.stderr
-        ? result.stderr.trim()
-        : result.stdout
-        ? result.stdout.trim()
-        : "Unknown error";
-      throw new Error(
-        `Command failed with exit code ${result.status}: ${errorOutput}`
-      );
+/**
+ * Run calls that change the same tasks file one after another within this
+ * process; calls on other files do not wait. The file lock is not held here:
+ * an AI call can take minutes, so the functions take it only to save, and the
+ * revision check of writeTasks catches changes other processes made meanwhile.
+ * @param {string} tasksPath - Absolute path of the tasks file
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} - Whatever fn returns
+ */
+function runInFileQueue(tasksPath, fn) {
+  const previous = fileQueues.get(tasksPath) || Promise.resolve();
+  const result = previous.then(fn);
+  const done = result.catch(() => {});
+  fileQueues.set(tasksPath, done);
+  done.then(() => {
+    if (fileQueues.get(tasksPath) === done) {
+      fileQueues.delete(tasksPath);
     }
+  });
+  return result;
+}
 
-    return {
-      success: true,
-      stdout: result.stdout,
-      stderr: result.stderr,
+/**
+ * Run Task Master functions in-process for a tool call. Paths are resolved
+ * against the project root and passed to fn, and the functions use the
+ * project config, prompts, cache and usage ledger of that root, so nothing
+ * depends on the working directory. Calls that change the tasks file run one
+ * at a time per file; calls on other files, and read-only calls, run side by
+ * side. Nothing is printed; log messages of the functions go to the tool's logger.
+ * @param {Object} log - The logger object from FastMCP
+ * @param {Object} location - Where the call works, usually the tool's args
+ * @param {string} [location.projectRoot] - Root directory of the project (default: the current
+ *   directory, or the root given to fixProjectRoot)
+ * @param {string} [location.file] - Tasks file, relative to the project root (default: tasks/tasks.json)
+ * @param {Function} fn - Takes { projectRoot, tasksPath, resolvePath } (resolvePath(file, defaultFile)
+ *   resolves other files of the project); may be async, returns the tool's data
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.readOnly=false] - fn only reads, so it need not wait for other calls
+ * @returns {Promise<Object>} - { success: true, data } or { success: false, error, code }
+ */
+export async function runTaskMasterFunction(
+  log,
+  location,
+  fn,
+  { readOnly = false } = {}
+) {
+  const { projectRoot, file } = location;
+  try {
+    const root = resolveProjectRoot(projectRoot);
+    const resolvePath = (filePath, defaultFile) => {
+      const resolved = path.resolve(root, filePath || defaultFile);
+      const relative = path.relative(root, resolved);
+      if (
+        fixedProjectRoot &&
+        (relative === ".." ||
+          relative.startsWith(`..${path.sep}`) ||
+          path.isAbsolute(relative))
+      ) {
+        throw createCodedError(
+          `${filePath} is outside of the project`,
+          "FORBIDDEN"
+        );
+      }
+      return resolved;
     };
+    const tasksPath = resolvePath(file, DEFAULT_TASKS_FILE);
+
+    const run = () =>
+      withProjectRoot(root, () =>
+        runQuietly(() => fn({ projectRoot: root, tasksPath, resolvePath }), log)
+      );
+    const data = await (readOnly ? run() : runInFileQueue(tasksPath, run));
+    return { success: true, data: data === undefined ? null : data };
   } catch (error) {
-    log.error(`Error executing task-master command: ${error.message}`);
+    log.error(`Error running Task Master: ${error.message}`);
     return {
       success: false,
       error: error.message,
+      code: typeof error.code === "string" ? error.code : "ERROR",
     };
   }
 }
@@ -92,7 +154,16 @@ export function createContentResponse(text) {
 }
 
 /**
- * Creates error response for tools
+ * Creates a content response holding data as JSON
+ * @param {*} data - JSON-serializable result
+ * @returns {Object} - Content response object
+ */
+export function createJsonResponse(data) {
+  return createContentResponse(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Creates error response for tools, flagged so clients can tell it from a result
  * @param {string} errorMessage - Error message to include in response
  * @returns {Object} - Error content response object
  */
@@ -104,5 +175,6 @@ export function createErrorResponse(errorMessage) {
         type: "text",
       },
     ],
+    isError: true,
   };
 }
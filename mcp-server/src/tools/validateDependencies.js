@@ -0,0 +1,53 @@
+/**
+ * tools/validateDependencies.js
+ * Tool to find invalid dependencies
+ */
+
+import { z } from "zod";
+import { validateDependenciesCommand } from "../../../scripts/modules/dependency-manager.js";
+import {
+  runTaskMasterFunction,
+  createJsonResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the validateDependencies tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerValidateDependenciesTool(server) {
+  server.addTool({
+    name: "validateDependencies",
+    description:
+      "Check the dependencies of all tasks and subtasks without changing them. Reports missing and self dependencies.",
+    parameters: z.object({
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Validating dependencies`);
+
+        const result = await runTaskMasterFunction(
+          log,
+          args,
+          ({ tasksPath }) => validateDependenciesCommand(tasksPath),
+          { readOnly: true }
+        );
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createJsonResponse(result.data);
+      } catch (error) {
+        log.error(`Error validating dependencies: ${error.message}`);
+        return createErrorResponse(`Error validating dependencies: ${error.message}`);
+      }
+    },
+  });
+}
@@ -0,0 +1,154 @@
+/**
+ * ai-cache.js
+ * On-disk, content-addressed cache of AI responses
+ *
+ * Entries are keyed by a hash of (provider, model, temperature, max tokens,
+ * response schema, system prompt, prompt) and stored as <cacheDir>/<first two hex chars>/<hash>.json, so a
+ * re-run of the same request is answered from disk instead of the provider.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { CONFIG, log, resolveProjectPath } from './utils.js';
+
+// Runtime switch for --no-cache; starts from the AI_CACHE environment setting
+let cacheEnabled = CONFIG.cacheEnabled;
+
+/**
+ * Turn the response cache on or off for the rest of the process
+ * @param {boolean} enabled - Whether cached responses may be used and stored
+ */
+function setCacheEnabled(enabled) {
+  cacheEnabled = enabled;
+}
+
+/**
+ * Check whether the response cache is on
+ * @returns {boolean} True if the cache is enabled
+ */
+function isCacheEnabled() {
+  return cacheEnabled;
+}
+
+/**
+ * Compute the cache key of a request
+ * @param {string} provider - Provider name
+ * @param {Object} params - Request parameters with model, temperature, maxTokens, schema, system and prompt
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function getCacheKey(provider, params) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      provider,
+      model: params.model,
+      temperature: params.temperature,
+      maxTokens: params.maxTokens,
+      schema: params.schema || null,
+      system: params.system || '',
+      prompt: params.prompt
+    }))
+    .digest('hex');
+}
+
+/**
+ * Get the file that holds a cache entry
+ * @param {string} key - Cache key
+ * @param {string} cacheDir - Cache directory
+ * @returns {string} Entry path
+ */
+function getEntryPath(key, cacheDir) {
+  return path.join(cacheDir, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Look up a cached response
+ * @param {string} key - Cache key
+ * @param {Object} options - Lookup options
+ * @param {string} [options.cacheDir] - Cache directory (default: CONFIG.cacheDir)
+ * @param {number} [options.ttl] - Maximum age in seconds, 0 for no expiry (default: CONFIG.cacheTTL)
+ * @returns {Object|null} The cached response, or null on a miss or an expired entry
+ */
+function getCachedResponse(key, options = {}) {
+  const { cacheDir = resolveProjectPath(CONFIG.cacheDir), ttl = CONFIG.cacheTTL } = options;
+  const entryPath = getEntryPath(key, cacheDir);
+  if (!fs.existsSync(entryPath)) {
+    return null;
+  }
+
+  try {
+    const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    const ageSeconds = (Date.now() - new Date(entry.createdAt).getTime()) / 1000;
+    if (ttl > 0 && ageSeconds > ttl) {
+      fs.unlinkSync(entryPath);
+      return null;
+    }
+    return entry.response;
+  } catch (error) {
+    log('warn', `Ignoring unreadable cache entry ${entryPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store a response in the cache. Failures are logged, never thrown.
+ * @param {string} key - Cache key
+ * @param {Object} response - Provider response with text, model and usage
+ * @param {Object} options - Store options
+ * @param {string} [options.cacheDir] - Cache directory (default: CONFIG.cacheDir)
+ */
+function setCachedResponse(key, response, options = {}) {
+  const { cacheDir = resolveProjectPath(CONFIG.cacheDir) } = options;
+  const entryPath = getEntryPath(key, cacheDir);
+  try {
+    fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+    fs.writeFileSync(entryPath, JSON.stringify({ key, createdAt: new Date().toISOString(), response }, null, 2));
+  } catch (error) {
+    log('warn', `Could not write cache entry ${entryPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Count the entries and bytes in the cache
+ * @param {string} cacheDir - Cache directory
+ * @returns {{entries: number, bytes: number}} Cache size
+ */
+function getCacheStats(cacheDir = resolveProjectPath(CONFIG.cacheDir)) {
+  const stats = { entries: 0, bytes: 0 };
+  if (!fs.existsSync(cacheDir)) {
+    return stats;
+  }
+  fs.readdirSync(cacheDir).forEach(bucket => {
+    const bucketPath = path.join(cacheDir, bucket);
+    if (!fs.statSync(bucketPath).isDirectory()) return;
+    fs.readdirSync(bucketPath).filter(file => file.endsWith('.json')).forEach(file => {
+      stats.entries++;
+      stats.bytes += fs.statSync(path.join(bucketPath, file)).size;
+    });
+  });
+  return stats;
+}
+
+/**
+ * Delete every cached response
+ * @param {string} cacheDir - Cache directory
+ * @returns {number} Number of entries removed
+ */
+function clearCache(cacheDir = resolveProjectPath(CONFIG.cacheDir)) {
+  const { entries } = getCacheStats(cacheDir);
+  if (fs.existsSync(cacheDir)) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+  return entries;
+}
+
+export {
+  setCacheEnabled,
+  isCacheEnabled,
+  getCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  getCacheStats,
+  clearCache
+};
@@ -0,0 +1,416 @@
+/**
+ * ai-providers.js
+ * Provider registry for the AI layer of the Task Master CLI
+ *
+ * Every provider exposes the same shape:
+ *   - name: string
+ *   - complete(request): Promise<{ text, model, usage }>
+ *   - stream(request, onChunk): Promise<{ text, model, usage }>
+ * where request is { system, prompt, model, maxTokens, temperature, schema, research },
+ * research being true for calls routed to the research provider.
+ *
+ * When request.schema is set the caller expects JSON matching that schema, and
+ * providers with a native JSON output mode switch it on. Callers still validate
+ * the response, since not every provider can enforce the schema.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { Anthropic } from '@anthropic-ai/sdk';
+import OpenAI from 'openai';
+import { resolveProjectPath } from './utils.js';
+
+// Factories for the built-in providers, keyed by the name used in AI_PROVIDER / RESEARCH_PROVIDER
+const providerFactories = new Map();
+
+// Provider instances are created lazily and reused for the lifetime of the process
+const providerInstances = new Map();
+
+/**
+ * Read a required API key from the environment
+ * @param {string} envVar - Name of the environment variable
+ * @param {string} providerName - Provider name used in the error message
+ * @returns {string} The API key
+ */
+function requireApiKey(envVar, providerName) {
+  const apiKey = process.env[envVar];
+  if (!apiKey) {
+    throw new Error(`${envVar} environment variable is missing. Set it to use the "${providerName}" AI provider.`);
+  }
+  return apiKey;
+}
+
+/**
+ * Normalize token usage into a provider-independent shape
+ * @param {number} promptTokens - Tokens sent to the model
+ * @param {number} completionTokens - Tokens generated by the model
+ * @returns {Object} Usage object
+ */
+function createUsage(promptTokens = 0, completionTokens = 0) {
+  return {
+    promptTokens: promptTokens || 0,
+    completionTokens: completionTokens || 0,
+    totalTokens: (promptTokens || 0) + (completionTokens || 0)
+  };
+}
+
+/**
+ * Create the Google Gemini provider
+ * @param {Object} options - Provider options
+ * @param {Object} [options.client] - Pre-built GoogleGenerativeAI client (used in tests)
+ * @returns {Object} Provider
+ */
+function createGeminiProvider(options = {}) {
+  const client = options.client || new GoogleGenerativeAI(requireApiKey('GEMINI_API_KEY', 'gemini'));
+
+  const buildRequest = (request) => ({
+    contents: [{ role: 'user', parts: [{ text: request.prompt }] }],
+    generationConfig: {
+      maxOutputTokens: request.maxTokens,
+      temperature: request.temperature,
+      ...(request.schema ? { responseMimeType: 'application/json' } : {})
+    }
+  });
+
+  const getModel = (request) => client.getGenerativeModel({
+    model: request.model,
+    ...(request.system ? { systemInstruction: request.system } : {})
+  });
+
+  const usageFrom = (response) => createUsage(
+    response?.usageMetadata?.promptTokenCount,
+    response?.usageMetadata?.candidatesTokenCount
+  );
+
+  return {
+    name: 'gemini',
+    async complete(request) {
+      const result = await getModel(request).generateContent(buildRequest(request));
+      if (!result || !result.response || typeof result.response.text !== 'function') {
+        throw new Error('Invalid response structure received from Gemini API.');
+      }
+      return {
+        text: result.response.text(),
+        model: request.model,
+        usage: usageFrom(result.response)
+      };
+    },
+    async stream(request, onChunk = () => {}) {
+      const result = await getModel(request).generateContentStream(buildRequest(request));
+      let text = '';
+      for await (const chunk of result.stream) {
+        if (chunk && typeof chunk.text === 'function') {
+          const chunkText = chunk.text();
+          text += chunkText;
+          onChunk(chunkText);
+        }
+      }
+      const response = result.response ? await result.response : null;
+      return { text, model: request.model, usage: usageFrom(response) };
+    }
+  };
+}
+
+/**
+ * Create the Anthropic Claude provider
+ * @param {Object} options - Provider options
+ * @param {Object} [options.client] - Pre-built Anthropic client (used in tests)
+ * @returns {Object} Provider
+ */
+function createAnthropicProvider(options = {}) {
+  const client = options.client || new Anthropic({
+    apiKey: requireApiKey('ANTHROPIC_API_KEY', 'anthropic'),
+    // Raises the maximum output length to 128k tokens for Claude 3.7 Sonnet
+    defaultHeaders: { 'anthropic-beta': 'output-128k-2025-02-19' }
+  });
+
+  const buildRequest = (request) => ({
+    model: request.model,
+    max_tokens: request.maxTokens,
+    temperature: request.temperature,
+    ...(request.system ? { system: request.system } : {}),
+    messages: [{ role: 'user', content: request.prompt }]
+  });
+
+  return {
+    name: 'anthropic',
+    async complete(request) {
+      const response = await client.messages.create(buildRequest(request));
+      const text = (response.content || [])
+        .filter(block => block.type === 'text' || block.text)
+        .map(block => block.text)
+        .join('');
+      return {
+        text,
+        model: response.model || request.model,
+        usage: createUsage(response.usage?.input_tokens, response.usage?.output_tokens)
+      };
+    },
+    async stream(request, onChunk = () => {}) {
+      const stream = await client.messages.create({ ...buildRequest(request), stream: true });
+      let text = '';
+      let promptTokens = 0;
+      let completionTokens = 0;
+      for await (const chunk of stream) {
+        if (chunk.type === 'content_block_delta' && chunk.delta?.text) {
+          text += chunk.delta.text;
+          onChunk(chunk.delta.text);
+        } else if (chunk.type === 'message_start') {
+          promptTokens = chunk.message?.usage?.input_tokens || 0;
+        } else if (chunk.type === 'message_delta') {
+          completionTokens = chunk.usage?.output_tokens || completionTokens;
+        }
+      }
+      return { text, model: request.model, usage: createUsage(promptTokens, completionTokens) };
+    }
+  };
+}
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions endpoint
+ * (OpenAI itself, Perplexity, or a local server such as Ollama or llama.cpp)
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name
+ * @param {string} [options.apiKeyEnv] - Environment variable holding the API key
+ * @param {string} [options.apiKey] - Fallback API key when apiKeyEnv is optional
+ * @param {string} [options.baseURL] - Base URL of the endpoint
+ * @param {boolean} [options.jsonSchema=false] - Endpoint accepts response_format of type json_schema
+ * @param {Object} [options.client] - Pre-built OpenAI client (used in tests)
+ * @returns {Object} Provider
+ */
+function createOpenAICompatibleProvider(options) {
+  const { name } = options;
+  const client = options.client || new OpenAI({
+    apiKey: options.apiKey || requireApiKey(options.apiKeyEnv, name),
+    ...(options.baseURL ? { baseURL: options.baseURL } : {})
+  });
+
+  // json_schema output requires an object at the root, so array responses rely on validation alone
+  const responseFormat = (request) => (options.jsonSchema && request.schema?.type === 'object'
+    ? { response_format: { type: 'json_schema', json_schema: { name: 'response', schema: request.schema } } }
+    : {});
+
+  const buildRequest = (request) => ({
+    model: request.model,
+    max_tokens: request.maxTokens,
+    temperature: request.temperature,
+    messages: [
+      ...(request.system ? [{ role: 'system', content: request.system }] : []),
+      { role: 'user', content: request.prompt }
+    ],
+    ...responseFormat(request)
+  });
+
+  return {
+    name,
+    async complete(request) {
+      const response = await client.chat.completions.create(buildRequest(request));
+      return {
+        text: response?.choices?.[0]?.message?.content || '',
+        model: response?.model || request.model,
+        usage: createUsage(response?.usage?.prompt_tokens, response?.usage?.completion_tokens)
+      };
+    },
+    async stream(request, onChunk = () => {}) {
+      const stream = await client.chat.completions.create({
+        ...buildRequest(request),
+        stream: true,
+        stream_options: { include_usage: true }
+      });
+      let text = '';
+      let usage = createUsage();
+      for await (const chunk of stream) {
+        const delta = chunk?.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onChunk(delta);
+        }
+        if (chunk?.usage) {
+          usage = createUsage(chunk.usage.prompt_tokens, chunk.usage.completion_tokens);
+        }
+      }
+      return { text, model: request.model, usage };
+    }
+  };
+}
+
+/**
+ * Hash the parts of a request that determine the model's answer
+ * @param {Object} request - Request with system, prompt, model, temperature and schema
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashPrompt(request) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      model: request.model || '',
+      temperature: request.temperature ?? null,
+      schema: request.schema || null,
+      system: request.system || '',
+      prompt: request.prompt || ''
+    }))
+    .digest('hex');
+}
+
+/**
+ * Create the offline replay provider. In "replay" mode it serves responses
+ * recorded on disk, keyed by request hash; in "record" mode it forwards each
+ * request to a real provider and saves the response for later replay.
+ * @param {Object} options - Provider options
+ * @param {string|Function} options.fixturesDir - Directory holding recorded responses, or a
+ *   function returning it, called for each request
+ * @param {string} [options.mode='replay'] - "replay" or "record"
+ * @param {Function} [options.getUpstream] - Takes the request, returns the provider to record it from
+ * @returns {Object} Provider
+ */
+function createReplayProvider(options) {
+  const { fixturesDir, mode = 'replay', getUpstream } = options;
+  const getFixturesDir = typeof fixturesDir === 'function' ? fixturesDir : () => fixturesDir;
+
+  if (mode !== 'replay' && mode !== 'record') {
+    throw new Error(`Invalid AI_MOCK_MODE "${mode}". Expected "replay" or "record".`);
+  }
+
+  const fixturePath = (request) => path.join(getFixturesDir(), `${hashPrompt(request)}.json`);
+
+  const readFixture = (request) => {
+    const filePath = fixturePath(request);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(
+        `No recorded AI response for request hash ${hashPrompt(request)} (model ${request.model}) in ${path.dirname(filePath)}. ` +
+        'Run the command once with AI_MOCK_MODE=record to capture it.'
+      );
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8')).response;
+  };
+
+  const writeFixture = (request, response) => {
+    const filePath = fixturePath(request);
+    if (!fs.existsSync(path.dirname(filePath))) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+    const fixture = {
+      request: {
+        system: request.system || '',
+        prompt: request.prompt,
+        model: request.model,
+        temperature: request.temperature,
+        schema: request.schema || null,
+        research: Boolean(request.research)
+      },
+      response,
+      recordedAt: new Date().toISOString()
+    };
+    fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+  };
+
+  return {
+    name: 'mock',
+    // Recorded fixtures already make replay free and deterministic, and record mode must reach the upstream provider
+    cacheable: false,
+    async complete(request) {
+      if (mode === 'replay') {
+        return readFixture(request);
+      }
+      const response = await getUpstream(request).complete(request);
+      writeFixture(request, response);
+      return response;
+    },
+    async stream(request, onChunk = () => {}) {
+      if (mode === 'replay') {
+        const response = readFixture(request);
+        onChunk(response.text);
+        return response;
+      }
+      const response = await getUpstream(request).stream(request, onChunk);
+      writeFixture(request, response);
+      return response;
+    }
+  };
+}
+
+/**
+ * Register a provider factory under a name
+ * @param {string} name - Provider name (e.g. "gemini")
+ * @param {Function} factory - Function returning a provider object
+ */
+function registerProvider(name, factory) {
+  providerFactories.set(name, factory);
+  providerInstances.delete(name);
+}
+
+/**
+ * Get the provider registered under a name, creating it on first use
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+function getProvider(name) {
+  if (!providerFactories.has(name)) {
+    throw new Error(`Unknown AI provider "${name}". Available providers: ${listProviders().join(', ')}`);
+  }
+  if (!providerInstances.has(name)) {
+    providerInstances.set(name, providerFactories.get(name)());
+  }
+  return providerInstances.get(name);
+}
+
+/**
+ * List the names of all registered providers
+ * @returns {string[]} Provider names
+ */
+function listProviders() {
+  return [...providerFactories.keys()];
+}
+
+/**
+ * Drop cached provider instances so the next call re-reads the environment
+ */
+function resetProviders() {
+  providerInstances.clear();
+}
+
+// Built-in providers
+registerProvider('gemini', () => createGeminiProvider());
+registerProvider('anthropic', () => createAnthropicProvider());
+registerProvider('openai', () => createOpenAICompatibleProvider({
+  name: 'openai',
+  apiKeyEnv: 'OPENAI_API_KEY',
+  baseURL: process.env.OPENAI_BASE_URL,
+  jsonSchema: true
+}));
+registerProvider('perplexity', () => createOpenAICompatibleProvider({
+  name: 'perplexity',
+  apiKeyEnv: 'PERPLEXITY_API_KEY',
+  baseURL: 'https://api.perplexity.ai',
+  jsonSchema: true
+}));
+registerProvider('local', () => createOpenAICompatibleProvider({
+  name: 'local',
+  // Local servers usually ignore the key, but the OpenAI client insists on one
+  apiKey: process.env.LOCAL_AI_API_KEY || 'local',
+  baseURL: process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1'
+}));
+registerProvider('mock', () => createReplayProvider({
+  // Resolved per request, so MCP and REST calls use the fixtures of the project they work in
+  fixturesDir: () => resolveProjectPath(process.env.AI_MOCK_DIR || path.join('.taskmaster', 'fixtures')),
+  mode: process.env.AI_MOCK_MODE || 'replay',
+  // Record each request through the provider it would go to without the mock
+  getUpstream: (request) => getProvider(request.research
+    ? process.env.AI_MOCK_RESEARCH_UPSTREAM || 'perplexity'
+    : process.env.AI_MOCK_UPSTREAM || 'gemini')
+}));
+
+export {
+  createGeminiProvider,
+  createAnthropicProvider,
+  createOpenAICompatibleProvider,
+  createReplayProvider,
+  createUsage,
+  hashPrompt,
+  registerProvider,
+  getProvider,
+  listProviders,
+  resetProviders
+};
@@ -0,0 +1,271 @@
+/**
+ * ai-schemas.js
+ * JSON Schemas for structured AI responses and a validator for them
+ *
+ * The schemas use the portable subset of JSON Schema (type, properties,
+ * required, items, enum, minimum, maximum, minLength, minItems) so the same
+ * object can be handed to providers that support schema-constrained output.
+ */
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// A task as generated from a PRD or returned by an update
+const TASK_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string', minLength: 1 },
+    status: { type: 'string' },
+    dependencies: { type: 'array', items: { type: 'integer' } },
+    priority: { type: 'string', enum: PRIORITIES },
+    details: { type: 'string' },
+    testStrategy: { type: 'string' }
+  },
+  required: ['id', 'title', 'description']
+};
+
+// A subtask generated by expand
+const SUBTASK_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    status: { type: 'string' },
+    dependencies: { type: 'array', items: { type: 'integer' } },
+    priority: { type: 'string', enum: PRIORITIES },
+    details: { type: 'string' },
+    testStrategy: { type: 'string' }
+  },
+  required: ['id', 'title', 'description']
+};
+
+// One entry of the complexity report
+const COMPLEXITY_ENTRY_SCHEMA = {
+  type: 'object',
+  properties: {
+    taskId: { type: 'integer', minimum: 1 },
+    taskTitle: { type: 'string' },
+    complexityScore: { type: 'number', minimum: 1, maximum: 10 },
+    recommendedSubtasks: { type: 'integer', minimum: 1 },
+    expansionPrompt: { type: 'string' },
+    reasoning: { type: 'string' }
+  },
+  required: ['taskId', 'complexityScore', 'recommendedSubtasks']
+};
+
+// The fields the model writes when adding a single task
+const NEW_TASK_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string', minLength: 1 },
+    details: { type: 'string' },
+    testStrategy: { type: 'string' }
+  },
+  required: ['title', 'description']
+};
+
+// Response of parse-prd
+const PRD_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    tasks: { type: 'array', items: TASK_SCHEMA, minItems: 1 },
+    metadata: {
+      type: 'object',
+      properties: {
+        projectName: { type: 'string' },
+        totalTasks: { type: 'integer' },
+        sourceFile: { type: 'string' },
+        generatedAt: { type: 'string' }
+      }
+    }
+  },
+  required: ['tasks']
+};
+
+// Response of expand
+const SUBTASKS_RESPONSE_SCHEMA = { type: 'array', items: SUBTASK_SCHEMA, minItems: 1 };
+
+// Response of analyze-complexity
+const COMPLEXITY_RESPONSE_SCHEMA = { type: 'array', items: COMPLEXITY_ENTRY_SCHEMA, minItems: 1 };
+
+// Response of update
+const TASK_UPDATE_RESPONSE_SCHEMA = { type: 'array', items: TASK_SCHEMA };
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema (portable subset)
+ * @param {string} [pointer='$'] - Path of the value, used in error messages
+ * @returns {string[]} Validation errors; empty when the value is valid
+ */
+function validateSchema(value, schema, pointer = '$') {
+  const errors = [];
+  const actualType = typeOf(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.some(type => type === actualType || (type === 'number' && actualType === 'integer'));
+    if (!matches) {
+      return [`${pointer} must be ${allowed.join(' or ')}, got ${actualType}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pointer} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${pointer} must be >= ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${pointer} must be <= ${schema.maximum}, got ${value}`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${pointer} must not be empty`);
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${pointer} must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${pointer}[${index}]`));
+      });
+    }
+  }
+
+  if (actualType === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${pointer}.${key} is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${pointer}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Find the end of the JSON value that starts at the given index by matching
+ * brackets, skipping over string contents
+ * @param {string} text - Text to scan
+ * @param {number} start - Index of the opening '{' or '['
+ * @returns {number} Index of the matching closing bracket, or -1
+ */
+function findJSONEnd(text, start) {
+  const stack = [];
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Extract a JSON value from model output that may be wrapped in prose or
+ * markdown code fences
+ * @param {string} text - Raw model output
+ * @param {string} [expectedType] - "object" or "array", to pick the right value when both appear
+ * @returns {*} Parsed JSON value
+ * @throws {Error} If no JSON value can be parsed
+ */
+function extractJSON(text, expectedType) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    throw new Error('Response is empty');
+  }
+
+  const candidates = [trimmed];
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Fall through to bracket scanning
+    }
+  }
+
+  const openers = expectedType === 'array' ? ['['] : expectedType === 'object' ? ['{'] : ['{', '['];
+  let lastError = null;
+  for (let i = 0; i < trimmed.length; i++) {
+    if (!openers.includes(trimmed[i])) continue;
+    const end = findJSONEnd(trimmed, i);
+    if (end === -1) continue;
+    try {
+      return JSON.parse(trimmed.substring(i, end + 1));
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw new Error(`Response does not contain valid JSON${lastError ? `: ${lastError.message}` : ''}`);
+}
+
+/**
+ * Parse model output and validate it against a schema
+ * @param {string} text - Raw model output
+ * @param {Object} schema - JSON Schema the value must match
+ * @returns {{data: *, errors: string[]}} Parsed value (null if unparseable) and validation errors
+ */
+function parseStructuredResponse(text, schema) {
+  let data;
+  try {
+    data = extractJSON(text, typeof schema.type === 'string' ? schema.type : undefined);
+  } catch (error) {
+    return { data: null, errors: [error.message] };
+  }
+  return { data, errors: validateSchema(data, schema) };
+}
+
+export {
+  TASK_SCHEMA,
+  SUBTASK_SCHEMA,
+  COMPLEXITY_ENTRY_SCHEMA,
+  NEW_TASK_SCHEMA,
+  PRD_RESPONSE_SCHEMA,
+  SUBTASKS_RESPONSE_SCHEMA,
+  COMPLEXITY_RESPONSE_SCHEMA,
+  TASK_UPDATE_RESPONSE_SCHEMA,
+  validateSchema,
+  extractJSON,
+  parseStructuredResponse
+};
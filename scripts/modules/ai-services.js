@@ -3,63 +3,257 @@
  * AI service interactions for the Task Master CLI
  */
 
-// NOTE/TODO: Include the beta header output-128k-2025-02-19 in your API request to increase the maximum output token length to 128k tokens for Claude 3.7 Sonnet.
-// ^^^ This note is specific to Anthropic and can be removed or updated for Gemini model capabilities.
-
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import { CONFIG, log, sanitizePrompt } from './utils.js';
 import { startLoadingIndicator, stopLoadingIndicator } from './ui.js';
+import { getProvider } from './ai-providers.js';
+import { assertWithinBudget, recordUsage } from './usage-tracker.js';
+import { isCacheEnabled, getCacheKey, getCachedResponse, setCachedResponse } from './ai-cache.js';
+import {
+  PRD_RESPONSE_SCHEMA,
+  SUBTASKS_RESPONSE_SCHEMA,
+  COMPLEXITY_RESPONSE_SCHEMA,
+  TASK_UPDATE_RESPONSE_SCHEMA,
+  extractJSON,
+  parseStructuredResponse
+} from './ai-schemas.js';
+import { renderPrompt } from './prompts.js';
+import { isQuietOutput, terminal } from './output.js';
 import chalk from 'chalk';
 import path from 'path';
 import fs from 'fs';
-import { readJSON, writeJSON } from './utils.js';
+import { readTasks, writeJSON } from './utils.js';
 
 // Load environment variables
 dotenv.config();
 
-// Configure Google Generative AI client
-if (!process.env.GEMINI_API_KEY) {
-  // Log error and exit or throw if the key is essential for startup
-  log('error', 'GEMINI_API_KEY environment variable is missing. Please set it in your .env file.');
-  // Decide on behavior: throw error, exit, or allow proceeding if AI isn't immediately needed.
-  // For now, let's log and potentially let other non-AI commands work.
-  // Consider throwing an error if AI is critical: throw new Error("GEMINI_API_KEY is not set.");
+/**
+ * Resolve the provider and full request parameters for an AI call
+ * @param {Object} request - Request with prompt, system, model, maxTokens, temperature and schema
+ * @param {Object} options - Routing options
+ * @param {boolean} [options.research=false] - Route to the research provider instead of the main one
+ * @param {string} [options.provider] - Explicit provider name, overriding the configured one
+ * @param {string|number} [options.taskId] - Task the call is made for, recorded in the usage ledger
+ * @param {boolean} [options.cache=true] - Set to false to bypass the response cache for this call
+ * @returns {{provider: Object, params: Object}} Provider instance and request parameters
+ */
+function resolveRequest(request, options = {}) {
+  const providerName = options.provider || (options.research ? CONFIG.researchProvider : CONFIG.aiProvider);
+  const provider = getProvider(providerName);
+  const params = {
+    system: request.system,
+    prompt: request.prompt,
+    model: request.model || (options.research ? CONFIG.researchModel : CONFIG.model),
+    maxTokens: request.maxTokens || CONFIG.maxTokens,
+    temperature: request.temperature ?? CONFIG.temperature,
+    schema: request.schema,
+    research: Boolean(options.research)
+  };
+  return { provider, params };
+}
+
+/**
+ * Check whether an error means the provider is rate limiting or overloaded
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} True if the request is worth retrying after a pause
+ */
+function isRateLimitError(error) {
+  if (error.status === 429 || error.status === 529) {
+    return true;
+  }
+  const message = (error.message || '').toLowerCase();
+  return ['rate limit', 'rate_limit', 'too many requests', 'quota', 'overloaded', 'resource_exhausted', '429']
+    .some(marker => message.includes(marker));
+}
+
+/**
+ * Call a provider, retrying with exponential backoff while it is rate limited
+ * @param {Function} call - Makes one attempt; receives the attempt number
+ * @param {Object} options - Retry options
+ * @param {number} [options.maxRetries] - Retries after the first attempt (default: CONFIG.maxRetries)
+ * @param {number} [options.retryDelayMs] - Delay before the first retry, doubled each time (default: CONFIG.retryDelayMs)
+ * @param {Function} [options.canRetry] - Extra check that must pass before retrying
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function withRateLimitRetry(call, options = {}) {
+  const {
+    maxRetries = CONFIG.maxRetries,
+    retryDelayMs = CONFIG.retryDelayMs,
+    canRetry = () => true
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call(attempt);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRateLimitError(error) || !canRetry()) {
+        throw error;
+      }
+      const retryAfterSeconds = parseFloat(error.headers?.['retry-after']);
+      const delay = Number.isFinite(retryAfterSeconds) ? retryAfterSeconds * 1000 : retryDelayMs * 2 ** attempt;
+      log('warn', `Rate limited by the AI provider, retrying in ${Math.round(delay / 1000)}s (${attempt + 1}/${maxRetries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Get the cache key of a request
+ * @param {Object} provider - Provider the request is routed to
+ * @param {Object} params - Request parameters (see resolveRequest)
+ * @param {Object} options - Routing options
+ * @returns {string|null} The key, or null if the response must not be cached
+ */
+function getRequestCacheKey(provider, params, options) {
+  const useCache = isCacheEnabled() && options.cache !== false && provider.cacheable !== false;
+  return useCache ? getCacheKey(provider.name, params) : null;
 }
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || ''); // Initialize, even if key is missing, to avoid crashing on import. Check key before use.
-let generativeModel; // Declare model variable
 
-// Function to get the configured model, ensuring API key exists
-function getGenerativeModel() {
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error("GEMINI_API_KEY environment variable is missing. Cannot initialize AI model.");
+/**
+ * Send a request through the cache, budget check and usage ledger
+ * @param {Object} request - Request with prompt, system, model, maxTokens and temperature
+ * @param {Object} options - Routing options (see resolveRequest)
+ * @param {Function} send - Calls the provider: (provider, params) => Promise<response>
+ * @param {Function} [canRetry] - Whether a rate-limited attempt may be retried
+ * @returns {Promise<Object>} Response with text, model, provider and usage, plus cached: true on a cache hit
+ */
+async function sendRequest(request, options, send, canRetry) {
+  const { provider, params } = resolveRequest(request, options);
+
+  const cacheKey = getRequestCacheKey(provider, params, options);
+  const cached = cacheKey ? getCachedResponse(cacheKey) : null;
+  if (cached) {
+    log('debug', `Using cached response from ${provider.name} (${params.model})`);
+    return { ...cached, provider: provider.name, cached: true };
   }
-  if (!generativeModel) {
-    // Use the model name from CONFIG, assuming it will be updated e.g., 'gemini-1.5-flash'
-    generativeModel = genAI.getGenerativeModel({ model: CONFIG.model });
+
+  assertWithinBudget();
+  log('debug', `Sending request to ${provider.name} (${params.model})`);
+  const startTime = Date.now();
+  const response = await withRateLimitRetry(() => send(provider, params), { canRetry });
+  recordUsage({ ...response, provider: provider.name, taskId: options.taskId, latencyMs: Date.now() - startTime });
+  // Structured responses are only cached by completeStructured, once they are valid
+  if (cacheKey && !params.schema) {
+    setCachedResponse(cacheKey, response);
   }
-  return generativeModel;
+  return { ...response, provider: provider.name };
+}
+
+/**
+ * Send a prompt to the configured AI provider and wait for the full response
+ * @param {Object} request - Request with prompt, system, model, maxTokens and temperature
+ * @param {Object} options - Routing options (see resolveRequest)
+ * @returns {Promise<Object>} Response with text, model, provider and usage
+ */
+async function complete(request, options = {}) {
+  return sendRequest(request, options, (provider, params) => provider.complete(params));
 }
 
-// Lazy-loaded Perplexity client
-let perplexity = null;
+/**
+ * Send a prompt to the configured AI provider and stream the response.
+ * A cached response is delivered as a single chunk.
+ * @param {Object} request - Request with prompt, system, model, maxTokens and temperature
+ * @param {Function} onChunk - Called with each chunk of text as it arrives
+ * @param {Object} options - Routing options (see resolveRequest)
+ * @returns {Promise<Object>} Response with the full text, model, provider and usage
+ */
+async function stream(request, onChunk = () => {}, options = {}) {
+  // A rate-limited stream is only retried if nothing has been delivered yet
+  let receivedChunk = false;
+  const trackedOnChunk = (chunk) => {
+    receivedChunk = true;
+    onChunk(chunk);
+  };
+  const response = await sendRequest(
+    request,
+    options,
+    (provider, params) => provider.stream(params, trackedOnChunk),
+    () => !receivedChunk
+  );
+  if (response.cached) {
+    onChunk(response.text);
+  }
+  return response;
+}
 
 /**
- * Get or initialize the Perplexity client
- * @returns {OpenAI} Perplexity client
+ * Build the follow-up prompt that asks the model to fix an invalid response
+ * @param {string} originalPrompt - The prompt of the original request
+ * @param {string} responseText - The invalid response
+ * @param {string[]} errors - Validation errors
+ * @returns {string} Repair prompt
  */
-function getPerplexityClient() {
-  if (!perplexity) {
-    if (!process.env.PERPLEXITY_API_KEY) {
-      throw new Error("PERPLEXITY_API_KEY environment variable is missing. Set it to use research-backed features.");
+function buildRepairPrompt(originalPrompt, responseText, errors) {
+  return `${originalPrompt}
+
+--- Your previous response ---
+${responseText}
+--- End of previous response ---
+
+Your previous response could not be used because it does not match the required JSON format:
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+
+Respond again with the corrected JSON only, with no explanations or markdown formatting.`;
+}
+
+/**
+ * Request JSON that matches a schema. Invalid responses are sent back to the
+ * model together with the validation errors, up to a bounded number of times.
+ * @param {Object} request - Request with prompt, system, model, maxTokens and temperature
+ * @param {Object} schema - JSON Schema the response must match (see ai-schemas.js)
+ * @param {Object} options - Routing options (see resolveRequest)
+ * @param {boolean} [options.stream=false] - Stream the first attempt instead of waiting for it
+ * @param {number} [options.maxRepairs] - Repair attempts before giving up (default: CONFIG.maxRepairAttempts)
+ * @returns {Promise<Object>} Response with text, model, provider, usage and the validated value as data
+ */
+async function completeStructured(request, schema, options = {}) {
+  const { stream: useStream = false, maxRepairs = CONFIG.maxRepairAttempts, ...routing } = options;
+  const structuredRequest = { ...request, schema };
+
+  let response = useStream
+    ? await stream(structuredRequest, () => {}, routing)
+    : await complete(structuredRequest, routing);
+
+  for (let attempt = 1; ; attempt++) {
+    const { data, errors } = parseStructuredResponse(response.text, schema);
+    if (errors.length === 0) {
+      // Cache the valid answer under the original request, so a re-run skips any repairs
+      const { provider, params } = resolveRequest(structuredRequest, routing);
+      const cacheKey = getRequestCacheKey(provider, params, routing);
+      if (cacheKey && !(attempt === 1 && response.cached)) {
+        const { provider: providerName, cached, ...providerResponse } = response;
+        setCachedResponse(cacheKey, providerResponse);
+      }
+      return { ...response, data };
     }
-    perplexity = new OpenAI({
-      apiKey: process.env.PERPLEXITY_API_KEY,
-      baseURL: 'https://api.perplexity.ai',
-    });
+
+    log('debug', `Invalid AI response: ${errors.join('; ')}`);
+    if (attempt > maxRepairs) {
+      const shown = errors.slice(0, 3).join('; ');
+      const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+      throw new Error(`AI response does not match the expected format after ${maxRepairs} repair attempt(s): ${shown}${more}`);
+    }
+
+    log('warn', `AI response does not match the expected format (${errors.length} problem(s)). Asking the model to repair it (${attempt}/${maxRepairs})...`);
+    response = await complete({
+      ...structuredRequest,
+      prompt: buildRepairPrompt(request.prompt, response.text, errors)
+    }, routing);
+  }
+}
+
+/**
+ * Check whether the research provider is configured and usable
+ * @returns {boolean} True if research-backed calls can be made
+ */
+function isResearchAvailable() {
+  try {
+    getProvider(CONFIG.researchProvider);
+    return true;
+  } catch (error) {
+    log('debug', `Research provider unavailable: ${error.message}`);
+    return false;
   }
-  return perplexity;
 }
 
 /**
@@ -69,14 +263,14 @@ function getPerplexityClient() {
  */
 function handleApiError(error, serviceName = "AI Service") { // Renamed and made generic
   // --- DEBUGGING: Print the original error object --- 
-  console.error(`[DEBUG] Raw error object received in handleApiError for ${serviceName}:`);
-  console.error(error);
+  terminal.error(`[DEBUG] Raw error object received in handleApiError for ${serviceName}:`);
+  terminal.error(error);
   // --- END DEBUGGING ---
 
   // Basic error checking for Gemini (structure might vary)
   // Gemini errors might not have a standard 'type' like Anthropic. Check message content.
   if (error.message?.includes('API key not valid')) {
-      return `${serviceName} Error: Invalid API Key. Please check your GEMINI_API_KEY.`;
+      return `${serviceName} Error: Invalid API Key. Please check the API key for the configured provider.`;
   }
   if (error.message?.includes('quota')) {
       return `${serviceName} Error: Rate limit or quota exceeded. Please check your usage limits or wait and try again.`;
@@ -108,89 +302,17 @@ function handleApiError(error, serviceName = "AI Service") { // Renamed and made
  * @returns {Promise<Object>} AI model's response
  */
 async function callGenerativeAI(prdContent, prdPath, numTasks, retryCount = 0) { // Renamed function
-  // --- DEBUGGING --- 
-  console.log(`[DEBUG] Attempting to call Generative AI.`);
-  console.log(`[DEBUG] GEMINI_API_KEY loaded: ${process.env.GEMINI_API_KEY ? 'Exists (partially hidden)' : 'MISSING!'}`); // Check if key exists
-  console.log(`[DEBUG] Model from CONFIG: ${CONFIG.model}`);
-  // --- END DEBUGGING ---
+  log('debug', `Calling ${CONFIG.aiProvider} with model ${CONFIG.model}`);
 
-  if (!process.env.GEMINI_API_KEY) {
-     const errorMsg = "GEMINI_API_KEY environment variable is missing. Cannot generate tasks.";
-     log('error', errorMsg);
-     console.error(chalk.red(errorMsg));
-     throw new Error(errorMsg);
-  }
   try {
     log('info', 'Calling Generative AI...');
-    const model = getGenerativeModel();
-
-    // Combine system prompt and user prompt for Gemini
-    // Gemini works well with direct instructions in the user prompt.
-    const combinedPrompt = `You are an AI assistant helping to break down a Product Requirements Document (PRD) into a set of sequential development tasks.
-Your goal is to create ${numTasks} well-structured, actionable development tasks based on the PRD provided.
-
-Each task should follow this JSON structure:
-{
-  "id": number,
-  "title": string,
-  "description": string,
-  "status": "pending",
-  "dependencies": number[] (IDs of tasks this depends on),
-  "priority": "high" | "medium" | "low",
-  "details": string (implementation details),
-  "testStrategy": string (validation approach)
-}
 
-Guidelines:
-1. Create exactly ${numTasks} tasks, numbered from 1 to ${numTasks}
-2. Each task should be atomic and focused on a single responsibility
-3. Order tasks logically - consider dependencies and implementation sequence
-4. Early tasks should focus on setup, core functionality first, then advanced features
-5. Include clear validation/testing approach for each task
-6. Set appropriate dependency IDs (a task can only depend on tasks with lower IDs)
-7. Assign priority (high/medium/low) based on criticality and dependency order
-8. Include detailed implementation guidance in the "details" field
-
-Expected output format:
-{
-  "tasks": [
-    {
-      "id": 1,
-      "title": "Setup Project Repository",
-      "description": "...",
-      "dependencies": [],
-      "priority": "high",
-      "details": "...",
-      "testStrategy": "..."
-    },
-    {
-      "id": 2,
-      "title": "...",
-      "description": "...",
-      "dependencies": [1],
-      "priority": "medium",
-      "details": "...",
-      "testStrategy": "..."
-    }
-  ],
-  "metadata": {
-    "projectName": "PRD Implementation",
-    "totalTasks": ${numTasks},
-    "sourceFile": "${prdPath}",
-    "generatedAt": "YYYY-MM-DD"
-  }
-}
-
-Important: Your response must be valid JSON only, starting with '{' and ending with '}', with no additional explanation, comments, markdown formatting, or \`\`\`json markers.
-
-Here's the Product Requirements Document (PRD) to break down into ${numTasks} tasks:
---- PRD START ---
-${prdContent}
---- PRD END ---
-`;
+    // The whole instruction block goes in the user prompt;
+    // every provider handles direct instructions there well.
+    const combinedPrompt = renderPrompt('parse-prd', { numTasks, prdPath, prdContent });
 
     // Use streaming request
-    return await handleStreamingRequestGemini(combinedPrompt, numTasks, CONFIG.maxTokens, prdPath, retryCount); // Pass retryCount
+    return await handleStreamingRequest(combinedPrompt, numTasks, CONFIG.maxTokens, prdPath);
 
   } catch (error) {
     const userMessage = handleApiError(error, "Generative AI Service"); // Use updated error handler
@@ -209,7 +331,7 @@ ${prdContent}
       // Pass the original PRD content, not the combined prompt, to the retry call
       return await callGenerativeAI(prdContent, prdPath, numTasks, retryCount + 1);
     } else {
-      console.error(chalk.red(userMessage));
+      terminal.error(chalk.red(userMessage));
       if (CONFIG.debug) {
         log('debug', 'Full error:', error);
       }
@@ -219,70 +341,36 @@ ${prdContent}
 }
 
 /**
- * Handle streaming request to the Generative AI model
+ * Handle streaming request to the configured AI provider
  * @param {string} prompt - The combined prompt for the AI
  * @param {number} numTasks - Expected number of tasks (for processing context)
  * @param {number} maxTokens - Maximum output tokens
  * @param {string} prdPath - Path to the PRD file (for metadata)
- * @param {number} retryCount - Current retry count (for passing to processor)
  * @returns {Promise<Object>} AI model's processed response
  */
-async function handleStreamingRequestGemini(prompt, numTasks, maxTokens, prdPath, retryCount) { // Renamed function
+async function handleStreamingRequest(prompt, numTasks, maxTokens, prdPath) {
   const loadingIndicator = startLoadingIndicator('Generating tasks from PRD...');
-  let responseText = '';
   let streamingInterval = null;
-  const model = getGenerativeModel(); // Get model instance
 
   try {
-    // Define the request structure explicitly
-    const generationConfig = {
-      maxOutputTokens: maxTokens, // Use the maxTokens parameter passed to the function
-      temperature: CONFIG.temperature,
-      // Add other generation config like topP, topK if needed
-    };
-    const contents = [{ role: "user", parts: [{ text: prompt }] }];
-    const request = {
-      contents,
-      generationConfig,
-      // safetySettings: ... // Add safety settings if needed
-    };
-
-    // Use streaming for handling large responses with Gemini, passing the full request object
-    log('debug', `Sending request to generateContentStream with model ${CONFIG.model}`);
-    const result = await model.generateContentStream(request); // Pass the explicit request object
-
     // Update loading indicator to show streaming progress
     let dotCount = 0;
     const readline = await import('readline');
-    streamingInterval = setInterval(() => {
+    streamingInterval = isQuietOutput() ? null : setInterval(() => {
       readline.cursorTo(process.stdout, 0);
       process.stdout.write(`Receiving streaming response from Generative AI${'.'.repeat(dotCount)}`);
       dotCount = (dotCount + 1) % 4;
     }, 500);
 
-    // Process the stream
-    for await (const chunk of result.stream) {
-      // Check if chunk and text() function exist
-      if (chunk && typeof chunk.text === 'function') {
-        try {
-          const chunkText = chunk.text(); // Get text from chunk
-          responseText += chunkText;
-        } catch (e) {
-           log('warn', 'Could not extract text from stream chunk:', e);
-           // Continue processing other chunks
-        }
-      } else {
-         log('warn', 'Received invalid chunk structure:', chunk);
-      }
-    }
+    // Stream the response from the configured provider, repairing it if it fails validation
+    const { data } = await completeStructured({ prompt, maxTokens }, PRD_RESPONSE_SCHEMA, { stream: true });
 
     if (streamingInterval) clearInterval(streamingInterval);
     stopLoadingIndicator(loadingIndicator);
 
     log('info', "Completed streaming response from Generative AI API!");
 
-    // Pass necessary context to the processing function
-    return processApiResponse(responseText, numTasks, retryCount, prdPath); // Pass prdPath for metadata
+    return processApiResponse(data, numTasks, prdPath);
 
   } catch (error) {
     if (streamingInterval) clearInterval(streamingInterval);
@@ -290,7 +378,7 @@ async function handleStreamingRequestGemini(prompt, numTasks, maxTokens, prdPath
 
     const userMessage = handleApiError(error, "Generative AI Streaming");
     log('error', userMessage);
-    console.error(chalk.red(userMessage));
+    terminal.error(chalk.red(userMessage));
 
     if (CONFIG.debug) {
       log('debug', 'Full error:', error);
@@ -301,75 +389,29 @@ async function handleStreamingRequestGemini(prompt, numTasks, maxTokens, prdPath
 }
 
 /**
- * Process the AI model's response
- * @param {string} textContent - Text content from the AI
+ * Complete a validated parse-prd response
+ * @param {Object} parsedData - Response already validated against PRD_RESPONSE_SCHEMA
  * @param {number} numTasks - Expected number of tasks
- * @param {number} retryCount - Current retry count
  * @param {string} prdPath - Path to the PRD file (for metadata generation)
- * @returns {Object} Processed response (parsed JSON)
+ * @returns {Object} Tasks and metadata
  */
-function processApiResponse(textContent, numTasks, retryCount, prdPath) { // Renamed function, added prdPath
-  try {
-    // Attempt to parse the JSON response
-    // Trim whitespace and remove potential markdown code fences
-    let cleanText = textContent.trim();
-    if (cleanText.startsWith('```json')) {
-      cleanText = cleanText.substring(7);
-    }
-    if (cleanText.endsWith('```')) {
-      cleanText = cleanText.substring(0, cleanText.length - 3);
-    }
-    cleanText = cleanText.trim(); // Trim again after removing fences
-
-    let jsonStart = cleanText.indexOf('{');
-    let jsonEnd = cleanText.lastIndexOf('}');
+function processApiResponse(parsedData, numTasks, prdPath) {
+  // Ensure we have the correct number of tasks
+  if (parsedData.tasks.length !== numTasks) {
+    log('warn', `Expected ${numTasks} tasks, but received ${parsedData.tasks.length}`);
+  }
 
-    if (jsonStart === -1 || jsonEnd === -1 || jsonEnd < jsonStart) {
-      throw new Error("Could not find valid JSON in Generative AI's response");
-    }
-    
-    let jsonContent = cleanText.substring(jsonStart, jsonEnd + 1);
-    let parsedData = JSON.parse(jsonContent);
-    
-    // Validate the structure of the generated tasks
-    if (!parsedData.tasks || !Array.isArray(parsedData.tasks)) {
-      throw new Error("Generative AI's response does not contain a valid tasks array");
-    }
-    
-    // Ensure we have the correct number of tasks
-    if (parsedData.tasks.length !== numTasks) {
-      log('warn', `Expected ${numTasks} tasks, but received ${parsedData.tasks.length}`);
-    }
-    
-    // Add metadata if missing
-    if (!parsedData.metadata) {
-      parsedData.metadata = {
-        projectName: "PRD Implementation",
-        totalTasks: parsedData.tasks.length,
-        sourceFile: prdPath,
-        generatedAt: new Date().toISOString().split('T')[0]
-      };
-    }
-    
-    return parsedData;
-  } catch (error) {
-    log('error', "Error processing Generative AI's response:", error.message);
-    
-    // Retry logic
-    if (retryCount < 2) {
-      log('info', `Retrying to parse response (${retryCount + 1}/2)...`);
-      
-      // Try again with Generative AI for a cleaner response
-      if (retryCount === 1) {
-        log('info', "Calling Generative AI again for a cleaner response...");
-        return callGenerativeAI(prdContent, prdPath, numTasks, retryCount + 1);
-      }
-      
-      return processApiResponse(textContent, numTasks, retryCount + 1, prdPath);
-    } else {
-      throw error;
-    }
+  // Add metadata if missing
+  if (!parsedData.metadata) {
+    parsedData.metadata = {
+      projectName: "PRD Implementation",
+      totalTasks: parsedData.tasks.length,
+      sourceFile: prdPath,
+      generatedAt: new Date().toISOString().split('T')[0]
+    };
   }
+
+  return parsedData;
 }
 
 /**
@@ -381,77 +423,36 @@ function processApiResponse(textContent, numTasks, retryCount, prdPath) { // Ren
  * @returns {Promise<Array>} Generated subtasks
  */
 async function generateSubtasks(task, numSubtasks, nextSubtaskId, additionalContext = '') {
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error("GEMINI_API_KEY environment variable is missing. Cannot generate subtasks.");
-  }
   const loadingIndicator = startLoadingIndicator(`Generating ${numSubtasks} subtasks for task ${task.id}...`);
-  const model = getGenerativeModel();
 
   try {
-    // Construct the prompt for Gemini
-    const subtaskPrompt = `
-You are an AI assistant tasked with breaking down a larger development task into smaller, manageable subtasks.
-The parent task is:
-Title: ${task.title}
-Description: ${task.description}
-Details: ${task.details || 'None provided'}
-Priority: ${task.priority}
-Dependencies: ${task.dependencies?.join(', ') || 'None'}
-
-Generate exactly ${numSubtasks} subtasks for this parent task, starting with ID ${nextSubtaskId}.
-Each subtask should be a specific, actionable step towards completing the parent task.
-Order the subtasks logically. Subtasks can depend on preceding subtasks within this list (use their sequential ID like ${nextSubtaskId}, ${nextSubtaskId + 1}, ...).
-
-${additionalContext ? `Additional context to consider: ${additionalContext}\n` : ''}
-Output Format:
-Provide the subtasks as a JSON array ONLY. Do not include explanations, markdown formatting, or \`\`\`json markers.
-Each subtask object in the array must follow this structure:
-{
-  "id": number (sequential, starting from ${nextSubtaskId}),
-  "title": string (concise subtask title),
-  "description": string (brief description of the subtask),
-  "status": "pending",
-  "dependencies": number[] (IDs of preceding subtasks it depends on, e.g., [${nextSubtaskId}] if it depends on the first),
-  "priority": "${task.priority}",
-  "details": string (specific implementation steps for this subtask),
-  "testStrategy": string (how to verify this subtask is done)
-}
-
-Example of expected JSON output format (for 3 subtasks starting at ID ${nextSubtaskId}):
-[
-  { "id": ${nextSubtaskId}, "title": "Subtask 1 Title", "description": "...", "status": "pending", "dependencies": [], "priority": "${task.priority}", "details": "...", "testStrategy": "..." },
-  { "id": ${nextSubtaskId + 1}, "title": "Subtask 2 Title", "description": "...", "status": "pending", "dependencies": [${nextSubtaskId}], "priority": "${task.priority}", "details": "...", "testStrategy": "..." },
-  { "id": ${nextSubtaskId + 2}, "title": "Subtask 3 Title", "description": "...", "status": "pending", "dependencies": [${nextSubtaskId + 1}], "priority": "${task.priority}", "details": "...", "testStrategy": "..." }
-]
-
-Generate the JSON array now for task ${task.id}.
-`;
+    // Construct the subtask generation prompt
+    const subtaskPrompt = renderPrompt('expand', {
+      task,
+      details: task.details || 'None provided',
+      dependencies: task.dependencies?.join(', ') || 'None',
+      numSubtasks,
+      nextSubtaskId,
+      secondSubtaskId: nextSubtaskId + 1,
+      thirdSubtaskId: nextSubtaskId + 2,
+      additionalContext
+    });
 
     log('debug', `Generating subtasks for task ${task.id} with prompt:\n${subtaskPrompt}`);
 
-    // Use generateContent for a single, non-streaming response
-    const result = await model.generateContent(subtaskPrompt);
-    const response = result.response; // Access the response object directly
+    // Use a single, non-streaming completion validated against the subtask schema
+    const { data } = await completeStructured({ prompt: subtaskPrompt }, SUBTASKS_RESPONSE_SCHEMA, { taskId: task.id });
 
     stopLoadingIndicator(loadingIndicator);
-
-    if (!response) {
-       throw new Error('No response received from the AI model.');
-    }
-
-    const responseText = response.text(); // Get the text content
     log('info', `Received subtask generation response for task ${task.id}.`);
-    log('debug', `Raw response text for subtasks: ${responseText}`);
 
-    // Parse the generated subtasks
-    const generatedSubtasks = parseSubtasksFromText(responseText, nextSubtaskId, numSubtasks, task.id);
-    return generatedSubtasks;
+    return normalizeSubtasks(data, nextSubtaskId, numSubtasks, task.id);
 
   } catch (error) {
     stopLoadingIndicator(loadingIndicator);
     const userMessage = handleApiError(error, "Generative AI Subtask Generation");
     log('error', `Error generating subtasks for task ${task.id}: ${userMessage}`);
-    console.error(chalk.red(`Failed to generate subtasks for task ${task.id}: ${userMessage}`));
+    terminal.error(chalk.red(`Failed to generate subtasks for task ${task.id}: ${userMessage}`));
     if (CONFIG.debug) {
       log('debug', 'Full error details:', error);
     }
@@ -462,96 +463,67 @@ Generate the JSON array now for task ${task.id}.
 }
 
 /**
- * Parse subtasks from Claude's response text
- * @param {string} text - Raw text response from the AI
+ * Fill in defaults for generated subtasks
+ * @param {Array} parsed - Subtask objects from the AI
  * @param {number} startId - The expected starting ID for subtasks
  * @param {number} expectedCount - The expected number of subtasks
  * @param {number} parentTaskId - The ID of the parent task (for logging/context)
- * @returns {Array<Object>} Parsed subtasks
+ * @returns {Array<Object>} Subtasks
  */
-function parseSubtasksFromText(text, startId, expectedCount, parentTaskId) {
-  try {
-    log('debug', `Attempting to parse ${expectedCount} subtasks for parent ${parentTaskId} starting with ID ${startId}. Raw text length: ${text?.length || 0}`); // Added length log
-    // Clean the text: remove potential markdown fences and trim whitespace
-    let cleanText = text?.trim() || ''; // Handle potential null/undefined text
-    if (!cleanText) {
-        throw new Error("Received empty text response from AI.");
+function normalizeSubtasks(parsed, startId, expectedCount, parentTaskId) {
+  const subtasks = parsed.map((subtask, index) => {
+    const expectedId = startId + index;
+    if (typeof subtask !== 'object' || subtask === null) {
+      log('warn', `Invalid subtask structure at index ${index} for parent ${parentTaskId}. Skipping.`);
+      return null; // Skip invalid entries
     }
 
-    if (cleanText.startsWith('```json')) {
-      cleanText = cleanText.substring(7).trim();
-    } else if (cleanText.startsWith('```')) {
-        // Handle cases where only ``` is present without 'json'
-        cleanText = cleanText.substring(3).trim();
-    }
+    return {
+      id: typeof subtask.id === 'number' ? subtask.id : expectedId, // Use expected ID if missing/invalid
+      title: subtask.title || `Subtask ${expectedId}`,
+      description: subtask.description || 'No description provided.',
+      status: 'pending',
+      dependencies: Array.isArray(subtask.dependencies) ? subtask.dependencies.filter(dep => typeof dep === 'number') : [],
+      priority: subtask.priority || 'medium', // Default priority if missing
+      details: subtask.details || 'No details provided.',
+      testStrategy: subtask.testStrategy || 'Manual verification.'
+    };
+  }).filter(subtask => subtask !== null); // Remove skipped entries
 
-    if (cleanText.endsWith('```')) {
-      cleanText = cleanText.substring(0, cleanText.length - 3).trim();
-    }
+  if (subtasks.length !== expectedCount) {
+    log('warn', `Expected ${expectedCount} subtasks for parent ${parentTaskId}, but parsed ${subtasks.length}.`);
+  }
 
-    // Ensure it starts with '[' and ends with ']' for a JSON array
-    if (!cleanText.startsWith('[') || !cleanText.endsWith(']')) {
-       log('warn', `Response for parent ${parentTaskId} does not appear to be a valid JSON array. Attempting to find array within text.`);
-       const startIndex = cleanText.indexOf('[');
-       const endIndex = cleanText.lastIndexOf(']');
-       if (startIndex !== -1 && endIndex !== -1 && endIndex > startIndex) {
-           const extractedArray = cleanText.substring(startIndex, endIndex + 1);
-           log('debug', `Extracted potential JSON array: ${extractedArray.substring(0, 100)}...`); // Log start of extracted text
-           // Basic validation of extracted content
-           try {
-               JSON.parse(extractedArray); // Try parsing the extracted part
-               cleanText = extractedArray; // Use extracted part if it's likely JSON
-           } catch (parseError) {
-                log('error', `Extracted text segment for parent ${parentTaskId} is not valid JSON: ${parseError.message}`);
-                throw new Error("Response does not contain a recognizable JSON array structure.");
-           }
-       } else {
-           throw new Error("Response does not contain a recognizable JSON array structure.");
-       }
-    }
+  log('info', `Successfully parsed ${subtasks.length} subtasks for parent task ${parentTaskId}.`);
+  return subtasks;
+}
 
-    const parsed = JSON.parse(cleanText);
+/**
+ * Parse subtasks from an AI response text
+ * @param {string} text - Raw text response from the AI
+ * @param {number} startId - The expected starting ID for subtasks
+ * @param {number} expectedCount - The expected number of subtasks
+ * @param {number} parentTaskId - The ID of the parent task (for logging/context)
+ * @returns {Array<Object>} Parsed subtasks, or an empty array if the text holds none
+ */
+function parseSubtasksFromText(text, startId, expectedCount, parentTaskId) {
+  try {
+    log('debug', `Attempting to parse ${expectedCount} subtasks for parent ${parentTaskId} starting with ID ${startId}. Raw text length: ${text?.length || 0}`);
+    const parsed = extractJSON(text, 'array');
 
     if (!Array.isArray(parsed)) {
       throw new Error("Parsed response is not an array.");
     }
 
-    // Validate and potentially adjust subtask structure
-    const validatedSubtasks = parsed.map((subtask, index) => {
-      const expectedId = startId + index;
-      if (typeof subtask !== 'object' || subtask === null) {
-        log('warn', `Invalid subtask structure at index ${index} for parent ${parentTaskId}. Skipping.`);
-        return null; // Skip invalid entries
-      }
-      
-      // Basic validation/defaulting
-      return {
-        id: typeof subtask.id === 'number' ? subtask.id : expectedId, // Use expected ID if missing/invalid
-        title: subtask.title || `Subtask ${expectedId}`,
-        description: subtask.description || 'No description provided.',
-        status: 'pending',
-        dependencies: Array.isArray(subtask.dependencies) ? subtask.dependencies.filter(dep => typeof dep === 'number') : [],
-        priority: subtask.priority || 'medium', // Default priority if missing
-        details: subtask.details || 'No details provided.',
-        testStrategy: subtask.testStrategy || 'Manual verification.'
-      };
-    }).filter(subtask => subtask !== null); // Remove skipped entries
-
-    if (validatedSubtasks.length !== expectedCount) {
-      log('warn', `Expected ${expectedCount} subtasks for parent ${parentTaskId}, but parsed ${validatedSubtasks.length}.`);
-      // Decide whether to proceed with parsed tasks or throw error
+    const subtasks = normalizeSubtasks(parsed, startId, expectedCount, parentTaskId);
+    if (subtasks.length === 0 && expectedCount > 0) {
+      throw new Error("Failed to parse any valid subtasks from the response.");
     }
-     if (validatedSubtasks.length === 0 && expectedCount > 0) {
-         throw new Error("Failed to parse any valid subtasks from the response.");
-     }
-
-    log('info', `Successfully parsed ${validatedSubtasks.length} subtasks for parent task ${parentTaskId}.`);
-    return validatedSubtasks;
+    return subtasks;
 
   } catch (error) {
     log('error', `Failed to parse subtasks JSON for parent ${parentTaskId}: ${error.message}`);
     log('debug', `Raw text causing parsing error for parent ${parentTaskId}: ${text}`); // Log raw text on error
-    // Return empty array or re-throw, depending on desired error handling
     // Returning empty allows caller to handle potentially partial success or failure gracefully
     return [];
   }
@@ -568,9 +540,7 @@ function generateComplexityAnalysisPrompt(tasksData) {
   const minSubtasks = Math.max(2, defaultSubtasks - 1); // Ensure min is at least 2
   const maxSubtasks = Math.min(10, defaultSubtasks + 2); // Ensure max is reasonable
 
-  return `Analyze the complexity of the following software development tasks and provide recommendations for subtask breakdown.
-
-${tasksData.tasks.map(task => `
+  const tasks = tasksData.tasks.map(task => `
 --- Task Start ---
 Task ID: ${task.id}
 Title: ${task.title}
@@ -579,28 +549,9 @@ Details: ${sanitizePrompt(task.details)}
 Dependencies: ${JSON.stringify(task.dependencies || [])}
 Priority: ${task.priority || 'medium'}
 --- Task End ---
-`).join('\n')}
-
-Analyze each task based on its description, details, and dependencies. Return a JSON array ONLY, containing one object per task analyzed.
-Each object in the array must follow this structure EXACTLY:
-[
-  {
-    "taskId": number (Must match the original Task ID),
-    "taskTitle": string (Must match the original Task Title),
-    "complexityScore": number (Estimate complexity on a scale of 1-10, where 1 is trivial and 10 is very complex),
-    "recommendedSubtasks": number (Suggest a number of subtasks between ${minSubtasks} and ${maxSubtasks} needed to break this down effectively. Base this on complexity.),
-    "expansionPrompt": string (Create a concise, specific prompt suffix to guide an AI in generating useful subtasks for THIS task. Focus on the core challenge or goal. Example: "focusing on database schema design and migration scripts."),
-    "reasoning": string (Briefly justify the complexity score and subtask recommendation. Mention key factors like ambiguity, dependencies, scope, etc.)
-  }
-  // ... include one object for EACH task provided above ...
-]
-
-IMPORTANT:
-- Respond with ONLY the valid JSON array. Do not include any explanatory text before or after the array.
-- Ensure every task provided in the input is included in the output array with the correct "taskId".
-- The "recommendedSubtasks" number must be within the range [${minSubtasks}, ${maxSubtasks}].
-- The "expansionPrompt" should be tailored to the specific task.
-`;
+`).join('\n');
+
+  return renderPrompt('analyze-complexity', { tasks, minSubtasks, maxSubtasks });
 }
 
 /**
@@ -634,7 +585,7 @@ async function analyzeTaskComplexity(options = {}) {
   try {
     // Read tasks.json
     log('info', `Reading tasks from ${tasksPath}...`);
-    const tasksData = readJSON(tasksPath);
+    const tasksData = readTasks(tasksPath);
     if (!tasksData || !tasksData.tasks || !Array.isArray(tasksData.tasks) || tasksData.tasks.length === 0) {
       throw new Error(`No tasks found or tasks array is invalid in ${tasksPath}`);
     }
@@ -647,100 +598,52 @@ async function analyzeTaskComplexity(options = {}) {
     // Start loading indicator
     loadingIndicator = startLoadingIndicator('Calling AI to analyze task complexity...');
 
-    let fullResponse = '';
+    let complexityAnalysis;
+    let modelUsed = modelOverride || CONFIG.model;
 
     if (useResearch) {
-      // --- Use Perplexity --- 
+      // --- Use the research provider ---
       try {
-        log('info', 'Calling Perplexity AI for complexity analysis...');
-        const perplexityClient = getPerplexityClient();
+        log('info', `Calling research provider (${CONFIG.researchProvider}) for complexity analysis...`);
         const researchPrompt = `You are a technical analysis AI. Analyze the provided tasks based on the instructions. CRITICAL: Respond ONLY with the valid JSON array, no explanations or markdown. ${prompt}`;
-        const result = await perplexityClient.chat.completions.create({
-          model: process.env.PERPLEXITY_MODEL || 'llama-3-sonar-large-32k-online',
-          messages: [
-            { role: "system", content: "You are a technical analysis AI that only responds with clean, valid JSON." },
-            { role: "user", content: researchPrompt }
-          ],
-          temperature: 0.1, // Low temperature for factual analysis
-          max_tokens: CONFIG.maxTokens, // Use configured max tokens
-        });
-        fullResponse = result?.choices?.[0]?.message?.content || '';
-        log('info', 'Received response from Perplexity AI.');
-      } catch (perplexityError) {
+        const response = await completeStructured({
+          system: "You are a technical analysis AI that only responds with clean, valid JSON.",
+          prompt: researchPrompt,
+          temperature: 0.1 // Low temperature for factual analysis
+        }, COMPLEXITY_RESPONSE_SCHEMA, { research: true });
+        complexityAnalysis = response.data;
+        modelUsed = `${response.provider} (${response.model})`;
+        log('info', 'Received response from research provider.');
+      } catch (researchError) {
         stopLoadingIndicator(loadingIndicator);
-        log('error', `Perplexity AI call failed: ${perplexityError.message}`);
-        // Decide if fallback to Gemini is desired or just throw error
-        throw new Error(`Perplexity AI analysis failed: ${handleApiError(perplexityError, 'Perplexity')}`);
+        log('error', `Research AI call failed: ${researchError.message}`);
+        throw new Error(`Research AI analysis failed: ${handleApiError(researchError, CONFIG.researchProvider)}`);
       }
 
     } else {
-      // --- Use Gemini --- 
+      // --- Use the main provider ---
       try {
         log('info', `Calling Generative AI model (${modelOverride || CONFIG.model}) for complexity analysis...`);
-        const model = genAI.getGenerativeModel({ model: modelOverride || CONFIG.model }); // Use override if provided
-        // GenerateContent is better for single JSON responses than streaming
-        const result = await model.generateContent(prompt);
-         if (!result || !result.response || typeof result.response.text !== 'function') {
-            throw new Error('Invalid response structure received from Gemini API.');
-        }
-        fullResponse = result.response.text();
+        // A single completion is better for JSON responses than streaming
+        const response = await completeStructured({ prompt, model: modelOverride }, COMPLEXITY_RESPONSE_SCHEMA);
+        complexityAnalysis = response.data;
         log('info', 'Received response from Generative AI.');
-      } catch (geminiError) {
+      } catch (aiError) {
         stopLoadingIndicator(loadingIndicator);
-        log('error', `Generative AI call failed: ${geminiError.message}`);
-        throw new Error(`Generative AI analysis failed: ${handleApiError(geminiError, 'Generative AI')}`);
+        log('error', `Generative AI call failed: ${aiError.message}`);
+        throw new Error(`Generative AI analysis failed: ${handleApiError(aiError, 'Generative AI')}`);
       }
     }
 
     stopLoadingIndicator(loadingIndicator);
     loadingIndicator = null; // Reset indicator
 
-    log('debug', `Raw AI response length: ${fullResponse.length}`);
-    log('debug', `Raw AI response (first 200): ${fullResponse.substring(0, 200)}`);
-
-    // Parse the JSON response
-    log('info', `Parsing complexity analysis JSON...`);
-    let complexityAnalysis;
-    try {
-      // Clean up the response to ensure it's valid JSON
-      let cleanedResponse = fullResponse.trim();
-      const jsonMatch = cleanedResponse.match(/```(?:json)?\s*(\[\s\S]*?\])\s*```/s) || cleanedResponse.match(/(\[\s\S]*?\])/s);
-      
-      if (!jsonMatch || !jsonMatch[1]) {
-           log('warn', 'Could not find a clear JSON array in the response. Attempting direct parse.');
-           // Attempt direct parse if no clear array found
-           if (cleanedResponse.startsWith('[') && cleanedResponse.endsWith(']')) {
-                // Looks like an array, try parsing directly
-           } else if (cleanedResponse.startsWith('{')) {
-                // Maybe it's an object containing the array?
-                const potentialObj = JSON.parse(cleanedResponse); 
-                if (Array.isArray(potentialObj.analysis)) cleanedResponse = JSON.stringify(potentialObj.analysis);
-                else if (Array.isArray(potentialObj.tasks)) cleanedResponse = JSON.stringify(potentialObj.tasks);
-                else throw new Error('Response is an object but does not contain a recognizable task analysis array.');
-           } else {
-                throw new Error("AI response does not appear to be a JSON array or object containing one.");
-           }
-      } else {
-           cleanedResponse = jsonMatch[1];
-           log('debug', 'Extracted JSON array from response.');
-      }
-
-      complexityAnalysis = JSON.parse(cleanedResponse);
-
-      if (!Array.isArray(complexityAnalysis)) {
-        throw new Error("Parsed response is not a valid JSON array.");
-      }
-
-      log('info', `Successfully parsed ${complexityAnalysis.length} analysis entries.`);
-
-      // Optional: Validate structure of each analysis object
-      complexityAnalysis = complexityAnalysis.filter(entry => entry && typeof entry.taskId === 'number'); 
-      log('info', `Filtered down to ${complexityAnalysis.length} valid entries after basic validation.`);
+    log('info', `Received ${complexityAnalysis.length} valid analysis entries.`);
 
-    } catch (parseError) {
-      log('error', `Failed to parse AI response as JSON: ${parseError.message}`);
-      log('debug', `Raw response causing parse error: ${fullResponse}`);
-      throw new Error(`Failed to parse AI analysis response: ${parseError.message}`);
+    const analyzedIds = new Set(complexityAnalysis.map(entry => entry.taskId));
+    const missingIds = tasksData.tasks.map(task => task.id).filter(id => !analyzedIds.has(id));
+    if (missingIds.length > 0) {
+      log('warn', `The AI response did not include an analysis for task(s): ${missingIds.join(', ')}`);
     }
 
     // Create the final report object
@@ -753,7 +656,7 @@ async function analyzeTaskComplexity(options = {}) {
         projectName: tasksData.meta?.projectName || CONFIG.projectName,
         tasksFile: tasksPath,
         reportFile: outputPath,
-        modelUsed: useResearch ? `Perplexity (${process.env.PERPLEXITY_MODEL || 'default'})` : (modelOverride || CONFIG.model),
+        modelUsed: modelUsed,
         usedResearch: useResearch
       },
       complexityAnalysis: complexityAnalysis
@@ -775,11 +678,11 @@ async function analyzeTaskComplexity(options = {}) {
     const highComplexity = complexityAnalysis.filter(t => t.complexityScore >= 8).length;
     const mediumComplexity = complexityAnalysis.filter(t => t.complexityScore >= 5 && t.complexityScore < 8).length;
     const lowComplexity = complexityAnalysis.filter(t => t.complexityScore < 5).length;
-    console.log(chalk.cyan('\nComplexity Analysis Summary:'));
-    console.log(`  High complexity (>=8): ${highComplexity}`);
-    console.log(`  Medium complexity (5-7): ${mediumComplexity}`);
-    console.log(`  Low complexity (<5): ${lowComplexity}`);
-    console.log(`  Total tasks analyzed: ${complexityAnalysis.length}/${tasksData.tasks.length}`);
+    terminal.log(chalk.cyan('\nComplexity Analysis Summary:'));
+    terminal.log(`  High complexity (>=8): ${highComplexity}`);
+    terminal.log(`  Medium complexity (5-7): ${mediumComplexity}`);
+    terminal.log(`  Low complexity (<5): ${lowComplexity}`);
+    terminal.log(`  Total tasks analyzed: ${complexityAnalysis.length}/${tasksData.tasks.length}`);
 
     return report; // Return the generated report object
 
@@ -787,7 +690,7 @@ async function analyzeTaskComplexity(options = {}) {
     // Ensure loading indicator is stopped in case of error
     if (loadingIndicator) stopLoadingIndicator(loadingIndicator);
     log('error', `Error during complexity analysis: ${error.message}`);
-    console.error(chalk.red(`Error analyzing task complexity: ${error.message}`));
+    terminal.error(chalk.red(`Error analyzing task complexity: ${error.message}`));
     if (CONFIG.debug && error.stack) {
       log('debug', error.stack);
     }
@@ -811,32 +714,23 @@ async function generateSubtasksWithPerplexity(task, numSubtasks = 3, nextSubtask
   try {
     // First, perform research to get context
     log('info', `Researching context for task ${task.id}: ${task.title}`);
-    const perplexityClient = getPerplexityClient(); // Use the getter function
-
-    const PERPLEXITY_MODEL = process.env.PERPLEXITY_MODEL || 'llama-3-sonar-large-32k-online'; // Updated default model
     researchLoadingIndicator = startLoadingIndicator('Researching best practices with Perplexity AI...');
 
     // Formulate research query based on task
-    const researchQuery = `For the software development task titled "${task.title}" (Description: "${task.description}"), provide current best practices, relevant libraries or frameworks, potential design patterns, and key implementation approaches. Focus on practical advice and technical considerations. If applicable, include concise code examples or snippets illustrating the concepts.`;
-
-    // Query Perplexity for research
-    const researchResponse = await perplexityClient.chat.completions.create({
-      model: PERPLEXITY_MODEL,
-      messages: [{
-        role: 'system',
-        content: 'You are a helpful AI assistant providing technical research for software development tasks.'
-      }, {
-        role: 'user',
-        content: researchQuery
-      }],
-      max_tokens: 1024, // Limit response size
+    const researchQuery = renderPrompt('expand-research', { task });
+
+    // Query the research provider
+    const researchResponse = await complete({
+      system: 'You are a helpful AI assistant providing technical research for software development tasks.',
+      prompt: researchQuery,
+      maxTokens: 1024, // Limit response size
       temperature: 0.2 // Lower temperature for more factual responses
-    });
+    }, { research: true, taskId: task.id });
 
     stopLoadingIndicator(researchLoadingIndicator);
     researchLoadingIndicator = null; // Reset indicator
 
-    const researchResult = researchResponse?.choices?.[0]?.message?.content || "No research result obtained.";
+    const researchResult = researchResponse.text || "No research result obtained.";
     log('info', 'Perplexity research completed.');
     log('debug', `Perplexity research result for task ${task.id}: ${researchResult}`);
 
@@ -861,7 +755,7 @@ ${additionalContext ? `--- Additional User Context ---\n${additionalContext}\n--
 
     const userMessage = handleApiError(error, "Perplexity Research / Subtask Generation");
     log('error', `Error during research-backed subtask generation for task ${task.id}: ${userMessage}`);
-    console.error(chalk.red(`Failed research-backed subtask generation for task ${task.id}: ${userMessage}`));
+    terminal.error(chalk.red(`Failed research-backed subtask generation for task ${task.id}: ${userMessage}`));
 
     if (CONFIG.debug) {
       log('debug', 'Full error details during research-backed generation:', error);
@@ -879,119 +773,34 @@ ${additionalContext ? `--- Additional User Context ---\n${additionalContext}\n--
  * @returns {Promise<Array<Object>>} - A promise that resolves to the array of updated task objects.
  */
 async function callGenerativeAIForUpdate(tasksToUpdate, updatePrompt, systemContext) {
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error("GEMINI_API_KEY environment variable is missing. Cannot update tasks.");
-  }
   if (!tasksToUpdate || tasksToUpdate.length === 0) {
     log('warn', 'No tasks provided to update.');
     return []; // Return empty if no tasks need updating
   }
 
   const loadingIndicator = startLoadingIndicator('Calling Generative AI to update tasks...');
-  let model; // Declare model variable outside try block
-  try {
-      model = getGenerativeModel(); // Initialize model inside try block in case getGenerativeModel throws
-  } catch (modelError) {
-      stopLoadingIndicator(loadingIndicator);
-      log('error', `Failed to get generative model: ${modelError.message}`);
-      throw new Error(`Failed to initialize AI model for update: ${modelError.message}`);
-  }
 
   try {
     const taskDataString = JSON.stringify(tasksToUpdate, null, 2);
 
-    // Construct the prompt for Gemini, specifically for updating tasks
-    const combinedPrompt = `${systemContext}\n\nHere are the tasks that need updating based on new context:\n\`\`\`json\n${taskDataString}\n\`\`\`\n\nThe new context or required change is:\n"${updatePrompt}"\n\nPlease review each task provided above. Update their fields (title, description, details, testStrategy, etc.) to accurately reflect the new context. Maintain the original task IDs, statuses, dependencies, and priorities unless the context explicitly requires changing them.\n\nIMPORTANT: Respond ONLY with the complete, updated list of tasks as a valid JSON array. The array should contain all the tasks provided, in the same order, but with the necessary modifications applied. Do not include any explanatory text, markdown formatting, or code block markers before or after the JSON array.\n`;
+    // Construct the prompt, specifically for updating tasks
+    const combinedPrompt = renderPrompt('update', { systemContext, tasksJson: taskDataString, prompt: updatePrompt });
 
     log('debug', `Sending update request to Generative AI model: ${CONFIG.model}`);
 
-    // Use generateContent for a single JSON response
-    const result = await model.generateContent(combinedPrompt);
-
-    if (!result || !result.response || typeof result.response.text !== 'function') {
-      stopLoadingIndicator(loadingIndicator); // Stop indicator before throwing
-      throw new Error('Invalid response structure received from Gemini API during task update.');
-    }
-    const responseText = result.response.text();
+    // Use a single completion validated against the task schema
+    const { data: updatedTasks } = await completeStructured({ prompt: combinedPrompt }, TASK_UPDATE_RESPONSE_SCHEMA);
     stopLoadingIndicator(loadingIndicator);
     log('info', 'Received updated tasks response from Generative AI.');
-    log('debug', `Raw update response length: ${responseText.length}`);
 
-    // Parse the JSON response - reuse or adapt the parsing logic from complexity analysis
-    log('info', 'Parsing updated tasks JSON...');
-    let updatedTasks;
-    try {
-      let cleanedResponse = responseText.trim();
-      let jsonString = null;
-
-      // --- Start: Enhanced JSON Extraction Logic ---
-      // Strategy 1: Find the first '[' and last ']'
-      const firstBracket = cleanedResponse.indexOf('[');
-      const lastBracket = cleanedResponse.lastIndexOf(']');
-
-      if (firstBracket !== -1 && lastBracket !== -1 && lastBracket > firstBracket) {
-        jsonString = cleanedResponse.substring(firstBracket, lastBracket + 1);
-        log('debug', 'Attempting to parse JSON found between first [ and last ].');
-        try {
-          updatedTasks = JSON.parse(jsonString);
-          if (!Array.isArray(updatedTasks)) {
-            log('warn', 'Parsed content between brackets is not an array. Resetting.');
-            updatedTasks = null; // Reset if not an array
-            jsonString = null;   // Reset jsonString to allow fallback
-          }
-        } catch (e) {
-          log('warn', 'Failed to parse content between first [ and last ]. Trying fallback.');
-          updatedTasks = null; // Reset on parse error
-          jsonString = null;   // Reset jsonString to allow fallback
-        }
-      }
-      // --- End: Enhanced JSON Extraction Logic ---
-
-      // Strategy 2: Fallback to regex for code blocks if Strategy 1 failed or result wasn't an array
-      if (!updatedTasks) { 
-        log('debug', 'Fallback: Searching for JSON array within markdown code blocks.');
-        const jsonMatch = cleanedResponse.match(/```(?:json)?\s*(\[\s\S]*?\])\s*```/s) || cleanedResponse.match(/(\[\s\S]*?\])/s);
-
-        if (jsonMatch && jsonMatch[1]) {
-          jsonString = jsonMatch[1];
-          log('debug', 'Extracted JSON array using regex.');
-          try {
-             updatedTasks = JSON.parse(jsonString);
-             if (!Array.isArray(updatedTasks)) {
-                log('error', 'Content extracted via regex is not a valid JSON array.');
-                throw new Error("Parsed update response (from regex) is not a valid JSON array.");
-             }
-          } catch (parseError) {
-             log('error', `Failed to parse JSON extracted via regex: ${parseError.message}`);
-             log('debug', `Content attempted for regex parse: ${jsonString}`);
-             throw new Error(`Failed to parse AI task update response (from regex): ${parseError.message}`);
-          }
-        } else {
-          // If no JSON array found by either method
-          log('error', 'Could not find a valid JSON array in the AI response using any method.');
-          log('debug', `Raw response: ${responseText}`);
-          throw new Error("AI response for update does not appear to contain a JSON array.");
-        }
-      }
-
-      // Basic validation: Check if the number of tasks returned matches the number sent
-      if (updatedTasks.length !== tasksToUpdate.length) {
-          log('warn', `Number of tasks returned (${updatedTasks.length}) does not match number sent (${tasksToUpdate.length}).`);
-          // Decide how to handle this: throw error, try to match by ID, or proceed with caution.
-          // For now, we proceed but log a warning.
-      }
-
-      // Further validation could involve checking if all original IDs are present.
-
-      log('info', `Successfully parsed ${updatedTasks.length} updated task entries.`);
-      return updatedTasks; // Return the array of updated tasks
-
-    } catch (parseError) {
-      log('error', `Failed to parse AI update response as JSON: ${parseError.message}`);
-      log('debug', `Raw response causing update parse error: ${responseText}`);
-      throw new Error(`Failed to parse AI task update response: ${parseError.message}`);
+    // Basic validation: Check if the number of tasks returned matches the number sent
+    if (updatedTasks.length !== tasksToUpdate.length) {
+      log('warn', `Number of tasks returned (${updatedTasks.length}) does not match number sent (${tasksToUpdate.length}).`);
     }
 
+    log('info', `Successfully parsed ${updatedTasks.length} updated task entries.`);
+    return updatedTasks; // Return the array of updated tasks
+
   } catch (error) {
     // Ensure indicator is stopped if it wasn't already
     // Check if loadingIndicator is truthy before stopping
@@ -1004,12 +813,12 @@ async function callGenerativeAIForUpdate(tasksToUpdate, updatePrompt, systemCont
     }
     const userMessage = handleApiError(error, "Generative AI Task Update");
     log('error', `Error updating tasks via AI: ${userMessage}`);
-    console.error(chalk.red(`Failed to update tasks using AI: ${userMessage}`));
+    terminal.error(chalk.red(`Failed to update tasks using AI: ${userMessage}`));
     if (CONFIG.debug && error.stack) {
       log('debug', error.stack);
     }
-    // Rethrow a potentially more informative error if it came from parsing
-    if (error.message.startsWith("Failed to parse")) {
+    // Rethrow a potentially more informative error if it came from validation
+    if (error.message.startsWith("AI response does not match")) {
         throw error;
     }
     // Otherwise, throw the handled API error
@@ -1019,14 +828,19 @@ async function callGenerativeAIForUpdate(tasksToUpdate, updatePrompt, systemCont
 
 // Export AI service functions
 export {
+  complete,
+  completeStructured,
+  stream,
+  withRateLimitRetry,
+  isRateLimitError,
+  isResearchAvailable,
   callGenerativeAI,
   generateSubtasks,
   generateSubtasksWithPerplexity,
   analyzeTaskComplexity,
   callGenerativeAIForUpdate,
-  getPerplexityClient,
   handleApiError,
-  handleStreamingRequestGemini,
+  handleStreamingRequest,
   processApiResponse,
   parseSubtasksFromText,
   generateComplexityAnalysisPrompt
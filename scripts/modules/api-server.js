@@ -0,0 +1,335 @@
+/**
+ * api-server.js
+ * REST API over the tasks of a project, served by task-master serve
+ *
+ * Routes call the same task-manager and dependency-manager functions as the CLI,
+ * without printing, and answer with the envelope of --json output:
+ * { ok: true, data } or { ok: false, error: { code, message } }.
+ *
+ * With a JWT secret, every route but /openapi.json needs a bearer token, checked
+ * like the HTTP transport of the MCP server does. Listening on anything but a
+ * loopback interface requires the secret.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import { log, readTasks, readComplexityReport } from './utils.js';
+import {
+  queryTasks,
+  createTask,
+  editTask,
+  getTask,
+  findNextTask,
+  removeTask,
+  setTaskStatus,
+  addSubtask,
+  removeSubtask,
+  clearSubtasks,
+  TASK_STATUSES
+} from './task-manager.js';
+import { addDependency, removeDependency } from './dependency-manager.js';
+import { runQuietly, createCodedError } from './output.js';
+import { withHistoryContext } from './history.js';
+import { createTaskFilter } from './task-fields.js';
+import { getTaskQueryData } from './task-query.js';
+import { getOpenApiDocument } from './openapi.js';
+import { createJwtAuthenticator } from '../../mcp-server/src/auth.js';
+
+const DEFAULT_API_OPTIONS = {
+  port: 3001,
+  host: '127.0.0.1'
+};
+
+// HTTP status of the error codes; any other error is a server error
+const ERROR_STATUS = {
+  INVALID_INPUT: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  ESTALE: 409
+};
+
+/**
+ * Version of Task Master, for the OpenAPI document
+ * @returns {string} Version from package.json
+ */
+function getPackageVersion() {
+  const packagePath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../package.json');
+  return JSON.parse(fs.readFileSync(packagePath, 'utf8')).version;
+}
+
+/**
+ * Check a task ID taken from the URL
+ * @param {string} id - ID from the path
+ * @param {boolean} [allowSubtask=true] - Whether "5.2" is accepted
+ * @returns {string} The ID
+ * @throws {Error} With code INVALID_INPUT if it is not an ID
+ */
+function parseTaskId(id, allowSubtask = true) {
+  const pattern = allowSubtask ? /^\d+(\.\d+)?$/ : /^\d+$/;
+  if (!pattern.test(id)) {
+    throw createCodedError(`Invalid ${allowSubtask ? 'task or subtask' : 'task'} ID "${id}"`, 'INVALID_INPUT');
+  }
+  return id;
+}
+
+/**
+ * Whether a host name or address only accepts connections from this machine
+ * @param {string} host - Interface to listen on
+ * @returns {boolean} True for localhost, 127.0.0.0/8 and ::1
+ */
+function isLoopbackHost(host) {
+  return host === 'localhost' || host === '::1' || /^127(\.\d{1,3}){3}$/.test(host);
+}
+
+/**
+ * Read a boolean query parameter
+ * @param {string|undefined} value - Query value
+ * @returns {boolean} True for "true" and "1"
+ */
+function isTrue(value) {
+  return value === 'true' || value === '1';
+}
+
+/**
+ * Read the tasks, failing like getTask does when there are none
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {Array} All tasks
+ */
+function readAllTasks(tasksPath) {
+  const data = readTasks(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+  return data.tasks;
+}
+
+/**
+ * Send the error envelope
+ * @param {Object} res - HTTP response
+ * @param {Error} error - What went wrong
+ */
+function sendError(res, error) {
+  const code = typeof error.code === 'string' && ERROR_STATUS[error.code] ? error.code : 'ERROR';
+  const status = ERROR_STATUS[code] || 500;
+  if (status === 500) {
+    log('error', `API request failed: ${error.stack || error.message}`);
+  }
+  res.status(status).json({ ok: false, error: { code, message: error.message } });
+}
+
+/**
+ * Create the express app of the REST API
+ * @param {Object} [options] - Options
+ * @param {string} [options.tasksPath='tasks/tasks.json'] - Path to the tasks.json file
+ * @param {string} [options.reportPath] - Path to the complexity report (default: scripts/task-complexity-report.json)
+ * @param {Array<string>} [options.corsOrigins=[]] - Origins allowed to call the API from a browser; "*" allows any
+ * @param {Object} [options.jwt] - Require bearer tokens signed with jwt.secret (HS256), with
+ *   jwt.issuer and jwt.audience if given; no authentication without it
+ * @returns {Object} Express app
+ */
+function createApiApp(options = {}) {
+  const { tasksPath = 'tasks/tasks.json', reportPath = null, corsOrigins = [], jwt = null } = options;
+  const authenticate = jwt ? createJwtAuthenticator(jwt) : null;
+  const app = express();
+
+  // Requests run one after another, so changes never interleave
+  let queue = Promise.resolve();
+
+  /**
+   * Wrap a route handler: runs it quietly and in turn, and sends its result
+   * @param {Function} handler - Takes the request, returns the response data
+   * @param {number} [status=200] - HTTP status on success
+   * @returns {Function} Express handler
+   */
+  const route = (handler, status = 200) => (req, res) => {
+    const run = () => runQuietly(() =>
+      withHistoryContext('serve', { request: `${req.method} ${req.path}` }, () => handler(req))
+    );
+    queue = queue.then(run).then(
+      data => res.status(status).json({ ok: true, data: data === undefined ? null : data }),
+      error => sendError(res, error)
+    );
+    return queue;
+  };
+
+  app.disable('x-powered-by');
+  app.use(helmet());
+  app.use(cors({ origin: corsOrigins.includes('*') ? true : corsOrigins, allowedHeaders: ['Authorization', 'Content-Type'] }));
+
+  app.get('/openapi.json', (req, res) => res.json(getOpenApiDocument(getPackageVersion())));
+
+  if (authenticate) {
+    app.use((req, res, next) => {
+      try {
+        req.auth = authenticate(req);
+        next();
+      } catch (error) {
+        res.set('WWW-Authenticate', 'Bearer realm="task-master"');
+        sendError(res, error);
+      }
+    });
+  }
+  app.use(express.json({ limit: '1mb' }));
+
+  app.get('/tasks', route(req => {
+    const { status, q, tag, sort, withSubtasks } = req.query;
+    const result = queryTasks(tasksPath, {
+      query: [q, status && `status:${status}`].filter(Boolean).join(' '),
+      filter: createTaskFilter({ tags: tag ? [tag] : [] }),
+      withSubtasks: isTrue(withSubtasks),
+      sort,
+      format: 'json'
+    });
+    return getTaskQueryData(result);
+  }));
+
+  app.post('/tasks', route(async req => ({ task: await createTask(tasksPath, req.body) }), 201));
+
+  app.get('/tasks/:id', route(req => ({ task: getTask(tasksPath, parseTaskId(req.params.id)) })));
+
+  app.patch('/tasks/:id', route(async req => ({
+    task: await editTask(tasksPath, parseTaskId(req.params.id), req.body)
+  })));
+
+  app.delete('/tasks/:id', route(async req => {
+    const id = parseTaskId(req.params.id, false);
+    getTask(tasksPath, id);
+    return removeTask(tasksPath, id, { yes: true, dependents: req.query.dependents });
+  }));
+
+  app.put('/tasks/:id/status', route(async req => {
+    const id = parseTaskId(req.params.id);
+    const status = req.body && req.body.status;
+    if (typeof status !== 'string' || !status.trim()) {
+      throw createCodedError('Give the new status as { "status": "..." }', 'INVALID_INPUT');
+    }
+    if (!TASK_STATUSES.includes(status.trim())) {
+      throw createCodedError(`Invalid status "${status.trim()}". Use one of: ${TASK_STATUSES.join(', ')}`, 'INVALID_INPUT');
+    }
+    return { updated: await setTaskStatus(tasksPath, id, status.trim()) };
+  }));
+
+  app.get('/tasks/:id/subtasks', route(req => {
+    const task = getTask(tasksPath, parseTaskId(req.params.id, false));
+    return { taskId: task.id, subtasks: task.subtasks || [] };
+  }));
+
+  app.post('/tasks/:id/subtasks', route(async req => {
+    const parentId = parseTaskId(req.params.id, false);
+    const { taskId, title, description, details, status, dependencies = [] } = req.body || {};
+    if (taskId === undefined && !title) {
+      throw createCodedError('Give the title of the new subtask, or the taskId of a task to convert', 'INVALID_INPUT');
+    }
+    if (!Array.isArray(dependencies)) {
+      throw createCodedError('dependencies must be a list of IDs', 'INVALID_INPUT');
+    }
+    const newSubtaskData = taskId !== undefined ? null : {
+      title,
+      description: description || '',
+      details: details || '',
+      status: status || 'pending',
+      dependencies: dependencies.map(id => (String(id).includes('.') ? String(id) : parseInt(id, 10)))
+    };
+    return {
+      parentId: parseInt(parentId, 10),
+      subtask: await addSubtask(tasksPath, parentId, taskId !== undefined ? taskId : null, newSubtaskData)
+    };
+  }, 201));
+
+  app.delete('/tasks/:id/subtasks', route(req => {
+    const id = parseTaskId(req.params.id, false);
+    getTask(tasksPath, id);
+    return { cleared: clearSubtasks(tasksPath, id) };
+  }));
+
+  app.delete('/tasks/:id/subtasks/:subtaskId', route(async req => {
+    const id = `${parseTaskId(req.params.id, false)}.${parseTaskId(req.params.subtaskId, false)}`;
+    getTask(tasksPath, id);
+    return { removed: id, task: await removeSubtask(tasksPath, id, isTrue(req.query.convert)) };
+  }));
+
+  app.get('/tasks/:id/dependencies', route(req => {
+    const task = getTask(tasksPath, parseTaskId(req.params.id));
+    return {
+      taskId: task.parentId ? `${task.parentId}.${task.id}` : task.id,
+      dependencies: task.dependencies || []
+    };
+  }));
+
+  app.post('/tasks/:id/dependencies', route(req => {
+    const id = parseTaskId(req.params.id);
+    const dependsOn = req.body && req.body.dependsOn;
+    if (dependsOn === undefined || dependsOn === null || dependsOn === '') {
+      throw createCodedError('Give the task to depend on as { "dependsOn": "..." }', 'INVALID_INPUT');
+    }
+    getTask(tasksPath, id);
+    return addDependency(tasksPath, id, String(dependsOn));
+  }));
+
+  app.delete('/tasks/:id/dependencies/:dependsOn', route(req => {
+    const id = parseTaskId(req.params.id);
+    getTask(tasksPath, id);
+    return removeDependency(tasksPath, id, parseTaskId(req.params.dependsOn));
+  }));
+
+  app.get('/next', route(req => {
+    const filter = createTaskFilter({ tags: req.query.tag ? [req.query.tag] : [] });
+    return { task: findNextTask(readAllTasks(tasksPath), filter) };
+  }));
+
+  app.get('/complexity', route(() => {
+    const report = readComplexityReport(reportPath);
+    if (!report) {
+      throw createCodedError('No complexity report found. Run task-master analyze-complexity first.', 'NOT_FOUND');
+    }
+    return report;
+  }));
+
+  app.use((req, res) => {
+    sendError(res, createCodedError(`Cannot ${req.method} ${req.path}`, 'NOT_FOUND'));
+  });
+
+  // Malformed JSON bodies and other errors raised by middleware
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return sendError(res, createCodedError(`Invalid JSON body: ${error.message}`, 'INVALID_INPUT'));
+    }
+    sendError(res, error);
+  });
+
+  return app;
+}
+
+/**
+ * Serve the REST API until the process ends
+ * @param {Object} [options] - Options of createApiApp, plus port and host
+ * @param {number} [options.port=3001] - Port to listen on
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+ * @returns {Promise<Object>} The HTTP server, once it is listening
+ * @throws {Error} With code INVALID_INPUT if host is not a loopback interface and there is no JWT secret
+ */
+async function startApiServer(options = {}) {
+  const { port = DEFAULT_API_OPTIONS.port, host = DEFAULT_API_OPTIONS.host } = options;
+  if (!isLoopbackHost(host) && !(options.jwt && options.jwt.secret)) {
+    throw createCodedError(
+      `Refusing to serve the API on ${host} without authentication. Set API_JWT_SECRET, or listen on 127.0.0.1.`,
+      'INVALID_INPUT'
+    );
+  }
+  const app = createApiApp(options);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => resolve(server));
+    server.once('error', reject);
+  });
+}
+
+export {
+  DEFAULT_API_OPTIONS,
+  isLoopbackHost,
+  createApiApp,
+  startApiServer
+};
@@ -9,20 +9,31 @@ import chalk from 'chalk';
 import boxen from 'boxen';
 import fs from 'fs';
 
-import { CONFIG, log, readJSON } from './utils.js';
+import { CONFIG, log, readTasks, updateProjectConfig } from './utils.js';
 import {
   parsePRD,
   updateTasks,
+  updateTaskById,
   generateTaskFiles,
+  syncTaskFiles,
   setTaskStatus,
+  setTaskField,
   listTasks,
+  queryTasks,
   expandTask,
   expandAllTasks,
   clearSubtasks,
   addTask,
   addSubtask,
   removeSubtask,
-  analyzeTaskComplexity
+  removeTask,
+  moveTask,
+  renumberTasks,
+  getTask,
+  analyzeTaskComplexity,
+  undoChange,
+  redoChange,
+  migrateStorage
 } from './task-manager.js';
 
 import {
@@ -37,10 +48,70 @@ import {
   displayHelp,
   displayNextTask,
   displayTaskById,
+  displaySearchResults,
   displayComplexityReport,
+  displayUsageReport,
+  displayPromptList,
+  displayPrompt,
+  displayPromptDiff,
+  displayHistory,
+  displayIdChanges,
   getStatusWithColor
 } from './ui.js';
 
+import { setUsageCommand } from './usage-tracker.js';
+import { setHistoryContext } from './history.js';
+import { setCacheEnabled, getCacheStats, clearCache } from './ai-cache.js';
+import { TASK_FILE_FORMATS, getTaskFileFormat } from './task-files.js';
+import { listStorages } from './storage.js';
+import { createTaskFilter } from './task-fields.js';
+import { LIST_FORMATS, GROUP_KEYS, getTaskQueryData } from './task-query.js';
+import { DEFAULT_THRESHOLD } from './task-search.js';
+import { DEFAULT_API_OPTIONS, startApiServer } from './api-server.js';
+import {
+  isJsonOutput,
+  enableJsonOutput,
+  setCommandName,
+  setCommandResult,
+  reportError,
+  finishJsonOutput,
+  createCodedError
+} from './output.js';
+
+/**
+ * Collect the values of an option that may be given more than once
+ * @param {string} value - Value of this occurrence
+ * @param {string[]} [previous] - Values collected so far
+ * @returns {string[]} All values
+ */
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Print the error that ended a command and exit, keeping its code for the
+ * --json envelope
+ * @param {Error} error - Error, with a code from createCodedError if it has one
+ */
+function exitWithError(error) {
+  finishJsonOutput(1, error);
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+}
+
+/**
+ * Build the tag and field filter of list and next, exiting on invalid clauses
+ * @param {Object} options - Command options with tag and where arrays, if given
+ * @returns {Object|null} Task filter
+ */
+function parseFilterOptions(options) {
+  try {
+    return createTaskFilter({ tags: options.tag, where: options.where });
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
 /**
  * Configure and register CLI commands
  * @param {Object} program - Commander program instance
@@ -72,7 +143,8 @@ function registerCommands(programInstance) {
           const outputPath = options.output;
           
           console.log(chalk.blue(`Generating ${numTasks} tasks...`));
-          await parsePRD(defaultPrdPath, outputPath, numTasks);
+          const tasks = await parsePRD(defaultPrdPath, outputPath, numTasks);
+          setCommandResult({ tasks });
           return;
         }
         
@@ -103,7 +175,8 @@ function registerCommands(programInstance) {
       console.log(chalk.blue(`Parsing PRD file: ${inputFile}`));
       console.log(chalk.blue(`Generating ${numTasks} tasks...`));
       
-      await parsePRD(inputFile, outputPath, numTasks);
+      const tasks = await parsePRD(inputFile, outputPath, numTasks);
+      setCommandResult({ tasks });
     });
 
   // update command
@@ -132,7 +205,49 @@ function registerCommands(programInstance) {
         console.log(chalk.blue('Using Perplexity AI for research-backed task updates'));
       }
       
-      await updateTasks(tasksPath, fromId, prompt, useResearch);
+      const tasks = await updateTasks(tasksPath, fromId, prompt, useResearch);
+      setCommandResult({ tasks });
+    });
+
+  // update-task command
+  programInstance
+    .command('update-task')
+    .description('Update a single task or subtask based on new information, showing the changes before saving them')
+    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-i, --id <id>', 'Task ID (e.g. 5) or subtask ID (e.g. 5.2) to update (required)')
+    .option('-p, --prompt <text>', 'Prompt explaining the changes or new context (required)')
+    .option('-r, --research', 'Use Perplexity AI for research-backed task updates')
+    .option('-y, --yes', 'Save the changes without asking for confirmation')
+    .action(async (options) => {
+      const tasksPath = options.file;
+      const taskId = options.id;
+      const prompt = options.prompt;
+      const useResearch = options.research || false;
+      
+      if (!taskId) {
+        console.error(chalk.red('Error: --id parameter is required. Please provide a task or subtask ID.'));
+        process.exit(1);
+      }
+      
+      if (!prompt) {
+        console.error(chalk.red('Error: --prompt parameter is required. Please provide information about the changes.'));
+        process.exit(1);
+      }
+      
+      // The confirmation prompt cannot be answered when the output is JSON
+      if (isJsonOutput() && !options.yes) {
+        throw createCodedError('--yes is required with --json, since the changes cannot be confirmed interactively', 'CONFIRMATION_REQUIRED');
+      }
+      
+      console.log(chalk.blue(`Updating task ${taskId} with prompt: "${prompt}"`));
+      console.log(chalk.blue(`Tasks file: ${tasksPath}`));
+      
+      if (useResearch) {
+        console.log(chalk.blue('Using Perplexity AI for research-backed task updates'));
+      }
+      
+      const task = await updateTaskById(tasksPath, taskId, prompt, useResearch, { yes: options.yes || false });
+      setCommandResult({ task });
     });
 
   // generate command
@@ -141,14 +256,51 @@ function registerCommands(programInstance) {
     .description('Generate task files from tasks.json')
     .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
     .option('-o, --output <dir>', 'Output directory', 'tasks')
+    .option('--force', 'Overwrite task files that were edited by hand')
+    .option('--format <format>', 'Task file format: txt or md (remembered for later commands)')
     .action(async (options) => {
       const tasksPath = options.file;
       const outputDir = options.output;
       
+      if (options.format && !TASK_FILE_FORMATS.includes(options.format)) {
+        console.error(chalk.red(`Error: Invalid format "${options.format}". Use one of: ${TASK_FILE_FORMATS.join(', ')}`));
+        process.exit(1);
+      }
+      
       console.log(chalk.blue(`Generating task files from: ${tasksPath}`));
       console.log(chalk.blue(`Output directory: ${outputDir}`));
       
-      await generateTaskFiles(tasksPath, outputDir);
+      // Remember the format so commands that regenerate task files keep using it
+      if (options.format && options.format !== getTaskFileFormat()) {
+        updateProjectConfig({ taskFileFormat: options.format });
+        console.log(chalk.blue(`Task file format set to ${options.format} in ${CONFIG.projectConfigPath}`));
+      }
+      
+      setCommandResult(await generateTaskFiles(tasksPath, outputDir, { force: options.force || false, format: options.format }));
+    });
+
+  // sync command
+  programInstance
+    .command('sync')
+    .description('Merge edits of task files into tasks.json and rewrite task files whose task changed')
+    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-o, --output <dir>', 'Directory holding the task files', 'tasks')
+    .option('--prefer <side>', 'Resolve conflicts with the "file" or the "json" version')
+    .option('--dry-run', 'Show what would change without writing anything')
+    .action(async (options) => {
+      try {
+        console.log(chalk.blue(`Syncing task files in ${options.output} with ${options.file}`));
+        const summary = await syncTaskFiles(options.file, options.output, {
+          prefer: options.prefer,
+          dryRun: options.dryRun || false
+        });
+        setCommandResult(summary);
+        if (summary.conflicts.length > 0 || summary.invalid.length > 0) {
+          process.exit(1);
+        }
+      } catch (error) {
+        exitWithError(error);
+      }
     });
 
   // set-status command
@@ -170,20 +322,71 @@ function registerCommands(programInstance) {
       
       console.log(chalk.blue(`Setting status of task(s) ${taskId} to: ${status}`));
       
-      await setTaskStatus(tasksPath, taskId, status);
+      const updated = await setTaskStatus(tasksPath, taskId, status);
+      setCommandResult({ updated });
+    });
+
+  // set-field command
+  programInstance
+    .command('set-field')
+    .description(`Set the tags or a custom field of one or more tasks${chalk.reset('')}`)
+    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-i, --id <id>', 'Task ID (can be comma-separated for multiple tasks)')
+    .option('--field <name>', '"tags" or a custom field declared in the project config')
+    .option('--value <value>', 'New value (comma-separated for tags)')
+    .option('--unset', 'Remove the field from the tasks')
+    .action(async (options) => {
+      if (!options.id || !options.field) {
+        console.error(chalk.red('Error: Both --id and --field are required'));
+        process.exit(1);
+      }
+
+      try {
+        const tasks = await setTaskField(options.file, options.id, options.field, options.value, { unset: options.unset || false });
+        setCommandResult({ tasks });
+      } catch (error) {
+        exitWithError(error);
+      }
     });
 
   // list command
   programInstance
     .command('list')
-    .description('List all tasks')
+    .description('List all tasks, optionally matching a query such as "status:pending deps:ready tag:api"')
+    .argument('[query...]', 'Query terms (see the README for the syntax)')
     .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
     .option('-s, --status <status>', 'Filter by status')
+    .option('--tag <tag>', 'Only show tasks with this tag (repeatable)', collect)
+    .option('--where <clause>', 'Only show tasks where a field matches, e.g. estimate<=3 (repeatable)', collect)
     .option('--with-subtasks', 'Show subtasks for each task')
-    .action(async (options) => {
+    .option('-q, --query <query>', 'Query terms, as an alternative to positional arguments')
+    .option('--sort <keys>', 'Sort by comma-separated keys, "-" for descending (e.g. priority,-id)')
+    .option('--group-by <key>', `Group by ${GROUP_KEYS.join(', ')}`)
+    .option('--format <format>', `Output format: ${LIST_FORMATS.join(', ')}`, 'table')
+    .action(async (queryTerms, options) => {
       const tasksPath = options.file;
       const statusFilter = options.status;
       const withSubtasks = options.withSubtasks || false;
+      const filter = parseFilterOptions(options);
+      const query = [...queryTerms, options.query].filter(Boolean).join(' ');
+
+      // JSON output always goes through the query engine for its row shape
+      if (query || options.sort || options.groupBy || options.format !== 'table' || isJsonOutput()) {
+        try {
+          const result = queryTasks(tasksPath, {
+            query: [query, statusFilter && `status:${statusFilter}`].filter(Boolean).join(' '),
+            filter,
+            withSubtasks,
+            sort: options.sort,
+            groupBy: options.groupBy,
+            format: options.format
+          });
+          setCommandResult(getTaskQueryData(result));
+        } catch (error) {
+          exitWithError(error);
+        }
+        return;
+      }
       
       console.log(chalk.blue(`Listing tasks from: ${tasksPath}`));
       if (statusFilter) {
@@ -193,7 +396,7 @@ function registerCommands(programInstance) {
         console.log(chalk.blue('Including subtasks in listing'));
       }
       
-      await listTasks(tasksPath, statusFilter, withSubtasks);
+      await listTasks(tasksPath, statusFilter, withSubtasks, filter);
     });
 
   // expand command
@@ -207,6 +410,8 @@ function registerCommands(programInstance) {
     .option('--research', 'Enable Perplexity AI for research-backed subtask generation')
     .option('-p, --prompt <text>', 'Additional context to guide subtask generation')
     .option('--force', 'Force regeneration of subtasks for tasks that already have them')
+    .option('-c, --concurrency <number>', 'With --all: maximum number of tasks expanded in parallel', CONFIG.concurrency.toString())
+    .option('--fresh', 'With --all: ignore the checkpoint of an interrupted run and start over')
     .action(async (options) => {
       const tasksPath = options.file;
       const idArg = options.id ? parseInt(options.id, 10) : null;
@@ -229,7 +434,13 @@ function registerCommands(programInstance) {
         if (additionalContext) {
           console.log(chalk.blue(`Additional context: "${additionalContext}"`));
         }
-        await expandAllTasks(numSubtasks, useResearch, additionalContext, forceFlag);
+        const concurrency = parseInt(options.concurrency, 10);
+        if (isNaN(concurrency) || concurrency < 1) {
+          console.error(chalk.red('Error: --concurrency must be a positive number'));
+          process.exit(1);
+        }
+        const results = await expandAllTasks(numSubtasks, useResearch, additionalContext, forceFlag, { concurrency, fresh: options.fresh, file: tasksPath });
+        setCommandResult({ results });
       } else if (idArg) {
         console.log(chalk.blue(`Expanding task ${idArg} with ${numSubtasks} subtasks...`));
         if (useResearch) {
@@ -240,7 +451,8 @@ function registerCommands(programInstance) {
         if (additionalContext) {
           console.log(chalk.blue(`Additional context: "${additionalContext}"`));
         }
-        await expandTask(idArg, numSubtasks, useResearch, additionalContext);
+        const subtasks = await expandTask(idArg, numSubtasks, useResearch, additionalContext, { file: tasksPath });
+        setCommandResult({ taskId: idArg, subtasks });
       } else {
         console.error(chalk.red('Error: Please specify a task ID with --id=<id> or use --all to expand all tasks.'));
       }
@@ -269,7 +481,7 @@ function registerCommands(programInstance) {
         console.log(chalk.blue('Using Perplexity AI for research-backed complexity analysis'));
       }
       
-      await analyzeTaskComplexity(options);
+      setCommandResult(await analyzeTaskComplexity(options));
     });
 
   // clear-subtasks command
@@ -291,15 +503,15 @@ function registerCommands(programInstance) {
 
       if (all) {
         // If --all is specified, get all task IDs
-        const data = readJSON(tasksPath);
+        const data = readTasks(tasksPath);
         if (!data || !data.tasks) {
           console.error(chalk.red('Error: No valid tasks found'));
           process.exit(1);
         }
         const allIds = data.tasks.map(t => t.id).join(',');
-        clearSubtasks(tasksPath, allIds);
+        setCommandResult({ cleared: await clearSubtasks(tasksPath, allIds) });
       } else {
-        clearSubtasks(tasksPath, taskIds);
+        setCommandResult({ cleared: await clearSubtasks(tasksPath, taskIds) });
       }
     });
 
@@ -326,7 +538,9 @@ function registerCommands(programInstance) {
       console.log(chalk.blue(`Dependencies: ${dependencies.length > 0 ? dependencies.join(', ') : 'None'}`));
       console.log(chalk.blue(`Priority: ${priority}`));
       
-      await addTask(tasksPath, prompt, dependencies, priority);
+      const newTaskId = await addTask(tasksPath, prompt, dependencies, priority);
+      const data = readTasks(tasksPath);
+      setCommandResult({ task: data ? data.tasks.find(task => task.id === newTaskId) || null : null });
     });
 
   // next command
@@ -334,9 +548,12 @@ function registerCommands(programInstance) {
     .command('next')
     .description(`Show the next task to work on based on dependencies and status${chalk.reset('')}`)
     .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('--tag <tag>', 'Only consider tasks with this tag (repeatable)', collect)
+    .option('--where <clause>', 'Only consider tasks where a field matches, e.g. estimate<=3 (repeatable)', collect)
     .action(async (options) => {
       const tasksPath = options.file;
-      await displayNextTask(tasksPath);
+      const task = await displayNextTask(tasksPath, parseFilterOptions(options));
+      setCommandResult({ task });
     });
 
   // show command
@@ -356,6 +573,40 @@ function registerCommands(programInstance) {
       
       const tasksPath = options.file;
       await displayTaskById(tasksPath, idArg);
+      // A missing task is only an error for scripts (NOT_FOUND); the human output keeps exiting with 0
+      if (isJsonOutput()) {
+        setCommandResult({ task: getTask(tasksPath, idArg) });
+      }
+    });
+
+  // search command
+  programInstance
+    .command('search')
+    .description(`Fuzzy search the titles, descriptions, details and test strategies of tasks and subtasks${chalk.reset('')}`)
+    .argument('<query...>', 'Words to look for')
+    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-l, --limit <number>', 'Maximum number of results', '10')
+    .option('-t, --threshold <number>', 'Fuzziness from 0 (exact) to 1 (anything)', String(DEFAULT_THRESHOLD))
+    .option('-s, --show [rank]', 'Show the details of the best match, or of the match with this rank')
+    .action(async (queryWords, options) => {
+      const limit = parseInt(options.limit, 10);
+      const threshold = parseFloat(options.threshold);
+      const show = options.show === undefined ? 0 : options.show === true ? 1 : parseInt(options.show, 10);
+      if (isNaN(limit) || limit < 0) {
+        console.error(chalk.red('Error: --limit must be 0 (no limit) or a positive number'));
+        process.exit(1);
+      }
+      if (isNaN(show) || show < 0) {
+        console.error(chalk.red('Error: --show takes the rank of a result, e.g. --show 2'));
+        process.exit(1);
+      }
+
+      try {
+        const results = await displaySearchResults(options.file, queryWords.join(' '), { limit, threshold, show });
+        setCommandResult({ results });
+      } catch (error) {
+        exitWithError(error);
+      }
     });
 
   // add-dependency command
@@ -375,7 +626,7 @@ function registerCommands(programInstance) {
         process.exit(1);
       }
       
-      await addDependency(tasksPath, parseInt(taskId, 10), parseInt(dependencyId, 10));
+      setCommandResult(await addDependency(tasksPath, parseInt(taskId, 10), parseInt(dependencyId, 10)));
     });
 
   // remove-dependency command
@@ -395,7 +646,7 @@ function registerCommands(programInstance) {
         process.exit(1);
       }
       
-      await removeDependency(tasksPath, parseInt(taskId, 10), parseInt(dependencyId, 10));
+      setCommandResult(await removeDependency(tasksPath, parseInt(taskId, 10), parseInt(dependencyId, 10)));
     });
 
   // validate-dependencies command
@@ -404,7 +655,7 @@ function registerCommands(programInstance) {
     .description(`Identify invalid dependencies without fixing them${chalk.reset('')}`)
     .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
     .action(async (options) => {
-      await validateDependenciesCommand(options.file);
+      setCommandResult(await validateDependenciesCommand(options.file));
     });
 
   // fix-dependencies command
@@ -413,7 +664,7 @@ function registerCommands(programInstance) {
     .description(`Fix invalid dependencies automatically${chalk.reset('')}`)
     .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
     .action(async (options) => {
-      await fixDependenciesCommand(options.file);
+      setCommandResult(await fixDependenciesCommand(options.file));
     });
 
   // complexity-report command
@@ -422,7 +673,135 @@ function registerCommands(programInstance) {
     .description(`Display the complexity analysis report${chalk.reset('')}`)
     .option('-f, --file <file>', 'Path to the report file', 'scripts/task-complexity-report.json')
     .action(async (options) => {
-      await displayComplexityReport(options.file);
+      setCommandResult(await displayComplexityReport(options.file));
+    });
+
+  // history command
+  programInstance
+    .command('history')
+    .description(`Show the journal of changes made to the tasks file${chalk.reset('')}`)
+    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-l, --limit <number>', 'Number of most recent changes to show', '20')
+    .action(async (options) => {
+      setCommandResult({ entries: displayHistory(options.file, { limit: parseInt(options.limit, 10) }) });
+    });
+
+  // undo command
+  programInstance
+    .command('undo')
+    .description(`Revert the most recent change to the tasks file${chalk.reset('')}`)
+    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('--force', 'Undo even if the affected tasks were changed since')
+    .action(async (options) => {
+      try {
+        setCommandResult({ entry: undoChange(options.file, { force: options.force }) });
+      } catch (error) {
+        exitWithError(error);
+      }
+    });
+
+  // redo command
+  programInstance
+    .command('redo')
+    .description(`Re-apply the most recently undone change${chalk.reset('')}`)
+    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('--force', 'Redo even if the affected tasks were changed since the undo')
+    .action(async (options) => {
+      try {
+        setCommandResult({ entry: redoChange(options.file, { force: options.force }) });
+      } catch (error) {
+        exitWithError(error);
+      }
+    });
+
+  // migrate-storage command
+  programInstance
+    .command('migrate-storage')
+    .description(`Move the tasks to another storage backend (json, sqlite or directory)${chalk.reset('')}`)
+    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-t, --to <backend>', 'Storage backend to migrate to: json, sqlite (needs: npm install better-sqlite3) or directory')
+    .option('--force', 'Overwrite tasks that already exist in the target backend')
+    .option('--keep', 'Keep the tasks in the old backend instead of deleting them')
+    .action(async (options) => {
+      if (!options.to || !listStorages().includes(options.to)) {
+        console.error(chalk.red(`Error: Use --to with one of: ${listStorages().join(', ')}`));
+        process.exit(1);
+      }
+
+      try {
+        setCommandResult(migrateStorage(options.file, options.to, { force: options.force || false, keep: options.keep || false }));
+      } catch (error) {
+        exitWithError(error);
+      }
+    });
+
+  // usage command
+  programInstance
+    .command('usage')
+    .description(`Show AI token usage and estimated cost${chalk.reset('')}`)
+    .option('-f, --file <file>', 'Path to the usage ledger', CONFIG.usageFile)
+    .option('-b, --by <group>', 'Show only one breakdown: command, task or day')
+    .option('-s, --since <date>', 'Only include calls on or after this date (YYYY-MM-DD)')
+    .action(async (options) => {
+      if (options.by && !['command', 'task', 'day'].includes(options.by)) {
+        console.error(chalk.red(`Error: Invalid --by value "${options.by}". Expected command, task or day.`));
+        process.exit(1);
+      }
+      setCommandResult(displayUsageReport(options.file, { by: options.by, since: options.since }));
+    });
+
+  // cache command
+  programInstance
+    .command('cache')
+    .description(`Show or clear the AI response cache${chalk.reset('')}`)
+    .argument('[action]', 'info or clear', 'info')
+    .action(async (action) => {
+      if (action === 'info') {
+        const { entries, bytes } = getCacheStats();
+        const ttl = CONFIG.cacheTTL > 0 ? `${CONFIG.cacheTTL}s` : 'never expires';
+        console.log(chalk.white(`Cache directory: ${CONFIG.cacheDir}`));
+        console.log(chalk.white(`Entries: ${entries} (${(bytes / 1024).toFixed(1)} KB)`));
+        console.log(chalk.white(`TTL: ${ttl}`));
+        console.log(chalk.white(`Enabled: ${CONFIG.cacheEnabled ? 'yes' : 'no (AI_CACHE=false)'}`));
+        setCommandResult({ directory: CONFIG.cacheDir, entries, bytes, ttl: CONFIG.cacheTTL, enabled: CONFIG.cacheEnabled });
+      } else if (action === 'clear') {
+        const removed = clearCache();
+        console.log(chalk.green(`Removed ${removed} cached response(s) from ${CONFIG.cacheDir}`));
+        setCommandResult({ removed });
+      } else {
+        console.error(chalk.red(`Error: Unknown action "${action}". Expected info or clear.`));
+        process.exit(1);
+      }
+    });
+
+  // prompts command
+  programInstance
+    .command('prompts')
+    .description(`Inspect the prompt templates and project overrides${chalk.reset('')}`)
+    .argument('[action]', 'list, show or diff', 'list')
+    .argument('[name]', 'Template name (for show and diff)')
+    .option('--default', 'With show: print the built-in template even if the project overrides it')
+    .action(async (action, name, options) => {
+      try {
+        if (action === 'list') {
+          setCommandResult({ prompts: displayPromptList() });
+        } else if (action === 'show' || action === 'diff') {
+          if (!name) {
+            console.error(chalk.red(`Error: A template name is required. Example: task-master prompts ${action} expand`));
+            process.exit(1);
+          }
+          if (action === 'show') {
+            setCommandResult({ prompt: displayPrompt(name, { builtIn: options.default }) });
+          } else {
+            setCommandResult({ name, changes: displayPromptDiff(name) });
+          }
+        } else {
+          console.error(chalk.red(`Error: Unknown action "${action}". Expected list, show or diff.`));
+          process.exit(1);
+        }
+      } catch (error) {
+        exitWithError(error);
+      }
     });
 
   // add-subtask command
@@ -462,7 +841,8 @@ function registerCommands(programInstance) {
         if (existingTaskId) {
           // Convert existing task to subtask
           console.log(chalk.blue(`Converting task ${existingTaskId} to a subtask of ${parentId}...`));
-          await addSubtask(tasksPath, parentId, existingTaskId, null, generateFiles);
+          const subtask = await addSubtask(tasksPath, parentId, existingTaskId, null, generateFiles);
+          setCommandResult({ parentId: parseInt(parentId, 10), subtask });
           console.log(chalk.green(`✓ Task ${existingTaskId} successfully converted to a subtask of task ${parentId}`));
         } else if (options.title) {
           // Create new subtask with provided data
@@ -477,6 +857,7 @@ function registerCommands(programInstance) {
           };
           
           const subtask = await addSubtask(tasksPath, parentId, null, newSubtaskData, generateFiles);
+          setCommandResult({ parentId: parseInt(parentId, 10), subtask });
           console.log(chalk.green(`✓ New subtask ${parentId}.${subtask.id} successfully created`));
           
           // Display success message and suggested next steps
@@ -504,8 +885,7 @@ function registerCommands(programInstance) {
           process.exit(1);
         }
       } catch (error) {
-        console.error(chalk.red(`Error: ${error.message}`));
-        process.exit(1);
+        exitWithError(error);
       }
     });
 
@@ -535,6 +915,7 @@ function registerCommands(programInstance) {
         }
         
         const result = await removeSubtask(tasksPath, subtaskId, convertToTask, generateFiles);
+        setCommandResult({ removed: subtaskId, task: result });
         
         if (convertToTask && result) {
           // Display success message and next steps for converted task
@@ -557,11 +938,138 @@ function registerCommands(programInstance) {
           ));
         }
       } catch (error) {
-        console.error(chalk.red(`Error: ${error.message}`));
+        exitWithError(error);
+      }
+    });
+
+  // remove-task command
+  programInstance
+    .command('remove-task')
+    .description('Remove a task, handling the tasks that depend on it')
+    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-i, --id <id>', 'Task ID to remove (required)')
+    .option('-d, --dependents <strategy>', 'How to handle dependent tasks: drop, repoint or cascade (asked for when omitted)')
+    .option('-y, --yes', 'Remove without asking for confirmation (dependents default to drop)')
+    .option('--no-generate', 'Skip regenerating task files')
+    .action(async (options) => {
+      const tasksPath = options.file;
+      const taskId = options.id;
+      
+      if (!taskId) {
+        console.error(chalk.red('Error: --id parameter is required. Please provide a task ID.'));
         process.exit(1);
       }
+      
+      // The confirmation prompt cannot be answered when the output is JSON
+      if (isJsonOutput() && !options.yes) {
+        throw createCodedError('--yes is required with --json, since the removal cannot be confirmed interactively', 'CONFIRMATION_REQUIRED');
+      }
+      
+      try {
+        const result = await removeTask(tasksPath, taskId, {
+          dependents: options.dependents,
+          yes: options.yes || false,
+          generate: options.generate
+        });
+        setCommandResult(result);
+        
+        if (result) {
+          console.log(boxen(
+            chalk.white.bold(`Removed task${result.removed.length > 1 ? 's' : ''} ${result.removed.join(', ')}`) + '\n\n' +
+            chalk.white(result.updated.length > 0
+              ? `Updated dependencies of task(s) ${result.updated.join(', ')}.`
+              : 'No other tasks were affected.'),
+            { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
+          ));
+        }
+      } catch (error) {
+        exitWithError(error);
+      }
     });
     
+  // move command
+  programInstance
+    .command('move')
+    .description('Move a task or subtask to a new position and renumber all tasks')
+    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('--from <id>', 'ID of the task (e.g. 5) or subtask (e.g. 5.2) to move (required)')
+    .option('--to <id>', 'Task position (e.g. 2) or subtask position under a task (e.g. 3.1) to move it to (required)')
+    .option('--no-generate', 'Skip regenerating task files')
+    .action(async (options) => {
+      const tasksPath = options.file;
+      
+      if (!options.from || !options.to) {
+        console.error(chalk.red('Error: Both --from and --to parameters are required.'));
+        process.exit(1);
+      }
+      
+      try {
+        console.log(chalk.blue(`Moving ${options.from} to ${options.to}...`));
+        const idMap = await moveTask(tasksPath, options.from, options.to, options.generate);
+        setCommandResult({ idMap });
+        displayIdChanges(idMap, `Moved ${options.from} to ${idMap[options.from] || options.from}`);
+      } catch (error) {
+        exitWithError(error);
+      }
+    });
+
+  // renumber command
+  programInstance
+    .command('renumber')
+    .description('Renumber tasks and subtasks from 1 in their current order, closing gaps in the IDs')
+    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('--no-generate', 'Skip regenerating task files')
+    .action(async (options) => {
+      try {
+        const idMap = await renumberTasks(options.file, options.generate);
+        setCommandResult({ idMap });
+        displayIdChanges(idMap, 'Tasks Renumbered');
+      } catch (error) {
+        exitWithError(error);
+      }
+    });
+
+  // serve command
+  programInstance
+    .command('serve')
+    .description(`Serve a REST API for the tasks, described at /openapi.json${chalk.reset('')}`)
+    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-r, --report <file>', 'Path to the complexity report', 'scripts/task-complexity-report.json')
+    .option('-p, --port <port>', 'Port to listen on', String(DEFAULT_API_OPTIONS.port))
+    .option('--host <host>', 'Interface to listen on; other than loopback needs API_JWT_SECRET (bearer tokens)', DEFAULT_API_OPTIONS.host)
+    .option('--cors <origins>', 'Comma-separated origins allowed to call the API from a browser, or *')
+    .action(async (options) => {
+      const port = Number(options.port);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error(chalk.red(`Error: Invalid port "${options.port}"`));
+        process.exit(1);
+      }
+      const corsOrigins = (options.cors || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+      // Like the MCP server's MCP_JWT_* settings, the secret comes from the environment, not the command line
+      const jwt = process.env.API_JWT_SECRET ? {
+        secret: process.env.API_JWT_SECRET,
+        issuer: process.env.API_JWT_ISSUER || undefined,
+        audience: process.env.API_JWT_AUDIENCE || undefined
+      } : null;
+
+      const server = await startApiServer({
+        tasksPath: options.file,
+        reportPath: options.report,
+        corsOrigins,
+        jwt,
+        port,
+        host: options.host
+      });
+      const { address, port: actualPort } = server.address();
+      const url = `http://${address}:${actualPort}`;
+      console.log(chalk.green(`Task Master API listening on ${url}`));
+      console.log(chalk.white(`OpenAPI document: ${url}/openapi.json`));
+      console.log(chalk.white(`Authentication: ${jwt ? 'bearer token (API_JWT_SECRET)' : 'none'}`));
+      console.log(chalk.gray('Press Ctrl+C to stop'));
+      setCommandResult({ url, openapi: `${url}/openapi.json` });
+    });
+
   // init command (documentation only, implementation is in init.js)
   programInstance
     .command('init')
@@ -612,6 +1120,8 @@ function setupCLI() {
       }
       return CONFIG.projectVersion; // Default fallback
     })
+    .option('--no-cache', 'Bypass the AI response cache for this run')
+    .option('--json', 'Print a single JSON result or error envelope instead of formatted output')
     .helpOption('-h, --help', 'Display help')
     .addHelpCommand(false) // Disable default help command
     .on('--help', () => {
@@ -622,12 +1132,27 @@ function setupCLI() {
       process.exit(0);
     });
   
+  // With --json, parse errors go into the error envelope
+  programInstance.configureOutput({
+    writeErr: (str) => (isJsonOutput() ? reportError(str) : process.stderr.write(str))
+  });
+  
   // Modify the help option to use your custom display
   programInstance.helpInformation = () => {
     displayHelp();
     return '';
   };
   
+  // Attribute AI usage to the command being run
+  programInstance.hook('preAction', (thisCommand, actionCommand) => {
+    setUsageCommand(actionCommand.name());
+    setHistoryContext(actionCommand.name(), actionCommand.opts());
+    setCommandName(actionCommand.name());
+    if (thisCommand.opts().cache === false) {
+      setCacheEnabled(false);
+    }
+  });
+  
   // Register commands
   registerCommands(programInstance);
   
@@ -640,8 +1165,14 @@ function setupCLI() {
  */
 async function runCLI(argv = process.argv) {
   try {
+    // Switch to JSON output before anything is printed (arguments after "--" are not options)
+    const separator = argv.indexOf('--');
+    if ((separator === -1 ? argv : argv.slice(0, separator)).includes('--json')) {
+      enableJsonOutput();
+    }
+    
     // Display banner if not in a pipe
-    if (process.stdout.isTTY) {
+    if (process.stdout.isTTY && !isJsonOutput()) {
       displayBanner();
     }
     
@@ -654,7 +1185,11 @@ async function runCLI(argv = process.argv) {
     // Setup and parse
     const programInstance = setupCLI();
     await programInstance.parseAsync(argv);
+    
+    // Print the JSON envelope of a command that finished without exiting
+    finishJsonOutput(process.exitCode || 0);
   } catch (error) {
+    finishJsonOutput(1, error);
     console.error(chalk.red(`Error: ${error.message}`));
     
     if (CONFIG.debug) {
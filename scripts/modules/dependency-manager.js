@@ -6,39 +6,39 @@
 import path from 'path';
 import chalk from 'chalk';
 import boxen from 'boxen';
-import { Anthropic } from '@anthropic-ai/sdk';
 
 import { 
     log, 
-    readJSON, 
-    writeJSON, 
+    readTasks,
+    writeTasks,
+    withFileLock,
     taskExists,
     formatTaskId,
     findCycles
   } from './utils.js';
   
 import { displayBanner } from './ui.js';
+import { createCodedError, terminal } from './output.js';
 
 import { generateTaskFiles } from './task-manager.js';
 
-import {
-  callGenerativeAI,
-  getPerplexityClient
-} from './ai-services.js';
-
 /**
  * Add a dependency to a task
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {number|string} taskId - ID of the task to add dependency to
  * @param {number|string} dependencyId - ID of the task to add as dependency
+ * @returns {Promise<Object>} { taskId, dependencies, changed } with the task's dependencies afterwards
  */
 async function addDependency(tasksPath, taskId, dependencyId) {
+  return withFileLock(tasksPath, () => addDependencyLocked(tasksPath, taskId, dependencyId));
+}
+
+async function addDependencyLocked(tasksPath, taskId, dependencyId) {
     log('info', `Adding dependency ${dependencyId} to task ${taskId}...`);
     
-    const data = readJSON(tasksPath);
+    const data = readTasks(tasksPath);
     if (!data || !data.tasks) {
-      log('error', 'No valid tasks found in tasks.json');
-      process.exit(1);
+      throw new Error('No valid tasks found in tasks.json');
     }
     
     // Format the task and dependency IDs correctly
@@ -49,8 +49,7 @@ async function addDependency(tasksPath, taskId, dependencyId) {
     
     // Check if the dependency task or subtask actually exists
     if (!taskExists(data.tasks, formattedDependencyId)) {
-      log('error', `Dependency target ${formattedDependencyId} does not exist in tasks.json`);
-      process.exit(1);
+      throw createCodedError(`Dependency target ${formattedDependencyId} does not exist in tasks.json`, 'NOT_FOUND');
     }
     
     // Find the task to update
@@ -63,29 +62,25 @@ async function addDependency(tasksPath, taskId, dependencyId) {
       const parentTask = data.tasks.find(t => t.id === parentId);
       
       if (!parentTask) {
-        log('error', `Parent task ${parentId} not found.`);
-        process.exit(1);
+        throw createCodedError(`Parent task ${parentId} not found.`, 'NOT_FOUND');
       }
       
       if (!parentTask.subtasks) {
-        log('error', `Parent task ${parentId} has no subtasks.`);
-        process.exit(1);
+        throw createCodedError(`Parent task ${parentId} has no subtasks.`, 'NOT_FOUND');
       }
       
       targetTask = parentTask.subtasks.find(s => s.id === subtaskId);
       isSubtask = true;
       
       if (!targetTask) {
-        log('error', `Subtask ${formattedTaskId} not found.`);
-        process.exit(1);
+        throw createCodedError(`Subtask ${formattedTaskId} not found.`, 'NOT_FOUND');
       }
     } else {
       // Regular task (not a subtask)
       targetTask = data.tasks.find(t => t.id === formattedTaskId);
       
       if (!targetTask) {
-        log('error', `Task ${formattedTaskId} not found.`);
-        process.exit(1);
+        throw createCodedError(`Task ${formattedTaskId} not found.`, 'NOT_FOUND');
       }
     }
     
@@ -100,13 +95,12 @@ async function addDependency(tasksPath, taskId, dependencyId) {
       return String(d) === String(formattedDependencyId);
     })) {
       log('warn', `Dependency ${formattedDependencyId} already exists in task ${formattedTaskId}.`);
-      return;
+      return { taskId: formattedTaskId, dependencies: targetTask.dependencies, changed: false };
     }
     
     // Check if the task is trying to depend on itself
     if (String(formattedTaskId) === String(formattedDependencyId)) {
-      log('error', `Task ${formattedTaskId} cannot depend on itself.`);
-      process.exit(1);
+      throw createCodedError(`Task ${formattedTaskId} cannot depend on itself.`, 'INVALID_INPUT');
     }
     
     // Check for circular dependencies
@@ -131,23 +125,23 @@ async function addDependency(tasksPath, taskId, dependencyId) {
       });
       
       // Save changes
-      writeJSON(tasksPath, data);
+      writeTasks(tasksPath, data);
       log('success', `Added dependency ${formattedDependencyId} to task ${formattedTaskId}`);
       
       // Display a more visually appealing success message
-      console.log(boxen(
+      terminal.log(boxen(
         chalk.green(`Successfully added dependency:\n\n`) +
         `Task ${chalk.bold(formattedTaskId)} now depends on ${chalk.bold(formattedDependencyId)}`,
         { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
       ));
       
       // Generate updated task files
-      await generateTaskFiles(tasksPath, 'tasks');
+      await generateTaskFiles(tasksPath, path.dirname(tasksPath));
       
       log('info', 'Task files regenerated with updated dependencies.');
+      return { taskId: formattedTaskId, dependencies: targetTask.dependencies, changed: true };
     } else {
-      log('error', `Cannot add dependency ${formattedDependencyId} to task ${formattedTaskId} as it would create a circular dependency.`);
-      process.exit(1);
+      throw createCodedError(`Cannot add dependency ${formattedDependencyId} to task ${formattedTaskId} as it would create a circular dependency.`, 'INVALID_INPUT');
     }
   }
   
@@ -156,15 +150,19 @@ async function addDependency(tasksPath, taskId, dependencyId) {
    * @param {string} tasksPath - Path to the tasks.json file
    * @param {number|string} taskId - ID of the task to remove dependency from
    * @param {number|string} dependencyId - ID of the task to remove as dependency
+   * @returns {Promise<Object>} { taskId, dependencies, changed } with the task's dependencies afterwards
    */
   async function removeDependency(tasksPath, taskId, dependencyId) {
+    return withFileLock(tasksPath, () => removeDependencyLocked(tasksPath, taskId, dependencyId));
+  }
+
+  async function removeDependencyLocked(tasksPath, taskId, dependencyId) {
     log('info', `Removing dependency ${dependencyId} from task ${taskId}...`);
     
     // Read tasks file
-    const data = readJSON(tasksPath);
+    const data = readTasks(tasksPath);
     if (!data || !data.tasks) {
-      log('error', "No valid tasks found.");
-      process.exit(1);
+      throw new Error("No valid tasks found.");
     }
     
     // Format the task and dependency IDs correctly
@@ -183,36 +181,32 @@ async function addDependency(tasksPath, taskId, dependencyId) {
       const parentTask = data.tasks.find(t => t.id === parentId);
       
       if (!parentTask) {
-        log('error', `Parent task ${parentId} not found.`);
-        process.exit(1);
+        throw createCodedError(`Parent task ${parentId} not found.`, 'NOT_FOUND');
       }
       
       if (!parentTask.subtasks) {
-        log('error', `Parent task ${parentId} has no subtasks.`);
-        process.exit(1);
+        throw createCodedError(`Parent task ${parentId} has no subtasks.`, 'NOT_FOUND');
       }
       
       targetTask = parentTask.subtasks.find(s => s.id === subtaskId);
       isSubtask = true;
       
       if (!targetTask) {
-        log('error', `Subtask ${formattedTaskId} not found.`);
-        process.exit(1);
+        throw createCodedError(`Subtask ${formattedTaskId} not found.`, 'NOT_FOUND');
       }
     } else {
       // Regular task (not a subtask)
       targetTask = data.tasks.find(t => t.id === formattedTaskId);
       
       if (!targetTask) {
-        log('error', `Task ${formattedTaskId} not found.`);
-        process.exit(1);
+        throw createCodedError(`Task ${formattedTaskId} not found.`, 'NOT_FOUND');
       }
     }
     
     // Check if the task has any dependencies
     if (!targetTask.dependencies || targetTask.dependencies.length === 0) {
       log('info', `Task ${formattedTaskId} has no dependencies, nothing to remove.`);
-      return;
+      return { taskId: formattedTaskId, dependencies: [], changed: false };
     }
     
     // Normalize the dependency ID for comparison to handle different formats
@@ -236,27 +230,28 @@ async function addDependency(tasksPath, taskId, dependencyId) {
     
     if (dependencyIndex === -1) {
       log('info', `Task ${formattedTaskId} does not depend on ${formattedDependencyId}, no changes made.`);
-      return;
+      return { taskId: formattedTaskId, dependencies: targetTask.dependencies, changed: false };
     }
     
     // Remove the dependency
     targetTask.dependencies.splice(dependencyIndex, 1);
     
     // Save the updated tasks
-    writeJSON(tasksPath, data);
+    writeTasks(tasksPath, data);
     
     // Success message
     log('success', `Removed dependency: Task ${formattedTaskId} no longer depends on ${formattedDependencyId}`);
     
     // Display a more visually appealing success message
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.green(`Successfully removed dependency:\n\n`) +
       `Task ${chalk.bold(formattedTaskId)} no longer depends on ${chalk.bold(formattedDependencyId)}`,
       { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
     ));
     
     // Regenerate task files
-    await generateTaskFiles(tasksPath, 'tasks');
+    await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+    return { taskId: formattedTaskId, dependencies: targetTask.dependencies, changed: true };
   }
   
   /**
@@ -409,8 +404,9 @@ async function addDependency(tasksPath, taskId, dependencyId) {
   }
   
   /**
-   * Validate dependencies in task files
+   * Validate dependencies in task files without changing them
    * @param {string} tasksPath - Path to tasks.json
+   * @returns {Object} { valid, issues, taskCount, subtaskCount, dependencyCount }
    */
   async function validateDependenciesCommand(tasksPath) {
     displayBanner();
@@ -418,10 +414,9 @@ async function addDependency(tasksPath, taskId, dependencyId) {
     log('info', 'Checking for invalid dependencies in task files...');
     
     // Read tasks data
-    const data = readJSON(tasksPath);
+    const data = readTasks(tasksPath);
     if (!data || !data.tasks) {
-      log('error', 'No valid tasks found in tasks.json');
-      process.exit(1);
+      throw new Error('No valid tasks found in tasks.json');
     }
     
     // Count of tasks and subtasks for reporting
@@ -432,111 +427,35 @@ async function addDependency(tasksPath, taskId, dependencyId) {
         subtaskCount += task.subtasks.length;
       }
     });
+    const dependencyCount = countAllDependencies(data.tasks);
     
     log('info', `Analyzing dependencies for ${taskCount} tasks and ${subtaskCount} subtasks...`);
     
-    // Track validation statistics
-    const stats = {
-      nonExistentDependenciesRemoved: 0,
-      selfDependenciesRemoved: 0,
-      tasksFixed: 0,
-      subtasksFixed: 0
-    };
+    const { valid, issues } = validateTaskDependencies(data.tasks);
     
-    // Create a custom logger instead of reassigning the imported log function
-    const warnings = [];
-    const customLogger = function(level, ...args) {
-      if (level === 'warn') {
-        warnings.push(args.join(' '));
+    if (valid) {
+      log('success', 'No invalid dependencies found - all dependencies are valid');
         
-        // Count the type of fix based on the warning message
-        const msg = args.join(' ');
-        if (msg.includes('self-dependency')) {
-          stats.selfDependenciesRemoved++;
-        } else if (msg.includes('invalid')) {
-          stats.nonExistentDependenciesRemoved++;
-        }
-        
-        // Count if it's a task or subtask being fixed
-        if (msg.includes('from subtask')) {
-          stats.subtasksFixed++;
-        } else if (msg.includes('from task')) {
-          stats.tasksFixed++;
-        }
-      }
-      // Call the original log function
-      return log(level, ...args);
-    };
-    
-    // Run validation with custom logger
-    try {
-      // Temporarily save validateTaskDependencies function with normal log
-      const originalValidateTaskDependencies = validateTaskDependencies;
-      
-      // Create patched version that uses customLogger
-      const patchedValidateTaskDependencies = (tasks, tasksPath) => {
-        // Temporarily redirect log calls in this scope
-        const originalLog = log;
-        const logProxy = function(...args) {
-          return customLogger(...args);
-        };
-        
-        // Call the original function in a context where log calls are intercepted
-        const result = (() => {
-          // Use Function.prototype.bind to create a new function that has logProxy available
-          return Function('tasks', 'tasksPath', 'log', 'customLogger', 
-            `return (${originalValidateTaskDependencies.toString()})(tasks, tasksPath);`
-          )(tasks, tasksPath, logProxy, customLogger);
-        })();
-        
-        return result;
-      };
-      
-      const changesDetected = patchedValidateTaskDependencies(data.tasks, tasksPath);
+      // Show validation summary
+      terminal.log(boxen(
+        chalk.green(`All Dependencies Are Valid\n\n`) +
+        `${chalk.cyan('Tasks checked:')} ${taskCount}\n` +
+        `${chalk.cyan('Subtasks checked:')} ${subtaskCount}\n` +
+        `${chalk.cyan('Total dependencies verified:')} ${dependencyCount}`,
+        { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1, bottom: 1 } }
+      ));
+    } else {
+      log('warn', `Found ${issues.length} dependency issue(s)`);
       
-      // Create a detailed report
-      if (changesDetected) {
-        log('success', 'Invalid dependencies were removed from tasks.json');
-        
-        // Show detailed stats in a nice box
-        console.log(boxen(
-          chalk.green(`Dependency Validation Results:\n\n`) +
-          `${chalk.cyan('Tasks checked:')} ${taskCount}\n` +
-          `${chalk.cyan('Subtasks checked:')} ${subtaskCount}\n` +
-          `${chalk.cyan('Non-existent dependencies removed:')} ${stats.nonExistentDependenciesRemoved}\n` +
-          `${chalk.cyan('Self-dependencies removed:')} ${stats.selfDependenciesRemoved}\n` +
-          `${chalk.cyan('Tasks fixed:')} ${stats.tasksFixed}\n` +
-          `${chalk.cyan('Subtasks fixed:')} ${stats.subtasksFixed}`,
-          { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1, bottom: 1 } }
-        ));
-        
-        // Show all warnings in a collapsible list if there are many
-        if (warnings.length > 0) {
-          console.log(chalk.yellow('\nDetailed fixes:'));
-          warnings.forEach(warning => {
-            console.log(`  ${warning}`);
-          });
-        }
-        
-        // Regenerate task files to reflect the changes
-        await generateTaskFiles(tasksPath, path.dirname(tasksPath));
-        log('info', 'Task files regenerated to reflect dependency changes');
-      } else {
-        log('success', 'No invalid dependencies found - all dependencies are valid');
-        
-        // Show validation summary
-        console.log(boxen(
-          chalk.green(`All Dependencies Are Valid\n\n`) +
-          `${chalk.cyan('Tasks checked:')} ${taskCount}\n` +
-          `${chalk.cyan('Subtasks checked:')} ${subtaskCount}\n` +
-          `${chalk.cyan('Total dependencies verified:')} ${countAllDependencies(data.tasks)}`,
-          { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1, bottom: 1 } }
-        ));
-      }
-    } catch (error) {
-      log('error', 'Error validating dependencies:', error);
-      process.exit(1);
+      terminal.log(boxen(
+        chalk.yellow(`Dependency Issues Found\n\n`) +
+        issues.map(issue => `${chalk.yellow('•')} ${issue.message}`).join('\n') +
+        `\n\n${chalk.cyan('Run')} task-master fix-dependencies ${chalk.cyan('to remove invalid dependencies')}`,
+        { padding: 1, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1, bottom: 1 } }
+      ));
     }
+    
+    return { valid, issues, taskCount, subtaskCount, dependencyCount };
   }
   
   /**
@@ -569,18 +488,22 @@ async function addDependency(tasksPath, taskId, dependencyId) {
   /**
    * Fixes invalid dependencies in tasks.json
    * @param {string} tasksPath - Path to tasks.json
+   * @returns {Object} { changed, fixed } plus the counts of each kind of fix
    */
   async function fixDependenciesCommand(tasksPath) {
+    return withFileLock(tasksPath, () => fixDependenciesCommandLocked(tasksPath));
+  }
+
+  async function fixDependenciesCommandLocked(tasksPath) {
     displayBanner();
     
     log('info', 'Checking for and fixing invalid dependencies in tasks.json...');
     
     try {
       // Read tasks data
-      const data = readJSON(tasksPath);
+      const data = readTasks(tasksPath);
       if (!data || !data.tasks) {
-        log('error', 'No valid tasks found in tasks.json');
-        process.exit(1);
+        throw new Error('No valid tasks found in tasks.json');
       }
       
       // Create a deep copy of the original data for comparison
@@ -848,7 +771,7 @@ async function addDependency(tasksPath, taskId, dependencyId) {
       
       if (dataChanged) {
         // Save the changes
-        writeJSON(tasksPath, data);
+        writeTasks(tasksPath, data);
         log('success', 'Fixed dependency issues in tasks.json');
         
         // Regenerate task files
@@ -867,7 +790,7 @@ async function addDependency(tasksPath, taskId, dependencyId) {
       if (totalFixedAll > 0) {
         log('success', `Fixed ${totalFixedAll} dependency issues in total!`);
         
-        console.log(boxen(
+        terminal.log(boxen(
           chalk.green(`Dependency Fixes Summary:\n\n`) +
           `${chalk.cyan('Invalid dependencies removed:')} ${stats.nonExistentDependenciesRemoved}\n` +
           `${chalk.cyan('Self-dependencies removed:')} ${stats.selfDependenciesRemoved}\n` +
@@ -880,16 +803,18 @@ async function addDependency(tasksPath, taskId, dependencyId) {
       } else {
         log('success', 'No dependency issues found - all dependencies are valid');
         
-        console.log(boxen(
+        terminal.log(boxen(
           chalk.green(`All Dependencies Are Valid\n\n`) +
           `${chalk.cyan('Tasks checked:')} ${data.tasks.length}\n` +
           `${chalk.cyan('Total dependencies verified:')} ${countAllDependencies(data.tasks)}`,
           { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1, bottom: 1 } }
         ));
       }
+    
+      return { changed: dataChanged, fixed: totalFixedAll, ...stats };
     } catch (error) {
-      log('error', "Error in fix-dependencies command:", error);
-      process.exit(1);
+      log('error', "Error in fix-dependencies command:", error.message);
+      throw error;
     }
   }
   
@@ -1019,7 +944,7 @@ async function addDependency(tasksPath, taskId, dependencyId) {
     // Save changes if needed
     if (tasksPath && changesDetected) {
       try {
-        writeJSON(tasksPath, tasksData);
+        writeTasks(tasksPath, tasksData);
         log('debug', 'Saved dependency fixes to tasks.json');
       } catch (error) {
         log('error', 'Failed to save dependency fixes to tasks.json', error);
@@ -0,0 +1,314 @@
+/**
+ * history.js
+ * Change journal for tasks.json, used by the history, undo and redo commands
+ *
+ * Every save of a tasks file appends one JSON line to .history.jsonl next to it:
+ *   { id, timestamp, command, args, revisionBefore, revisionAfter, status, changes }
+ *
+ * changes holds the before and after state of every task and top-level field
+ * that changed, so an entry can be reverted (undo) and re-applied (redo).
+ * status is "applied", "undone", or "discarded" once a new change is made
+ * after an undo and the entry can no longer be redone.
+ *
+ * This module only touches the journal; it does not read or write tasks.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Command of the CLI run, for changes made outside withHistoryContext
+const defaultContext = {
+  command: null,
+  args: null
+};
+
+// Command of the current call while withHistoryContext runs
+const historyContext = new AsyncLocalStorage();
+
+/**
+ * Set the command that changes of this process are attributed to; used by
+ * the CLI, which runs one command per process
+ * @param {string} command - Command name, e.g. "update"
+ * @param {Object} [args] - Command options
+ */
+function setHistoryContext(command, args = null) {
+  defaultContext.command = command || null;
+  defaultContext.args = args;
+}
+
+/**
+ * Run a function with the changes it makes attributed to a command. Servers
+ * use this per request, so concurrent calls keep their own command.
+ * @param {string} command - Command name, e.g. "serve"
+ * @param {Object|null} args - Command options or request details
+ * @param {Function} fn - Function to run; may be async
+ * @returns {*} Whatever fn returns
+ */
+function withHistoryContext(command, args, fn) {
+  return historyContext.run({ command: command || null, args: args || null }, fn);
+}
+
+/**
+ * Get the journal path that belongs to a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {string} Journal path
+ */
+function getHistoryPath(tasksPath) {
+  return path.join(path.dirname(tasksPath), '.history.jsonl');
+}
+
+/**
+ * Drop the revision counter from meta so it never shows up as a change
+ * @param {string} key - Top-level key
+ * @param {*} value - Value of the key
+ * @returns {*} The value to compare and store
+ */
+function comparableField(key, value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (key === 'meta' && value && typeof value === 'object') {
+    const { revision, ...rest } = value;
+    return rest;
+  }
+  return value;
+}
+
+/**
+ * Compute the reversible difference between two versions of a tasks file
+ * @param {Object|null} before - Tasks data before the change
+ * @param {Object|null} after - Tasks data after the change
+ * @returns {{tasks: Array, fields: Array, order: Object|null}} Changed tasks ({ id, before, after }),
+ *   changed top-level fields ({ key, before, after }) and the task order before and after if it changed
+ */
+function diffTasksData(before, after) {
+  const beforeTasks = (before && before.tasks) || [];
+  const afterTasks = (after && after.tasks) || [];
+  const beforeById = new Map(beforeTasks.map(task => [task.id, task]));
+  const afterById = new Map(afterTasks.map(task => [task.id, task]));
+
+  const ids = [...new Set([...beforeTasks.map(task => task.id), ...afterTasks.map(task => task.id)])];
+  const tasks = ids
+    .map(id => ({ id, before: beforeById.get(id) || null, after: afterById.get(id) || null }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].filter(key => key !== 'tasks');
+  const fields = keys
+    .map(key => ({ key, before: comparableField(key, before?.[key]), after: comparableField(key, after?.[key]) }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+  const beforeOrder = beforeTasks.map(task => task.id).filter(id => afterById.has(id));
+  const afterOrder = afterTasks.map(task => task.id).filter(id => beforeById.has(id));
+  const order = JSON.stringify(beforeOrder) !== JSON.stringify(afterOrder)
+    ? { before: beforeTasks.map(task => task.id), after: afterTasks.map(task => task.id) }
+    : null;
+
+  return { tasks, fields, order };
+}
+
+/**
+ * Check whether a diff contains any change
+ * @param {Object} changes - Result of diffTasksData
+ * @returns {boolean} True if nothing changed
+ */
+function isEmptyDiff(changes) {
+  return changes.tasks.length === 0 && changes.fields.length === 0 && !changes.order;
+}
+
+/**
+ * Apply one side of a diff to tasks data
+ * @param {Object} data - Current tasks data (not modified)
+ * @param {Object} changes - Result of diffTasksData
+ * @param {string} side - "before" to revert the change, "after" to re-apply it
+ * @returns {Object} New tasks data; meta.revision is kept from data
+ */
+function applyTasksDiff(data, changes, side) {
+  const result = { ...data, tasks: [...(data.tasks || [])] };
+
+  changes.fields.forEach(change => {
+    if (change[side] === null) {
+      delete result[change.key];
+    } else {
+      result[change.key] = change[side];
+    }
+  });
+  if (data.meta?.revision !== undefined) {
+    result.meta = { ...result.meta, revision: data.meta.revision };
+  }
+
+  changes.tasks.forEach(change => {
+    const index = result.tasks.findIndex(task => task.id === change.id);
+    if (change[side] === null) {
+      if (index !== -1) result.tasks.splice(index, 1);
+    } else if (index !== -1) {
+      result.tasks[index] = change[side];
+    } else {
+      result.tasks.push(change[side]);
+    }
+  });
+
+  if (changes.order) {
+    const position = new Map(changes.order[side].map((id, index) => [id, index]));
+    const rank = task => (position.has(task.id) ? position.get(task.id) : Number.MAX_SAFE_INTEGER);
+    result.tasks.sort((a, b) => rank(a) - rank(b));
+  }
+
+  return result;
+}
+
+/**
+ * Find tasks and fields whose current value differs from what a diff expects,
+ * i.e. changes made since the journal entry that applying it would overwrite
+ * @param {Object} data - Current tasks data
+ * @param {Object} changes - Result of diffTasksData
+ * @param {string} side - The side of the diff the data should currently match
+ * @returns {string[]} Descriptions of the conflicting tasks and fields
+ */
+function findConflicts(data, changes, side) {
+  const conflicts = [];
+  changes.tasks.forEach(change => {
+    const current = (data.tasks || []).find(task => task.id === change.id) || null;
+    if (JSON.stringify(current) !== JSON.stringify(change[side])) {
+      conflicts.push(`task ${change.id}`);
+    }
+  });
+  changes.fields.forEach(change => {
+    if (JSON.stringify(comparableField(change.key, data[change.key])) !== JSON.stringify(change[side])) {
+      conflicts.push(`"${change.key}"`);
+    }
+  });
+  return conflicts;
+}
+
+/**
+ * Read every journal entry of a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {Array} Entries, oldest first (empty if there is no journal)
+ */
+function readHistory(tasksPath) {
+  const historyPath = getHistoryPath(tasksPath);
+  if (!fs.existsSync(historyPath)) {
+    return [];
+  }
+  return fs.readFileSync(historyPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Replace the journal of a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Array} entries - Entries to keep
+ */
+function writeHistory(tasksPath, entries) {
+  const historyPath = getHistoryPath(tasksPath);
+  const tempPath = `${historyPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : ''));
+  fs.renameSync(tempPath, historyPath);
+}
+
+/**
+ * Append a journal entry for a save of a tasks file. Entries that were undone
+ * can no longer be redone afterwards and are marked "discarded".
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object|null} before - Tasks data on disk before the save
+ * @param {Object} after - Tasks data being saved
+ * @returns {Object|null} The new entry, or null if nothing changed
+ */
+function recordChange(tasksPath, before, after) {
+  const changes = diffTasksData(before, after);
+  if (isEmptyDiff(changes)) {
+    return null;
+  }
+
+  const context = historyContext.getStore() || defaultContext;
+  const entries = readHistory(tasksPath);
+  const entry = {
+    id: entries.length > 0 ? entries[entries.length - 1].id + 1 : 1,
+    timestamp: new Date().toISOString(),
+    command: context.command,
+    args: context.args,
+    revisionBefore: before?.meta?.revision || 0,
+    revisionAfter: after.meta?.revision || 0,
+    status: 'applied',
+    changes
+  };
+
+  if (entries.some(existing => existing.status === 'undone')) {
+    entries.forEach(existing => {
+      if (existing.status === 'undone') existing.status = 'discarded';
+    });
+    writeHistory(tasksPath, [...entries, entry]);
+  } else {
+    fs.appendFileSync(getHistoryPath(tasksPath), JSON.stringify(entry) + '\n');
+  }
+  return entry;
+}
+
+/**
+ * Find the entry that undo would revert: the latest applied one
+ * @param {Array} entries - Journal entries
+ * @returns {Object|null} Entry, or null if there is nothing to undo
+ */
+function findUndoEntry(entries) {
+  return [...entries].reverse().find(entry => entry.status === 'applied') || null;
+}
+
+/**
+ * Find the entry that redo would re-apply: the earliest undone one
+ * @param {Array} entries - Journal entries
+ * @returns {Object|null} Entry, or null if there is nothing to redo
+ */
+function findRedoEntry(entries) {
+  return entries.find(entry => entry.status === 'undone') || null;
+}
+
+/**
+ * Change the status of a journal entry
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {number} id - Entry ID
+ * @param {string} status - New status
+ */
+function setEntryStatus(tasksPath, id, status) {
+  const entries = readHistory(tasksPath);
+  entries.forEach(entry => {
+    if (entry.id === id) entry.status = status;
+  });
+  writeHistory(tasksPath, entries);
+}
+
+/**
+ * Describe the changes of an entry in one line
+ * @param {Object} changes - Result of diffTasksData
+ * @returns {string} e.g. "added 4, 5; changed 2; removed 3"
+ */
+function summarizeChanges(changes) {
+  const added = changes.tasks.filter(change => !change.before).map(change => change.id);
+  const removed = changes.tasks.filter(change => !change.after).map(change => change.id);
+  const changed = changes.tasks.filter(change => change.before && change.after).map(change => change.id);
+
+  const parts = [];
+  if (added.length) parts.push(`added ${added.join(', ')}`);
+  if (changed.length) parts.push(`changed ${changed.join(', ')}`);
+  if (removed.length) parts.push(`removed ${removed.join(', ')}`);
+  if (changes.order) parts.push('reordered tasks');
+  if (changes.fields.length) parts.push(`updated ${changes.fields.map(change => change.key).join(', ')}`);
+  return parts.join('; ');
+}
+
+export {
+  setHistoryContext,
+  withHistoryContext,
+  getHistoryPath,
+  diffTasksData,
+  applyTasksDiff,
+  findConflicts,
+  readHistory,
+  recordChange,
+  findUndoEntry,
+  findRedoEntry,
+  setEntryStatus,
+  summarizeChanges
+};
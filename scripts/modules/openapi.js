@@ -0,0 +1,309 @@
+/**
+ * openapi.js
+ * OpenAPI document of the REST API served by task-master serve
+ */
+
+// Schema of a successful response holding data
+const envelope = (data) => ({
+  type: 'object',
+  required: ['ok', 'data'],
+  properties: { ok: { type: 'boolean', enum: [true] }, data }
+});
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Describe a JSON response
+ * @param {string} description - What the response holds
+ * @param {Object} data - Schema of the data
+ * @returns {Object} Response object
+ */
+function ok(description, data) {
+  return { description, content: { 'application/json': { schema: envelope(data) } } };
+}
+
+/**
+ * Describe a JSON request body
+ * @param {Object} schema - Schema of the body
+ * @returns {Object} Request body object
+ */
+function body(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+const errors = (...statuses) => Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/${status}` }]));
+
+const taskId = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'Task ID (e.g. 5) or subtask ID (e.g. 5.2)',
+  schema: { type: 'string', pattern: '^\\d+(\\.\\d+)?$' }
+};
+const parentTaskId = { ...taskId, description: 'Task ID', schema: { type: 'string', pattern: '^\\d+$' } };
+
+const taskChanges = {
+  title: { type: 'string', minLength: 1 },
+  description: { type: 'string' },
+  details: { type: 'string' },
+  testStrategy: { type: 'string', description: 'Tasks only' },
+  priority: { type: 'string', enum: ['high', 'medium', 'low'], description: 'Tasks only' },
+  tags: { type: 'array', items: { type: 'string' }, description: 'Tasks only' }
+};
+
+const dependencyResult = {
+  type: 'object',
+  properties: {
+    taskId: { oneOf: [{ type: 'integer' }, { type: 'string' }] },
+    dependencies: ref('Dependencies'),
+    changed: { type: 'boolean', description: 'False if there was nothing to add or remove' }
+  }
+};
+
+/**
+ * Build the OpenAPI document of the REST API
+ * @param {string} version - Version of Task Master
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function getOpenApiDocument(version) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Task Master API',
+      version,
+      description: 'Tasks, subtasks, dependencies and complexity analysis of a Task Master project. ' +
+        'Every response is a JSON envelope: { ok: true, data } or { ok: false, error: { code, message } }, ' +
+        'as printed by the CLI with --json. When the server has API_JWT_SECRET set, every route but this document ' +
+        'needs a bearer token and answers 401 (code UNAUTHORIZED) without one.'
+    },
+    security: [{ bearerAuth: [] }],
+    paths: {
+      '/tasks': {
+        get: {
+          summary: 'List tasks (like task-master list)',
+          parameters: [
+            { name: 'status', in: 'query', schema: { type: 'string' }, description: 'Only tasks with this status' },
+            { name: 'q', in: 'query', schema: { type: 'string' }, description: 'Query, e.g. "priority:high deps:ready"' },
+            { name: 'tag', in: 'query', schema: { type: 'string' }, description: 'Only tasks with any of these comma-separated tags' },
+            { name: 'sort', in: 'query', schema: { type: 'string' }, description: 'Comma-separated sort keys, "-" for descending' },
+            { name: 'withSubtasks', in: 'query', schema: { type: 'boolean' }, description: 'Add a row for every subtask' }
+          ],
+          responses: {
+            200: ok('Matching tasks', {
+              type: 'object',
+              properties: { tasks: { type: 'array', items: ref('TaskRow') }, count: { type: 'integer' }, total: { type: 'integer' } }
+            }),
+            ...errors(400)
+          }
+        },
+        post: {
+          summary: 'Add a task as given, without AI',
+          requestBody: body({
+            type: 'object',
+            required: ['title'],
+            properties: { ...taskChanges, dependencies: { type: 'array', items: { type: 'integer' } } }
+          }),
+          responses: { 201: ok('The new task', { type: 'object', properties: { task: ref('Task') } }), ...errors(400, 409) }
+        }
+      },
+      '/tasks/{id}': {
+        parameters: [taskId],
+        get: {
+          summary: 'Get a task or subtask',
+          responses: { 200: ok('The task', { type: 'object', properties: { task: ref('Task') } }), ...errors(400, 404) }
+        },
+        patch: {
+          summary: 'Change the text fields of a task or subtask',
+          requestBody: body({ type: 'object', minProperties: 1, properties: taskChanges }),
+          responses: { 200: ok('The edited task', { type: 'object', properties: { task: ref('Task') } }), ...errors(400, 404, 409) }
+        },
+        delete: {
+          summary: 'Remove a task (like task-master remove-task --yes)',
+          parameters: [{
+            name: 'dependents',
+            in: 'query',
+            schema: { type: 'string', enum: ['drop', 'repoint', 'cascade'], default: 'drop' },
+            description: 'What happens to tasks that depend on the removed task'
+          }],
+          responses: {
+            200: ok('IDs of the removed tasks and of the tasks whose dependencies changed', {
+              type: 'object',
+              properties: {
+                removed: { type: 'array', items: { type: 'integer' } },
+                updated: { type: 'array', items: { type: 'integer' } }
+              }
+            }),
+            ...errors(400, 404, 409)
+          }
+        }
+      },
+      '/tasks/{id}/status': {
+        parameters: [taskId],
+        put: {
+          summary: 'Set the status of a task or subtask; setting a task to done also completes its subtasks',
+          requestBody: body({
+            type: 'object',
+            required: ['status'],
+            properties: { status: { type: 'string', example: 'in-progress', enum: ['pending', 'in-progress', 'review', 'blocked', 'deferred', 'done', 'completed'] } }
+          }),
+          responses: {
+            200: ok('The status change', {
+              type: 'object',
+              properties: {
+                updated: {
+                  type: 'array',
+                  items: { type: 'object', properties: { id: { type: 'string' }, from: { type: 'string' }, to: { type: 'string' } } }
+                }
+              }
+            }),
+            ...errors(400, 404, 409)
+          }
+        }
+      },
+      '/tasks/{id}/subtasks': {
+        parameters: [parentTaskId],
+        get: {
+          summary: 'List the subtasks of a task',
+          responses: {
+            200: ok('The subtasks', { type: 'object', properties: { taskId: { type: 'integer' }, subtasks: { type: 'array', items: ref('Task') } } }),
+            ...errors(400, 404)
+          }
+        },
+        post: {
+          summary: 'Add a subtask, or turn an existing task into one (taskId)',
+          requestBody: body({
+            type: 'object',
+            properties: {
+              title: { type: 'string' },
+              description: { type: 'string' },
+              details: { type: 'string' },
+              status: { type: 'string', default: 'pending' },
+              dependencies: ref('Dependencies'),
+              taskId: { type: 'integer', description: 'Existing task to convert instead of creating a subtask' }
+            }
+          }),
+          responses: {
+            201: ok('The new subtask', { type: 'object', properties: { parentId: { type: 'integer' }, subtask: ref('Task') } }),
+            ...errors(400, 404, 409)
+          }
+        },
+        delete: {
+          summary: 'Remove all subtasks of a task',
+          responses: { 200: ok('IDs of the tasks whose subtasks were cleared', { type: 'object', properties: { cleared: { type: 'array', items: { type: 'integer' } } } }), ...errors(400, 404, 409) }
+        }
+      },
+      '/tasks/{id}/subtasks/{subtaskId}': {
+        parameters: [parentTaskId, { name: 'subtaskId', in: 'path', required: true, schema: { type: 'string', pattern: '^\\d+$' } }],
+        delete: {
+          summary: 'Remove a subtask, or turn it into a task (convert=true)',
+          parameters: [{ name: 'convert', in: 'query', schema: { type: 'boolean' } }],
+          responses: {
+            200: ok('The removed subtask ID, and the new task when converted', {
+              type: 'object',
+              properties: { removed: { type: 'string' }, task: { allOf: [ref('Task')], nullable: true } }
+            }),
+            ...errors(400, 404, 409)
+          }
+        }
+      },
+      '/tasks/{id}/dependencies': {
+        parameters: [taskId],
+        get: {
+          summary: 'List the dependencies of a task or subtask',
+          responses: { 200: ok('The dependencies', dependencyResult), ...errors(400, 404) }
+        },
+        post: {
+          summary: 'Add a dependency',
+          requestBody: body({ type: 'object', required: ['dependsOn'], properties: { dependsOn: { type: 'string', example: '3' } } }),
+          responses: { 200: ok('The dependencies afterwards', dependencyResult), ...errors(400, 404, 409) }
+        }
+      },
+      '/tasks/{id}/dependencies/{dependsOn}': {
+        parameters: [taskId, { name: 'dependsOn', in: 'path', required: true, schema: { type: 'string' } }],
+        delete: {
+          summary: 'Remove a dependency',
+          responses: { 200: ok('The dependencies afterwards', dependencyResult), ...errors(400, 404, 409) }
+        }
+      },
+      '/next': {
+        get: {
+          summary: 'The next task to work on (like task-master next)',
+          parameters: [{ name: 'tag', in: 'query', schema: { type: 'string' }, description: 'Only consider tasks with any of these comma-separated tags' }],
+          responses: { 200: ok('The task, or null if no task is ready', { type: 'object', properties: { task: { allOf: [ref('Task')], nullable: true } } }), ...errors(400) }
+        }
+      },
+      '/complexity': {
+        get: {
+          summary: 'The complexity report (like task-master complexity-report)',
+          responses: { 200: ok('The report', { type: 'object' }), ...errors(404) }
+        }
+      },
+      '/openapi.json': {
+        get: { summary: 'This document', security: [], responses: { 200: { description: 'OpenAPI document' } } }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: {
+        Dependencies: {
+          type: 'array',
+          items: { oneOf: [{ type: 'integer' }, { type: 'string' }] },
+          description: 'Task IDs; numbers in a subtask refer to its sibling subtasks, "5.2" to a subtask of another task'
+        },
+        Task: {
+          type: 'object',
+          required: ['id', 'title', 'status'],
+          properties: {
+            id: { oneOf: [{ type: 'integer' }, { type: 'string' }] },
+            parentId: { type: 'integer', description: 'Set on subtasks' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            status: { type: 'string' },
+            priority: { type: 'string' },
+            dependencies: ref('Dependencies'),
+            details: { type: 'string' },
+            testStrategy: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            fields: { type: 'object', description: 'Custom fields declared in the project config' },
+            subtasks: { type: 'array', items: ref('Task') }
+          }
+        },
+        TaskRow: {
+          type: 'object',
+          description: 'A task or subtask as listed by task-master list --format json',
+          properties: {
+            id: { oneOf: [{ type: 'integer' }, { type: 'string' }] },
+            parentId: { type: 'integer', nullable: true },
+            title: { type: 'string' },
+            status: { type: 'string' },
+            priority: { type: 'string' },
+            dependencies: ref('Dependencies')
+          }
+        },
+        Error: {
+          type: 'object',
+          required: ['ok', 'error'],
+          properties: {
+            ok: { type: 'boolean', enum: [false] },
+            error: {
+              type: 'object',
+              properties: { code: { type: 'string', example: 'NOT_FOUND' }, message: { type: 'string' } }
+            }
+          }
+        }
+      },
+      responses: {
+        400: { description: 'Invalid request (code INVALID_INPUT)', content: { 'application/json': { schema: ref('Error') } } },
+        401: { description: 'Missing or invalid bearer token (code UNAUTHORIZED)', content: { 'application/json': { schema: ref('Error') } } },
+        404: { description: 'No such task or report (code NOT_FOUND)', content: { 'application/json': { schema: ref('Error') } } },
+        409: { description: 'The tasks were changed by another process meanwhile (code ESTALE); retry', content: { 'application/json': { schema: ref('Error') } } }
+      }
+    }
+  };
+}
+
+export {
+  getOpenApiDocument
+};
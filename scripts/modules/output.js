@@ -0,0 +1,199 @@
+/**
+ * output.js
+ * Machine-readable output for the global --json flag
+ *
+ * With --json a command prints exactly one JSON envelope on stdout:
+ *   { "ok": true, "command": "list", "schemaVersion": 1, "data": { ... } }
+ *   { "ok": false, "command": "show", "schemaVersion": 1, "error": { "code": "NOT_FOUND", "message": "..." } }
+ * Everything the command would normally print (banners, boxes, tables, log
+ * lines, spinners, colours) is dropped. Commands hand their result to
+ * setCommandResult; failures come from the error that ended the command, or
+ * from the last error message reported before it exited with a failure status.
+ *
+ * Code that calls the task functions in-process (the MCP server) runs them with
+ * runQuietly instead: within the call nothing is printed, and log() messages go
+ * to the caller's logger. The task functions print through terminal rather than
+ * console for that, so the console itself is never replaced.
+ *
+ * This module only depends on chalk so that utils.js and ui.js can import it.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import chalk from 'chalk';
+
+// Bumped whenever the envelope or a documented data shape changes incompatibly
+const JSON_SCHEMA_VERSION = 1;
+
+// State of the current run
+const state = {
+  enabled: false,
+  command: null,
+  data: null,
+  errorMessage: null,
+  emitted: false
+};
+
+// Output functions replaced while --json is active
+const originals = {};
+
+// Holds { logger } while a function runs through runQuietly
+const quietContext = new AsyncLocalStorage();
+
+
+/**
+ * Check whether the --json flag is active
+ * @returns {boolean} True if commands should print a JSON envelope only
+ */
+function isJsonOutput() {
+  return state.enabled;
+}
+
+/**
+ * Switch to JSON output for the rest of the process: silence stdout, turn off
+ * colours, collect error messages and print the envelope when the process exits
+ */
+function enableJsonOutput() {
+  if (state.enabled) {
+    return;
+  }
+  state.enabled = true;
+  chalk.level = 0;
+
+  originals.write = process.stdout.write.bind(process.stdout);
+  originals.error = console.error;
+  originals.exit = process.exit;
+
+  process.stdout.write = () => true;
+  console.error = (...args) => reportError(args.map(arg => (arg instanceof Error ? arg.message : String(arg))).join(' '));
+  process.exit = (code) => {
+    finishJsonOutput(code === undefined ? process.exitCode || 0 : code);
+    return originals.exit.call(process, code);
+  };
+}
+
+/**
+ * Record the name of the command being run, for the envelope
+ * @param {string} command - Command name
+ */
+function setCommandName(command) {
+  state.command = command;
+}
+
+/**
+ * Record the result of the command, printed as the envelope's data
+ * @param {*} data - JSON-serializable result
+ */
+function setCommandResult(data) {
+  state.data = data;
+}
+
+/**
+ * Remember an error message in case the command then exits with a failure status
+ * @param {string} message - Error message as it would have been printed
+ */
+function reportError(message) {
+  if (!state.enabled) {
+    return;
+  }
+  state.errorMessage = String(message).replace(/^(❌\s*)?(error:\s*)?/i, '').trim();
+}
+
+/**
+ * Print the envelope, once
+ * @param {number} [exitCode=0] - Exit status of the command
+ * @param {Error|null} [error=null] - Error that ended the command
+ */
+function finishJsonOutput(exitCode = 0, error = null) {
+  if (!state.enabled || state.emitted) {
+    return;
+  }
+  state.emitted = true;
+
+  const envelope = { ok: !error && exitCode === 0, command: state.command, schemaVersion: JSON_SCHEMA_VERSION };
+  if (envelope.ok) {
+    envelope.data = state.data === undefined ? null : state.data;
+  } else {
+    envelope.error = {
+      code: (error && typeof error.code === 'string' && error.code) || 'ERROR',
+      message: (error && error.message) || state.errorMessage || `Command failed with exit code ${exitCode}`
+    };
+  }
+  originals.write(`${JSON.stringify(envelope, null, 2)}\n`);
+}
+
+/**
+ * Check whether output is being suppressed, by --json or by runQuietly
+ * @returns {boolean} True if nothing should be printed or asked on the terminal
+ */
+function isQuietOutput() {
+  return state.enabled || quietContext.getStore() !== undefined;
+}
+
+/**
+ * Get the logger of the runQuietly call in progress
+ * @returns {Object|null} Logger with info, warn, error and debug methods, or null
+ */
+function getQuietLogger() {
+  const context = quietContext.getStore();
+  return context ? context.logger : null;
+}
+
+/**
+ * Run a function without printing anything through terminal. Calls running at
+ * the same time outside of runQuietly keep printing as usual.
+ * @param {Function} fn - Function to run
+ * @param {Object|null} [logger=null] - Receives the log() messages of the function
+ * @returns {*} Whatever fn returns
+ */
+function runQuietly(fn, logger = null) {
+  return quietContext.run({ logger }, fn);
+}
+
+/**
+ * Print a console method's output unless a runQuietly call is in progress
+ * @param {string} method - Console method ("log", "info", "warn" or "error")
+ * @returns {Function} Takes the arguments of the console method
+ */
+function printUnlessQuiet(method) {
+  return (...args) => {
+    if (quietContext.getStore() === undefined) {
+      console[method](...args);
+    }
+  };
+}
+
+// What the task functions print with instead of console; --json output still
+// patches the console itself, so error messages end up in the envelope
+const terminal = {
+  log: printUnlessQuiet('log'),
+  info: printUnlessQuiet('info'),
+  warn: printUnlessQuiet('warn'),
+  error: printUnlessQuiet('error')
+};
+
+/**
+ * Create an error with a machine-readable code for the JSON envelope
+ * @param {string} message - Error message
+ * @param {string} code - Error code (e.g. "NOT_FOUND")
+ * @returns {Error} Error with the code set
+ */
+function createCodedError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export {
+  JSON_SCHEMA_VERSION,
+  isJsonOutput,
+  enableJsonOutput,
+  isQuietOutput,
+  getQuietLogger,
+  runQuietly,
+  terminal,
+  setCommandName,
+  setCommandResult,
+  reportError,
+  finishJsonOutput,
+  createCodedError
+};
@@ -0,0 +1,216 @@
+/**
+ * prompts.js
+ * Named prompt templates for the Task Master CLI
+ *
+ * Built-in templates live in assets/prompts/<name>.md. A project can override
+ * any of them by placing a file with the same name in CONFIG.promptsDir
+ * (default: .taskmaster/prompts/). Besides the prompts sent to the AI, the
+ * templates include the prompts the MCP server offers to agents.
+ *
+ * Template syntax:
+ *   {{name}} or {{task.title}}          - insert a variable (missing fields render as empty)
+ *   {{#if name}}...{{/if}}              - include the block only if the variable is truthy
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG, resolveProjectPath } from './utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const BUILT_IN_PROMPTS_DIR = path.join(__dirname, '..', '..', 'assets', 'prompts');
+
+// Every template the CLI and the MCP server render, with the variables it is given
+const PROMPT_TEMPLATES = {
+  'parse-prd': {
+    description: 'Break a PRD down into tasks (parse-prd)',
+    variables: ['numTasks', 'prdPath', 'prdContent']
+  },
+  'expand': {
+    description: 'Generate subtasks for a task (expand)',
+    variables: ['task', 'details', 'dependencies', 'numSubtasks', 'nextSubtaskId', 'secondSubtaskId', 'thirdSubtaskId', 'additionalContext']
+  },
+  'expand-research': {
+    description: 'Research query sent before generating subtasks (expand --research)',
+    variables: ['task']
+  },
+  'analyze-complexity': {
+    description: 'Score task complexity and recommend subtask counts (analyze-complexity)',
+    variables: ['tasks', 'minSubtasks', 'maxSubtasks']
+  },
+  'update-system': {
+    description: 'System prompt for updating tasks (update)',
+    variables: []
+  },
+  'update': {
+    description: 'Rewrite tasks to reflect new context (update)',
+    variables: ['systemContext', 'tasksJson', 'prompt']
+  },
+  'update-research': {
+    description: 'Rewrite tasks with the research provider (update --research)',
+    variables: ['tasksJson', 'prompt']
+  },
+  'add-task-system': {
+    description: 'System prompt for creating a task (add-task)',
+    variables: []
+  },
+  'add-task': {
+    description: 'Create a single new task from a description (add-task)',
+    variables: ['newTaskId', 'prompt', 'contextTasks']
+  },
+  'start-next-task': {
+    description: 'Instructions for an agent to work on the next task (MCP prompt)',
+    variables: ['task', 'details', 'dependencies', 'subtasks', 'complexity']
+  },
+  'expand-with-research': {
+    description: 'Instructions for an agent to research and break down a task (MCP prompt)',
+    variables: ['task', 'details', 'dependencies', 'complexity', 'numSubtasks', 'additionalContext']
+  },
+  'log-implementation-drift': {
+    description: 'Instructions for an agent to update tasks after the implementation changed (MCP prompt)',
+    variables: ['task', 'changes', 'dependents', 'upcoming', 'fromId']
+  },
+  'review-task': {
+    description: 'Instructions for an agent to review a task before marking it done (MCP prompt)',
+    variables: ['task', 'details', 'dependencies', 'subtasks', 'complexity']
+  }
+};
+
+/**
+ * Get the path of a prompt's project override file
+ * @param {string} name - Template name
+ * @param {string} promptsDir - Project prompts directory
+ * @returns {string} Path of the override file (which may not exist)
+ */
+function getOverridePath(name, promptsDir = resolveProjectPath(CONFIG.promptsDir)) {
+  return path.join(promptsDir, `${name}.md`);
+}
+
+/**
+ * Load a prompt template, preferring the project override
+ * @param {string} name - Template name
+ * @param {Object} options - Load options
+ * @param {boolean} [options.builtIn=false] - Ignore any project override
+ * @param {string} [options.promptsDir] - Project prompts directory
+ * @returns {{name: string, source: string, path: string, template: string}} The template and where it came from
+ */
+function loadPrompt(name, options = {}) {
+  if (!PROMPT_TEMPLATES[name]) {
+    throw new Error(`Unknown prompt template "${name}". Available templates: ${Object.keys(PROMPT_TEMPLATES).join(', ')}`);
+  }
+
+  const overridePath = getOverridePath(name, options.promptsDir);
+  if (!options.builtIn && fs.existsSync(overridePath)) {
+    return { name, source: 'project', path: overridePath, template: fs.readFileSync(overridePath, 'utf8') };
+  }
+
+  const builtInPath = path.join(BUILT_IN_PROMPTS_DIR, `${name}.md`);
+  return { name, source: 'built-in', path: builtInPath, template: fs.readFileSync(builtInPath, 'utf8') };
+}
+
+/**
+ * Look up a (possibly dotted) variable
+ * @param {Object} variables - Template variables
+ * @param {string} key - Variable name, e.g. "task.title"
+ * @returns {*} The value, or undefined if any part of the path is missing
+ */
+function lookupVariable(variables, key) {
+  return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), variables);
+}
+
+/**
+ * Fill a template with variables
+ * @param {string} template - Template text
+ * @param {Object} variables - Template variables
+ * @param {string} [name='template'] - Template name, used in error messages
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, variables, name = 'template') {
+  const withBlocks = template.replace(
+    /\{\{#if\s+([\w.]+)\s*\}\}([\s\S]*?)\{\{\/if\}\}/g,
+    (match, key, block) => (lookupVariable(variables, key) ? block : '')
+  );
+
+  return withBlocks.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = lookupVariable(variables, key);
+    if (!(key.split('.')[0] in variables)) {
+      throw new Error(`Prompt "${name}" uses unknown variable "${key}"`);
+    }
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+  }).replace(/\s+$/, '');
+}
+
+/**
+ * Render a named prompt template
+ * @param {string} name - Template name
+ * @param {Object} variables - Template variables
+ * @returns {string} Rendered prompt
+ */
+function renderPrompt(name, variables = {}) {
+  const { template } = loadPrompt(name);
+  return renderTemplate(template, variables, name);
+}
+
+/**
+ * List every prompt template and whether the project overrides it
+ * @param {string} promptsDir - Project prompts directory
+ * @returns {Array} Entries of { name, description, variables, source, path }
+ */
+function listPrompts(promptsDir = resolveProjectPath(CONFIG.promptsDir)) {
+  return Object.entries(PROMPT_TEMPLATES).map(([name, info]) => {
+    const { source, path: templatePath } = loadPrompt(name, { promptsDir });
+    return { name, ...info, source, path: templatePath };
+  });
+}
+
+/**
+ * Compute a line diff between two texts
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @returns {Array} Lines of { type: ' ' | '-' | '+', line }
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: '-', line: a[i++] });
+    } else {
+      result.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: '-', line: a[i++] });
+  while (j < b.length) result.push({ type: '+', line: b[j++] });
+  return result;
+}
+
+export {
+  PROMPT_TEMPLATES,
+  getOverridePath,
+  loadPrompt,
+  renderTemplate,
+  renderPrompt,
+  listPrompts,
+  diffLines
+};
@@ -0,0 +1,289 @@
+/**
+ * storage.js
+ * Storage backends for tasks data
+ *
+ * Every backend exposes the same shape:
+ *   - name: string
+ *   - getLocation(tasksPath): string - where the backend keeps the data of a tasks file
+ *   - exists(tasksPath): boolean
+ *   - read(tasksPath): Object - { ...topLevelFields, tasks }
+ *   - write(tasksPath, data)
+ *   - remove(tasksPath)
+ *
+ * tasksPath is always the path of the tasks.json file (e.g. tasks/tasks.json),
+ * whichever backend is in use: locks, the history journal and task files keep
+ * living next to it. Backends throw on errors; callers decide how to report them.
+ *
+ * This module only moves data in and out of storage; it does not lock files,
+ * check revisions or record history (see writeTasks in utils.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+// Factories for the built-in backends, keyed by the name stored in the project config
+const storageFactories = new Map();
+
+// Backend instances are created lazily and reused for the lifetime of the process
+const storageInstances = new Map();
+
+/**
+ * Write a file through a temporary file, so readers never see it half-written
+ * @param {string} filePath - File to write
+ * @param {string} content - File content
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Make sure the directory of a file exists
+ * @param {string} filePath - File about to be written
+ */
+function ensureParentDir(filePath) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Get the path of a tasks file with its extension replaced
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} suffix - New suffix (e.g. ".db")
+ * @returns {string} Path next to the tasks file
+ */
+function replaceExtension(tasksPath, suffix) {
+  const base = path.basename(tasksPath, path.extname(tasksPath));
+  return path.join(path.dirname(tasksPath), `${base}${suffix}`);
+}
+
+/**
+ * Create the default backend: everything in the tasks.json file itself
+ * @returns {Object} Storage backend
+ */
+function createJsonStorage() {
+  return {
+    name: 'json',
+    getLocation: (tasksPath) => tasksPath,
+    exists: (tasksPath) => fs.existsSync(tasksPath),
+    read: (tasksPath) => JSON.parse(fs.readFileSync(tasksPath, 'utf8')),
+    write: (tasksPath, data) => writeFileAtomic(tasksPath, JSON.stringify(data, null, 2)),
+    remove(tasksPath) {
+      fs.rmSync(tasksPath, { force: true });
+    }
+  };
+}
+
+/**
+ * Create the directory backend: one JSON file per task, so that changes to
+ * different tasks never touch the same file and merge cleanly in git.
+ *
+ * tasks/tasks.json is stored as tasks/tasks.d/ holding:
+ *   - _meta.json: every top-level field except tasks
+ *   - task_001.json, task_002.json, ...: one file per task
+ *   - .revision: the revision counter, kept out of git (see the .gitignore there)
+ *     so that every save does not change a tracked file
+ * Tasks are read back in ID order.
+ * @returns {Object} Storage backend
+ */
+function createDirectoryStorage() {
+  const META_FILE = '_meta.json';
+  const REVISION_FILE = '.revision';
+  const TASK_FILE_PATTERN = /^task_(\d+)\.json$/;
+
+  const getLocation = (tasksPath) => replaceExtension(tasksPath, '.d');
+  const serialize = (value) => `${JSON.stringify(value, null, 2)}\n`;
+  const taskFileName = (id) => `task_${id.toString().padStart(3, '0')}.json`;
+
+  return {
+    name: 'directory',
+    getLocation,
+    exists: (tasksPath) => fs.existsSync(path.join(getLocation(tasksPath), META_FILE)),
+
+    read(tasksPath) {
+      const dir = getLocation(tasksPath);
+      const data = JSON.parse(fs.readFileSync(path.join(dir, META_FILE), 'utf8'));
+
+      const revisionPath = path.join(dir, REVISION_FILE);
+      if (fs.existsSync(revisionPath)) {
+        data.meta = { ...data.meta, revision: parseInt(fs.readFileSync(revisionPath, 'utf8'), 10) || 0 };
+      }
+
+      data.tasks = fs.readdirSync(dir)
+        .filter(name => TASK_FILE_PATTERN.test(name))
+        .map(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')))
+        .sort((a, b) => a.id - b.id);
+      return data;
+    },
+
+    write(tasksPath, data) {
+      const dir = getLocation(tasksPath);
+      fs.mkdirSync(dir, { recursive: true });
+
+      const { tasks = [], ...fields } = data;
+      const { revision, ...meta } = fields.meta || {};
+      if (fields.meta) {
+        fields.meta = meta;
+      }
+
+      // Only rewrite files whose content changed, so git sees the real edits
+      const writeIfChanged = (name, content) => {
+        const filePath = path.join(dir, name);
+        if (!fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf8') !== content) {
+          writeFileAtomic(filePath, content);
+        }
+      };
+
+      const keep = new Set([META_FILE]);
+      tasks.forEach(task => {
+        const name = taskFileName(task.id);
+        keep.add(name);
+        writeIfChanged(name, serialize(task));
+      });
+      fs.readdirSync(dir)
+        .filter(name => TASK_FILE_PATTERN.test(name) && !keep.has(name))
+        .forEach(name => fs.unlinkSync(path.join(dir, name)));
+
+      writeIfChanged(META_FILE, serialize(fields));
+      writeIfChanged('.gitignore', `${REVISION_FILE}\n`);
+      if (revision !== undefined) {
+        writeIfChanged(REVISION_FILE, `${revision}\n`);
+      } else {
+        fs.rmSync(path.join(dir, REVISION_FILE), { force: true });
+      }
+    },
+
+    remove(tasksPath) {
+      fs.rmSync(getLocation(tasksPath), { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Create the SQLite backend: tasks/tasks.json is stored as tasks/tasks.db with
+ * one row per task. Needs the optional better-sqlite3 package.
+ * @param {Object} options - Backend options
+ * @param {Function} [options.Database] - better-sqlite3 Database class (used in tests)
+ * @returns {Object} Storage backend
+ */
+function createSqliteStorage(options = {}) {
+  let Database = options.Database;
+
+  const getLocation = (tasksPath) => replaceExtension(tasksPath, '.db');
+
+  const open = (tasksPath, dbOptions = {}) => {
+    if (!Database) {
+      try {
+        Database = createRequire(import.meta.url)('better-sqlite3');
+      } catch (error) {
+        throw new Error('The "sqlite" storage backend needs the better-sqlite3 package. Install it with: npm install better-sqlite3');
+      }
+    }
+    const db = new Database(getLocation(tasksPath), dbOptions);
+    db.exec(
+      'CREATE TABLE IF NOT EXISTS fields (key TEXT PRIMARY KEY, value TEXT NOT NULL);' +
+      'CREATE TABLE IF NOT EXISTS tasks (id INTEGER PRIMARY KEY, position INTEGER NOT NULL, data TEXT NOT NULL);'
+    );
+    return db;
+  };
+
+  return {
+    name: 'sqlite',
+    getLocation,
+    exists: (tasksPath) => fs.existsSync(getLocation(tasksPath)),
+
+    read(tasksPath) {
+      const db = open(tasksPath, { fileMustExist: true });
+      try {
+        const data = {};
+        db.prepare('SELECT key, value FROM fields').all()
+          .forEach(row => { data[row.key] = JSON.parse(row.value); });
+        data.tasks = db.prepare('SELECT data FROM tasks ORDER BY position').all()
+          .map(row => JSON.parse(row.data));
+        return data;
+      } finally {
+        db.close();
+      }
+    },
+
+    write(tasksPath, data) {
+      ensureParentDir(getLocation(tasksPath));
+      const db = open(tasksPath);
+      try {
+        const { tasks = [], ...fields } = data;
+        const insertField = db.prepare('INSERT INTO fields (key, value) VALUES (?, ?)');
+        const insertTask = db.prepare('INSERT INTO tasks (id, position, data) VALUES (?, ?, ?)');
+        db.transaction(() => {
+          db.exec('DELETE FROM fields; DELETE FROM tasks;');
+          Object.entries(fields).forEach(([key, value]) => insertField.run(key, JSON.stringify(value)));
+          tasks.forEach((task, index) => insertTask.run(task.id, index, JSON.stringify(task)));
+        })();
+      } finally {
+        db.close();
+      }
+    },
+
+    remove(tasksPath) {
+      const location = getLocation(tasksPath);
+      [location, `${location}-wal`, `${location}-shm`].forEach(file => fs.rmSync(file, { force: true }));
+    }
+  };
+}
+
+/**
+ * Register a storage backend factory under a name
+ * @param {string} name - Backend name (e.g. "sqlite")
+ * @param {Function} factory - Function returning a storage backend
+ */
+function registerStorage(name, factory) {
+  storageFactories.set(name, factory);
+  storageInstances.delete(name);
+}
+
+/**
+ * Get the storage backend registered under a name, creating it on first use
+ * @param {string} name - Backend name
+ * @returns {Object} Storage backend
+ */
+function getStorage(name) {
+  if (!storageFactories.has(name)) {
+    throw new Error(`Unknown storage backend "${name}". Available backends: ${listStorages().join(', ')}`);
+  }
+  if (!storageInstances.has(name)) {
+    storageInstances.set(name, storageFactories.get(name)());
+  }
+  return storageInstances.get(name);
+}
+
+/**
+ * List the names of all registered storage backends
+ * @returns {string[]} Backend names
+ */
+function listStorages() {
+  return [...storageFactories.keys()];
+}
+
+// Built-in backends
+registerStorage('json', () => createJsonStorage());
+registerStorage('sqlite', () => createSqliteStorage());
+registerStorage('directory', () => createDirectoryStorage());
+
+export {
+  createJsonStorage,
+  createDirectoryStorage,
+  createSqliteStorage,
+  registerStorage,
+  getStorage,
+  listStorages
+};
@@ -0,0 +1,242 @@
+/**
+ * task-fields.js
+ * Tags and user-defined custom fields on tasks, and filtering tasks by them
+ *
+ * Tags are free-form labels stored as task.tags (an array of strings).
+ * Custom fields are declared in the project config and stored as task.fields:
+ *   "fields": {
+ *     "component": { "type": "enum", "values": ["api", "ui"] },
+ *     "estimate": { "type": "number" },
+ *     "owner": { "type": "string" }
+ *   }
+ * Only top-level tasks carry tags and custom fields.
+ */
+
+import { readProjectConfig } from './utils.js';
+import { createCodedError } from './output.js';
+
+// Types a custom field can be declared with
+const FIELD_TYPES = ['string', 'number', 'boolean', 'date', 'enum'];
+
+// Task properties that cannot be used as custom field names
+const RESERVED_FIELDS = [
+  'id', 'title', 'description', 'status', 'priority', 'dependencies',
+  'details', 'testStrategy', 'subtasks', 'tags', 'fields'
+];
+
+// Operators of --where clauses
+const WHERE_OPERATORS = ['<=', '>=', '!=', '=', '<', '>', '~'];
+
+/**
+ * Get the custom fields declared in the project config
+ * @returns {Object} Field definitions by name ({ type, values })
+ * @throws {Error} If a declaration is invalid
+ */
+function getFieldDefinitions() {
+  const declared = readProjectConfig().fields || {};
+  const definitions = {};
+
+  Object.entries(declared).forEach(([name, declaration]) => {
+    if (!/^[a-z][a-z0-9_-]*$/.test(name) || RESERVED_FIELDS.includes(name)) {
+      throw new Error(`Invalid custom field name "${name}": use lowercase letters, digits, "-" and "_", and not a built-in task property`);
+    }
+    const definition = { type: 'string', ...declaration };
+    if (!FIELD_TYPES.includes(definition.type)) {
+      throw new Error(`Custom field "${name}" has unknown type "${definition.type}". Use one of: ${FIELD_TYPES.join(', ')}`);
+    }
+    if (definition.type === 'enum' && (!Array.isArray(definition.values) || definition.values.length === 0)) {
+      throw new Error(`Custom field "${name}" is an enum but declares no "values"`);
+    }
+    definitions[name] = definition;
+  });
+
+  return definitions;
+}
+
+/**
+ * Split a comma-separated list of tags
+ * @param {string|string[]} value - e.g. "backend, api" (or an array of such strings)
+ * @returns {string[]} Trimmed tags without blanks or duplicates
+ */
+function parseTags(value) {
+  const parts = (Array.isArray(value) ? value : [value])
+    .flatMap(part => String(part).split(','))
+    .map(tag => tag.trim())
+    .filter(Boolean);
+  return [...new Set(parts)];
+}
+
+/**
+ * Convert the text value of a custom field to its declared type
+ * @param {string} name - Field name
+ * @param {string} value - Value as typed on the command line
+ * @param {Object} definitions - Field definitions (see getFieldDefinitions)
+ * @returns {string|number|boolean} Typed value
+ * @throws {Error} With code INVALID_INPUT if the field is not declared or the value does not fit its type
+ */
+function parseFieldValue(name, value, definitions) {
+  const definition = definitions[name];
+  if (!definition) {
+    const declared = Object.keys(definitions);
+    throw createCodedError(
+      `Unknown field "${name}". ` +
+      (declared.length > 0 ? `Declared fields: ${declared.join(', ')}` : 'Declare custom fields under "fields" in the project config.'),
+      'INVALID_INPUT'
+    );
+  }
+
+  const text = String(value).trim();
+  switch (definition.type) {
+    case 'number': {
+      const number = Number(text);
+      if (text === '' || !Number.isFinite(number)) {
+        throw createCodedError(`Field "${name}" must be a number, got "${text}"`, 'INVALID_INPUT');
+      }
+      return number;
+    }
+    case 'boolean':
+      if (!['true', 'false'].includes(text.toLowerCase())) {
+        throw createCodedError(`Field "${name}" must be true or false, got "${text}"`, 'INVALID_INPUT');
+      }
+      return text.toLowerCase() === 'true';
+    case 'date':
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(text))) {
+        throw createCodedError(`Field "${name}" must be a date (YYYY-MM-DD), got "${text}"`, 'INVALID_INPUT');
+      }
+      return text;
+    case 'enum':
+      if (!definition.values.includes(text)) {
+        throw createCodedError(`Field "${name}" must be one of: ${definition.values.join(', ')}`, 'INVALID_INPUT');
+      }
+      return text;
+    default:
+      return text;
+  }
+}
+
+/**
+ * Parse a --where clause
+ * @param {string} clause - e.g. "estimate<=3", "owner=sam", "component!=ui", "title~auth"
+ * @returns {{field: string, operator: string, value: string}} Parsed clause
+ * @throws {Error} With code INVALID_INPUT if the clause has no operator or field name
+ */
+function parseWhereClause(clause) {
+  const match = /^\s*([A-Za-z][\w-]*)\s*(<=|>=|!=|=|<|>|~)\s*(.+?)\s*$/.exec(clause);
+  if (!match) {
+    throw createCodedError(`Invalid --where clause "${clause}". Use <field><operator><value> with one of: ${WHERE_OPERATORS.join(' ')}`, 'INVALID_INPUT');
+  }
+  return { field: match[1], operator: match[2], value: match[3] };
+}
+
+/**
+ * Get the value a filter sees for a task: a built-in property, the tags, or a custom field
+ * @param {Object} task - Task
+ * @param {string} field - Field name
+ * @returns {*} Value, or undefined if the task has none
+ */
+function getTaskFieldValue(task, field) {
+  if (field === 'tags') {
+    return task.tags || [];
+  }
+  if (RESERVED_FIELDS.includes(field)) {
+    return field === 'priority' ? task.priority || 'medium' : task[field];
+  }
+  return task.fields ? task.fields[field] : undefined;
+}
+
+/**
+ * Check one --where clause against a task. Numbers compare numerically,
+ * everything else as case-insensitive text; "~" means "contains". A task
+ * without the field only matches "!=".
+ * @param {Object} task - Task
+ * @param {{field: string, operator: string, value: string}} clause - Parsed clause
+ * @returns {boolean} True if the task matches
+ */
+function matchesWhereClause(task, clause) {
+  const actual = getTaskFieldValue(task, clause.field);
+  if (actual === undefined || actual === null || actual === '') {
+    return clause.operator === '!=';
+  }
+
+  if (Array.isArray(actual)) {
+    const values = actual.map(value => String(value).toLowerCase());
+    const expected = clause.value.toLowerCase();
+    const found = clause.operator === '~'
+      ? values.some(value => value.includes(expected))
+      : values.includes(expected);
+    return clause.operator === '!=' ? !found : found;
+  }
+
+  const numeric = typeof actual === 'number' && Number.isFinite(Number(clause.value));
+  const left = numeric ? actual : String(actual).toLowerCase();
+  const right = numeric ? Number(clause.value) : clause.value.toLowerCase();
+
+  switch (clause.operator) {
+    case '=': return left === right;
+    case '!=': return left !== right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '~': return String(left).includes(String(right));
+    default: return false;
+  }
+}
+
+/**
+ * Build a task filter from command options
+ * @param {Object} options - Options
+ * @param {string[]} [options.tags] - Tags the task must all have
+ * @param {string[]} [options.where] - --where clauses the task must all match
+ * @returns {Object|null} Filter for matchesTaskFilter, or null if nothing is filtered
+ * @throws {Error} If a clause is invalid
+ */
+function createTaskFilter(options = {}) {
+  const tags = parseTags(options.tags || []);
+  const where = (options.where || []).map(parseWhereClause);
+  return tags.length > 0 || where.length > 0 ? { tags, where } : null;
+}
+
+/**
+ * Check a task against a filter
+ * @param {Object} task - Task
+ * @param {Object|null} filter - Filter from createTaskFilter (null matches everything)
+ * @returns {boolean} True if the task has every tag and matches every clause
+ */
+function matchesTaskFilter(task, filter) {
+  if (!filter) {
+    return true;
+  }
+  const taskTags = (task.tags || []).map(tag => tag.toLowerCase());
+  return filter.tags.every(tag => taskTags.includes(tag.toLowerCase())) &&
+    filter.where.every(clause => matchesWhereClause(task, clause));
+}
+
+/**
+ * Describe a filter for display
+ * @param {Object|null} filter - Filter from createTaskFilter
+ * @returns {string} e.g. "tag backend, estimate<=3"
+ */
+function describeTaskFilter(filter) {
+  if (!filter) {
+    return '';
+  }
+  return [
+    ...filter.tags.map(tag => `tag ${tag}`),
+    ...filter.where.map(clause => `${clause.field}${clause.operator}${clause.value}`)
+  ].join(', ');
+}
+
+export {
+  FIELD_TYPES,
+  RESERVED_FIELDS,
+  getFieldDefinitions,
+  parseTags,
+  parseFieldValue,
+  parseWhereClause,
+  getTaskFieldValue,
+  matchesWhereClause,
+  createTaskFilter,
+  matchesTaskFilter,
+  describeTaskFilter
+};
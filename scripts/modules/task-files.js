@@ -0,0 +1,730 @@
+/**
+ * task-files.js
+ * Format and parse the task files generated from tasks.json, and keep track of
+ * what was last written so edits on either side can be detected
+ *
+ * Two formats are supported: "txt" (task_XXX.txt with "# Key: value" lines)
+ * and "md" (task_XXX.md, Markdown with YAML front matter). The format chosen
+ * with generate --format is remembered in the project config.
+ *
+ * After every write the sync state (.sync-state.json next to the task files)
+ * stores, per file, a hash of the file content and a hash of the task as it
+ * appears in the file:
+ *   { "files": { "task_005.txt": { "fileHash": "...", "taskHash": "..." } } }
+ * A file whose content no longer matches fileHash was edited by hand; a task
+ * whose hash no longer matches taskHash was changed in tasks.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { readProjectConfig } from './utils.js';
+import { formatDependenciesWithStatus } from './ui.js';
+
+// Supported task file formats (also the file extensions)
+const TASK_FILE_FORMATS = ['txt', 'md'];
+
+/**
+ * Get the task file format configured for the project
+ * @returns {string} "txt" or "md"
+ */
+function getTaskFileFormat() {
+  const format = readProjectConfig().taskFileFormat;
+  return TASK_FILE_FORMATS.includes(format) ? format : 'txt';
+}
+
+/**
+ * Get the file name of a task file
+ * @param {number} taskId - Task ID
+ * @param {string} [format='txt'] - Task file format
+ * @returns {string} e.g. "task_005.txt"
+ */
+function getTaskFileName(taskId, format = 'txt') {
+  return `task_${taskId.toString().padStart(3, '0')}.${format}`;
+}
+
+/**
+ * Describe how a subtask's dependencies appear in a task file. Numeric
+ * dependencies on sibling subtasks are written as full IDs.
+ * @param {Object} task - Parent task
+ * @param {Object} subtask - Subtask
+ * @returns {string} e.g. "5.1, 3" or "None"
+ */
+function formatSubtaskDependencies(task, subtask) {
+  if (!subtask.dependencies || subtask.dependencies.length === 0) {
+    return 'None';
+  }
+  return subtask.dependencies.map(depId => {
+    if (typeof depId === 'number' && task.subtasks.some(st => st.id === depId)) {
+      return `${task.id}.${depId}`;
+    }
+    return depId.toString();
+  }).join(', ');
+}
+
+/**
+ * Write a custom field value so that it reads back with the same type.
+ * Text that would read back as a number or boolean is quoted.
+ * @param {string|number|boolean} value - Field value
+ * @returns {string} Value as written in a task file
+ */
+function formatFieldValue(value) {
+  if (typeof value === 'string' && (/^(true|false|-?\d+(\.\d+)?)$/.test(value) || /^".*"$/.test(value))) {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Read a custom field value written by formatFieldValue
+ * @param {string} text - Value as written in a task file
+ * @returns {string|number|boolean} Field value
+ */
+function parseFieldValue(text) {
+  const value = text.trim();
+  if (/^".*"$/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Add the tags and custom fields read from a task file to a parsed task
+ * @param {Object} result - Parsed task
+ * @param {string[]|null} tags - Tags, or null if the file has no tags line
+ * @param {Object} fields - Custom fields by name
+ * @returns {Object} The parsed task
+ */
+function addTagsAndFields(result, tags, fields) {
+  if (tags !== null) {
+    result.tags = tags;
+  }
+  if (Object.keys(fields).length > 0) {
+    result.fields = fields;
+  }
+  return result;
+}
+
+/**
+ * Split the tags of a task file line
+ * @param {string} value - e.g. "backend, api"
+ * @returns {string[]} Tags
+ */
+function parseTagList(value) {
+  return value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Render a task in the txt format
+ * @param {Object} task - Task to render
+ * @param {Array} allTasks - All tasks, used to check dependencies
+ * @returns {string} File content
+ */
+function formatTaskText(task, allTasks) {
+  let content = `# Task ID: ${task.id}\n`;
+  content += `# Title: ${task.title}\n`;
+  content += `# Status: ${task.status || 'pending'}\n`;
+
+  // Format dependencies with their status
+  if (task.dependencies && task.dependencies.length > 0) {
+    content += `# Dependencies: ${formatDependenciesWithStatus(task.dependencies, allTasks, false)}\n`;
+  } else {
+    content += '# Dependencies: None\n';
+  }
+
+  content += `# Priority: ${task.priority || 'medium'}\n`;
+  if (task.tags && task.tags.length > 0) {
+    content += `# Tags: ${task.tags.join(', ')}\n`;
+  }
+  Object.entries(task.fields || {}).forEach(([name, value]) => {
+    content += `# ${name}: ${formatFieldValue(value)}\n`;
+  });
+  content += `# Description: ${task.description || ''}\n`;
+
+  // Add more detailed sections
+  content += '# Details:\n';
+  content += task.details || '';
+  content += '\n\n';
+
+  content += '# Test Strategy:\n';
+  content += task.testStrategy || '';
+  content += '\n';
+
+  // Add subtasks if they exist
+  if (task.subtasks && task.subtasks.length > 0) {
+    content += '\n# Subtasks:\n';
+
+    task.subtasks.forEach(subtask => {
+      content += `## ${subtask.id}. ${subtask.title} [${subtask.status || 'pending'}]\n`;
+      content += `### Dependencies: ${formatSubtaskDependencies(task, subtask)}\n`;
+      content += `### Description: ${subtask.description || ''}\n`;
+      content += '### Details:\n';
+      content += subtask.details || '';
+      content += '\n\n';
+    });
+  }
+
+  return content;
+}
+
+/**
+ * Parse the dependency list of a task file line
+ * @param {string} value - e.g. "1, 3.2, 4 (Not found)" or "None"
+ * @param {number|null} parentId - ID of the parent task when parsing subtask dependencies
+ * @returns {Array} Dependencies as stored in tasks.json
+ */
+function parseDependencyList(value, parentId) {
+  const text = value.trim();
+  if (!text || text.toLowerCase() === 'none') {
+    return [];
+  }
+  return text.split(',')
+    .map(part => part.replace(/\(.*?\)/g, '').trim())
+    .filter(Boolean)
+    .map(part => {
+      if (!/^\d+(\.\d+)?$/.test(part)) {
+        throw new Error(`Invalid dependency "${part}"`);
+      }
+      if (!part.includes('.')) {
+        return parseInt(part, 10);
+      }
+      const [taskId, subtaskId] = part.split('.').map(id => parseInt(id, 10));
+      return parentId !== null && taskId === parentId ? subtaskId : part;
+    });
+}
+
+/**
+ * Parse a task file in the txt format
+ * @param {string} content - File content in the format written by formatTaskText
+ * @returns {Object} Task with id, title, status, dependencies, priority, description,
+ *   details, testStrategy and, if the file lists any, tags, fields and subtasks
+ */
+function parseTaskText(content) {
+  const task = {};
+  let tags = null;
+  const fields = {};
+  let subtasks = null;
+  let target = null;
+  let field = null;
+
+  // Multi-line values collect every line up to the next header
+  const start = (object, key, value) => {
+    target = object;
+    field = key;
+    target[field] = value;
+  };
+
+  content.replace(/\r\n/g, '\n').split('\n').forEach((line, index) => {
+    let match;
+    if ((match = /^# Task ID: *(.*)$/.exec(line))) {
+      if (!/^\d+$/.test(match[1].trim())) {
+        throw new Error(`Invalid task ID "${match[1].trim()}" on line ${index + 1}`);
+      }
+      task.id = parseInt(match[1], 10);
+      target = null;
+    } else if (subtasks === null && (match = /^# (Title|Status|Dependencies|Priority|Description): ?(.*)$/.exec(line))) {
+      start(task, match[1].toLowerCase(), match[2]);
+    } else if (subtasks === null && (match = /^# Tags: ?(.*)$/.exec(line))) {
+      tags = parseTagList(match[1]);
+      target = null;
+    } else if (subtasks === null && (match = /^# ([a-z][a-z0-9_-]*): ?(.*)$/.exec(line))) {
+      fields[match[1]] = parseFieldValue(match[2]);
+      target = null;
+    } else if (subtasks === null && /^# Details:\s*$/.test(line)) {
+      start(task, 'details', null);
+    } else if (subtasks === null && /^# Test Strategy:\s*$/.test(line)) {
+      start(task, 'testStrategy', null);
+    } else if (subtasks === null && /^# Subtasks:\s*$/.test(line)) {
+      subtasks = [];
+      target = null;
+    } else if (subtasks !== null && (match = /^## (\d+)\. (.*?)(?: \[([^\]]*)\])?\s*$/.exec(line))) {
+      const subtask = { id: parseInt(match[1], 10), title: match[2], status: match[3] || 'pending' };
+      subtasks.push(subtask);
+      target = null;
+    } else if (subtasks !== null && subtasks.length > 0 && (match = /^### (Dependencies|Description): ?(.*)$/.exec(line))) {
+      start(subtasks[subtasks.length - 1], match[1].toLowerCase(), match[2]);
+    } else if (subtasks !== null && subtasks.length > 0 && /^### Details:\s*$/.test(line)) {
+      start(subtasks[subtasks.length - 1], 'details', null);
+    } else if (target) {
+      target[field] = target[field] === null ? line : `${target[field]}\n${line}`;
+    }
+  });
+
+  if (task.id === undefined) {
+    throw new Error('Missing "# Task ID:" line');
+  }
+  if (!task.title || !task.title.trim()) {
+    throw new Error('Missing "# Title:" line');
+  }
+
+  const text = value => (value || '').replace(/\s+$/, '');
+  const result = {
+    id: task.id,
+    title: text(task.title),
+    status: text(task.status) || 'pending',
+    dependencies: parseDependencyList(task.dependencies || '', null),
+    priority: text(task.priority) || 'medium',
+    description: text(task.description),
+    details: text(task.details),
+    testStrategy: text(task.testStrategy)
+  };
+  addTagsAndFields(result, tags, fields);
+  if (subtasks && subtasks.length > 0) {
+    result.subtasks = subtasks.map(subtask => ({
+      id: subtask.id,
+      title: text(subtask.title),
+      status: text(subtask.status) || 'pending',
+      dependencies: parseDependencyList(subtask.dependencies || '', task.id),
+      description: text(subtask.description),
+      details: text(subtask.details)
+    }));
+  }
+  return result;
+}
+
+/**
+ * Link to the task file of a dependency
+ * @param {number|string} dependency - Dependency ID (e.g. 5 or "5.2")
+ * @param {Array} allTasks - All tasks
+ * @returns {string} Markdown link, e.g. "[Task 5: Setup](task_005.md)"
+ */
+function formatDependencyLink(dependency, allTasks) {
+  const [taskId, subtaskId] = String(dependency).split('.').map(id => parseInt(id, 10));
+  const depTask = allTasks.find(t => t.id === taskId);
+  const file = getTaskFileName(taskId, 'md');
+  if (subtaskId) {
+    const subtask = depTask && (depTask.subtasks || []).find(st => st.id === subtaskId);
+    return `[Subtask ${dependency}${subtask ? `: ${subtask.title}` : ''}](${file}#subtasks)`;
+  }
+  return `[Task ${dependency}${depTask ? `: ${depTask.title}` : ''}](${file})`;
+}
+
+/**
+ * Render a task in the md format: YAML front matter, the description, the
+ * details and test strategy as sections, and subtasks as a checkbox list
+ * @param {Object} task - Task to render
+ * @param {Array} allTasks - All tasks, used to link dependencies
+ * @returns {string} File content
+ */
+function formatTaskMarkdown(task, allTasks) {
+  const dependencies = task.dependencies || [];
+
+  let content = '---\n';
+  content += `id: ${task.id}\n`;
+  content += `status: ${task.status || 'pending'}\n`;
+  content += `priority: ${task.priority || 'medium'}\n`;
+  content += `dependencies: [${dependencies.map(dep => (String(dep).includes('.') ? `"${dep}"` : dep)).join(', ')}]\n`;
+  if (task.tags && task.tags.length > 0) {
+    content += `tags: [${task.tags.join(', ')}]\n`;
+  }
+  Object.entries(task.fields || {}).forEach(([name, value]) => {
+    content += `${name}: ${formatFieldValue(value)}\n`;
+  });
+  content += '---\n\n';
+
+  content += `# Task ${task.id}: ${task.title}\n\n`;
+  if (task.description) {
+    content += `${task.description}\n\n`;
+  }
+  if (dependencies.length > 0) {
+    content += `**Depends on:** ${dependencies.map(dep => formatDependencyLink(dep, allTasks)).join(', ')}\n\n`;
+  }
+
+  content += `## Details\n\n${task.details ? `${task.details}\n\n` : ''}`;
+  content += `## Test Strategy\n\n${task.testStrategy ? `${task.testStrategy}\n\n` : ''}`;
+
+  if (task.subtasks && task.subtasks.length > 0) {
+    content += '## Subtasks\n\n';
+    task.subtasks.forEach(subtask => {
+      const status = subtask.status || 'pending';
+      content += `- [${status === 'done' ? 'x' : ' '}] **${task.id}.${subtask.id} ${subtask.title}** (${status})`;
+      content += subtask.description ? `: ${subtask.description}\n` : '\n';
+      content += `  - Depends on: ${formatSubtaskDependencies(task, subtask)}\n`;
+      if (subtask.details) {
+        content += '  - Details:\n\n';
+        content += subtask.details.split('\n').map(line => (line ? `    ${line}` : '')).join('\n');
+        content += '\n\n';
+      }
+    });
+  }
+
+  return content.replace(/\n+$/, '\n');
+}
+
+/**
+ * Join the lines of a section, dropping blank lines around it
+ * @param {string[]} lines - Section lines
+ * @returns {string} Section text
+ */
+function joinSection(lines) {
+  return lines.join('\n').replace(/^(?:[ \t]*\n)+/, '').replace(/\s+$/, '');
+}
+
+/**
+ * Parse a task file in the md format
+ * @param {string} content - File content in the format written by formatTaskMarkdown
+ * @returns {Object} Task with the same fields as parseTaskText returns
+ */
+function parseTaskMarkdown(content) {
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+  const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+  if (lines[0].trim() !== '---' || end === -1) {
+    throw new Error('Missing front matter');
+  }
+
+  // Keys other than the built-in ones are custom fields
+  const meta = {};
+  const fields = {};
+  lines.slice(1, end).forEach(line => {
+    const match = /^([A-Za-z][\w-]*):\s*(.*)$/.exec(line);
+    if (!match) return;
+    if (['id', 'status', 'priority', 'dependencies', 'tags'].includes(match[1])) {
+      meta[match[1]] = match[2].trim();
+    } else {
+      fields[match[1]] = parseFieldValue(match[2]);
+    }
+  });
+  if (!/^\d+$/.test(meta.id || '')) {
+    throw new Error('Missing or invalid "id" in front matter');
+  }
+  const id = parseInt(meta.id, 10);
+
+  let title = null;
+  let section = null;
+  const sections = { description: [], details: [], testStrategy: [] };
+  const subtasks = [];
+  let subtask = null;
+  let subtaskField = null;
+
+  lines.slice(end + 1).forEach(line => {
+    let match;
+    if (title === null && (match = /^# (?:Task \d+: )?(.*)$/.exec(line))) {
+      title = match[1];
+      section = 'description';
+    } else if (/^\*\*Depends on:\*\*/.test(line)) {
+      // Derived from the front matter
+      section = null;
+    } else if (/^## Details\s*$/.test(line)) {
+      section = 'details';
+    } else if (/^## Test Strategy\s*$/.test(line)) {
+      section = 'testStrategy';
+    } else if (/^## Subtasks\s*$/.test(line)) {
+      section = 'subtasks';
+    } else if (section === 'subtasks') {
+      if ((match = /^- \[([ xX])\] \*\*(?:\d+\.)?(\d+) (.*?)\*\*(?: \(([^)]*)\))?(?:: (.*))?$/.exec(line))) {
+        const checked = match[1] !== ' ';
+        let status = match[4] || (checked ? 'done' : 'pending');
+        // The checkbox wins when it was toggled without changing the status text
+        if (checked && status !== 'done') status = 'done';
+        if (!checked && status === 'done') status = 'pending';
+        subtask = { id: parseInt(match[2], 10), title: match[3], status, dependencies: [], description: [match[5] || ''], details: [] };
+        subtasks.push(subtask);
+        subtaskField = 'description';
+      } else if (subtask && (match = /^ {2}- Depends on: (.*)$/.exec(line))) {
+        subtask.dependencies = parseDependencyList(match[1], id);
+        subtaskField = null;
+      } else if (subtask && /^ {2}- Details:\s*$/.test(line)) {
+        subtaskField = 'details';
+      } else if (subtask && subtaskField) {
+        subtask[subtaskField].push(line.replace(subtaskField === 'details' ? /^ {4}/ : /^ {2}/, ''));
+      }
+    } else if (section) {
+      sections[section].push(line);
+    }
+  });
+
+  if (!title || !title.trim()) {
+    throw new Error('Missing "# Task N: Title" heading');
+  }
+
+  const dependencyText = (meta.dependencies || '').replace(/^\[|\]$/g, '').replace(/["']/g, '');
+  const result = {
+    id,
+    title: title.trim(),
+    status: meta.status || 'pending',
+    dependencies: parseDependencyList(dependencyText, null),
+    priority: meta.priority || 'medium',
+    description: joinSection(sections.description),
+    details: joinSection(sections.details),
+    testStrategy: joinSection(sections.testStrategy)
+  };
+  addTagsAndFields(result, meta.tags === undefined ? null : parseTagList(meta.tags.replace(/^\[|\]$/g, '')), fields);
+  if (subtasks.length > 0) {
+    result.subtasks = subtasks.map(st => ({
+      id: st.id,
+      title: st.title.trim(),
+      status: st.status,
+      dependencies: st.dependencies,
+      description: joinSection(st.description),
+      details: joinSection(st.details)
+    }));
+  }
+  return result;
+}
+
+/**
+ * Render a task as the content of its task file
+ * @param {Object} task - Task to render
+ * @param {Array} allTasks - All tasks, used to check dependencies
+ * @param {string} [format='txt'] - Task file format
+ * @returns {string} File content
+ */
+function formatTaskFile(task, allTasks, format = 'txt') {
+  return format === 'md' ? formatTaskMarkdown(task, allTasks) : formatTaskText(task, allTasks);
+}
+
+/**
+ * Parse the content of a task file
+ * @param {string} content - File content
+ * @param {string} [format='txt'] - Task file format
+ * @returns {Object} Task with id, title, status, dependencies, priority, description,
+ *   details, testStrategy and, if the file lists any, tags, fields and subtasks
+ */
+function parseTaskFile(content, format = 'txt') {
+  return format === 'md' ? parseTaskMarkdown(content) : parseTaskText(content);
+}
+
+/**
+ * Get the fields of a task exactly as they appear in its task file
+ * @param {Object} task - Task
+ * @param {string} [format='txt'] - Task file format
+ * @returns {Object} Result of parsing the task's rendered file
+ */
+function getTaskFileFields(task, format = 'txt') {
+  return parseTaskFile(formatTaskFile(task, [task], format), format);
+}
+
+/**
+ * Apply the fields read from a task file to a task. Only fields whose value
+ * differs from what the file was generated from are changed, so fields the
+ * file does not show (and defaults it fills in) are left alone.
+ * @param {Object} task - Task from tasks.json
+ * @param {Object} parsed - Result of parseTaskFile
+ * @param {string} [format='txt'] - Format of the file the fields were read from
+ * @returns {Object} Updated task
+ */
+function mergeTaskFile(task, parsed, format = 'txt') {
+  const current = getTaskFileFields(task, format);
+  const changed = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+  const fields = ['title', 'status', 'dependencies', 'priority', 'description', 'details', 'testStrategy'];
+  const subtaskFields = ['title', 'status', 'dependencies', 'description', 'details'];
+
+  const merged = { ...task };
+  fields.forEach(key => {
+    if (changed(parsed[key], current[key])) merged[key] = parsed[key];
+  });
+
+  // A file without tags or custom fields simply has none of them
+  [['tags', []], ['fields', {}]].forEach(([key, empty]) => {
+    const value = parsed[key] || empty;
+    if (changed(value, current[key] || empty)) {
+      merged[key] = value;
+      if (Object.keys(value).length === 0) delete merged[key];
+    }
+  });
+
+  if (changed(parsed.subtasks || [], current.subtasks || [])) {
+    merged.subtasks = (parsed.subtasks || []).map(subtask => {
+      const existing = (task.subtasks || []).find(st => st.id === subtask.id);
+      if (!existing) {
+        return subtask;
+      }
+      const existingFields = (current.subtasks || []).find(st => st.id === subtask.id);
+      const result = { ...existing };
+      subtaskFields.forEach(key => {
+        if (changed(subtask[key], existingFields[key])) result[key] = subtask[key];
+      });
+      return result;
+    });
+    if (merged.subtasks.length === 0 && !task.subtasks) {
+      delete merged.subtasks;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Hash a string
+ * @param {string} value - Content to hash
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashContent(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Hash the fields of a task that its task file shows
+ * @param {Object} task - Task
+ * @param {string} [format='txt'] - Task file format
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashTaskFields(task, format = 'txt') {
+  return hashContent(JSON.stringify(getTaskFileFields(task, format)));
+}
+
+/**
+ * Get the path of the sync state of a task file directory
+ * @param {string} outputDir - Directory holding the task files
+ * @returns {string} Path to .sync-state.json
+ */
+function getSyncStatePath(outputDir) {
+  return path.join(outputDir, '.sync-state.json');
+}
+
+/**
+ * Read the sync state of a task file directory
+ * @param {string} outputDir - Directory holding the task files
+ * @returns {{files: Object}} Sync state (empty if none was written yet)
+ */
+function readSyncState(outputDir) {
+  const statePath = getSyncStatePath(outputDir);
+  if (!fs.existsSync(statePath)) {
+    return { files: {} };
+  }
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return { files: state.files || {} };
+  } catch (error) {
+    return { files: {} };
+  }
+}
+
+/**
+ * Save the sync state of a task file directory
+ * @param {string} outputDir - Directory holding the task files
+ * @param {{files: Object}} state - Sync state
+ */
+function writeSyncState(outputDir, state) {
+  const statePath = getSyncStatePath(outputDir);
+  const tempPath = `${statePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tempPath, statePath);
+}
+
+/**
+ * Write a task file and record it in the sync state
+ * @param {string} outputDir - Directory holding the task files
+ * @param {Object} task - Task to write
+ * @param {Array} allTasks - All tasks, used to check dependencies
+ * @param {{files: Object}} state - Sync state to update (saved by the caller)
+ * @param {string} [format='txt'] - Task file format
+ * @returns {string} Path of the written file
+ */
+function writeTaskFile(outputDir, task, allTasks, state, format = 'txt') {
+  const fileName = getTaskFileName(task.id, format);
+  const content = formatTaskFile(task, allTasks, format);
+  fs.writeFileSync(path.join(outputDir, fileName), content);
+  state.files[fileName] = { fileHash: hashContent(content), taskHash: hashTaskFields(task, format) };
+  return path.join(outputDir, fileName);
+}
+
+/**
+ * Check whether a task file was edited since it was last written
+ * @param {string} outputDir - Directory holding the task files
+ * @param {number} taskId - Task ID
+ * @param {{files: Object}} state - Sync state
+ * @param {string} [format='txt'] - Task file format
+ * @returns {boolean} True if the file exists and no longer matches what was written;
+ *   false if it is unchanged, missing, or was never recorded
+ */
+function isTaskFileEdited(outputDir, taskId, state, format = 'txt') {
+  const fileName = getTaskFileName(taskId, format);
+  const filePath = path.join(outputDir, fileName);
+  const entry = state.files[fileName];
+  if (!entry || !fs.existsSync(filePath)) {
+    return false;
+  }
+  return hashContent(fs.readFileSync(filePath, 'utf8')) !== entry.fileHash;
+}
+
+/**
+ * Work out how to bring task files and tasks.json back in line, without
+ * changing either. Each task ends up in one of:
+ *   unchanged - file and task agree
+ *   import    - only the file changed; its edits go into tasks.json
+ *   export    - only the task changed (or the file is missing); the file is rewritten
+ *   conflict  - both changed, or there is no record of the last sync
+ *   invalid   - the file could not be parsed
+ * @param {Array} tasks - All tasks
+ * @param {string} outputDir - Directory holding the task files
+ * @param {{files: Object}} state - Sync state
+ * @param {string} [format='txt'] - Task file format
+ * @returns {{results: Array, orphans: string[]}} One result per task
+ *   ({ taskId, file, action, parsed, message }) and task files that match no task
+ */
+function planTaskFileSync(tasks, outputDir, state, format = 'txt') {
+  const results = tasks.map(task => {
+    const file = getTaskFileName(task.id, format);
+    const filePath = path.join(outputDir, file);
+    if (!fs.existsSync(filePath)) {
+      return { taskId: task.id, file, action: 'export', message: 'task file is missing' };
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    let parsed;
+    try {
+      parsed = parseTaskFile(content, format);
+    } catch (error) {
+      return { taskId: task.id, file, action: 'invalid', message: error.message };
+    }
+    if (parsed.id !== task.id) {
+      return { taskId: task.id, file, action: 'invalid', message: `file has Task ID ${parsed.id}` };
+    }
+
+    const entry = state.files[file];
+    const taskHash = hashTaskFields(task, format);
+    if (JSON.stringify(parsed) === JSON.stringify(getTaskFileFields(task, format))) {
+      return { taskId: task.id, file, action: 'unchanged', parsed };
+    }
+
+    const fileChanged = !entry || hashContent(content) !== entry.fileHash;
+    const taskChanged = !entry || taskHash !== entry.taskHash;
+    if (fileChanged && !taskChanged) {
+      return { taskId: task.id, file, action: 'import', parsed, message: 'task file was edited' };
+    }
+    if (taskChanged && !fileChanged) {
+      return { taskId: task.id, file, action: 'export', parsed, message: 'task changed in tasks.json' };
+    }
+    return {
+      taskId: task.id,
+      file,
+      action: 'conflict',
+      parsed,
+      message: entry ? 'both sides changed' : 'differs and was never synced'
+    };
+  });
+
+  const taskFiles = new Set(tasks.map(task => getTaskFileName(task.id, format)));
+  const pattern = new RegExp(`^task_\\d+\\.${format}$`);
+  const orphans = fs.existsSync(outputDir)
+    ? fs.readdirSync(outputDir).filter(name => pattern.test(name) && !taskFiles.has(name)).sort()
+    : [];
+
+  return { results, orphans };
+}
+
+export {
+  TASK_FILE_FORMATS,
+  getTaskFileFormat,
+  getTaskFileName,
+  formatTaskFile,
+  parseTaskFile,
+  getTaskFileFields,
+  mergeTaskFile,
+  hashContent,
+  hashTaskFields,
+  getSyncStatePath,
+  readSyncState,
+  writeSyncState,
+  writeTaskFile,
+  isTaskFileEdited,
+  planTaskFileSync
+};
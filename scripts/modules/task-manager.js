@@ -9,18 +9,24 @@ import chalk from 'chalk';
 import boxen from 'boxen';
 import Table from 'cli-table3';
 import readline from 'readline';
-import { Anthropic } from '@anthropic-ai/sdk';
 
 import { 
   CONFIG, 
   log, 
   readJSON, 
   writeJSON, 
+  readTasks,
+  writeTasks,
+  getStorageBackend,
+  updateProjectConfig,
+  withFileLock,
   sanitizePrompt,
-  findTaskById,
   readComplexityReport,
   findTaskInComplexityReport,
-  truncate
+  truncate,
+  findTaskById,
+  runWithConcurrency,
+  resolveProjectPath
 } from './utils.js';
 
 import {
@@ -30,7 +36,10 @@ import {
   getComplexityWithColor,
   startLoadingIndicator,
   stopLoadingIndicator,
-  createProgressBar
+  createProgressBar,
+  displayTaskDiff,
+  displayTaskQueryTable,
+  displaySyncResults
 } from './ui.js';
 
 import {
@@ -39,44 +48,50 @@ import {
   generateSubtasksWithPerplexity,
   analyzeTaskComplexity,
   callGenerativeAIForUpdate, // Added import for the new update function
-  getPerplexityClient
+  completeStructured,
+  isResearchAvailable
 } from './ai-services.js';
 
+import { NEW_TASK_SCHEMA, TASK_UPDATE_RESPONSE_SCHEMA } from './ai-schemas.js';
+import { renderPrompt } from './prompts.js';
+import { getStorage } from './storage.js';
+import { isQuietOutput, createCodedError, terminal } from './output.js';
+import { getFieldDefinitions, parseTags, parseFieldValue, matchesTaskFilter, describeTaskFilter } from './task-fields.js';
+import { LIST_FORMATS, runTaskQuery, getFieldColumns, formatTaskQueryResult } from './task-query.js';
+import {
+  TASK_FILE_FORMATS,
+  getTaskFileFormat,
+  getTaskFileName,
+  mergeTaskFile,
+  hashContent,
+  hashTaskFields,
+  readSyncState,
+  writeSyncState,
+  writeTaskFile,
+  isTaskFileEdited,
+  planTaskFileSync
+} from './task-files.js';
+import {
+  readHistory,
+  findUndoEntry,
+  findRedoEntry,
+  findConflicts,
+  applyTasksDiff,
+  setEntryStatus,
+  summarizeChanges
+} from './history.js';
+
 import {
   validateTaskDependencies,
   validateAndFixDependencies
 } from './dependency-manager.js';
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
-
-// Import perplexity if available
-let perplexity;
-
-try {
-  if (process.env.PERPLEXITY_API_KEY) {
-    // Using the existing approach from ai-services.js
-    const OpenAI = (await import('openai')).default;
-    
-    perplexity = new OpenAI({
-      apiKey: process.env.PERPLEXITY_API_KEY, 
-      baseURL: 'https://api.perplexity.ai',
-    });
-    
-    log('info', `Initialized Perplexity client with OpenAI compatibility layer`);
-  }
-} catch (error) {
-  log('warn', `Failed to initialize Perplexity client: ${error.message}`);
-  log('warn', 'Research-backed features will not be available');
-}
-
 /**
  * Parse a PRD file and generate tasks
  * @param {string} prdPath - Path to the PRD file
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {number} numTasks - Number of tasks to generate
+ * @returns {Promise<Array>} The generated tasks
  */
 async function parsePRD(prdPath, tasksPath, numTasks) {
   try {
@@ -95,7 +110,7 @@ async function parsePRD(prdPath, tasksPath, numTasks) {
     }
     
     // Write the tasks to the file
-    writeJSON(tasksPath, tasksData);
+    writeTasks(tasksPath, tasksData, { overwrite: true });
     
     log('success', `Successfully generated ${tasksData.tasks.length} tasks from PRD`);
     log('info', `Tasks saved to: ${tasksPath}`);
@@ -103,27 +118,49 @@ async function parsePRD(prdPath, tasksPath, numTasks) {
     // Generate individual task files
     await generateTaskFiles(tasksPath, tasksDir);
     
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.green(`Successfully generated ${tasksData.tasks.length} tasks from PRD`),
       { padding: 1, borderColor: 'green', borderStyle: 'round' }
     ));
     
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold('Next Steps:') + '\n\n' +
       `${chalk.cyan('1.')} Run ${chalk.yellow('task-master list')} to view all tasks\n` +
       `${chalk.cyan('2.')} Run ${chalk.yellow('task-master expand --id=<id>')} to break down a task into subtasks`,
       { padding: 1, borderColor: 'cyan', borderStyle: 'round', margin: { top: 1 } }
     ));
+    
+    return tasksData.tasks;
   } catch (error) {
     log('error', `Error parsing PRD: ${error.message}`);
-    console.error(chalk.red(`Error: ${error.message}`));
-    
-    if (CONFIG.debug) {
-      console.error(error);
-    }
+    throw error;
+  }
+}
     
-    process.exit(1);
+/**
+ * Ask the AI to rewrite tasks to reflect new context
+ * @param {Array} tasksToUpdate - Tasks (or subtasks) to rewrite
+ * @param {string} prompt - Prompt with new context
+ * @param {string} systemPrompt - System prompt describing the update rules
+ * @param {boolean} useResearch - Whether to use the research provider
+ * @returns {Promise<Array>} The rewritten tasks
+ */
+async function requestTaskUpdates(tasksToUpdate, prompt, systemPrompt, useResearch) {
+  if (useResearch) {
+    log('info', 'Using Perplexity AI for research-backed task updates');
+    
+    // Call the research provider through the shared AI layer
+    const result = await completeStructured({
+      system: `${systemPrompt}\n\nAdditionally, please research the latest best practices and technical considerations related to the user's update prompt.`,
+      prompt: renderPrompt('update-research', { tasksJson: JSON.stringify(tasksToUpdate, null, 2), prompt }),
+      temperature: 0.2 // Lower temperature for more direct updates
+    }, TASK_UPDATE_RESPONSE_SCHEMA, { research: true });
+    
+    return result.data;
   }
+  
+  log('info', 'Using Generative AI for task updates');
+  return callGenerativeAIForUpdate(tasksToUpdate, prompt, systemPrompt);
 }
 
 /**
@@ -132,20 +169,21 @@ async function parsePRD(prdPath, tasksPath, numTasks) {
  * @param {number} fromId - Task ID to start updating from
  * @param {string} prompt - Prompt with new context
  * @param {boolean} useResearch - Whether to use Perplexity AI for research
+ * @returns {Promise<Array>} The updated tasks
  */
 async function updateTasks(tasksPath, fromId, prompt, useResearch = false) {
   try {
     log('info', `Updating tasks from ID ${fromId} with prompt: "${prompt}"`);
     
     // Validate research flag
-    if (useResearch && (!perplexity || !process.env.PERPLEXITY_API_KEY)) {
-      log('warn', 'Perplexity AI is not available. Falling back to Claude AI.');
-      console.log(chalk.yellow('Perplexity AI is not available (API key may be missing). Falling back to Claude AI.'));
+    if (useResearch && !isResearchAvailable()) {
+      log('warn', `Research provider (${CONFIG.researchProvider}) is not available. Falling back to ${CONFIG.aiProvider}.`);
+      terminal.log(chalk.yellow(`Research provider (${CONFIG.researchProvider}) is not available (API key may be missing). Falling back to ${CONFIG.aiProvider}.`));
       useResearch = false;
     }
     
     // Read the tasks file
-    const data = readJSON(tasksPath);
+    const data = readTasks(tasksPath);
     if (!data || !data.tasks) {
       throw new Error(`No valid tasks found in ${tasksPath}`);
     }
@@ -154,8 +192,8 @@ async function updateTasks(tasksPath, fromId, prompt, useResearch = false) {
     const tasksToUpdate = data.tasks.filter(task => task.id >= fromId && task.status !== 'done');
     if (tasksToUpdate.length === 0) {
       log('info', `No tasks to update (all tasks with ID >= ${fromId} are already marked as done)`);
-      console.log(chalk.yellow(`No tasks to update (all tasks with ID >= ${fromId} are already marked as done)`));
-      return;
+      terminal.log(chalk.yellow(`No tasks to update (all tasks with ID >= ${fromId} are already marked as done)`));
+      return [];
     }
     
     // Show the tasks that will be updated
@@ -176,26 +214,15 @@ async function updateTasks(tasksPath, fromId, prompt, useResearch = false) {
       ]);
     });
     
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold(`Updating ${tasksToUpdate.length} tasks`),
       { padding: 1, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
     ));
     
-    console.log(table.toString());
+    terminal.log(table.toString());
     
     // Build the system prompt (Context for the AI)
-    const systemPrompt = `You are an AI assistant helping to update software development tasks based on new context.
-You will be given a set of existing tasks and a prompt describing changes or new implementation details.
-Your job is to update the tasks to reflect these changes, while preserving their basic structure as much as possible.
-
-Guidelines:
-1. Maintain the original task IDs, statuses, dependencies, and priorities unless the new context explicitly dictates a change.
-2. Focus on updating titles, descriptions, details, and test strategies to align with the new information.
-3. Only modify what is necessary based on the provided prompt.
-4. Return the complete list of updated tasks in the same order they were provided.
-5. Ensure the output is ONLY a valid JSON array containing the updated task objects.`;
-
-    const taskData = JSON.stringify(tasksToUpdate, null, 2);
+    const systemPrompt = renderPrompt('update-system');
     
     let updatedTasks;
     const loadingIndicator = startLoadingIndicator(useResearch 
@@ -203,53 +230,7 @@ Guidelines:
       : 'Updating tasks with Generative AI...');
     
     try {
-      if (useResearch) {
-        log('info', 'Using Perplexity AI for research-backed task updates');
-        
-        // Ensure Perplexity client is fetched correctly if needed here
-        const perplexityClient = getPerplexityClient(); // Use the imported getter
-        
-        // Call Perplexity AI using format consistent with ai-services.js
-        const perplexityModel = process.env.PERPLEXITY_MODEL || 'sonar-pro'; // Use sonar-pro as default
-        const result = await perplexityClient.chat.completions.create({ // Use the client instance
-          model: perplexityModel,
-          messages: [
-            {
-              role: "system", 
-              content: `${systemPrompt}\n\nAdditionally, please research the latest best practices and technical considerations related to the user's update prompt.`
-            },
-            {
-              role: "user",
-              content: `Here are the tasks to update:
-${taskData}
-
-Please update these tasks based on the following new context:
-${prompt}
-
-Return only the updated tasks as a valid JSON array.`
-            }
-          ],
-          temperature: 0.2, // Lower temperature for more direct updates
-          max_tokens: CONFIG.maxTokens,
-        });
-        
-        const responseText = result?.choices?.[0]?.message?.content || '[]'; // Default to empty array string
-        // Basic parsing for Perplexity response (assuming it returns JSON array)
-        try {
-            let cleanedText = responseText.trim();
-            const jsonMatch = cleanedText.match(/```(?:json)?\s*(\[\s\S]*?\])\s*```/s) || cleanedText.match(/(\[\s\S]*?\])/s);
-            if (jsonMatch && jsonMatch[1]) cleanedText = jsonMatch[1];
-            updatedTasks = JSON.parse(cleanedText);
-        } catch (parseError) {
-             log('error', `Failed to parse Perplexity update response: ${parseError.message}`);
-             log('debug', `Raw Perplexity response: ${responseText}`);
-             updatedTasks = tasksToUpdate; // Fallback to original tasks on parse error
-        }
-      } else {
-        log('info', 'Using Generative AI for task updates'); // Updated text
-        // Call the actual Generative AI update function
-        updatedTasks = await callGenerativeAIForUpdate(tasksToUpdate, prompt, systemPrompt);
-      }
+      updatedTasks = await requestTaskUpdates(tasksToUpdate, prompt, systemPrompt, useResearch);
       
       // Replace the tasks in the original data
       updatedTasks.forEach(updatedTask => {
@@ -260,29 +241,202 @@ Return only the updated tasks as a valid JSON array.`
       });
       
       // Write the updated tasks to the file
-      writeJSON(tasksPath, data);
+      writeTasks(tasksPath, data);
       
       log('success', `Successfully updated ${updatedTasks.length} tasks`);
       
       // Generate individual task files
       await generateTaskFiles(tasksPath, path.dirname(tasksPath));
       
-      console.log(boxen(
+      terminal.log(boxen(
         chalk.green(`Successfully updated ${updatedTasks.length} tasks`),
         { padding: 1, borderColor: 'green', borderStyle: 'round' }
       ));
+      
+      return updatedTasks;
     } finally {
       stopLoadingIndicator(loadingIndicator);
     }
   } catch (error) {
     log('error', `Error updating tasks: ${error.message}`);
-    console.error(chalk.red(`Error: ${error.message}`));
+    throw error;
+  }
+}
+    
+/**
+ * Merge an AI-rewritten task into the original. The ID and status always come
+ * from the original, completed subtasks are never changed, and the original
+ * subtasks are kept when the rewrite leaves them out.
+ * @param {Object} original - Task or subtask before the update
+ * @param {Object} updated - Task or subtask returned by the AI
+ * @returns {Object} Merged task
+ */
+function mergeTaskUpdate(original, updated) {
+  const merged = { ...original, ...updated, id: original.id, status: original.status };
+
+  if (!original.subtasks) {
+    return merged;
+  }
+  if (!Array.isArray(updated.subtasks)) {
+    merged.subtasks = original.subtasks;
+    return merged;
+  }
+
+  const originalIds = new Set(original.subtasks.map(subtask => subtask.id));
+  merged.subtasks = original.subtasks.map(subtask => {
+    const rewritten = updated.subtasks.find(candidate => candidate.id === subtask.id);
+    if (subtask.status === 'done' || !rewritten) {
+      return subtask;
+    }
+    return { ...subtask, ...rewritten, id: subtask.id, status: subtask.status };
+  });
+  updated.subtasks
+    .filter(subtask => !originalIds.has(subtask.id))
+    .forEach(subtask => merged.subtasks.push({ ...subtask, status: 'pending' }));
+
+  return merged;
+}
+
+/**
+ * Ask a question on the terminal
+ * @param {string} question - Question to show
+ * @returns {Promise<string>} The trimmed, lower-cased answer
+ * @throws {Error} With code CONFIRMATION_REQUIRED if output is quiet
+ */
+async function ask(question) {
+  // Nobody is at the terminal with --json or when called in-process
+  if (isQuietOutput()) {
+    throw createCodedError('Confirmation required: pass the yes option to skip the question', 'CONFIRMATION_REQUIRED');
+  }
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  const answer = await new Promise(resolve => {
+    rl.question(chalk.cyan(question), resolve);
+  });
+  rl.close();
+  return answer.trim().toLowerCase();
+}
+
+/**
+ * Ask a yes/no question on the terminal
+ * @param {string} question - Question to show
+ * @returns {Promise<boolean>} True if the answer was yes
+ */
+async function confirm(question) {
+  return ['y', 'yes'].includes(await ask(`${question} (y/N): `));
+}
+
+/**
+ * Update a single task or subtask based on new context. Shows the proposed
+ * changes and asks for confirmation before saving them.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - Task ID ("5") or subtask ID ("5.2")
+ * @param {string} prompt - Prompt with new context
+ * @param {boolean} useResearch - Whether to use Perplexity AI for research
+ * @param {Object} options - Options
+ * @param {boolean} options.yes - Save without asking for confirmation
+ * @returns {Promise<Object|null>} The updated task, or null if nothing was saved
+ */
+async function updateTaskById(tasksPath, taskId, prompt, useResearch = false, options = {}) {
+  try {
+    log('info', `Updating task ${taskId} with prompt: "${prompt}"`);
+    
+    // Validate research flag
+    if (useResearch && !isResearchAvailable()) {
+      log('warn', `Research provider (${CONFIG.researchProvider}) is not available. Falling back to ${CONFIG.aiProvider}.`);
+      terminal.log(chalk.yellow(`Research provider (${CONFIG.researchProvider}) is not available (API key may be missing). Falling back to ${CONFIG.aiProvider}.`));
+      useResearch = false;
+    }
+    
+    const data = readTasks(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
+    
+    // Find the task or subtask
+    const idString = String(taskId).trim();
+    const isSubtask = idString.includes('.');
+    const [parentId, subtaskId] = idString.split('.').map(id => parseInt(id, 10));
+    const parentTask = data.tasks.find(task => task.id === parentId);
+    if (!parentTask) {
+      throw createCodedError(`Task with ID ${parentId} not found`, 'NOT_FOUND');
+    }
+    
+    let original = parentTask;
+    if (isSubtask) {
+      original = (parentTask.subtasks || []).find(subtask => subtask.id === subtaskId);
+      if (!original) {
+        throw createCodedError(`Subtask ${idString} not found`, 'NOT_FOUND');
+      }
+    }
+    
+    const label = isSubtask ? `Subtask ${idString}` : `Task ${idString}`;
+    if (original.status === 'done') {
+      log('info', `${label} is already marked as done and will not be updated`);
+      terminal.log(chalk.yellow(`${label} is already marked as done and will not be updated.`));
+      return null;
+    }
+    
+    if (!options.yes && !process.stdin.isTTY) {
+      throw new Error('Cannot ask for confirmation without a terminal. Run again with --yes to save the changes.');
+    }
+    
+    // Build the system prompt (Context for the AI)
+    let systemPrompt = renderPrompt('update-system');
+    if (isSubtask) {
+      systemPrompt += `\n\nThe item being updated is a subtask of task ${parentTask.id}: "${parentTask.title}" - ${parentTask.description}`;
+    }
+    
+    const loadingIndicator = startLoadingIndicator(useResearch 
+      ? `Updating ${label.toLowerCase()} with Perplexity AI research...` 
+      : `Updating ${label.toLowerCase()} with Generative AI...`);
+    
+    let updatedTasks;
+    try {
+      updatedTasks = await requestTaskUpdates([original], prompt, systemPrompt, useResearch);
+    } finally {
+      stopLoadingIndicator(loadingIndicator);
+    }
     
-    if (CONFIG.debug) {
-      console.error(error);
+    const rewritten = updatedTasks.find(task => task.id === original.id) || updatedTasks[0];
+    if (!rewritten) {
+      throw new Error('The AI did not return an updated task');
     }
+    const updated = mergeTaskUpdate(original, rewritten);
     
-    process.exit(1);
+    if (!displayTaskDiff(original, updated, label)) {
+      return null;
+    }
+    
+    if (!options.yes && !(await confirm(`Save these changes to ${label.toLowerCase()}?`))) {
+      terminal.log(chalk.yellow('Update discarded; no changes were saved.'));
+      return null;
+    }
+    
+    if (isSubtask) {
+      const index = parentTask.subtasks.findIndex(subtask => subtask.id === subtaskId);
+      parentTask.subtasks[index] = updated;
+    } else {
+      const index = data.tasks.findIndex(task => task.id === parentId);
+      data.tasks[index] = updated;
+    }
+    
+    writeTasks(tasksPath, data);
+    log('success', `Successfully updated ${label.toLowerCase()}`);
+    
+    // Generate individual task files
+    await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+    
+    terminal.log(boxen(
+      chalk.green(`Successfully updated ${label.toLowerCase()}`),
+      { padding: 1, borderColor: 'green', borderStyle: 'round' }
+    ));
+    return updated;
+  } catch (error) {
+    log('error', `Error updating task: ${error.message}`);
+    throw error;
   }
 }
 
@@ -290,11 +444,24 @@ Return only the updated tasks as a valid JSON array.`
  * Generate individual task files from tasks.json
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} outputDir - Output directory for task files
+ * @param {Object} options - Options
+ * @param {boolean} [options.force=false] - Overwrite task files that were edited by hand
+ * @param {string} [options.format] - "txt" or "md" (default: the format in the project config)
+ * @returns {Promise<Object>} { outputDir, format, generated, skipped } with the names of the written and kept files
  */
-function generateTaskFiles(tasksPath, outputDir) {
+function generateTaskFiles(tasksPath, outputDir, options = {}) {
+  return withFileLock(tasksPath, () => generateTaskFilesLocked(tasksPath, outputDir, options));
+}
+
+function generateTaskFilesLocked(tasksPath, outputDir, options = {}) {
   try {
+    const format = options.format || getTaskFileFormat();
+    if (!TASK_FILE_FORMATS.includes(format)) {
+      throw new Error(`Invalid task file format "${format}". Use one of: ${TASK_FILE_FORMATS.join(', ')}`);
+    }
+  
     log('info', `Reading tasks from ${tasksPath}...`);
-    const data = readJSON(tasksPath);
+    const data = readTasks(tasksPath);
     if (!data || !data.tasks) {
       throw new Error(`No valid tasks found in ${tasksPath}`);
     }
@@ -310,84 +477,127 @@ function generateTaskFiles(tasksPath, outputDir) {
     log('info', `Validating and fixing dependencies before generating files...`);
     validateAndFixDependencies(data, tasksPath);
     
-    // Generate task files
+    // Generate task files, leaving alone files that were edited by hand since they were written
     log('info', 'Generating individual task files...');
+    const state = readSyncState(outputDir);
+    const generated = [];
+    const skipped = [];
     data.tasks.forEach(task => {
-      const taskPath = path.join(outputDir, `task_${task.id.toString().padStart(3, '0')}.txt`);
-      
-      // Format the content
-      let content = `# Task ID: ${task.id}\n`;
-      content += `# Title: ${task.title}\n`;
-      content += `# Status: ${task.status || 'pending'}\n`;
-      
-      // Format dependencies with their status
-      if (task.dependencies && task.dependencies.length > 0) {
-        content += `# Dependencies: ${formatDependenciesWithStatus(task.dependencies, data.tasks, false)}\n`;
-      } else {
-        content += '# Dependencies: None\n';
+      if (!options.force && isTaskFileEdited(outputDir, task.id, state, format)) {
+        skipped.push(getTaskFileName(task.id, format));
+        return;
       }
+      writeTaskFile(outputDir, task, data.tasks, state, format);
+      generated.push(getTaskFileName(task.id, format));
+      log('info', `Generated: ${getTaskFileName(task.id, format)}`);
       
-      content += `# Priority: ${task.priority || 'medium'}\n`;
-      content += `# Description: ${task.description || ''}\n`;
-      
-      // Add more detailed sections
-      content += '# Details:\n';
-      content += (task.details || '').split('\n').map(line => line).join('\n');
-      content += '\n\n';
+      // Remove the file of the same task in another format, unless it has edits
+      TASK_FILE_FORMATS.filter(other => other !== format).forEach(other => {
+        const otherName = getTaskFileName(task.id, other);
+        if (!fs.existsSync(path.join(outputDir, otherName))) {
+          return;
+        }
+        if (isTaskFileEdited(outputDir, task.id, state, other)) {
+          skipped.push(otherName);
+          return;
+        }
+        fs.unlinkSync(path.join(outputDir, otherName));
+        delete state.files[otherName];
+      });
+    });
+    writeSyncState(outputDir, state);
       
-      content += '# Test Strategy:\n';
-      content += (task.testStrategy || '').split('\n').map(line => line).join('\n');
-      content += '\n';
+    if (skipped.length > 0) {
+      log('warn', `Kept ${skipped.length} task file(s) with local edits: ${skipped.join(', ')}`);
+      terminal.log(chalk.yellow(`Kept ${skipped.length} task file(s) with local edits: ${skipped.join(', ')}. Run "task-master sync" to merge them into tasks.json, or "task-master generate --force" to overwrite them.`));
+    }
       
-      // Add subtasks if they exist
-      if (task.subtasks && task.subtasks.length > 0) {
-        content += '\n# Subtasks:\n';
-        
-        task.subtasks.forEach(subtask => {
-          content += `## ${subtask.id}. ${subtask.title} [${subtask.status || 'pending'}]\n`;
-          
-          if (subtask.dependencies && subtask.dependencies.length > 0) {
-            // Format subtask dependencies
-            let subtaskDeps = subtask.dependencies.map(depId => {
-              if (typeof depId === 'number') {
-                // Handle numeric dependencies to other subtasks
-                const foundSubtask = task.subtasks.find(st => st.id === depId);
-                if (foundSubtask) {
-                  // Just return the plain ID format without any color formatting
-                  return `${task.id}.${depId}`;
-                }
-              }
-              return depId.toString();
-            }).join(', ');
+    log('success', `All ${data.tasks.length} tasks have been generated into '${outputDir}'.`);
+    return { outputDir, format, generated, skipped };
+  } catch (error) {
+    log('error', `Error generating task files: ${error.message}`);
+    throw error;
+  }
+}
             
-            content += `### Dependencies: ${subtaskDeps}\n`;
-          } else {
-            content += '### Dependencies: None\n';
-          }
+/**
+ * Merge hand edits of task files into tasks.json and rewrite task files whose
+ * task changed. Tasks where both sides changed are reported as conflicts and
+ * left alone unless a side is preferred.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} outputDir - Directory holding the task files
+ * @param {Object} options - Options
+ * @param {string} [options.prefer] - Resolve conflicts with the "file" or the "json" version
+ * @param {boolean} [options.dryRun=false] - Only report what would change
+ * @returns {Promise<Object>} Task IDs per outcome: { imported, exported, conflicts, invalid, unchanged } and orphan file names
+ */
+async function syncTaskFiles(tasksPath, outputDir, options = {}) {
+  const { prefer = null, dryRun = false } = options;
+  return withFileLock(tasksPath, () => {
+    try {
+      if (prefer && !['file', 'json'].includes(prefer)) {
+        throw new Error(`Invalid value "${prefer}" for --prefer. Use "file" or "json".`);
+      }
           
-          content += `### Description: ${subtask.description || ''}\n`;
-          content += '### Details:\n';
-          content += (subtask.details || '').split('\n').map(line => line).join('\n');
-          content += '\n\n';
+      const data = readTasks(tasksPath);
+      if (!data || !data.tasks) {
+        throw new Error(`No valid tasks found in ${tasksPath}`);
+      }
+    
+      const format = getTaskFileFormat();
+      const state = readSyncState(outputDir);
+      const { results, orphans } = planTaskFileSync(data.tasks, outputDir, state, format);
+    
+      if (prefer) {
+        results.filter(result => result.action === 'conflict').forEach(result => {
+          result.action = prefer === 'file' ? 'import' : 'export';
+          result.message += prefer === 'file' ? '; kept the task file' : '; kept tasks.json';
         });
       }
       
-      // Write the file
-      fs.writeFileSync(taskPath, content);
-      log('info', `Generated: task_${task.id.toString().padStart(3, '0')}.txt`);
-    });
+      if (!dryRun) {
+        // Merge file edits into tasks.json first so rewritten files show the merged task
+        const imports = results.filter(result => result.action === 'import');
+        if (imports.length > 0) {
+          imports.forEach(result => {
+            const index = data.tasks.findIndex(task => task.id === result.taskId);
+            data.tasks[index] = mergeTaskFile(data.tasks[index], result.parsed, format);
+          });
+          writeTasks(tasksPath, data);
+        }
     
-    log('success', `All ${data.tasks.length} tasks have been generated into '${outputDir}'.`);
-  } catch (error) {
-    log('error', `Error generating task files: ${error.message}`);
-    console.error(chalk.red(`Error generating task files: ${error.message}`));
+        if (!fs.existsSync(outputDir)) {
+          fs.mkdirSync(outputDir, { recursive: true });
+        }
+        results.forEach(result => {
+          const task = data.tasks.find(t => t.id === result.taskId);
+          if (result.action === 'import' || result.action === 'export') {
+            writeTaskFile(outputDir, task, data.tasks, state, format);
+          } else if (result.action === 'unchanged') {
+            const content = fs.readFileSync(path.join(outputDir, result.file), 'utf8');
+            state.files[result.file] = { fileHash: hashContent(content), taskHash: hashTaskFields(task, format) };
+          }
+        });
+        writeSyncState(outputDir, state);
+      }
     
-    if (CONFIG.debug) {
-      console.error(error);
-    }
+      const byAction = action => results.filter(result => result.action === action).map(result => result.taskId);
+      const summary = {
+        imported: byAction('import'),
+        exported: byAction('export'),
+        conflicts: byAction('conflict'),
+        invalid: byAction('invalid'),
+        unchanged: byAction('unchanged'),
+        orphans
+      };
     
-    process.exit(1);
-  }
+      displaySyncResults(results, orphans, { dryRun });
+      return summary;
+    } catch (error) {
+      log('error', `Error syncing task files: ${error.message}`);
+      throw error;
+    }
+  });
 }
 
 /**
@@ -395,18 +605,23 @@ function generateTaskFiles(tasksPath, outputDir) {
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} taskIdInput - Task ID(s) to update
  * @param {string} newStatus - New status
+ * @returns {Promise<Array>} The updated tasks as { id, from, to }
  */
 async function setTaskStatus(tasksPath, taskIdInput, newStatus) {
+  return withFileLock(tasksPath, () => setTaskStatusLocked(tasksPath, taskIdInput, newStatus));
+}
+
+async function setTaskStatusLocked(tasksPath, taskIdInput, newStatus) {
   try {
     displayBanner();
     
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold(`Updating Task Status to: ${newStatus}`),
       { padding: 1, borderColor: 'blue', borderStyle: 'round' }
     ));
     
     log('info', `Reading tasks from ${tasksPath}...`);
-    const data = readJSON(tasksPath);
+    const data = readTasks(tasksPath);
     if (!data || !data.tasks) {
       throw new Error(`No valid tasks found in ${tasksPath}`);
     }
@@ -417,12 +632,12 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus) {
     
     // Update each task
     for (const id of taskIds) {
-      await updateSingleTaskStatus(tasksPath, id, newStatus, data);
-      updatedTasks.push(id);
+      const oldStatus = await updateSingleTaskStatus(tasksPath, id, newStatus, data);
+      updatedTasks.push({ id, from: oldStatus, to: newStatus });
     }
     
     // Write the updated tasks to the file
-    writeJSON(tasksPath, data);
+    writeTasks(tasksPath, data);
     
     // Validate dependencies after status update
     log('info', 'Validating dependencies after status update...');
@@ -433,26 +648,19 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus) {
     await generateTaskFiles(tasksPath, path.dirname(tasksPath));
     
     // Display success message
-    for (const id of updatedTasks) {
-      const task = findTaskById(data.tasks, id);
-      const taskName = task ? task.title : id;
-      
-      console.log(boxen(
+    for (const { id, from } of updatedTasks) {
+      terminal.log(boxen(
         chalk.white.bold(`Successfully updated task ${id} status:`) + '\n' +
-        `From: ${chalk.yellow(task ? task.status : 'unknown')}\n` +
+        `From: ${chalk.yellow(from)}\n` +
         `To:   ${chalk.green(newStatus)}`,
         { padding: 1, borderColor: 'green', borderStyle: 'round' }
       ));
     }
+    
+    return updatedTasks;
   } catch (error) {
     log('error', `Error setting task status: ${error.message}`);
-    console.error(chalk.red(`Error: ${error.message}`));
-    
-    if (CONFIG.debug) {
-      console.error(error);
-    }
-    
-    process.exit(1);
+    throw error;
   }
 }
 
@@ -462,6 +670,7 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus) {
  * @param {string} taskIdInput - Task ID to update
  * @param {string} newStatus - New status
  * @param {Object} data - Tasks data
+ * @returns {Promise<string>} The previous status
  */
 async function updateSingleTaskStatus(tasksPath, taskIdInput, newStatus, data) {
   // Check if it's a subtask (e.g., "1.2")
@@ -471,17 +680,17 @@ async function updateSingleTaskStatus(tasksPath, taskIdInput, newStatus, data) {
     // Find the parent task
     const parentTask = data.tasks.find(t => t.id === parentId);
     if (!parentTask) {
-      throw new Error(`Parent task ${parentId} not found`);
+      throw createCodedError(`Parent task ${parentId} not found`, 'NOT_FOUND');
     }
     
     // Find the subtask
     if (!parentTask.subtasks) {
-      throw new Error(`Parent task ${parentId} has no subtasks`);
+      throw createCodedError(`Parent task ${parentId} has no subtasks`, 'NOT_FOUND');
     }
     
     const subtask = parentTask.subtasks.find(st => st.id === subtaskId);
     if (!subtask) {
-      throw new Error(`Subtask ${subtaskId} not found in parent task ${parentId}`);
+      throw createCodedError(`Subtask ${subtaskId} not found in parent task ${parentId}`, 'NOT_FOUND');
     }
     
     // Update the subtask status
@@ -497,17 +706,19 @@ async function updateSingleTaskStatus(tasksPath, taskIdInput, newStatus, data) {
       
       // Suggest updating parent task if all subtasks are done
       if (allSubtasksDone && parentTask.status !== 'done' && parentTask.status !== 'completed') {
-        console.log(chalk.yellow(`All subtasks of parent task ${parentId} are now marked as done.`));
-        console.log(chalk.yellow(`Consider updating the parent task status with: task-master set-status --id=${parentId} --status=done`));
+        terminal.log(chalk.yellow(`All subtasks of parent task ${parentId} are now marked as done.`));
+        terminal.log(chalk.yellow(`Consider updating the parent task status with: task-master set-status --id=${parentId} --status=done`));
       }
     }
+    
+    return oldStatus;
   } else {
     // Handle regular task
     const taskId = parseInt(taskIdInput, 10);
     const task = data.tasks.find(t => t.id === taskId);
     
     if (!task) {
-      throw new Error(`Task ${taskId} not found`);
+      throw createCodedError(`Task ${taskId} not found`, 'NOT_FOUND');
     }
     
     // Update the task status
@@ -531,7 +742,96 @@ async function updateSingleTaskStatus(tasksPath, taskIdInput, newStatus, data) {
         });
       }
     }
+    
+    return oldStatus;
+  }
+}
+
+/**
+ * Set or clear the tags or a custom field of one or more tasks
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} taskIdInput - Task ID(s), comma-separated
+ * @param {string} field - "tags" or the name of a custom field declared in the project config
+ * @param {string} value - New value (tags are comma-separated)
+ * @param {Object} options - Options
+ * @param {boolean} [options.unset=false] - Remove the field instead of setting it
+ * @param {boolean} [options.generate=true] - Regenerate the task files afterwards
+ * @returns {Promise<Object[]>} The updated tasks
+ */
+async function setTaskField(tasksPath, taskIdInput, field, value, options = {}) {
+  const { unset = false, generate = true } = options;
+
+  const taskIds = String(taskIdInput).split(',').map(id => id.trim()).filter(Boolean);
+  taskIds.forEach(id => {
+    if (id.includes('.')) {
+      throw new Error(`Tags and custom fields can only be set on tasks, not on subtask ${id}`);
+    }
+    if (!/^\d+$/.test(id)) {
+      throw new Error(`Invalid task ID "${id}"`);
+    }
+  });
+  if (!unset && (value === undefined || value === null)) {
+    throw new Error('Give the new value with --value, or use --unset to clear the field');
+  }
+
+  // Validate the value before touching the tasks; undeclared fields can still be cleared
+  let newValue = null;
+  if (field === 'tags') {
+    newValue = unset ? [] : parseTags(value);
+  } else if (!unset) {
+    newValue = parseFieldValue(field, value, getFieldDefinitions());
   }
+
+  return withFileLock(tasksPath, async () => {
+    const data = readTasks(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
+
+    const tasks = taskIds.map(id => {
+      const task = data.tasks.find(t => t.id === parseInt(id, 10));
+      if (!task) {
+        throw createCodedError(`Task ${id} not found`, 'NOT_FOUND');
+      }
+      return task;
+    });
+
+    tasks.forEach(task => {
+      if (field === 'tags') {
+        if (newValue.length > 0) {
+          task.tags = newValue;
+        } else {
+          delete task.tags;
+        }
+        return;
+      }
+      const fields = { ...task.fields };
+      if (unset) {
+        delete fields[field];
+      } else {
+        fields[field] = newValue;
+      }
+      if (Object.keys(fields).length > 0) {
+        task.fields = fields;
+      } else {
+        delete task.fields;
+      }
+    });
+
+    writeTasks(tasksPath, data);
+    if (generate) {
+      await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+    }
+
+    const shown = field === 'tags' ? newValue.join(', ') : newValue;
+    terminal.log(boxen(
+      chalk.green(unset || (field === 'tags' && newValue.length === 0)
+        ? `Cleared ${field} on task(s) ${taskIds.join(', ')}`
+        : `Set ${field} to ${chalk.white.bold(shown)} on task(s) ${taskIds.join(', ')}`),
+      { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
+    ));
+    return tasks;
+  });
 }
 
 /**
@@ -539,20 +839,20 @@ async function updateSingleTaskStatus(tasksPath, taskIdInput, newStatus, data) {
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} statusFilter - Filter by status
  * @param {boolean} withSubtasks - Whether to show subtasks
+ * @param {Object|null} filter - Tag and field filter (see createTaskFilter in task-fields.js)
  */
-function listTasks(tasksPath, statusFilter, withSubtasks = false) {
+function listTasks(tasksPath, statusFilter, withSubtasks = false, filter = null) {
   try {
     displayBanner();
-    const data = readJSON(tasksPath);
+    const data = readTasks(tasksPath);
     if (!data || !data.tasks) {
       throw new Error(`No valid tasks found in ${tasksPath}`);
     }
     
-    // Filter tasks by status if specified
-    const filteredTasks = statusFilter 
-      ? data.tasks.filter(task => 
-          task.status && task.status.toLowerCase() === statusFilter.toLowerCase())
-      : data.tasks;
+    // Filter tasks by status, tags and fields if specified
+    const filteredTasks = data.tasks.filter(task =>
+      (!statusFilter || (task.status && task.status.toLowerCase() === statusFilter.toLowerCase())) &&
+      matchesTaskFilter(task, filter));
     
     // Calculate completion statistics
     const totalTasks = data.tasks.length;
@@ -644,7 +944,7 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
     const avgDependenciesPerTask = totalDependencies / data.tasks.length;
     
     // Find next task to work on
-    const nextTask = findNextTask(data.tasks);
+    const nextTask = findNextTask(data.tasks, filter);
     const nextTaskInfo = nextTask ? 
       `ID: ${chalk.cyan(nextTask.id)} - ${chalk.white.bold(truncate(nextTask.title, 40))}\n` +
       `Priority: ${chalk.white(nextTask.priority || 'medium')}  Dependencies: ${formatDependenciesWithStatus(nextTask.dependencies, data.tasks, true)}` : 
@@ -753,7 +1053,7 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
       }
       
       // Join all lines and output
-      console.log(combinedLines.join('\n'));
+      terminal.log(combinedLines.join('\n'));
     } else {
       // Terminal too narrow, show boxes stacked vertically
       const dashboardBox = boxen(
@@ -767,15 +1067,15 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
       );
       
       // Display stacked vertically
-      console.log(dashboardBox);
-      console.log(dependencyBox);
+      terminal.log(dashboardBox);
+      terminal.log(dependencyBox);
     }
     
     if (filteredTasks.length === 0) {
-      console.log(boxen(
-        statusFilter 
+      terminal.log(boxen(
+        statusFilter && !filter
           ? chalk.yellow(`No tasks with status '${statusFilter}' found`) 
-          : chalk.yellow('No tasks found'),
+          : chalk.yellow(filter ? 'No tasks match the filter' : 'No tasks found'),
         { padding: 1, borderColor: 'yellow', borderStyle: 'round' }
       ));
       return;
@@ -921,21 +1221,22 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
     
     // Ensure we output the table even if it had to wrap
     try {
-      console.log(table.toString());
+      terminal.log(table.toString());
     } catch (err) {
       log('error', `Error rendering table: ${err.message}`);
       
       // Fall back to simpler output
-      console.log(chalk.yellow('\nFalling back to simple task list due to terminal width constraints:'));
+      terminal.log(chalk.yellow('\nFalling back to simple task list due to terminal width constraints:'));
       filteredTasks.forEach(task => {
-        console.log(`${chalk.cyan(task.id)}: ${chalk.white(task.title)} - ${getStatusWithColor(task.status)}`);
+        terminal.log(`${chalk.cyan(task.id)}: ${chalk.white(task.title)} - ${getStatusWithColor(task.status)}`);
       });
     }
     
     // Show filter info if applied
-    if (statusFilter) {
-      console.log(chalk.yellow(`\nFiltered by status: ${statusFilter}`));
-      console.log(chalk.yellow(`Showing ${filteredTasks.length} of ${totalTasks} tasks`));
+    if (statusFilter || filter) {
+      const filters = [statusFilter && `status ${statusFilter}`, describeTaskFilter(filter)].filter(Boolean);
+      terminal.log(chalk.yellow(`\nFiltered by: ${filters.join(', ')}`));
+      terminal.log(chalk.yellow(`Showing ${filteredTasks.length} of ${totalTasks} tasks`));
     }
     
     // Define priority colors
@@ -967,7 +1268,7 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
         }).join('\n');
       }
       
-      console.log(boxen(
+      terminal.log(boxen(
         chalk.hex('#FF8800').bold(`🔥 Next Task to Work On: #${nextTask.id} - ${nextTask.title}`) + '\n\n' +
         `${chalk.white('Priority:')} ${priorityColors[nextTask.priority || 'medium'](nextTask.priority || 'medium')}   ${chalk.white('Status:')} ${getStatusWithColor(nextTask.status, true)}\n` +
         `${chalk.white('Dependencies:')} ${nextTask.dependencies && nextTask.dependencies.length > 0 ? formatDependenciesWithStatus(nextTask.dependencies, data.tasks, true) : chalk.gray('None')}\n\n` +
@@ -987,7 +1288,7 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
         }
       ));
     } else {
-      console.log(boxen(
+      terminal.log(boxen(
         chalk.hex('#FF8800').bold('No eligible next task found') + '\n\n' +
         'All pending tasks have dependencies that are not yet completed, or all tasks are done.',
         { 
@@ -1003,7 +1304,7 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
     }
     
     // Show next steps
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold('Suggested Next Steps:') + '\n\n' +
       `${chalk.cyan('1.')} Run ${chalk.yellow('task-master next')} to see what to work on next\n` +
       `${chalk.cyan('2.')} Run ${chalk.yellow('task-master expand --id=<id>')} to break down a task into subtasks\n` +
@@ -1012,14 +1313,43 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
     ));
   } catch (error) {
     log('error', `Error listing tasks: ${error.message}`);
-    console.error(chalk.red(`Error: ${error.message}`));
-    
-    if (CONFIG.debug) {
-      console.error(error);
-    }
+    throw error;
+  }
+}
     
-    process.exit(1);
+/**
+ * List tasks matching a query, sorted and grouped, as a table or as JSON, CSV
+ * or Markdown for scripts and reports (printed without banner or decoration)
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Query options (see runTaskQuery in task-query.js)
+ * @param {string} [options.format='table'] - table, json, csv or md
+ * @returns {Object} Result of runTaskQuery (nothing is printed when output is quiet)
+ * @throws {Error} If the tasks cannot be read or the query is invalid
+ */
+function queryTasks(tasksPath, options = {}) {
+  const { format = 'table' } = options;
+  if (!LIST_FORMATS.includes(format)) {
+    throw createCodedError(`Invalid format "${format}". Use one of: ${LIST_FORMATS.join(', ')}`, 'INVALID_INPUT');
+  }
+
+  const data = readTasks(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  const fieldNames = Object.keys(getFieldDefinitions());
+  const result = runTaskQuery(data.tasks, { ...options, fieldNames });
+
+  if (isQuietOutput()) {
+    return result;
   }
+  if (format === 'table') {
+    displayBanner();
+    displayTaskQueryTable(result, getFieldColumns(result, fieldNames));
+  } else {
+    process.stdout.write(formatTaskQueryResult(result, format, fieldNames));
+  }
+  return result;
 }
 
 /**
@@ -1045,16 +1375,20 @@ function safeColor(text, colorFn, maxLength = 0) {
  * @param {number} numSubtasks - Number of subtasks to generate
  * @param {boolean} useResearch - Whether to use research (Perplexity)
  * @param {string} additionalContext - Additional context
+ * @param {Object} options - Options
+ * @param {string} [options.file='tasks/tasks.json'] - Path to the tasks file, relative to the project root
+ * @returns {Promise<Array>} The subtasks added (none if the task is already done)
+ * @throws {Error} With code AI_ERROR if no subtasks could be generated
  */
-async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResearch = false, additionalContext = '') {
+async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResearch = false, additionalContext = '', options = {}) {
   try {
     displayBanner();
     
     // Load tasks
-    const tasksPath = path.join(process.cwd(), 'tasks', 'tasks.json');
+    const tasksPath = resolveProjectPath(options.file || path.join('tasks', 'tasks.json'));
     log('info', `Loading tasks from ${tasksPath}...`);
     
-    const data = readJSON(tasksPath);
+    const data = readTasks(tasksPath);
     if (!data || !data.tasks) {
       throw new Error(`No valid tasks found in ${tasksPath}`);
     }
@@ -1062,14 +1396,14 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
     // Find the task
     const task = data.tasks.find(t => t.id === taskId);
     if (!task) {
-      throw new Error(`Task ${taskId} not found`);
+      throw createCodedError(`Task ${taskId} not found`, 'NOT_FOUND');
     }
     
     // Check if the task is already completed
     if (task.status === 'done' || task.status === 'completed') {
       log('warn', `Task ${taskId} is already marked as "${task.status}". Skipping expansion.`);
-      console.log(chalk.yellow(`Task ${taskId} is already marked as "${task.status}". Skipping expansion.`));
-      return;
+      terminal.log(chalk.yellow(`Task ${taskId} is already marked as "${task.status}". Skipping expansion.`));
+      return [];
     }
     
     // Check for complexity report
@@ -1099,7 +1433,7 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
       }
     }
     
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold(`Expanding Task: #${taskId} - ${task.title}`),
       { padding: 1, borderColor: 'blue', borderStyle: 'round', margin: { top: 0, bottom: 1 } }
     ));
@@ -1107,7 +1441,7 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
     // Check if the task already has subtasks
     if (task.subtasks && task.subtasks.length > 0) {
       log('warn', `Task ${taskId} already has ${task.subtasks.length} subtasks. Appending new subtasks.`);
-      console.log(chalk.yellow(`Task ${taskId} already has ${task.subtasks.length} subtasks. New subtasks will be appended.`));
+      terminal.log(chalk.yellow(`Task ${taskId} already has ${task.subtasks.length} subtasks. New subtasks will be appended.`));
     }
     
     // Initialize subtasks array if it doesn't exist
@@ -1129,17 +1463,22 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
       subtasks = await generateSubtasks(task, numSubtasks, nextSubtaskId, additionalContext);
     }
     
+    // The generators report their own errors and return no subtasks on failure
+    if (!subtasks || subtasks.length === 0) {
+      throw createCodedError(`No subtasks were generated for task ${taskId}; the tasks file was not changed`, 'AI_ERROR');
+    }
+    
     // Add the subtasks to the task
     task.subtasks = [...task.subtasks, ...subtasks];
     
     // Write the updated tasks to the file
-    writeJSON(tasksPath, data);
+    writeTasks(tasksPath, data);
     
     // Generate individual task files
     await generateTaskFiles(tasksPath, path.dirname(tasksPath));
     
     // Display success message
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.green(`Successfully added ${subtasks.length} subtasks to task ${taskId}`),
       { padding: 1, borderColor: 'green', borderStyle: 'round' }
     ));
@@ -1168,66 +1507,125 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
       ]);
     });
     
-    console.log(table.toString());
+    terminal.log(table.toString());
     
     // Show next steps
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold('Next Steps:') + '\n\n' +
       `${chalk.cyan('1.')} Run ${chalk.yellow(`task-master show ${taskId}`)} to see the full task with subtasks\n` +
       `${chalk.cyan('2.')} Start working on subtask: ${chalk.yellow(`task-master set-status --id=${taskId}.1 --status=in-progress`)}\n` +
       `${chalk.cyan('3.')} Mark subtask as done: ${chalk.yellow(`task-master set-status --id=${taskId}.1 --status=done`)}`,
       { padding: 1, borderColor: 'cyan', borderStyle: 'round', margin: { top: 1 } }
     ));
+    
+    return subtasks;
   } catch (error) {
     log('error', `Error expanding task: ${error.message}`);
-    console.error(chalk.red(`Error: ${error.message}`));
-    
-    if (CONFIG.debug) {
-      console.error(error);
-    }
-    
-    process.exit(1);
+    throw error;
+  }
+}
+
+/**
+ * Get the path of the checkpoint an expand --all run keeps next to the tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {string} Checkpoint path
+ */
+function getExpandCheckpointPath(tasksPath) {
+  return path.join(path.dirname(tasksPath), '.expand-checkpoint.json');
+}
+
+/**
+ * Load the checkpoint of an interrupted expand --all run
+ * @param {string} checkpointPath - Checkpoint path
+ * @param {Object} settings - Settings of the current run
+ * @returns {Object|null} The checkpoint, or null if there is none or it was written with other settings
+ */
+function loadExpandCheckpoint(checkpointPath, settings) {
+  if (!fs.existsSync(checkpointPath)) {
+    return null;
+  }
+  const checkpoint = readJSON(checkpointPath);
+  if (!checkpoint || JSON.stringify(checkpoint.settings) !== JSON.stringify(settings)) {
+    log('warn', `Ignoring ${checkpointPath}: it was written by a run with different settings`);
+    return null;
   }
+  return checkpoint;
 }
 
 /**
- * Expand all pending tasks with subtasks
+ * Expand all pending tasks with subtasks.
+ *
+ * Tasks are expanded with up to `concurrency` AI requests in flight. The tasks
+ * file and a checkpoint are written after every task, so an interrupted run can
+ * be started again with the same settings and picks up where it stopped.
  * @param {number} numSubtasks - Number of subtasks per task
  * @param {boolean} useResearch - Whether to use research (Perplexity)
  * @param {string} additionalContext - Additional context
  * @param {boolean} forceFlag - Force regeneration for tasks with subtasks
+ * @param {Object} options - Run options
+ * @param {number} [options.concurrency] - Maximum parallel AI requests (default: CONFIG.concurrency)
+ * @param {boolean} [options.fresh=false] - Discard the checkpoint of an interrupted run
+ * @param {string} [options.file='tasks/tasks.json'] - Path to the tasks file, relative to the project root
+ * @returns {Promise<Array>} Outcome per task as { id, result, detail } (result is expanded, failed or skipped)
  */
-async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch = false, additionalContext = '', forceFlag = false) {
+async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch = false, additionalContext = '', forceFlag = false, options = {}) {
+  const { concurrency = CONFIG.concurrency, fresh = false } = options;
+
   try {
     displayBanner();
     
     // Load tasks
-    const tasksPath = path.join(process.cwd(), 'tasks', 'tasks.json');
+    const tasksPath = resolveProjectPath(options.file || path.join('tasks', 'tasks.json'));
     log('info', `Loading tasks from ${tasksPath}...`);
     
-    const data = readJSON(tasksPath);
+    const data = readTasks(tasksPath);
     if (!data || !data.tasks) {
       throw new Error(`No valid tasks found in ${tasksPath}`);
     }
     
+    // Resume an interrupted run started with the same settings
+    const settings = { numSubtasks, useResearch, additionalContext, force: Boolean(forceFlag) };
+    const checkpointPath = getExpandCheckpointPath(tasksPath);
+    if (fresh && fs.existsSync(checkpointPath)) {
+      fs.unlinkSync(checkpointPath);
+    }
+    const checkpoint = loadExpandCheckpoint(checkpointPath, settings) ||
+      { settings, startedAt: new Date().toISOString(), completed: [] };
+    if (checkpoint.completed.length > 0) {
+      log('info', `Resuming interrupted run: ${checkpoint.completed.length} task(s) were already expanded`);
+    }
+    
     // Get complexity report if it exists
     log('info', 'Checking for complexity analysis...');
     const complexityReport = readComplexityReport();
     
-    // Filter tasks that are not done and don't have subtasks (unless forced)
-    const pendingTasks = data.tasks.filter(task => 
-      task.status !== 'done' && 
-      task.status !== 'completed' && 
-      (forceFlag || !task.subtasks || task.subtasks.length === 0)
-    );
-    
-    if (pendingTasks.length === 0) {
-      log('info', 'No pending tasks found to expand');
-      console.log(boxen(
+    // Skip tasks that are done, were expanded earlier in this run, or already have subtasks (unless forced)
+    const results = [];
+    const pendingTasks = data.tasks.filter(task => {
+      if (task.status === 'done' || task.status === 'completed') {
+        return false;
+      }
+      if (checkpoint.completed.includes(task.id)) {
+        results.push({ task, result: 'skipped', detail: 'Already expanded by the interrupted run' });
+        return false;
+      }
+      if (!forceFlag && task.subtasks && task.subtasks.length > 0) {
+        results.push({ task, result: 'skipped', detail: 'Already has subtasks (use --force to regenerate)' });
+        return false;
+      }
+      return true;
+    });
+    
+    if (pendingTasks.length === 0) {
+      log('info', 'No pending tasks found to expand');
+      if (fs.existsSync(checkpointPath)) {
+        fs.unlinkSync(checkpointPath);
+      }
+      terminal.log(boxen(
         chalk.yellow('No pending tasks found to expand'),
         { padding: 1, borderColor: 'yellow', borderStyle: 'round' }
       ));
-      return;
+      return results.map(({ task, result, detail }) => ({ id: task.id, result, detail }));
     }
     
     // Sort tasks by complexity if report exists, otherwise by ID
@@ -1253,7 +1651,7 @@ async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch
       tasksToExpand.sort((a, b) => a.id - b.id);
     }
     
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold(`Expanding ${tasksToExpand.length} Pending Tasks`),
       { padding: 1, borderColor: 'blue', borderStyle: 'round', margin: { top: 0, bottom: 1 } }
     ));
@@ -1285,16 +1683,16 @@ async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch
       ]);
     });
     
-    console.log(table.toString());
+    terminal.log(table.toString());
     
     // Confirm expansion
-    console.log(chalk.yellow(`\nThis will expand ${tasksToExpand.length} tasks with ${numSubtasks} subtasks each.`));
-    console.log(chalk.yellow(`Research-backed generation: ${useResearch ? 'Yes' : 'No'}`));
-    console.log(chalk.yellow(`Force regeneration: ${forceFlag ? 'Yes' : 'No'}`));
+    terminal.log(chalk.yellow(`\nThis will expand ${tasksToExpand.length} tasks with ${numSubtasks} subtasks each.`));
+    terminal.log(chalk.yellow(`Research-backed generation: ${useResearch ? 'Yes' : 'No'}`));
+    terminal.log(chalk.yellow(`Force regeneration: ${forceFlag ? 'Yes' : 'No'}`));
+    terminal.log(chalk.yellow(`Parallel requests: ${concurrency}`));
     
-    // Expand each task
-    let expandedCount = 0;
-    for (const task of tasksToExpand) {
+    // Expand a single task, then checkpoint it
+    const expandOne = async (task) => {
       try {
         log('info', `Expanding task ${task.id}: ${task.title}`);
         
@@ -1319,25 +1717,15 @@ async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch
           }
         }
         
-        // Check if the task already has subtasks
-        if (task.subtasks && task.subtasks.length > 0) {
-          if (forceFlag) {
-            log('info', `Task ${task.id} already has ${task.subtasks.length} subtasks. Clearing them due to --force flag.`);
-            task.subtasks = []; // Clear existing subtasks
-          } else {
-            log('warn', `Task ${task.id} already has subtasks. Skipping (use --force to regenerate).`);
-            continue;
-          }
-        }
-        
-        // Initialize subtasks array if it doesn't exist
-        if (!task.subtasks) {
-          task.subtasks = [];
+        // Existing subtasks are only replaced once the new ones have been generated
+        const existingSubtasks = forceFlag ? [] : (task.subtasks || []);
+        if (forceFlag && task.subtasks && task.subtasks.length > 0) {
+          log('info', `Task ${task.id} already has ${task.subtasks.length} subtasks. Replacing them due to --force flag.`);
         }
         
         // Determine the next subtask ID
-        const nextSubtaskId = task.subtasks.length > 0 ? 
-          Math.max(...task.subtasks.map(st => st.id)) + 1 : 1;
+        const nextSubtaskId = existingSubtasks.length > 0 ? 
+          Math.max(...existingSubtasks.map(st => st.id)) + 1 : 1;
         
         // Generate subtasks
         let subtasks;
@@ -1347,44 +1735,88 @@ async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch
           subtasks = await generateSubtasks(task, taskSubtasks, nextSubtaskId, taskContext);
         }
         
-        // Add the subtasks to the task
-        task.subtasks = [...task.subtasks, ...subtasks];
-        expandedCount++;
+        // The generators report their own errors and return no subtasks on failure
+        if (!subtasks || subtasks.length === 0) {
+          return { task, result: 'failed', detail: 'No subtasks were generated' };
+        }
+        
+        // Save the task and record it in the checkpoint
+        task.subtasks = [...existingSubtasks, ...subtasks];
+        writeTasks(tasksPath, data);
+        checkpoint.completed.push(task.id);
+        writeJSON(checkpointPath, checkpoint);
+        
+        return { task, result: 'expanded', detail: `${subtasks.length} subtasks` };
       } catch (error) {
         log('error', `Error expanding task ${task.id}: ${error.message}`);
-        console.error(chalk.red(`Error expanding task ${task.id}: ${error.message}`));
-        continue;
+        terminal.error(chalk.red(`Error expanding task ${task.id}: ${error.message}`));
+        return { task, result: 'failed', detail: error.message };
       }
-    }
+    };
     
-    // Write the updated tasks to the file
-    writeJSON(tasksPath, data);
+    results.push(...await runWithConcurrency(tasksToExpand, concurrency, expandOne));
+    
+    const expandedCount = results.filter(r => r.result === 'expanded').length;
+    const failedCount = results.filter(r => r.result === 'failed').length;
+    const skippedCount = results.filter(r => r.result === 'skipped').length;
     
     // Generate individual task files
-    await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+    if (expandedCount > 0) {
+      await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+    }
     
-    // Display success message
-    console.log(boxen(
-      chalk.green(`Successfully expanded ${expandedCount} of ${tasksToExpand.length} tasks`),
-      { padding: 1, borderColor: 'green', borderStyle: 'round' }
-    ));
+    // A run without failures is finished; otherwise keep the checkpoint so a re-run only retries the failures
+    if (failedCount === 0 && fs.existsSync(checkpointPath)) {
+      fs.unlinkSync(checkpointPath);
+    }
+    
+    // Show the per-task summary
+    const resultColors = { expanded: chalk.green, failed: chalk.red, skipped: chalk.gray };
+    const summaryTable = new Table({
+      head: [
+        chalk.cyan.bold('ID'),
+        chalk.cyan.bold('Title'),
+        chalk.cyan.bold('Result'),
+        chalk.cyan.bold('Details')
+      ],
+      colWidths: [5, 40, 12, 45],
+      wordWrap: true
+    });
+    
+    results
+      .sort((a, b) => a.task.id - b.task.id)
+      .forEach(({ task, result, detail }) => {
+        summaryTable.push([
+          task.id,
+          truncate(task.title, 37),
+          resultColors[result](result),
+          detail
+        ]);
+      });
+    
+    terminal.log(summaryTable.toString());
+    
+    // Display summary message
+    const summaryColor = failedCount > 0 ? 'yellow' : 'green';
+    let summary = chalk[summaryColor](`Expanded ${expandedCount} of ${tasksToExpand.length} tasks`) +
+      chalk.white(` (${failedCount} failed, ${skippedCount} skipped)`);
+    if (failedCount > 0) {
+      summary += '\n\n' + chalk.white(`Run ${chalk.yellow('task-master expand --all')} again with the same options to retry the failed tasks.`);
+    }
+    terminal.log(boxen(summary, { padding: 1, borderColor: summaryColor, borderStyle: 'round' }));
     
     // Show next steps
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold('Next Steps:') + '\n\n' +
       `${chalk.cyan('1.')} Run ${chalk.yellow('task-master list --with-subtasks')} to see all tasks with subtasks\n` +
       `${chalk.cyan('2.')} Run ${chalk.yellow('task-master next')} to see what to work on next`,
       { padding: 1, borderColor: 'cyan', borderStyle: 'round', margin: { top: 1 } }
     ));
+    
+    return results.map(({ task, result, detail }) => ({ id: task.id, result, detail }));
   } catch (error) {
     log('error', `Error expanding tasks: ${error.message}`);
-    console.error(chalk.red(`Error: ${error.message}`));
-    
-    if (CONFIG.debug) {
-      console.error(error);
-    }
-    
-    process.exit(1);
+    throw error;
   }
 }
 
@@ -1392,25 +1824,29 @@ async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch
  * Clear subtasks from specified tasks
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} taskIds - Task IDs to clear subtasks from
+ * @returns {number[]} IDs of the tasks whose subtasks were cleared
  */
 function clearSubtasks(tasksPath, taskIds) {
+  return withFileLock(tasksPath, () => clearSubtasksLocked(tasksPath, taskIds));
+}
+
+function clearSubtasksLocked(tasksPath, taskIds) {
   displayBanner();
   
   log('info', `Reading tasks from ${tasksPath}...`);
-  const data = readJSON(tasksPath);
+  const data = readTasks(tasksPath);
   if (!data || !data.tasks) {
-    log('error', "No valid tasks found.");
-    process.exit(1);
+    throw new Error("No valid tasks found.");
   }
 
-  console.log(boxen(
+  terminal.log(boxen(
     chalk.white.bold('Clearing Subtasks'), 
     { padding: 1, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 1 } }
   ));
 
   // Handle multiple task IDs (comma-separated)
   const taskIdArray = taskIds.split(',').map(id => id.trim());
-  let clearedCount = 0;
+  const clearedIds = [];
   
   // Create a summary table for the cleared subtasks
   const summaryTable = new Table({
@@ -1448,7 +1884,7 @@ function clearSubtasks(tasksPath, taskIds) {
 
     const subtaskCount = task.subtasks.length;
     task.subtasks = [];
-    clearedCount++;
+    clearedIds.push(id);
     log('info', `Cleared ${subtaskCount} subtasks from task ${id}`);
     
     summaryTable.push([
@@ -1458,28 +1894,28 @@ function clearSubtasks(tasksPath, taskIds) {
     ]);
   });
 
-  if (clearedCount > 0) {
-    writeJSON(tasksPath, data);
+  if (clearedIds.length > 0) {
+    writeTasks(tasksPath, data);
     
     // Show summary table
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold('Subtask Clearing Summary:'),
       { padding: { left: 2, right: 2, top: 0, bottom: 0 }, margin: { top: 1, bottom: 0 }, borderColor: 'blue', borderStyle: 'round' }
     ));
-    console.log(summaryTable.toString());
+    terminal.log(summaryTable.toString());
     
     // Regenerate task files to reflect changes
     log('info', "Regenerating task files...");
     generateTaskFiles(tasksPath, path.dirname(tasksPath));
     
     // Success message
-    console.log(boxen(
-      chalk.green(`Successfully cleared subtasks from ${chalk.bold(clearedCount)} task(s)`),
+    terminal.log(boxen(
+      chalk.green(`Successfully cleared subtasks from ${chalk.bold(clearedIds.length)} task(s)`),
       { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
     ));
     
     // Next steps suggestion
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold('Next Steps:') + '\n\n' +
       `${chalk.cyan('1.')} Run ${chalk.yellow('task-master expand --id=<id>')} to generate new subtasks\n` +
       `${chalk.cyan('2.')} Run ${chalk.yellow('task-master list --with-subtasks')} to verify changes`,
@@ -1487,11 +1923,13 @@ function clearSubtasks(tasksPath, taskIds) {
     ));
     
   } else {
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.yellow('No subtasks were cleared'),
       { padding: 1, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1 } }
     ));
   }
+  
+  return clearedIds;
 }
 
 /**
@@ -1506,17 +1944,16 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = 'medium'
   displayBanner();
   
   // Read the existing tasks
-  const data = readJSON(tasksPath);
+  const data = readTasks(tasksPath);
   if (!data || !data.tasks) {
-    log('error', "Invalid or missing tasks.json.");
-    process.exit(1);
+    throw new Error("Invalid or missing tasks.json.");
   }
   
   // Find the highest task ID to determine the next ID
   const highestId = Math.max(...data.tasks.map(t => t.id));
   const newTaskId = highestId + 1;
   
-  console.log(boxen(
+  terminal.log(boxen(
     chalk.white.bold(`Creating New Task #${newTaskId}`),
     { padding: 1, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 1 } }
   ));
@@ -1532,8 +1969,8 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = 'medium'
     dependencies = dependencies.filter(depId => !invalidDeps.includes(depId));
   }
   
-  // Create the system prompt for Claude
-  const systemPrompt = "You are a helpful assistant that creates well-structured tasks for a software development project. Generate a single new task based on the user's description.";
+  // Create the system prompt
+  const systemPrompt = renderPrompt('add-task-system');
   
   // Create the user prompt with context from existing tasks
   let contextTasks = '';
@@ -1549,83 +1986,34 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = 'medium'
       `- Task ${t.id}: ${t.title} - ${t.description}`).join('\n')}`;
   }
   
-  const taskStructure = `
-  {
-    "title": "Task title goes here",
-    "description": "A concise one or two sentence description of what the task involves",
-    "details": "In-depth details including specifics on implementation, considerations, and anything important for the developer to know. This should be detailed enough to guide implementation.",
-    "testStrategy": "A detailed approach for verifying the task has been correctly implemented. Include specific test cases or validation methods."
-  }`;
-  
-  const userPrompt = `Create a comprehensive new task (Task #${newTaskId}) for a software development project based on this description: "${prompt}"
-  
-  ${contextTasks}
-  
-  Return your answer as a single JSON object with the following structure:
-  ${taskStructure}
-  
-  Don't include the task ID, status, dependencies, or priority as those will be added automatically.
-  Make sure the details and test strategy are thorough and specific.
-  
-  IMPORTANT: Return ONLY the JSON object, nothing else.`;
+  const userPrompt = renderPrompt('add-task', { newTaskId, prompt, contextTasks });
   
   // Start the loading indicator
-  const loadingIndicator = startLoadingIndicator('Generating new task with Claude AI...');
+  const loadingIndicator = startLoadingIndicator('Generating new task with Generative AI...');
   
-  let fullResponse = '';
   let streamingInterval = null;
 
   try {
-    // Call Claude with streaming enabled
-    const stream = await anthropic.messages.create({
-      max_tokens: CONFIG.maxTokens,
-      model: CONFIG.model,
-      temperature: CONFIG.temperature,
-      messages: [{ role: "user", content: userPrompt }],
-      system: systemPrompt,
-      stream: true
-    });
-    
     // Update loading indicator to show streaming progress
     let dotCount = 0;
-    streamingInterval = setInterval(() => {
+    streamingInterval = isQuietOutput() ? null : setInterval(() => {
       readline.cursorTo(process.stdout, 0);
-      process.stdout.write(`Receiving streaming response from Claude${'.'.repeat(dotCount)}`);
+      process.stdout.write(`Receiving streaming response from ${CONFIG.aiProvider}${'.'.repeat(dotCount)}`);
       dotCount = (dotCount + 1) % 4;
     }, 500);
     
-    // Process the stream
-    for await (const chunk of stream) {
-      if (chunk.type === 'content_block_delta' && chunk.delta.text) {
-        fullResponse += chunk.delta.text;
-      }
-    }
+    // Stream the response from the configured provider, repairing it if it fails validation
+    const response = await completeStructured(
+      { system: systemPrompt, prompt: userPrompt },
+      NEW_TASK_SCHEMA,
+      { stream: true, taskId: newTaskId }
+    );
+    const taskData = response.data;
     
     if (streamingInterval) clearInterval(streamingInterval);
     stopLoadingIndicator(loadingIndicator);
     
-    log('info', "Completed streaming response from Claude API!");
-    log('debug', `Streaming response length: ${fullResponse.length} characters`);
-    
-    // Parse the response - handle potential JSON formatting issues
-    let taskData;
-    try {
-      // Check if the response is wrapped in a code block
-      const jsonMatch = fullResponse.match(/```(?:json)?([^`]+)```/);
-      const jsonContent = jsonMatch ? jsonMatch[1] : fullResponse;
-      
-      // Parse the JSON
-      taskData = JSON.parse(jsonContent);
-      
-      // Check that we have the required fields
-      if (!taskData.title || !taskData.description) {
-        throw new Error("Missing required fields in the generated task");
-      }
-    } catch (error) {
-      log('error', "Failed to parse Claude's response as valid task JSON:", error);
-      log('debug', "Response content:", fullResponse);
-      process.exit(1);
-    }
+    log('info', `Completed streaming response from ${response.provider}!`);
     
     // Create the new task object
     const newTask = {
@@ -1647,7 +2035,7 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = 'medium'
     validateAndFixDependencies(data, null);
     
     // Write the updated tasks back to the file
-    writeJSON(tasksPath, data);
+    writeTasks(tasksPath, data);
     
     // Show success message
     const successBox = boxen(
@@ -1656,10 +2044,10 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = 'medium'
       chalk.white(newTask.description),
       { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
     );
-    console.log(successBox);
+    terminal.log(successBox);
     
     // Next steps suggestion
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold('Next Steps:') + '\n\n' +
       `${chalk.cyan('1.')} Run ${chalk.yellow('task-master generate')} to update task files\n` +
       `${chalk.cyan('2.')} Run ${chalk.yellow('task-master expand --id=' + newTaskId)} to break it down into subtasks\n` +
@@ -1672,16 +2060,192 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = 'medium'
     if (streamingInterval) clearInterval(streamingInterval);
     stopLoadingIndicator(loadingIndicator);
     log('error', "Error generating task:", error.message);
-    process.exit(1);
+    throw error;
+  }
+}
+
+// Fields createTask and editTask set; subtasks have no test strategy, priority or tags
+const EDITABLE_TASK_FIELDS = ['title', 'description', 'details', 'testStrategy', 'priority', 'tags'];
+const EDITABLE_SUBTASK_FIELDS = ['title', 'description', 'details'];
+const TASK_PRIORITIES = ['high', 'medium', 'low'];
+
+// Statuses the CLI shows with their own colour and icon, and the only ones the REST API accepts
+const TASK_STATUSES = ['pending', 'in-progress', 'review', 'blocked', 'deferred', 'done', 'completed'];
+
+/**
+ * Check the fields given for a task before it is created or edited
+ * @param {Object} changes - New field values
+ * @param {string[]} allowed - Fields that may be set
+ * @returns {Object} The changes, with tags parsed
+ * @throws {Error} With code INVALID_INPUT if a field is unknown or its value invalid
+ */
+function validateTaskChanges(changes, allowed) {
+  const unknown = Object.keys(changes).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw createCodedError(`Cannot set ${unknown.join(', ')}. Use one of: ${allowed.join(', ')}`, 'INVALID_INPUT');
+  }
+
+  const validated = { ...changes };
+  Object.entries(changes).forEach(([key, value]) => {
+    if (key === 'tags') {
+      validated.tags = parseTags(value);
+    } else if (typeof value !== 'string') {
+      throw createCodedError(`${key} must be a string`, 'INVALID_INPUT');
+    }
+  });
+  if ('title' in validated && !validated.title.trim()) {
+    throw createCodedError('The title cannot be empty', 'INVALID_INPUT');
+  }
+  if ('priority' in validated && !TASK_PRIORITIES.includes(validated.priority)) {
+    throw createCodedError(`Invalid priority "${validated.priority}". Use one of: ${TASK_PRIORITIES.join(', ')}`, 'INVALID_INPUT');
+  }
+  return validated;
+}
+
+/**
+ * Add a new task as given, without AI
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} taskData - title (required), description, details, testStrategy,
+ *   priority, tags, and dependencies (IDs of existing tasks)
+ * @param {Object} options - Options
+ * @param {boolean} [options.generate=true] - Regenerate task files afterwards
+ * @returns {Promise<Object>} The new task
+ * @throws {Error} With code INVALID_INPUT if the task data is invalid
+ */
+async function createTask(tasksPath, taskData, options = {}) {
+  const { generate = true } = options;
+  if (!taskData || typeof taskData !== 'object' || Array.isArray(taskData)) {
+    throw createCodedError('The task data must be an object', 'INVALID_INPUT');
+  }
+  const { dependencies = [], ...fields } = taskData;
+  const changes = validateTaskChanges(fields, EDITABLE_TASK_FIELDS);
+  if (!changes.title) {
+    throw createCodedError('A task needs a title', 'INVALID_INPUT');
+  }
+  if (!Array.isArray(dependencies)) {
+    throw createCodedError('dependencies must be a list of task IDs', 'INVALID_INPUT');
+  }
+
+  return withFileLock(tasksPath, async () => {
+    const data = readTasks(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
+
+    const dependencyIds = dependencies.map(dep => parseInt(dep, 10));
+    dependencyIds.forEach((depId, index) => {
+      if (!data.tasks.some(t => t.id === depId)) {
+        throw createCodedError(`Dependency ${dependencies[index]} is not an existing task`, 'INVALID_INPUT');
+      }
+    });
+
+    const newTask = {
+      id: data.tasks.reduce((max, t) => Math.max(max, t.id), 0) + 1,
+      title: changes.title,
+      description: '',
+      status: 'pending',
+      dependencies: [...new Set(dependencyIds)],
+      priority: 'medium',
+      details: '',
+      testStrategy: '',
+      ...changes
+    };
+    if (newTask.tags && newTask.tags.length === 0) {
+      delete newTask.tags;
+    }
+
+    data.tasks.push(newTask);
+    writeTasks(tasksPath, data);
+    log('success', `Added task ${newTask.id}: ${newTask.title}`);
+
+    if (generate) {
+      await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+    }
+    return newTask;
+  });
+}
+
+/**
+ * Change the title, description and other text fields of a task or subtask, without AI
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - Task ID ("5") or subtask ID ("5.2")
+ * @param {Object} changes - New values of title, description, details and, for
+ *   tasks only, testStrategy, priority and tags
+ * @param {Object} options - Options
+ * @param {boolean} [options.generate=true] - Regenerate task files afterwards
+ * @returns {Promise<Object>} The edited task; subtasks get the parentId of their task
+ * @throws {Error} With code NOT_FOUND if there is no such task, INVALID_INPUT if a change is invalid
+ */
+async function editTask(tasksPath, taskId, changes, options = {}) {
+  const { generate = true } = options;
+  const id = String(taskId);
+  const isSubtask = id.includes('.');
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw createCodedError('The changes must be an object', 'INVALID_INPUT');
+  }
+  const validated = validateTaskChanges(changes, isSubtask ? EDITABLE_SUBTASK_FIELDS : EDITABLE_TASK_FIELDS);
+  if (Object.keys(validated).length === 0) {
+    throw createCodedError('Nothing to change', 'INVALID_INPUT');
+  }
+
+  return withFileLock(tasksPath, async () => {
+    const data = readTasks(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
+
+    const [parentId, subtaskId] = id.split('.').map(part => parseInt(part, 10));
+    const parentTask = data.tasks.find(t => t.id === parentId);
+    const task = isSubtask
+      ? parentTask && (parentTask.subtasks || []).find(st => st.id === subtaskId)
+      : parentTask;
+    if (!task) {
+      throw createCodedError(`Task with ID ${id} not found`, 'NOT_FOUND');
+    }
+
+    Object.assign(task, validated);
+    if (task.tags && task.tags.length === 0) {
+      delete task.tags;
+    }
+
+    writeTasks(tasksPath, data);
+    log('success', `Updated ${Object.keys(validated).join(', ')} of task ${id}`);
+
+    if (generate) {
+      await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+    }
+    return isSubtask ? { ...task, parentId } : task;
+  });
+}
+
+/**
+ * Get a task or subtask by ID
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - Task ID ("5") or subtask ID ("5.2")
+ * @returns {Object} The task; subtasks get the parentId of their task
+ * @throws {Error} With code NOT_FOUND if there is no such task
+ */
+function getTask(tasksPath, taskId) {
+  const data = readTasks(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
   }
+
+  const task = findTaskById(data.tasks, String(taskId));
+  if (!task) {
+    throw createCodedError(`Task with ID ${taskId} not found`, 'NOT_FOUND');
+  }
+  const { parentTask, isSubtask, ...subtask } = task;
+  return parentTask ? { ...subtask, parentId: parentTask.id } : task;
 }
 
 /**
  * Find the next pending task based on dependencies
  * @param {Object[]} tasks - The array of tasks
+ * @param {Object|null} [filter=null] - Only consider tasks matching this tag and field filter
  * @returns {Object|null} The next task to work on or null if no eligible tasks
  */
-function findNextTask(tasks) {
+function findNextTask(tasks, filter = null) {
   // Get all completed task IDs
   const completedTaskIds = new Set(
     tasks
@@ -1693,7 +2257,8 @@ function findNextTask(tasks) {
   const eligibleTasks = tasks.filter(task => 
     (task.status === 'pending' || task.status === 'in-progress') && 
     task.dependencies && // Make sure dependencies array exists
-    task.dependencies.every(depId => completedTaskIds.has(depId))
+    task.dependencies.every(depId => completedTaskIds.has(depId)) &&
+    matchesTaskFilter(task, filter)
   );
   
   if (eligibleTasks.length === 0) {
@@ -1737,11 +2302,15 @@ function findNextTask(tasks) {
  * @returns {Object} The newly created or converted subtask
  */
 async function addSubtask(tasksPath, parentId, existingTaskId = null, newSubtaskData = null, generateFiles = true) {
+  return withFileLock(tasksPath, () => addSubtaskLocked(tasksPath, parentId, existingTaskId, newSubtaskData, generateFiles));
+}
+
+async function addSubtaskLocked(tasksPath, parentId, existingTaskId = null, newSubtaskData = null, generateFiles = true) {
   try {
     log('info', `Adding subtask to parent task ${parentId}...`);
     
     // Read the existing tasks
-    const data = readJSON(tasksPath);
+    const data = readTasks(tasksPath);
     if (!data || !data.tasks) {
       throw new Error(`Invalid or missing tasks file at ${tasksPath}`);
     }
@@ -1752,7 +2321,7 @@ async function addSubtask(tasksPath, parentId, existingTaskId = null, newSubtask
     // Find the parent task
     const parentTask = data.tasks.find(t => t.id === parentIdNum);
     if (!parentTask) {
-      throw new Error(`Parent task with ID ${parentIdNum} not found`);
+      throw createCodedError(`Parent task with ID ${parentIdNum} not found`, 'NOT_FOUND');
     }
     
     // Initialize subtasks array if it doesn't exist
@@ -1769,25 +2338,25 @@ async function addSubtask(tasksPath, parentId, existingTaskId = null, newSubtask
       // Find the existing task
       const existingTaskIndex = data.tasks.findIndex(t => t.id === existingTaskIdNum);
       if (existingTaskIndex === -1) {
-        throw new Error(`Task with ID ${existingTaskIdNum} not found`);
+        throw createCodedError(`Task with ID ${existingTaskIdNum} not found`, 'NOT_FOUND');
       }
       
       const existingTask = data.tasks[existingTaskIndex];
       
       // Check if task is already a subtask
       if (existingTask.parentTaskId) {
-        throw new Error(`Task ${existingTaskIdNum} is already a subtask of task ${existingTask.parentTaskId}`);
+        throw createCodedError(`Task ${existingTaskIdNum} is already a subtask of task ${existingTask.parentTaskId}`, 'INVALID_INPUT');
       }
       
       // Check for circular dependency
       if (existingTaskIdNum === parentIdNum) {
-        throw new Error(`Cannot make a task a subtask of itself`);
+        throw createCodedError('Cannot make a task a subtask of itself', 'INVALID_INPUT');
       }
       
       // Check if parent task is a subtask of the task we're converting
       // This would create a circular dependency
       if (isTaskDependentOn(data.tasks, parentTask, existingTaskIdNum)) {
-        throw new Error(`Cannot create circular dependency: task ${parentIdNum} is already a subtask or dependent of task ${existingTaskIdNum}`);
+        throw createCodedError(`Cannot create circular dependency: task ${parentIdNum} is already a subtask or dependent of task ${existingTaskIdNum}`, 'INVALID_INPUT');
       }
       
       // Find the highest subtask ID to determine the next ID
@@ -1831,11 +2400,11 @@ async function addSubtask(tasksPath, parentId, existingTaskId = null, newSubtask
       
       log('info', `Created new subtask ${parentIdNum}.${newSubtaskId}`);
     } else {
-      throw new Error('Either existingTaskId or newSubtaskData must be provided');
+      throw createCodedError('Either existingTaskId or newSubtaskData must be provided', 'INVALID_INPUT');
     }
     
     // Write the updated tasks back to the file
-    writeJSON(tasksPath, data);
+    writeTasks(tasksPath, data);
     
     // Generate task files if requested
     if (generateFiles) {
@@ -1900,18 +2469,22 @@ function isTaskDependentOn(allTasks, task, targetTaskId) {
  * @returns {Object|null} The removed subtask if convertToTask is true, otherwise null
  */
 async function removeSubtask(tasksPath, subtaskId, convertToTask = false, generateFiles = true) {
+  return withFileLock(tasksPath, () => removeSubtaskLocked(tasksPath, subtaskId, convertToTask, generateFiles));
+}
+
+async function removeSubtaskLocked(tasksPath, subtaskId, convertToTask = false, generateFiles = true) {
   try {
     log('info', `Removing subtask ${subtaskId}...`);
     
     // Read the existing tasks
-    const data = readJSON(tasksPath);
+    const data = readTasks(tasksPath);
     if (!data || !data.tasks) {
       throw new Error(`Invalid or missing tasks file at ${tasksPath}`);
     }
     
     // Parse the subtask ID (format: "parentId.subtaskId")
     if (!subtaskId.includes('.')) {
-      throw new Error(`Invalid subtask ID format: ${subtaskId}. Expected format: "parentId.subtaskId"`);
+      throw createCodedError(`Invalid subtask ID format: ${subtaskId}. Expected format: "parentId.subtaskId"`, 'INVALID_INPUT');
     }
     
     const [parentIdStr, subtaskIdStr] = subtaskId.split('.');
@@ -1921,18 +2494,18 @@ async function removeSubtask(tasksPath, subtaskId, convertToTask = false, genera
     // Find the parent task
     const parentTask = data.tasks.find(t => t.id === parentId);
     if (!parentTask) {
-      throw new Error(`Parent task with ID ${parentId} not found`);
+      throw createCodedError(`Parent task with ID ${parentId} not found`, 'NOT_FOUND');
     }
     
     // Check if parent has subtasks
     if (!parentTask.subtasks || parentTask.subtasks.length === 0) {
-      throw new Error(`Parent task ${parentId} has no subtasks`);
+      throw createCodedError(`Parent task ${parentId} has no subtasks`, 'NOT_FOUND');
     }
     
     // Find the subtask to remove
     const subtaskIndex = parentTask.subtasks.findIndex(st => st.id === subtaskIdNum);
     if (subtaskIndex === -1) {
-      throw new Error(`Subtask ${subtaskId} not found`);
+      throw createCodedError(`Subtask ${subtaskId} not found`, 'NOT_FOUND');
     }
     
     // Get a copy of the subtask before removing it
@@ -1981,7 +2554,7 @@ async function removeSubtask(tasksPath, subtaskId, convertToTask = false, genera
     }
     
     // Write the updated tasks back to the file
-    writeJSON(tasksPath, data);
+    writeTasks(tasksPath, data);
     
     // Generate task files if requested
     if (generateFiles) {
@@ -1996,20 +2569,681 @@ async function removeSubtask(tasksPath, subtaskId, convertToTask = false, genera
   }
 }
 
+/**
+ * Resolve a dependency to the full ID ("5" or "5.2") it points to. In subtask
+ * dependencies plain numbers refer to sibling subtasks.
+ * @param {number|string} dependency - Dependency as stored
+ * @param {number|null} parentId - ID of the parent task when the dependency belongs to a subtask
+ * @returns {string} Full ID
+ */
+function resolveDependency(dependency, parentId) {
+  if (typeof dependency === 'string' && dependency.includes('.')) {
+    return dependency;
+  }
+  if (parentId !== null && typeof dependency === 'number') {
+    return `${parentId}.${dependency}`;
+  }
+  return String(parseInt(dependency, 10));
+}
+
+/**
+ * Encode a full ID as a dependency of a task or subtask
+ * @param {string} fullId - Full ID ("5" or "5.2")
+ * @param {number|null} parentId - ID of the parent task when the dependency belongs to a subtask
+ * @returns {number|string} Dependency as stored
+ */
+function encodeDependency(fullId, parentId) {
+  if (!fullId.includes('.')) {
+    return parentId === null ? parseInt(fullId, 10) : fullId;
+  }
+  const [taskId, subtaskId] = fullId.split('.').map(id => parseInt(id, 10));
+  return taskId === parentId ? subtaskId : fullId;
+}
+
+/**
+ * Parse a position given to move: "5" for a task, "5.2" for a subtask
+ * @param {string|number} value - Position or ID
+ * @param {string} name - Option name used in error messages
+ * @returns {{taskId: number, subtaskId: number|null}} Parsed position
+ */
+function parseMovePosition(value, name) {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(String(value).trim());
+  if (!match || parseInt(match[1], 10) < 1 || (match[2] !== undefined && parseInt(match[2], 10) < 1)) {
+    throw new Error(`Invalid ${name} "${value}". Use a task ID (e.g. 5) or a subtask ID (e.g. 5.2)`);
+  }
+  return {
+    taskId: parseInt(match[1], 10),
+    subtaskId: match[2] !== undefined ? parseInt(match[2], 10) : null
+  };
+}
+
+/**
+ * Work out the result of moving a task or subtask without touching the tasks
+ * file. Tasks and the subtasks of each task are then numbered from 1 in order,
+ * and every dependency is rewritten to the new IDs.
+ *
+ * from and to are task IDs ("5") or subtask IDs ("5.2"). A task moved to "3"
+ * becomes task 3; a subtask moved to "3" is promoted to task 3; a task moved
+ * to "3.2" is demoted to subtask 2 of (current) task 3. Positions past the end
+ * move the item to the end. Without from and to, only the renumbering is done.
+ * @param {Array} tasks - All tasks
+ * @param {string|number|null} from - ID of the task or subtask to move
+ * @param {string|number|null} to - Position to move it to
+ * @returns {{tasks: Array, idMap: Object}} Renumbered tasks and the IDs that changed (old full ID -> new full ID)
+ */
+function planTaskMove(tasks, from = null, to = null) {
+  // Work on copies that remember where each item came from
+  const items = tasks.map(task => {
+    const item = { task: { ...task }, key: String(task.id), parent: null, subtasks: null };
+    if (Array.isArray(task.subtasks)) {
+      item.subtasks = task.subtasks.map(subtask => ({ task: { ...subtask }, key: `${task.id}.${subtask.id}`, parent: task.id }));
+    }
+    return item;
+  });
+
+  if (from !== null && from !== undefined) {
+    const source = parseMovePosition(from, 'source ID');
+    const target = parseMovePosition(to, 'destination');
+
+    const parentIndex = items.findIndex(item => item.task.id === source.taskId);
+    if (parentIndex === -1) {
+      throw createCodedError(`Task with ID ${source.taskId} not found`, 'NOT_FOUND');
+    }
+
+    // Take the item out of its current place
+    let moving;
+    if (source.subtaskId !== null) {
+      const siblings = items[parentIndex].subtasks || [];
+      const index = siblings.findIndex(item => item.task.id === source.subtaskId);
+      if (index === -1) {
+        throw createCodedError(`Subtask ${source.taskId}.${source.subtaskId} not found`, 'NOT_FOUND');
+      }
+      [moving] = siblings.splice(index, 1);
+    } else {
+      if (target.subtaskId !== null) {
+        if (target.taskId === source.taskId) {
+          throw new Error(`Task ${source.taskId} cannot be moved into itself`);
+        }
+        if (items[parentIndex].subtasks && items[parentIndex].subtasks.length > 0) {
+          throw new Error(`Task ${source.taskId} has subtasks and cannot become a subtask. Move or remove its subtasks first.`);
+        }
+      }
+      [moving] = items.splice(parentIndex, 1);
+    }
+
+    // Put it in its new place
+    if (target.subtaskId !== null) {
+      const parent = items.find(item => item.task.id === target.taskId);
+      if (!parent) {
+        throw createCodedError(`Task with ID ${target.taskId} not found`, 'NOT_FOUND');
+      }
+      const { subtasks, ...fields } = moving.task;
+      parent.subtasks = parent.subtasks || [];
+      parent.subtasks.splice(Math.min(target.subtaskId - 1, parent.subtasks.length), 0, { task: fields, key: moving.key, parent: moving.parent });
+    } else {
+      if (source.subtaskId !== null) {
+        const parentTask = items[parentIndex].task;
+        moving = {
+          ...moving,
+          subtasks: null,
+          task: {
+            ...moving.task,
+            dependencies: moving.task.dependencies || [],
+            priority: moving.task.priority || parentTask.priority || 'medium'
+          }
+        };
+      }
+      items.splice(Math.min(target.taskId - 1, items.length), 0, moving);
+    }
+  }
+
+  // Number everything in order and record the old -> new IDs
+  const renamed = new Map();
+  items.forEach((item, index) => {
+    renamed.set(item.key, String(index + 1));
+    (item.subtasks || []).forEach((subtask, subIndex) => {
+      renamed.set(subtask.key, `${index + 1}.${subIndex + 1}`);
+    });
+  });
+
+  // Rewrite the dependencies of an item that now lives under newParent
+  const remapDependencies = (item, newId, newParent) => {
+    if (!Array.isArray(item.task.dependencies)) {
+      return item.task.dependencies;
+    }
+    const dependencies = [];
+    item.task.dependencies.forEach(dependency => {
+      const oldTarget = resolveDependency(dependency, item.parent);
+      const newTarget = renamed.get(oldTarget) || oldTarget;
+      if (newTarget === newId || (newParent !== null && newTarget === String(newParent))) {
+        return;
+      }
+      const unchanged = newTarget === oldTarget && item.parent === newParent;
+      const encoded = unchanged ? dependency : encodeDependency(newTarget, newParent);
+      if (!dependencies.some(existing => String(existing) === String(encoded))) {
+        dependencies.push(encoded);
+      }
+    });
+    return dependencies;
+  };
+
+  const result = items.map((item, index) => {
+    const id = index + 1;
+    const task = { ...item.task, id };
+    if (Array.isArray(item.task.dependencies)) {
+      task.dependencies = remapDependencies(item, String(id), null);
+    }
+    if (item.subtasks !== null) {
+      task.subtasks = item.subtasks.map((subtask, subIndex) => {
+        const updated = { ...subtask.task, id: subIndex + 1 };
+        if (Array.isArray(subtask.task.dependencies)) {
+          updated.dependencies = remapDependencies(subtask, `${id}.${subIndex + 1}`, id);
+        }
+        return updated;
+      });
+    }
+    return task;
+  });
+
+  const idMap = {};
+  renamed.forEach((newId, oldId) => {
+    if (newId !== oldId) idMap[oldId] = newId;
+  });
+
+  return { tasks: result, idMap };
+}
+
+/**
+ * Save a renumbered task list, delete the task files of IDs that no longer
+ * exist and regenerate the others
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number|null} from - ID of the task or subtask to move, or null to only renumber
+ * @param {string|number|null} to - Position to move it to
+ * @param {boolean} generateFiles - Regenerate task files afterwards
+ * @returns {Promise<Object>} Map of changed IDs (old full ID -> new full ID)
+ */
+async function applyTaskMove(tasksPath, from, to, generateFiles) {
+  return withFileLock(tasksPath, async () => {
+    const data = readTasks(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`Invalid or missing tasks file at ${tasksPath}`);
+    }
+
+    const { tasks, idMap } = planTaskMove(data.tasks, from, to);
+    if (Object.keys(idMap).length === 0) {
+      log('info', 'Task IDs are already in order; nothing to change.');
+      return idMap;
+    }
+
+    // Task files are named by ID, so hand edits would end up on the wrong task
+    const outputDir = path.dirname(tasksPath);
+    const format = getTaskFileFormat();
+    const state = readSyncState(outputDir);
+    const edited = data.tasks.filter(task => isTaskFileEdited(outputDir, task.id, state, format));
+    if (edited.length > 0) {
+      throw new Error(`Task files with local edits: ${edited.map(task => getTaskFileName(task.id, format)).join(', ')}. Run "task-master sync" first so the edits are not lost.`);
+    }
+
+    const oldIds = data.tasks.map(task => task.id);
+    data.tasks = tasks;
+    writeTasks(tasksPath, data);
+
+    // Files of IDs that no longer exist are stale
+    const newIds = new Set(tasks.map(task => task.id));
+    oldIds.filter(id => !newIds.has(id)).forEach(id => {
+      TASK_FILE_FORMATS.forEach(fileFormat => {
+        const taskFile = path.join(outputDir, getTaskFileName(id, fileFormat));
+        if (fs.existsSync(taskFile)) {
+          fs.unlinkSync(taskFile);
+          log('info', `Deleted ${taskFile}`);
+        }
+      });
+    });
+
+    if (generateFiles) {
+      log('info', 'Regenerating task files...');
+      await generateTaskFiles(tasksPath, outputDir);
+    }
+
+    return idMap;
+  });
+}
+
+/**
+ * Move a task or subtask to a new position, renumbering all tasks
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} from - ID of the task ("5") or subtask ("5.2") to move
+ * @param {string} to - Task position ("3") or subtask position ("3.2") to move it to
+ * @param {boolean} generateFiles - Regenerate task files afterwards
+ * @returns {Promise<Object>} Map of changed IDs (old full ID -> new full ID)
+ */
+async function moveTask(tasksPath, from, to, generateFiles = true) {
+  try {
+    log('info', `Moving ${from} to ${to}...`);
+    return await applyTaskMove(tasksPath, from, to, generateFiles);
+  } catch (error) {
+    log('error', `Error moving task: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Renumber tasks and subtasks from 1 in their current order, closing gaps in the IDs
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {boolean} generateFiles - Regenerate task files afterwards
+ * @returns {Promise<Object>} Map of changed IDs (old full ID -> new full ID)
+ */
+async function renumberTasks(tasksPath, generateFiles = true) {
+  try {
+    log('info', 'Renumbering tasks...');
+    return await applyTaskMove(tasksPath, null, null, generateFiles);
+  } catch (error) {
+    log('error', `Error renumbering tasks: ${error.message}`);
+    throw error;
+  }
+}
+
+// Ways to handle tasks that depend on a removed task
+const DEPENDENT_STRATEGIES = ['drop', 'repoint', 'cascade'];
+
+/**
+ * Check whether a dependency refers to one of the given tasks or their subtasks
+ * @param {number|string} dependency - Dependency ID (e.g. 5 or "5.2")
+ * @param {Set<number>} taskIds - Top-level task IDs
+ * @returns {boolean} True if the dependency points into one of the tasks
+ */
+function dependsOnAny(dependency, taskIds) {
+  return taskIds.has(parseInt(String(dependency).split('.')[0], 10));
+}
+
+/**
+ * Work out the result of removing a task without touching the tasks file.
+ * Dependencies of other tasks on the removed task are handled by strategy:
+ * "drop" removes them, "repoint" replaces them with the removed task's own
+ * dependencies, and "cascade" removes the dependent tasks as well. Subtask
+ * dependencies on removed tasks are always dropped.
+ * @param {Array} tasks - All tasks
+ * @param {number} taskId - ID of the task to remove
+ * @param {string} [strategy='drop'] - "drop", "repoint" or "cascade"
+ * @returns {{tasks: Array, removed: number[], updated: number[]}} Remaining tasks,
+ *   IDs of the removed tasks and IDs of the tasks whose dependencies changed
+ */
+function planTaskRemoval(tasks, taskId, strategy = 'drop') {
+  const target = tasks.find(task => task.id === taskId);
+  if (!target) {
+    throw createCodedError(`Task with ID ${taskId} not found`, 'NOT_FOUND');
+  }
+  if (!DEPENDENT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid strategy "${strategy}" for dependent tasks. Use one of: ${DEPENDENT_STRATEGIES.join(', ')}`);
+  }
+
+  // With cascade, keep removing tasks that depend on removed ones
+  const removed = new Set([taskId]);
+  if (strategy === 'cascade') {
+    let added = true;
+    while (added) {
+      added = false;
+      tasks.forEach(task => {
+        if (!removed.has(task.id) && (task.dependencies || []).some(dep => dependsOnAny(dep, removed))) {
+          removed.add(task.id);
+          added = true;
+        }
+      });
+    }
+  }
+
+  const replacement = strategy === 'repoint'
+    ? (target.dependencies || []).filter(dep => !dependsOnAny(dep, removed))
+    : [];
+
+  const updated = [];
+  const remaining = tasks
+    .filter(task => !removed.has(task.id))
+    .map(task => {
+      let changed = false;
+      const result = { ...task };
+
+      if (task.dependencies && task.dependencies.some(dep => dependsOnAny(dep, removed))) {
+        const dependencies = [];
+        task.dependencies.forEach(dep => {
+          const next = dependsOnAny(dep, removed) ? replacement : [dep];
+          next.forEach(id => {
+            if (String(id) !== String(task.id) && !dependencies.some(existing => String(existing) === String(id))) {
+              dependencies.push(id);
+            }
+          });
+        });
+        result.dependencies = dependencies;
+        changed = true;
+      }
+
+      // Subtasks refer to other tasks with dot notation; plain numbers are siblings
+      if (task.subtasks) {
+        result.subtasks = task.subtasks.map(subtask => {
+          const dependencies = subtask.dependencies || [];
+          const kept = dependencies.filter(dep => typeof dep !== 'string' || !dep.includes('.') || !dependsOnAny(dep, removed));
+          if (kept.length === dependencies.length) {
+            return subtask;
+          }
+          changed = true;
+          return { ...subtask, dependencies: kept };
+        });
+      }
+
+      if (changed) updated.push(task.id);
+      return result;
+    });
+
+  return { tasks: remaining, removed: [...removed], updated };
+}
+
+/**
+ * Remove a top-level task, handling the tasks that depend on it. Shows what
+ * will change and asks for confirmation unless options.yes is set.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - ID of the task to remove
+ * @param {Object} options - Options
+ * @param {string} [options.dependents] - "drop", "repoint" or "cascade"; asked for when omitted
+ * @param {boolean} [options.yes=false] - Skip confirmation (dependents default to "drop")
+ * @param {boolean} [options.generate=true] - Regenerate task files afterwards
+ * @returns {Promise<Object|null>} { removed, updated } task IDs, or null if cancelled
+ */
+async function removeTask(tasksPath, taskId, options = {}) {
+  try {
+    const { yes = false, generate = true } = options;
+    let strategy = options.dependents;
+    log('info', `Removing task ${taskId}...`);
+
+    if (String(taskId).includes('.')) {
+      throw createCodedError(`${taskId} is a subtask ID. Use remove-subtask to remove subtasks.`, 'INVALID_INPUT');
+    }
+    const id = parseInt(taskId, 10);
+    if (isNaN(id)) {
+      throw createCodedError(`Invalid task ID: ${taskId}`, 'INVALID_INPUT');
+    }
+    if (strategy && !DEPENDENT_STRATEGIES.includes(strategy)) {
+      throw createCodedError(`Invalid value "${strategy}" for --dependents. Use one of: ${DEPENDENT_STRATEGIES.join(', ')}`, 'INVALID_INPUT');
+    }
+    if (!yes && !process.stdin.isTTY) {
+      throw new Error('Cannot ask for confirmation without a terminal. Run again with --yes to remove the task.');
+    }
+
+    const data = readTasks(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`Invalid or missing tasks file at ${tasksPath}`);
+    }
+
+    const task = data.tasks.find(t => t.id === id);
+    if (!task) {
+      throw createCodedError(`Task with ID ${id} not found`, 'NOT_FOUND');
+    }
+
+    terminal.log(boxen(
+      chalk.white.bold(`Remove Task ${task.id}: ${task.title}`) + '\n\n' +
+      chalk.white(`Status: ${getStatusWithColor(task.status)}`) + '\n' +
+      chalk.white(`Subtasks: ${task.subtasks ? task.subtasks.length : 0}`),
+      { padding: 1, borderColor: 'red', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
+    ));
+
+    // Show the tasks and subtasks that depend on the task
+    const single = new Set([id]);
+    const dependents = [];
+    data.tasks.forEach(t => {
+      if (t.id !== id && (t.dependencies || []).some(dep => dependsOnAny(dep, single))) {
+        dependents.push({ id: `${t.id}`, title: t.title, status: t.status });
+      }
+      (t.subtasks || []).forEach(subtask => {
+        if (t.id !== id && (subtask.dependencies || []).some(dep => typeof dep === 'string' && dep.includes('.') && dependsOnAny(dep, single))) {
+          dependents.push({ id: `${t.id}.${subtask.id}`, title: subtask.title, status: subtask.status });
+        }
+      });
+    });
+
+    if (dependents.length > 0) {
+      const table = new Table({
+        head: [
+          chalk.cyan.bold('ID'),
+          chalk.cyan.bold('Title'),
+          chalk.cyan.bold('Status')
+        ],
+        colWidths: [7, 58, 10]
+      });
+      dependents.forEach(dependent => {
+        table.push([dependent.id, truncate(dependent.title, 55), getStatusWithColor(dependent.status)]);
+      });
+      terminal.log(chalk.yellow(`\n${dependents.length} task(s) depend on task ${id}:`));
+      terminal.log(table.toString());
+
+      if (!strategy && !yes) {
+        terminal.log(
+          chalk.white('  d) drop     - remove the dependency on task ' + id) + '\n' +
+          chalk.white(`  r) repoint  - depend on task ${id}'s dependencies instead (${(task.dependencies || []).join(', ') || 'none'})`) + '\n' +
+          chalk.white('  c) cascade  - remove the dependent tasks as well')
+        );
+        const answer = await ask('How should dependent tasks be handled? [d/r/c]: ');
+        strategy = DEPENDENT_STRATEGIES.find(name => name === answer || name[0] === answer);
+        if (!strategy) {
+          terminal.log(chalk.yellow('No valid choice given; nothing was removed.'));
+          return null;
+        }
+      }
+    }
+
+    const plan = planTaskRemoval(data.tasks, id, strategy || 'drop');
+    if (plan.removed.length > 1) {
+      terminal.log(chalk.yellow(`Tasks that will be removed: ${plan.removed.join(', ')}`));
+    }
+    if (plan.updated.length > 0) {
+      terminal.log(chalk.yellow(`Tasks whose dependencies will change: ${plan.updated.join(', ')}`));
+    }
+
+    const what = plan.removed.length > 1 ? `${plan.removed.length} tasks` : `task ${id}`;
+    if (!yes && !(await confirm(`Remove ${what}?`))) {
+      terminal.log(chalk.yellow('Nothing was removed.'));
+      return null;
+    }
+
+    // No lock is held while asking: writeTasks refuses to save if another
+    // process changed the tasks in the meantime
+    data.tasks = plan.tasks;
+    writeTasks(tasksPath, data);
+
+    // Delete the task files of the removed tasks
+    const outputDir = path.dirname(tasksPath);
+    plan.removed.forEach(removedId => {
+      TASK_FILE_FORMATS.forEach(format => {
+        const taskFile = path.join(outputDir, getTaskFileName(removedId, format));
+        if (fs.existsSync(taskFile)) {
+          fs.unlinkSync(taskFile);
+          log('info', `Deleted ${taskFile}`);
+        }
+      });
+    });
+
+    if (generate) {
+      log('info', 'Regenerating task files...');
+      await generateTaskFiles(tasksPath, outputDir);
+    }
+
+    log('success', `Removed task(s) ${plan.removed.join(', ')}`);
+    return { removed: plan.removed, updated: plan.updated };
+  } catch (error) {
+    log('error', `Error removing task: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Revert or re-apply one entry of the history journal
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} direction - "undo" or "redo"
+ * @param {Object} options - Options
+ * @param {boolean} [options.force=false] - Apply even if the affected tasks changed since the entry
+ * @returns {Object} The journal entry that was undone or redone
+ */
+function applyHistoryEntry(tasksPath, direction, options = {}) {
+  return withFileLock(tasksPath, () => {
+    const data = readTasks(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
+
+    const entries = readHistory(tasksPath);
+    const entry = direction === 'undo' ? findUndoEntry(entries) : findRedoEntry(entries);
+    if (!entry) {
+      throw new Error(`Nothing to ${direction}`);
+    }
+
+    // Undo expects the tasks to look like they did right after the change, redo like right before it
+    const expectedSide = direction === 'undo' ? 'after' : 'before';
+    const conflicts = findConflicts(data, entry.changes, expectedSide);
+    if (conflicts.length > 0 && !options.force) {
+      throw new Error(
+        `Cannot ${direction} change #${entry.id} (${entry.command || 'unknown command'}): ` +
+        `${conflicts.join(', ')} changed since then and would be overwritten. Use --force to ${direction} anyway.`
+      );
+    }
+
+    const restored = applyTasksDiff(data, entry.changes, direction === 'undo' ? 'before' : 'after');
+    writeTasks(tasksPath, restored, { history: false });
+    setEntryStatus(tasksPath, entry.id, direction === 'undo' ? 'undone' : 'applied');
+
+    generateTaskFiles(tasksPath, path.dirname(tasksPath));
+    return entry;
+  });
+}
+
+/**
+ * Undo the most recent change to the tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Options
+ * @param {boolean} [options.force=false] - Undo even if the affected tasks changed since
+ * @returns {Object} The journal entry that was undone
+ */
+function undoChange(tasksPath, options = {}) {
+  const entry = applyHistoryEntry(tasksPath, 'undo', options);
+  terminal.log(boxen(
+    chalk.green(`Undid change #${entry.id} (${entry.command || 'unknown command'})`) + '\n' +
+    chalk.white(summarizeChanges(entry.changes)) + '\n\n' +
+    chalk.white(`Run ${chalk.yellow('task-master redo')} to restore it`),
+    { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
+  ));
+  return entry;
+}
+
+/**
+ * Re-apply the most recently undone change to the tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Options
+ * @param {boolean} [options.force=false] - Redo even if the affected tasks changed since the undo
+ * @returns {Object} The journal entry that was redone
+ */
+function redoChange(tasksPath, options = {}) {
+  const entry = applyHistoryEntry(tasksPath, 'redo', options);
+  terminal.log(boxen(
+    chalk.green(`Redid change #${entry.id} (${entry.command || 'unknown command'})`) + '\n' +
+    chalk.white(summarizeChanges(entry.changes)),
+    { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
+  ));
+  return entry;
+}
+
+/**
+ * Put tasks in a canonical order, so copies can be compared across backends
+ * that do not keep the task order (e.g. the directory backend)
+ * @param {Object} data - Tasks data
+ * @returns {string} Comparable JSON
+ */
+function comparableTasksData(data) {
+  const tasks = [...(data.tasks || [])].sort((a, b) => a.id - b.id);
+  return JSON.stringify({ ...data, tasks });
+}
+
+/**
+ * Copy the tasks to another storage backend and switch the project over to it
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} backend - Backend to migrate to (see listStorages)
+ * @param {Object} options - Options
+ * @param {boolean} [options.force=false] - Overwrite data that already exists in the target backend
+ * @param {boolean} [options.keep=false] - Keep the data in the old backend instead of deleting it
+ * @returns {Object} { from, to, source, target, taskCount }
+ */
+function migrateStorage(tasksPath, backend, options = {}) {
+  const { force = false, keep = false } = options;
+
+  return withFileLock(tasksPath, () => {
+    const from = getStorageBackend();
+    if (from === backend) {
+      throw new Error(`Tasks are already stored with the "${backend}" backend`);
+    }
+
+    const source = getStorage(from);
+    const target = getStorage(backend);
+    const sourceLocation = source.getLocation(tasksPath);
+    const targetLocation = target.getLocation(tasksPath);
+
+    if (!source.exists(tasksPath)) {
+      throw new Error(`No tasks found in ${sourceLocation}`);
+    }
+    if (target.exists(tasksPath) && !force) {
+      throw new Error(`${targetLocation} already exists. Use --force to overwrite it.`);
+    }
+
+    const data = source.read(tasksPath);
+    target.write(tasksPath, data);
+
+    // Only switch over once the copy reads back identical
+    if (comparableTasksData(target.read(tasksPath)) !== comparableTasksData(data)) {
+      target.remove(tasksPath);
+      throw new Error(`The tasks read back from ${targetLocation} differ from ${sourceLocation}; nothing was changed`);
+    }
+
+    updateProjectConfig({ storage: backend });
+    if (!keep) {
+      source.remove(tasksPath);
+    }
+
+    terminal.log(boxen(
+      chalk.green(`Moved ${data.tasks.length} tasks to the ${backend} backend`) + '\n' +
+      chalk.white(`From: ${sourceLocation}${keep ? ' (kept)' : ''}`) + '\n' +
+      chalk.white(`To:   ${targetLocation}`),
+      { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
+    ));
+    return { from, to: backend, source: sourceLocation, target: targetLocation, taskCount: data.tasks.length };
+  });
+}
+
 // Export task manager functions
 export {
   parsePRD,
   updateTasks,
+  updateTaskById,
+  mergeTaskUpdate,
   generateTaskFiles,
+  syncTaskFiles,
   setTaskStatus,
   updateSingleTaskStatus,
+  setTaskField,
   listTasks,
+  queryTasks,
   expandTask,
   expandAllTasks,
   clearSubtasks,
   addTask,
+  createTask,
+  editTask,
   addSubtask,
   removeSubtask,
+  removeTask,
+  planTaskRemoval,
+  moveTask,
+  renumberTasks,
+  planTaskMove,
+  getTask,
   findNextTask,
   analyzeTaskComplexity,
+  undoChange,
+  redoChange,
+  migrateStorage,
+  TASK_STATUSES,
 }; 
\ No newline at end of file
@@ -0,0 +1,468 @@
+/**
+ * task-query.js
+ * Query language, sorting, grouping and export formats of the list command
+ *
+ * A query is a list of space-separated terms that must all match:
+ *   status:pending,in-progress   any of the listed values (also priority)
+ *   tag:api                      has any of the listed tags
+ *   deps:ready                   every dependency is done (or blocked, none)
+ *   id:3,5-7                     task IDs and ranges; parent:3 selects subtasks of task 3
+ *   estimate:<=3, title:login    custom field or title/description, with an optional operator
+ *   auth                         text found in the title or description
+ * A leading "-" negates a term and double quotes keep spaces in a value.
+ *
+ * Queries run over rows: one per task, plus one per subtask when subtasks are
+ * included. Subtask rows take their priority, tags and custom fields from their task.
+ */
+
+import { matchesWhereClause, matchesTaskFilter } from './task-fields.js';
+import { createCodedError } from './output.js';
+
+// Output formats of list --format
+const LIST_FORMATS = ['table', 'json', 'csv', 'md'];
+
+// Keys list --group-by accepts
+const GROUP_KEYS = ['status', 'priority', 'parent'];
+
+// Keys list --sort accepts besides custom fields
+const SORT_KEYS = ['id', 'status', 'priority', 'deps', 'tag', 'tags', 'title', 'description'];
+
+// Sort and group order of the known statuses and priorities; unknown values come after them
+const STATUS_ORDER = ['in-progress', 'pending', 'review', 'blocked', 'deferred', 'done', 'completed'];
+const PRIORITY_ORDER = ['high', 'medium', 'low'];
+
+// Values deps: accepts
+const DEPENDENCY_STATES = ['ready', 'blocked', 'none'];
+
+/**
+ * Split a query into terms, keeping double-quoted values together
+ * @param {string} text - Query text
+ * @returns {string[]} Terms with the quotes removed
+ */
+function tokenizeQuery(text) {
+  const terms = [];
+  const pattern = /(?:[^\s"]+|"[^"]*")+/g;
+  let match;
+  while ((match = pattern.exec(text || '')) !== null) {
+    terms.push(match[0].replace(/"/g, ''));
+  }
+  return terms;
+}
+
+/**
+ * Parse a query
+ * @param {string} text - e.g. "status:pending priority:high deps:ready tag:api"
+ * @param {string[]|null} [fieldNames=null] - Custom fields that may be queried; null accepts any key
+ * @returns {Array} Parsed terms ({ key, values, negate } or { text, negate })
+ * @throws {Error} With code INVALID_INPUT if a term is invalid
+ */
+function parseTaskQuery(text, fieldNames = null) {
+  const builtInKeys = ['status', 'priority', 'tag', 'tags', 'deps', 'id', 'parent', 'title', 'description'];
+
+  return tokenizeQuery(text).map(token => {
+    const negate = token.startsWith('-') && token.length > 1;
+    const body = negate ? token.slice(1) : token;
+    const match = /^([A-Za-z][\w-]*):(.*)$/.exec(body);
+    if (!match) {
+      return { text: body.toLowerCase(), negate };
+    }
+
+    const key = match[1] === 'tags' ? 'tag' : match[1];
+    const values = match[2].split(',').map(value => value.trim()).filter(Boolean);
+    if (values.length === 0) {
+      throw createCodedError(`Query term "${token}" has no value`, 'INVALID_INPUT');
+    }
+    if (!builtInKeys.includes(key) && fieldNames && !fieldNames.includes(key)) {
+      throw createCodedError(`Unknown query key "${key}". Use one of: ${[...builtInKeys.filter(k => k !== 'tags'), ...fieldNames].join(', ')}`, 'INVALID_INPUT');
+    }
+    if (key === 'deps' && values.some(value => !DEPENDENCY_STATES.includes(value))) {
+      throw createCodedError(`deps: takes ${DEPENDENCY_STATES.join(', ')}`, 'INVALID_INPUT');
+    }
+    if ((key === 'id' || key === 'parent') && values.some(value => !/^\d+(\.\d+)?(-\d+)?$/.test(value))) {
+      throw createCodedError(`${key}: takes IDs and ranges such as 3,5-7`, 'INVALID_INPUT');
+    }
+    return { key, values, negate };
+  });
+}
+
+/**
+ * Turn tasks into query rows
+ * @param {Array} tasks - All tasks
+ * @param {boolean} withSubtasks - Add a row for every subtask after its task
+ * @returns {Array} Rows ({ id, parentId, title, status, priority, dependencies, tags, fields, description })
+ */
+function buildTaskRows(tasks, withSubtasks) {
+  const rows = [];
+  tasks.forEach(task => {
+    const row = (item, id, parentId, dependencies) => ({
+      id,
+      parentId,
+      title: item.title,
+      status: item.status || 'pending',
+      priority: task.priority || 'medium',
+      dependencies,
+      tags: task.tags || [],
+      fields: task.fields || {},
+      description: item.description || ''
+    });
+
+    rows.push(row(task, task.id, null, task.dependencies || []));
+    if (!withSubtasks) {
+      return;
+    }
+    (task.subtasks || []).forEach(subtask => {
+      // Numbers refer to sibling subtasks when such a sibling exists
+      const dependencies = (subtask.dependencies || []).map(dep =>
+        (typeof dep === 'number' && task.subtasks.some(st => st.id === dep) ? `${task.id}.${dep}` : dep));
+      rows.push(row(subtask, `${task.id}.${subtask.id}`, task.id, dependencies));
+    });
+  });
+  return rows;
+}
+
+/**
+ * Check whether a dependency is done
+ * @param {number|string} dependency - Task or subtask ID
+ * @param {Array} tasks - All tasks
+ * @returns {boolean} True if the task or subtask exists and is done
+ */
+function isDependencyDone(dependency, tasks) {
+  const [taskId, subtaskId] = String(dependency).split('.').map(id => parseInt(id, 10));
+  const task = tasks.find(t => t.id === taskId);
+  const item = task && subtaskId ? (task.subtasks || []).find(st => st.id === subtaskId) : task;
+  return !!item && (item.status === 'done' || item.status === 'completed');
+}
+
+/**
+ * Check whether an ID matches one of the values of an id: or parent: term
+ * @param {number|string|null} id - Row ID
+ * @param {string[]} values - IDs and ranges
+ * @returns {boolean} True if any value matches
+ */
+function matchesIdList(id, values) {
+  if (id === null) {
+    return false;
+  }
+  return values.some(value => {
+    const range = /^(\d+)-(\d+)$/.exec(value);
+    if (range && typeof id === 'number') {
+      return id >= parseInt(range[1], 10) && id <= parseInt(range[2], 10);
+    }
+    return String(id) === value;
+  });
+}
+
+/**
+ * Check one query term against a row
+ * @param {Object} row - Query row
+ * @param {Object} term - Parsed term
+ * @param {Array} tasks - All tasks, to look up dependencies
+ * @returns {boolean} True if the row matches (before negation)
+ */
+function matchesTerm(row, term, tasks) {
+  if (term.text !== undefined) {
+    return `${row.title}\n${row.description}`.toLowerCase().includes(term.text);
+  }
+
+  switch (term.key) {
+    case 'status':
+    case 'priority':
+      return term.values.some(value => value.toLowerCase() === String(row[term.key]).toLowerCase());
+    case 'tag': {
+      const tags = row.tags.map(tag => tag.toLowerCase());
+      return term.values.some(value => tags.includes(value.toLowerCase()));
+    }
+    case 'deps': {
+      const states = [];
+      if (row.dependencies.length === 0) states.push('none');
+      if (row.dependencies.every(dep => isDependencyDone(dep, tasks))) states.push('ready');
+      else states.push('blocked');
+      return term.values.some(value => states.includes(value));
+    }
+    case 'id':
+      return matchesIdList(row.id, term.values);
+    case 'parent':
+      return matchesIdList(row.parentId, term.values);
+    default:
+      // Field terms: "estimate:<=3" is the --where clause "estimate<=3"; text fields default to "contains"
+      return term.values.some(value => {
+        const match = /^(<=|>=|!=|=|<|>|~)?(.*)$/.exec(value);
+        const operator = match[1] || (term.key === 'title' || term.key === 'description' ? '~' : '=');
+        return matchesWhereClause(row, { field: term.key, operator, value: match[2] });
+      });
+  }
+}
+
+/**
+ * Check whether a row has no value to sort by
+ * @param {*} value - Sort value
+ * @returns {boolean} True if the value is missing
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Compare two values for sorting, with missing values last
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Sort order
+ */
+function compareValues(a, b) {
+  if (isMissing(a) || isMissing(b)) {
+    return isMissing(a) - isMissing(b);
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Get the value a row is sorted or grouped by
+ * @param {Object} row - Query row
+ * @param {string} key - Sort or group key
+ * @returns {*} Value; statuses and priorities map to their rank
+ */
+function getSortValue(row, key) {
+  const rank = (order, value) => {
+    const index = order.indexOf(String(value).toLowerCase());
+    return index === -1 ? order.length : index;
+  };
+  switch (key) {
+    case 'id':
+      return row.parentId === null ? [row.id, 0] : String(row.id).split('.').map(Number);
+    case 'status':
+      return rank(STATUS_ORDER, row.status);
+    case 'priority':
+      return rank(PRIORITY_ORDER, row.priority);
+    case 'deps':
+      return row.dependencies.length;
+    case 'tag':
+    case 'tags':
+      return row.tags.join(', ');
+    case 'title':
+    case 'description':
+      return row[key];
+    default:
+      return row.fields[key];
+  }
+}
+
+/**
+ * Sort rows by a list of keys
+ * @param {Array} rows - Query rows
+ * @param {string} sort - Comma-separated keys, "-" in front for descending (e.g. "priority,-id")
+ * @param {string[]|null} [fieldNames=null] - Custom fields that may be sorted by; null accepts any key
+ * @returns {Array} Sorted copy of the rows
+ * @throws {Error} With code INVALID_INPUT if a key is unknown
+ */
+function sortTaskRows(rows, sort, fieldNames = null) {
+  const keys = String(sort || '').split(',').map(key => key.trim()).filter(Boolean)
+    .map(key => (key.startsWith('-') ? { key: key.slice(1), direction: -1 } : { key, direction: 1 }));
+  keys.forEach(({ key }) => {
+    if (!SORT_KEYS.includes(key) && fieldNames && !fieldNames.includes(key)) {
+      throw createCodedError(`Unknown sort key "${key}". Use one of: ${[...SORT_KEYS.filter(k => k !== 'tags'), ...fieldNames].join(', ')}`, 'INVALID_INPUT');
+    }
+  });
+  if (keys.length === 0) {
+    return rows;
+  }
+
+  return rows
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => {
+      for (const { key, direction } of keys) {
+        const left = getSortValue(a.row, key);
+        const right = getSortValue(b.row, key);
+        // Missing values stay last in both directions
+        if (isMissing(left) !== isMissing(right)) {
+          return isMissing(left) - isMissing(right);
+        }
+        const order = Array.isArray(left)
+          ? compareValues(left[0], right[0]) || compareValues(left[1], right[1])
+          : compareValues(left, right);
+        if (order !== 0) {
+          return order * direction;
+        }
+      }
+      return a.index - b.index;
+    })
+    .map(({ row }) => row);
+}
+
+/**
+ * Split rows into groups
+ * @param {Array} rows - Query rows
+ * @param {string|null} groupBy - "status", "priority", "parent" or null for one group
+ * @param {Array} tasks - All tasks, to name parent groups
+ * @returns {Array} Groups ({ key, label, rows }) in status, priority or task order
+ */
+function groupTaskRows(rows, groupBy, tasks) {
+  if (!groupBy) {
+    return [{ key: null, label: null, rows }];
+  }
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = groupBy === 'parent' ? (row.parentId === null ? row.id : row.parentId) : row[groupBy];
+    if (!groups.has(key)) {
+      const task = groupBy === 'parent' ? tasks.find(t => t.id === key) : null;
+      groups.set(key, { key, label: task ? `Task ${task.id}: ${task.title}` : String(key), rows: [] });
+    }
+    groups.get(key).rows.push(row);
+  });
+
+  const order = groupBy === 'parent'
+    ? (a, b) => a.key - b.key
+    : (a, b) => getSortValue(a.rows[0], groupBy) - getSortValue(b.rows[0], groupBy) || compareValues(a.key, b.key);
+  return [...groups.values()].sort(order);
+}
+
+/**
+ * Run a list query
+ * @param {Array} tasks - All tasks
+ * @param {Object} options - Query options
+ * @param {string} [options.query] - Query text
+ * @param {string[]|null} [options.fieldNames] - Custom fields that may be queried
+ * @param {Object|null} [options.filter] - Tag and field filter from createTaskFilter
+ * @param {boolean} [options.withSubtasks=false] - Include subtask rows (always on when grouping by parent)
+ * @param {string} [options.sort] - Sort keys (see sortTaskRows)
+ * @param {string} [options.groupBy] - Group key (see GROUP_KEYS)
+ * @returns {{groups: Array, count: number, total: number}} Matching rows by group
+ * @throws {Error} With code INVALID_INPUT if the query, sort or group key is invalid
+ */
+function runTaskQuery(tasks, options = {}) {
+  const { query = '', fieldNames = null, filter = null, sort = '', groupBy = null } = options;
+  if (groupBy && !GROUP_KEYS.includes(groupBy)) {
+    throw createCodedError(`Invalid --group-by "${groupBy}". Use one of: ${GROUP_KEYS.join(', ')}`, 'INVALID_INPUT');
+  }
+
+  const terms = parseTaskQuery(query, fieldNames);
+  const allRows = buildTaskRows(tasks, options.withSubtasks || groupBy === 'parent');
+  const rows = allRows.filter(row =>
+    matchesTaskFilter(row, filter) &&
+    terms.every(term => matchesTerm(row, term, tasks) !== term.negate));
+
+  const groups = groupTaskRows(sortTaskRows(rows, sort, fieldNames), groupBy, tasks);
+  return { groups, count: rows.length, total: allRows.length };
+}
+
+/**
+ * Get the custom field columns of a query result
+ * @param {Object} result - Result of runTaskQuery
+ * @param {string[]} [fieldNames=[]] - Declared fields, shown first and even when empty
+ * @returns {string[]} Field names
+ */
+function getFieldColumns(result, fieldNames = []) {
+  const present = new Set();
+  result.groups.forEach(group => group.rows.forEach(row => Object.keys(row.fields).forEach(name => present.add(name))));
+  return [...fieldNames, ...[...present].filter(name => !fieldNames.includes(name)).sort()];
+}
+
+/**
+ * Quote a CSV cell when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} Markdown cell
+ */
+function markdownCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Check whether a query result was grouped
+ * @param {Object} result - Result of runTaskQuery
+ * @returns {boolean} True unless all rows are in the single ungrouped group
+ */
+function isGrouped(result) {
+  return result.groups.length !== 1 || result.groups[0].key !== null;
+}
+
+/**
+ * Get the data of a query result for the --json envelope
+ * @param {Object} result - Result of runTaskQuery
+ * @returns {Object} { count, total, tasks } or, when grouped, { count, total, groups: [{ group, label, tasks }] }
+ */
+function getTaskQueryData(result) {
+  const { count, total } = result;
+  if (!isGrouped(result)) {
+    return { count, total, tasks: result.groups[0].rows };
+  }
+  return { count, total, groups: result.groups.map(group => ({ group: group.key, label: group.label, tasks: group.rows })) };
+}
+
+/**
+ * Render a query result for scripts and reports
+ * @param {Object} result - Result of runTaskQuery
+ * @param {string} format - "json", "csv" or "md"
+ * @param {string[]} [fieldNames=[]] - Declared custom fields
+ * @returns {string} Rendered result, ending in a newline
+ */
+function formatTaskQueryResult(result, format, fieldNames = []) {
+  const grouped = isGrouped(result);
+  const fields = getFieldColumns(result, fieldNames);
+
+  if (format === 'json') {
+    const value = grouped
+      ? result.groups.map(group => ({ group: group.key, label: group.label, tasks: group.rows }))
+      : result.groups[0].rows;
+    return `${JSON.stringify(value, null, 2)}\n`;
+  }
+
+  const columns = [
+    ...(grouped ? [['group', (row, group) => group.key]] : []),
+    ['id', row => row.id],
+    ['parentId', row => row.parentId],
+    ['title', row => row.title],
+    ['status', row => row.status],
+    ['priority', row => row.priority],
+    ['dependencies', row => row.dependencies.join(', ')],
+    ['tags', row => row.tags.join(', ')],
+    ...fields.map(name => [name, row => row.fields[name]]),
+    ['description', row => row.description]
+  ];
+
+  if (format === 'csv') {
+    const lines = [columns.map(([name]) => csvCell(name)).join(',')];
+    result.groups.forEach(group => group.rows.forEach(row => {
+      lines.push(columns.map(([, value]) => csvCell(value(row, group))).join(','));
+    }));
+    return `${lines.join('\n')}\n`;
+  }
+
+  if (format === 'md') {
+    // Groups become headings, so the group and parent columns are left out
+    const mdColumns = columns.filter(([name]) => name !== 'group' && name !== 'parentId');
+    const table = rows => [
+      `| ${mdColumns.map(([name]) => name).join(' | ')} |`,
+      `| ${mdColumns.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${mdColumns.map(([, value]) => markdownCell(value(row))).join(' | ')} |`)
+    ].join('\n');
+    return `${result.groups.map(group => (grouped ? `## ${group.label}\n\n${table(group.rows)}` : table(group.rows))).join('\n\n')}\n`;
+  }
+
+  throw createCodedError(`Invalid format "${format}". Use one of: ${LIST_FORMATS.join(', ')}`, 'INVALID_INPUT');
+}
+
+export {
+  LIST_FORMATS,
+  GROUP_KEYS,
+  parseTaskQuery,
+  buildTaskRows,
+  sortTaskRows,
+  runTaskQuery,
+  getFieldColumns,
+  getTaskQueryData,
+  formatTaskQueryResult
+};
@@ -0,0 +1,193 @@
+/**
+ * task-search.js
+ * Fuzzy full-text search over tasks and subtasks
+ *
+ * Every task and subtask is a search document. Titles weigh most, then
+ * descriptions, then details and test strategies. Each word of the query is
+ * searched on its own and a document must match all of them, so word order
+ * does not matter and typos within a word are forgiven.
+ */
+
+import Fuse from 'fuse.js';
+
+// Searched fields and their weights
+const SEARCH_KEYS = [
+  { name: 'title', weight: 4 },
+  { name: 'description', weight: 2 },
+  { name: 'details', weight: 1 },
+  { name: 'testStrategy', weight: 1 }
+];
+
+// Fuse threshold: 0 only accepts exact matches, 1 matches anything
+const DEFAULT_THRESHOLD = 0.3;
+
+// Characters of context kept on each side of a match in a snippet
+const SNIPPET_CONTEXT = 30;
+
+/**
+ * Turn tasks and their subtasks into search documents
+ * @param {Array} tasks - All tasks
+ * @returns {Array} Documents ({ id, parentId, title, status, description, details, testStrategy })
+ */
+function buildSearchDocuments(tasks) {
+  const documents = [];
+  const document = (item, id, parentId) => ({
+    id,
+    parentId,
+    title: item.title || '',
+    status: item.status || 'pending',
+    description: item.description || '',
+    details: item.details || '',
+    testStrategy: item.testStrategy || ''
+  });
+
+  tasks.forEach(task => {
+    documents.push(document(task, task.id, null));
+    (task.subtasks || []).forEach(subtask => {
+      documents.push(document(subtask, `${task.id}.${subtask.id}`, task.id));
+    });
+  });
+  return documents;
+}
+
+/**
+ * Merge overlapping or touching index ranges
+ * @param {Array} ranges - [start, end] pairs (inclusive)
+ * @returns {Array} Sorted, merged ranges
+ */
+function mergeRanges(ranges) {
+  const merged = [];
+  [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Cut a snippet of text around its longest match
+ * @param {string} text - Field text
+ * @param {Array} ranges - Matched [start, end] ranges (inclusive)
+ * @param {number} [context=SNIPPET_CONTEXT] - Characters kept on each side of the match
+ * @returns {{text: string, ranges: Array}} Snippet on one line, with the ranges shifted into it
+ */
+function createSnippet(text, ranges, context = SNIPPET_CONTEXT) {
+  const flat = text.replace(/\s/g, ' ');
+  const merged = mergeRanges(ranges);
+  if (merged.length === 0) {
+    return { text: flat.slice(0, context * 2), ranges: [] };
+  }
+
+  const longest = merged.reduce((best, range) => (range[1] - range[0] > best[1] - best[0] ? range : best));
+  const start = Math.max(0, longest[0] - context);
+  const end = Math.min(flat.length, longest[1] + 1 + context);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < flat.length ? '…' : '';
+
+  return {
+    text: `${prefix}${flat.slice(start, end)}${suffix}`,
+    ranges: merged
+      .filter(([from, to]) => from >= start && to < end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+  };
+}
+
+/**
+ * Wrap the matched ranges of a snippet
+ * @param {{text: string, ranges: Array}} snippet - Snippet from createSnippet
+ * @param {Function} mark - Called with each matched part, returns it highlighted
+ * @returns {string} Highlighted text
+ */
+function highlightSnippet(snippet, mark) {
+  let result = '';
+  let position = 0;
+  snippet.ranges.forEach(([start, end]) => {
+    result += snippet.text.slice(position, start) + mark(snippet.text.slice(start, end + 1));
+    position = end + 1;
+  });
+  return result + snippet.text.slice(position);
+}
+
+/**
+ * Search tasks and subtasks
+ * @param {Array} tasks - All tasks
+ * @param {string} query - Words to look for
+ * @param {Object} options - Search options
+ * @param {number} [options.limit=10] - Maximum number of results (0 for all)
+ * @param {number} [options.threshold=DEFAULT_THRESHOLD] - Fuzziness between 0 (exact) and 1
+ * @returns {Array} Results, best first ({ id, parentId, title, status, score, snippets })
+ *   where score runs from 0 (perfect) to 1 and snippets holds one { field, text, ranges } per matched field
+ * @throws {Error} If the query is empty or the threshold is out of range
+ */
+function searchTasks(tasks, query, options = {}) {
+  const { limit = 10, threshold = DEFAULT_THRESHOLD } = options;
+  const words = String(query || '').split(/\s+/).filter(Boolean);
+  if (words.length === 0) {
+    throw new Error('Please provide something to search for');
+  }
+  if (!(threshold >= 0 && threshold <= 1)) {
+    throw new Error('The threshold must be between 0 and 1');
+  }
+
+  const documents = buildSearchDocuments(tasks);
+  const fuse = new Fuse(documents, {
+    keys: SEARCH_KEYS,
+    threshold,
+    ignoreLocation: true,
+    ignoreFieldNorm: true,
+    includeScore: true,
+    includeMatches: true,
+    minMatchCharLength: 2
+  });
+
+  // refIndex -> { scores, ranges by field }
+  const hits = new Map();
+  words.forEach((word, wordIndex) => {
+    fuse.search(word).forEach(({ refIndex, score, matches }) => {
+      const hit = hits.get(refIndex) || { words: 0, score: 0, ranges: {} };
+      if (hit.words !== wordIndex) {
+        return;
+      }
+      hit.words += 1;
+      hit.score += score;
+      // Fuse also reports stray fragments of fuzzy matches; only highlight runs of at least half the word
+      matches.forEach(match => {
+        const ranges = match.indices.filter(([start, end]) => end - start + 1 >= Math.ceil(word.length / 2));
+        hit.ranges[match.key] = [...(hit.ranges[match.key] || []), ...ranges];
+      });
+      hits.set(refIndex, hit);
+    });
+  });
+
+  const results = [...hits.entries()]
+    .filter(([, hit]) => hit.words === words.length)
+    .map(([refIndex, hit]) => {
+      const doc = documents[refIndex];
+      return {
+        id: doc.id,
+        parentId: doc.parentId,
+        title: doc.title,
+        status: doc.status,
+        score: hit.score / words.length,
+        snippets: SEARCH_KEYS
+          .filter(({ name }) => hit.ranges[name] && hit.ranges[name].length > 0)
+          .map(({ name }) => ({ field: name, ...createSnippet(doc[name], hit.ranges[name]) }))
+      };
+    })
+    .sort((a, b) => a.score - b.score);
+
+  return limit > 0 ? results.slice(0, limit) : results;
+}
+
+export {
+  SEARCH_KEYS,
+  DEFAULT_THRESHOLD,
+  buildSearchDocuments,
+  createSnippet,
+  highlightSnippet,
+  searchTasks
+};
@@ -9,10 +9,16 @@ import boxen from 'boxen';
 import ora from 'ora';
 import Table from 'cli-table3';
 import gradient from 'gradient-string';
-import { CONFIG, log, findTaskById, readJSON, readComplexityReport, truncate } from './utils.js';
+import { CONFIG, log, findTaskById, readTasks, readComplexityReport, truncate } from './utils.js';
 import path from 'path';
 import fs from 'fs';
 import { findNextTask, analyzeTaskComplexity } from './task-manager.js';
+import { readUsageLedger, summarizeUsage, getTotalCost } from './usage-tracker.js';
+import { loadPrompt, listPrompts, diffLines } from './prompts.js';
+import { readHistory, summarizeChanges } from './history.js';
+import { describeTaskFilter } from './task-fields.js';
+import { searchTasks, highlightSnippet } from './task-search.js';
+import { isQuietOutput, createCodedError, terminal } from './output.js';
 
 // Create a color gradient for the banner
 const coolGradient = gradient(['#00b4d8', '#0077b6', '#03045e']);
@@ -22,6 +28,9 @@ const warmGradient = gradient(['#fb8b24', '#e36414', '#9a031e']);
  * Display a fancy banner for the CLI
  */
 function displayBanner() {
+  if (isQuietOutput()) {
+    return;
+  }
   console.clear();
   const bannerText = figlet.textSync('Task Master', {
     font: 'Standard',
@@ -29,10 +38,10 @@ function displayBanner() {
     verticalLayout: 'default'
   });
   
-  console.log(coolGradient(bannerText));
+  terminal.log(coolGradient(bannerText));
   
   // Add creator credit line below the banner
-  console.log(chalk.dim('by ') + chalk.cyan.underline('https://x.com/eyaltoledano'));
+  terminal.log(chalk.dim('by ') + chalk.cyan.underline('https://x.com/eyaltoledano'));
   
   // Read version directly from package.json
   let version = CONFIG.projectVersion; // Default fallback
@@ -46,7 +55,7 @@ function displayBanner() {
     // Silently fall back to default version
   }
   
-  console.log(boxen(chalk.white(`${chalk.bold('Version:')} ${version}   ${chalk.bold('Project:')} ${CONFIG.projectName}`), {
+  terminal.log(boxen(chalk.white(`${chalk.bold('Version:')} ${version}   ${chalk.bold('Project:')} ${CONFIG.projectName}`), {
     padding: 1,
     margin: { top: 0, bottom: 1 },
     borderStyle: 'round',
@@ -62,7 +71,8 @@ function displayBanner() {
 function startLoadingIndicator(message) {
   const spinner = ora({
     text: message,
-    color: 'cyan'
+    color: 'cyan',
+    isSilent: isQuietOutput()
   }).start();
   
   return spinner;
@@ -234,7 +244,7 @@ function formatDependenciesWithStatus(dependencies, allTasks, forConsole = false
 function displayHelp() {
   displayBanner();
   
-  console.log(boxen(
+  terminal.log(boxen(
     chalk.white.bold('Task Master CLI'),
     { padding: 1, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 1 } }
   ));
@@ -247,26 +257,50 @@ function displayHelp() {
       commands: [
         { name: 'parse-prd', args: '--input=<file.txt> [--tasks=10]', 
           desc: 'Generate tasks from a PRD document' },
-        { name: 'generate', args: '', 
-          desc: 'Create individual task files from tasks.json' }
+        { name: 'generate', args: '[--format=txt|md] [--force]', 
+          desc: 'Create individual task files from tasks.json' },
+        { name: 'prompts', args: 'list | show <name> [--default] | diff <name>',
+          desc: 'Inspect the prompt templates and project overrides' }
       ]
     },
     {
       title: 'Task Management',
       color: 'green',
       commands: [
-        { name: 'list', args: '[--status=<status>] [--with-subtasks]', 
+        { name: 'list', args: '[query] [--status=<status>] [--tag=<tag>] [--where=<field><op><value>] [--with-subtasks]', 
           desc: 'List all tasks with their status' },
+        { name: 'list', args: '<query> [--sort=<keys>] [--group-by=<key>] [--format=table|json|csv|md]', 
+          desc: 'Query, sort, group and export tasks' },
         { name: 'set-status', args: '--id=<id> --status=<status>', 
           desc: 'Update task status (done, pending, etc.)' },
+        { name: 'set-field', args: '--id=<id> --field=<tags|name> --value=<value> [--unset]',
+          desc: 'Set the tags or a custom field of tasks' },
         { name: 'update', args: '--from=<id> --prompt="<context>"', 
           desc: 'Update tasks based on new requirements' },
+        { name: 'update-task', args: '--id=<id> --prompt="<context>" [--yes]',
+          desc: 'Update a single task or subtask, confirming the changes' },
         { name: 'add-task', args: '--prompt="<text>" [--dependencies=<ids>] [--priority=<priority>]',
           desc: 'Add a new task using AI' },
+        { name: 'remove-task', args: '--id=<id> [--dependents=drop|repoint|cascade] [--yes]',
+          desc: 'Remove a task and clean up tasks that depend on it' },
+        { name: 'move', args: '--from=<id> --to=<id>',
+          desc: 'Move a task or subtask and renumber all tasks' },
+        { name: 'renumber', args: '',
+          desc: 'Renumber tasks from 1, closing gaps in the IDs' },
+        { name: 'sync', args: '[--prefer=file|json] [--dry-run]',
+          desc: 'Merge edits of task files into tasks.json and refresh stale task files' },
         { name: 'add-dependency', args: '--id=<id> --depends-on=<id>', 
           desc: 'Add a dependency to a task' },
         { name: 'remove-dependency', args: '--id=<id> --depends-on=<id>', 
-          desc: 'Remove a dependency from a task' }
+          desc: 'Remove a dependency from a task' },
+        { name: 'history', args: '[--limit=20]',
+          desc: 'Show the journal of changes made to tasks.json' },
+        { name: 'undo', args: '[--force]',
+          desc: 'Revert the most recent change to tasks.json' },
+        { name: 'redo', args: '[--force]',
+          desc: 'Re-apply the most recently undone change' },
+        { name: 'migrate-storage', args: '--to=json|sqlite|directory [--keep]',
+          desc: 'Move the tasks to another storage backend; sqlite needs: npm install better-sqlite3' }
       ]
     },
     {
@@ -279,8 +313,8 @@ function displayHelp() {
           desc: 'Display the complexity analysis report' },
         { name: 'expand', args: '--id=<id> [--num=5] [--research] [--prompt="<context>"]', 
           desc: 'Break down tasks into detailed subtasks' },
-        { name: 'expand --all', args: '[--force] [--research]', 
-          desc: 'Expand all pending tasks with subtasks' },
+        { name: 'expand --all', args: '[--force] [--research] [--concurrency=3] [--fresh]', 
+          desc: 'Expand all pending tasks with subtasks (resumes an interrupted run)' },
         { name: 'clear-subtasks', args: '--id=<id>', 
           desc: 'Remove subtasks from specified tasks' }
       ]
@@ -289,10 +323,18 @@ function displayHelp() {
       title: 'Task Navigation & Viewing',
       color: 'magenta',
       commands: [
-        { name: 'next', args: '', 
+        { name: 'next', args: '[--tag=<tag>] [--where=<field><op><value>]', 
           desc: 'Show the next task to work on based on dependencies' },
         { name: 'show', args: '<id>', 
-          desc: 'Display detailed information about a specific task' }
+          desc: 'Display detailed information about a specific task' },
+        { name: 'search', args: '<query> [--limit=10] [--threshold=0.3] [--show[=<rank>]]', 
+          desc: 'Fuzzy search tasks and subtasks, or show a match directly' },
+        { name: 'usage', args: '[--by=<command|task|day>] [--since=<date>]',
+          desc: 'Show AI token usage and estimated cost' },
+        { name: 'cache', args: 'info | clear',
+          desc: 'Show or clear cached AI responses (use --no-cache on any command to bypass)' },
+        { name: 'serve', args: '[--port=3001] [--host=127.0.0.1] [--cors=<origins>]',
+          desc: 'Serve a REST API for the tasks, described at /openapi.json; API_JWT_SECRET requires bearer tokens' }
       ]
     },
     {
@@ -309,7 +351,7 @@ function displayHelp() {
   
   // Display each category
   commandCategories.forEach(category => {
-    console.log(boxen(
+    terminal.log(boxen(
       chalk[category.color].bold(category.title),
       { 
         padding: { left: 2, right: 2, top: 0, bottom: 0 }, 
@@ -338,12 +380,14 @@ function displayHelp() {
       ]);
     });
     
-    console.log(commandTable.toString());
-    console.log('');
+    terminal.log(commandTable.toString());
+    terminal.log('');
   });
   
+  terminal.log(chalk.dim(`  Add ${chalk.yellow('--json')} to any command to get a single JSON result or error instead of formatted output`));
+  
   // Display environment variables section
-  console.log(boxen(
+  terminal.log(boxen(
     chalk.cyan.bold('Environment Variables'),
     { 
       padding: { left: 2, right: 2, top: 0, bottom: 0 }, 
@@ -368,8 +412,11 @@ function displayHelp() {
     [`${chalk.yellow('GEMINI_API_KEY')}${chalk.reset('')}`, 
      `${chalk.white('Your Gemini API key')}${chalk.reset('')}`, 
      `${chalk.dim('Required')}${chalk.reset('')}`],
+    [`${chalk.yellow('AI_PROVIDER')}${chalk.reset('')}`, 
+     `${chalk.white('AI provider (gemini, anthropic, openai, perplexity, local, mock)')}${chalk.reset('')}`, 
+     `${chalk.dim(`Default: ${CONFIG.aiProvider}`)}${chalk.reset('')}`],
     [`${chalk.yellow('MODEL')}${chalk.reset('')}`, 
-     `${chalk.white('Claude model to use')}${chalk.reset('')}`, 
+     `${chalk.white('Model to use with the AI provider')}${chalk.reset('')}`, 
      `${chalk.dim(`Default: ${CONFIG.model}`)}${chalk.reset('')}`],
     [`${chalk.yellow('MAX_TOKENS')}${chalk.reset('')}`, 
      `${chalk.white('Maximum tokens for responses')}${chalk.reset('')}`, 
@@ -383,6 +430,12 @@ function displayHelp() {
     [`${chalk.yellow('PERPLEXITY_MODEL')}${chalk.reset('')}`, 
      `${chalk.white('Perplexity model to use')}${chalk.reset('')}`, 
      `${chalk.dim('Default: sonar-pro')}${chalk.reset('')}`],
+    [`${chalk.yellow('USAGE_BUDGET')}${chalk.reset('')}`, 
+     `${chalk.white('Abort AI calls once estimated spend (USD) reaches this')}${chalk.reset('')}`, 
+     `${chalk.dim('Optional')}${chalk.reset('')}`],
+    [`${chalk.yellow('AI_CACHE_TTL')}${chalk.reset('')}`, 
+     `${chalk.white('Seconds cached AI responses stay valid (0 = forever)')}${chalk.reset('')}`, 
+     `${chalk.dim(`Default: ${CONFIG.cacheTTL}`)}${chalk.reset('')}`],
     [`${chalk.yellow('DEBUG')}${chalk.reset('')}`, 
      `${chalk.white('Enable debug logging')}${chalk.reset('')}`, 
      `${chalk.dim(`Default: ${CONFIG.debug}`)}${chalk.reset('')}`],
@@ -400,8 +453,8 @@ function displayHelp() {
      `${chalk.dim(`Default: ${CONFIG.projectName}`)}${chalk.reset('')}`]
   );
   
-  console.log(envTable.toString());
-  console.log('');
+  terminal.log(envTable.toString());
+  terminal.log('');
 }
 
 /**
@@ -430,31 +483,34 @@ function truncateString(str, maxLength) {
 /**
  * Display the next task to work on
  * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object|null} [filter=null] - Only consider tasks matching this tag and field filter
+ * @returns {Object|null} The next task, or null if no task is eligible
  */
-async function displayNextTask(tasksPath) {
+async function displayNextTask(tasksPath, filter = null) {
   displayBanner();
   
   // Read the tasks file
-  const data = readJSON(tasksPath);
+  const data = readTasks(tasksPath);
   if (!data || !data.tasks) {
     log('error', "No valid tasks found.");
     process.exit(1);
   }
   
   // Find the next task
-  const nextTask = findNextTask(data.tasks);
+  const nextTask = findNextTask(data.tasks, filter);
   
   if (!nextTask) {
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.yellow('No eligible tasks found!\n\n') +
-      'All pending tasks have unsatisfied dependencies, or all tasks are completed.',
+      'All pending tasks have unsatisfied dependencies, or all tasks are completed.' +
+      (filter ? `\nOnly tasks matching ${describeTaskFilter(filter)} were considered.` : ''),
       { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1 } }
     ));
-    return;
+    return null;
   }
   
   // Display the task in a nice format
-  console.log(boxen(
+  terminal.log(boxen(
     chalk.white.bold(`Next Task: #${nextTask.id} - ${nextTask.title}`),
     { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
   ));
@@ -492,11 +548,11 @@ async function displayNextTask(tasksPath) {
     [chalk.cyan.bold('Description:'), nextTask.description]
   );
   
-  console.log(taskTable.toString());
+  terminal.log(taskTable.toString());
   
   // If task has details, show them in a separate box
   if (nextTask.details && nextTask.details.trim().length > 0) {
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold('Implementation Details:') + '\n\n' + 
       nextTask.details,
       { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'cyan', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
@@ -505,7 +561,7 @@ async function displayNextTask(tasksPath) {
   
   // Show subtasks if they exist
   if (nextTask.subtasks && nextTask.subtasks.length > 0) {
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold('Subtasks'),
       { padding: { top: 0, bottom: 0, left: 1, right: 1 }, margin: { top: 1, bottom: 0 }, borderColor: 'magenta', borderStyle: 'round' }
     ));
@@ -595,10 +651,10 @@ async function displayNextTask(tasksPath) {
       ]);
     });
     
-    console.log(subtaskTable.toString());
+    terminal.log(subtaskTable.toString());
   } else {
     // Suggest expanding if no subtasks
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.yellow('No subtasks found. Consider breaking down this task:') + '\n' +
       chalk.white(`Run: ${chalk.cyan(`task-master expand --id=${nextTask.id}`)}`),
       { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
@@ -606,7 +662,7 @@ async function displayNextTask(tasksPath) {
   }
   
   // Show action suggestions
-  console.log(boxen(
+  terminal.log(boxen(
     chalk.white.bold('Suggested Actions:') + '\n' +
     `${chalk.cyan('1.')} Mark as in-progress: ${chalk.yellow(`task-master set-status --id=${nextTask.id} --status=in-progress`)}\n` +
     `${chalk.cyan('2.')} Mark as done when completed: ${chalk.yellow(`task-master set-status --id=${nextTask.id} --status=done`)}\n` +
@@ -615,18 +671,21 @@ async function displayNextTask(tasksPath) {
       : `${chalk.cyan('3.')} Break down into subtasks: ${chalk.yellow(`task-master expand --id=${nextTask.id}`)}`),
     { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
   ));
+  
+  return nextTask;
 }
 
 /**
  * Display a specific task by ID
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string|number} taskId - The ID of the task to display
+ * @returns {Object|null} The task or subtask, or null if it does not exist
  */
 async function displayTaskById(tasksPath, taskId) {
   displayBanner();
   
   // Read the tasks file
-  const data = readJSON(tasksPath);
+  const data = readTasks(tasksPath);
   if (!data || !data.tasks) {
     log('error', "No valid tasks found.");
     process.exit(1);
@@ -636,16 +695,16 @@ async function displayTaskById(tasksPath, taskId) {
   const task = findTaskById(data.tasks, taskId);
   
   if (!task) {
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.yellow(`Task with ID ${taskId} not found!`),
       { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1 } }
     ));
-    return;
+    return null;
   }
   
   // Handle subtask display specially
   if (task.isSubtask || task.parentTask) {
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold(`Subtask: #${task.parentTask.id}.${task.id} - ${task.title}`),
       { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'magenta', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
     ));
@@ -675,10 +734,10 @@ async function displayTaskById(tasksPath, taskId) {
       [chalk.cyan.bold('Description:'), task.description || 'No description provided.']
     );
     
-    console.log(taskTable.toString());
+    terminal.log(taskTable.toString());
     
     // Show action suggestions for subtask
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold('Suggested Actions:') + '\n' +
       `${chalk.cyan('1.')} Mark as in-progress: ${chalk.yellow(`task-master set-status --id=${task.parentTask.id}.${task.id} --status=in-progress`)}\n` +
       `${chalk.cyan('2.')} Mark as done when completed: ${chalk.yellow(`task-master set-status --id=${task.parentTask.id}.${task.id} --status=done`)}\n` +
@@ -686,11 +745,11 @@ async function displayTaskById(tasksPath, taskId) {
       { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
     ));
     
-    return;
+    return task;
   }
   
   // Display a regular task
-  console.log(boxen(
+  terminal.log(boxen(
     chalk.white.bold(`Task: #${task.id} - ${task.title}`),
     { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
   ));
@@ -728,12 +787,18 @@ async function displayTaskById(tasksPath, taskId) {
     [chalk.cyan.bold('Dependencies:'), formatDependenciesWithStatus(task.dependencies, data.tasks, true)],
     [chalk.cyan.bold('Description:'), task.description]
   );
+  if (task.tags && task.tags.length > 0) {
+    taskTable.push([chalk.cyan.bold('Tags:'), task.tags.map(tag => chalk.magenta(tag)).join(', ')]);
+  }
+  Object.entries(task.fields || {}).forEach(([name, value]) => {
+    taskTable.push([chalk.cyan.bold(`${name}:`), String(value)]);
+  });
   
-  console.log(taskTable.toString());
+  terminal.log(taskTable.toString());
   
   // If task has details, show them in a separate box
   if (task.details && task.details.trim().length > 0) {
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold('Implementation Details:') + '\n\n' + 
       task.details,
       { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'cyan', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
@@ -742,7 +807,7 @@ async function displayTaskById(tasksPath, taskId) {
   
   // Show test strategy if available
   if (task.testStrategy && task.testStrategy.trim().length > 0) {
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold('Test Strategy:') + '\n\n' + 
       task.testStrategy,
       { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'cyan', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
@@ -751,7 +816,7 @@ async function displayTaskById(tasksPath, taskId) {
   
   // Show subtasks if they exist
   if (task.subtasks && task.subtasks.length > 0) {
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.white.bold('Subtasks'),
       { padding: { top: 0, bottom: 0, left: 1, right: 1 }, margin: { top: 1, bottom: 0 }, borderColor: 'magenta', borderStyle: 'round' }
     ));
@@ -841,10 +906,10 @@ async function displayTaskById(tasksPath, taskId) {
       ]);
     });
     
-    console.log(subtaskTable.toString());
+    terminal.log(subtaskTable.toString());
   } else {
     // Suggest expanding if no subtasks
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.yellow('No subtasks found. Consider breaking down this task:') + '\n' +
       chalk.white(`Run: ${chalk.cyan(`task-master expand --id=${task.id}`)}`),
       { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
@@ -852,7 +917,7 @@ async function displayTaskById(tasksPath, taskId) {
   }
   
   // Show action suggestions
-  console.log(boxen(
+  terminal.log(boxen(
     chalk.white.bold('Suggested Actions:') + '\n' +
     `${chalk.cyan('1.')} Mark as in-progress: ${chalk.yellow(`task-master set-status --id=${task.id} --status=in-progress`)}\n` +
     `${chalk.cyan('2.')} Mark as done when completed: ${chalk.yellow(`task-master set-status --id=${task.id} --status=done`)}\n` +
@@ -861,18 +926,26 @@ async function displayTaskById(tasksPath, taskId) {
       : `${chalk.cyan('3.')} Break down into subtasks: ${chalk.yellow(`task-master expand --id=${task.id}`)}`),
     { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
   ));
+  
+  return task;
 }
 
 /**
  * Display the complexity analysis report in a nice format
  * @param {string} reportPath - Path to the complexity report file
+ * @returns {Object|undefined} The report, or undefined if none was shown
  */
 async function displayComplexityReport(reportPath) {
   displayBanner();
   
   // Check if the report exists
   if (!fs.existsSync(reportPath)) {
-    console.log(boxen(
+    // Nobody can answer the prompt below when the output is JSON or the call is in-process
+    if (isQuietOutput()) {
+      throw createCodedError(`No complexity report found at ${reportPath}. Run task-master analyze-complexity first.`, 'NOT_FOUND');
+    }
+    
+    terminal.log(boxen(
       chalk.yellow(`No complexity report found at ${reportPath}\n\n`) +
       'Would you like to generate one now?',
       { padding: 1, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1 } }
@@ -890,7 +963,7 @@ async function displayComplexityReport(reportPath) {
     
     if (answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes') {
       // Call the analyze-complexity command
-      console.log(chalk.blue('Generating complexity report...'));
+      terminal.log(chalk.blue('Generating complexity report...'));
       await analyzeTaskComplexity({ 
         output: reportPath,
         research: false, // Default to no research for speed
@@ -899,7 +972,7 @@ async function displayComplexityReport(reportPath) {
       // Read the newly generated report
       return displayComplexityReport(reportPath);
     } else {
-      console.log(chalk.yellow('Report generation cancelled.'));
+      terminal.log(chalk.yellow('Report generation cancelled.'));
       return;
     }
   }
@@ -914,7 +987,7 @@ async function displayComplexityReport(reportPath) {
   }
   
   // Display report header
-  console.log(boxen(
+  terminal.log(boxen(
     chalk.white.bold('Task Complexity Analysis Report'),
     { padding: 1, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 1 } }
   ));
@@ -942,7 +1015,7 @@ async function displayComplexityReport(reportPath) {
     [chalk.cyan.bold('Research-backed:'), report.meta.usedResearch ? 'Yes' : 'No']
   );
   
-  console.log(metaTable.toString());
+  terminal.log(metaTable.toString());
   
   // Sort tasks by complexity score (highest first)
   const sortedTasks = [...report.complexityAnalysis].sort((a, b) => b.complexityScore - a.complexityScore);
@@ -963,7 +1036,7 @@ async function displayComplexityReport(reportPath) {
   const percentMedium = Math.round((complexityDistribution[1] / sortedTasks.length) * 100);
   const percentHigh = Math.round((complexityDistribution[2] / sortedTasks.length) * 100);
   
-  console.log(boxen(
+  terminal.log(boxen(
     chalk.white.bold('Complexity Distribution\n\n') +
     `${chalk.green.bold('Low (1-4):')} ${complexityDistribution[0]} tasks (${percentLow}%)\n` +
     `${chalk.yellow.bold('Medium (5-7):')} ${complexityDistribution[1]} tasks (${percentMedium}%)\n` +
@@ -1010,11 +1083,11 @@ async function displayComplexityReport(reportPath) {
     ]);
   });
   
-  console.log(complexTable.toString());
+  terminal.log(complexTable.toString());
   
   // Create table for simple tasks
   if (simpleTasks.length > 0) {
-    console.log(boxen(
+    terminal.log(boxen(
       chalk.green.bold(`Simple Tasks (${simpleTasks.length})`),
       { padding: { left: 2, right: 2, top: 0, bottom: 0 }, margin: { top: 1, bottom: 0 }, borderColor: 'green', borderStyle: 'round' }
     ));
@@ -1039,17 +1112,499 @@ async function displayComplexityReport(reportPath) {
       ]);
     });
     
-    console.log(simpleTable.toString());
+    terminal.log(simpleTable.toString());
   }
   
   // Show action suggestions
-  console.log(boxen(
+  terminal.log(boxen(
     chalk.white.bold('Suggested Actions:') + '\n\n' +
     `${chalk.cyan('1.')} Expand all complex tasks: ${chalk.yellow(`task-master expand --all`)}\n` +
     `${chalk.cyan('2.')} Expand a specific task: ${chalk.yellow(`task-master expand --id=<id>`)}\n` +
     `${chalk.cyan('3.')} Regenerate with research: ${chalk.yellow(`task-master analyze-complexity --research`)}`,
     { padding: 1, borderColor: 'cyan', borderStyle: 'round', margin: { top: 1 } }
   ));
+  
+  return report;
+}
+
+/**
+ * Display token usage and cost recorded in the usage ledger
+ * @param {string} ledgerPath - Path to the usage ledger
+ * @param {Object} options - Display options
+ * @param {string} [options.by] - Show only one breakdown ("command", "task" or "day")
+ * @param {string} [options.since] - Only include calls on or after this date (YYYY-MM-DD)
+ * @returns {Object} { calls, totalTokens, totalCost, unpricedCalls, breakdowns } where
+ *   breakdowns maps "command", "task" and "day" to their summarizeUsage rows
+ */
+function displayUsageReport(ledgerPath, options = {}) {
+  displayBanner();
+
+  let entries = readUsageLedger(ledgerPath);
+  if (options.since) {
+    entries = entries.filter(entry => entry.timestamp.slice(0, 10) >= options.since);
+  }
+
+  if (entries.length === 0) {
+    terminal.log(boxen(
+      chalk.yellow(`No AI usage recorded in ${ledgerPath}${options.since ? ` since ${options.since}` : ''}`),
+      { padding: 1, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1 } }
+    ));
+    return { calls: 0, totalTokens: 0, totalCost: 0, unpricedCalls: 0, breakdowns: {} };
+  }
+
+  const formatCost = (cost) => `$${cost.toFixed(4)}`;
+  const totalCost = getTotalCost(entries);
+  const totalTokens = entries.reduce((sum, entry) => sum + (entry.totalTokens || 0), 0);
+  const unpricedCalls = entries.filter(entry => entry.cost === null).length;
+
+  let summary = chalk.white.bold('AI Usage Summary\n\n') +
+    `${chalk.cyan.bold('Calls:')} ${entries.length}\n` +
+    `${chalk.cyan.bold('Tokens:')} ${totalTokens.toLocaleString()}\n` +
+    `${chalk.cyan.bold('Estimated cost:')} ${formatCost(totalCost)}`;
+  if (CONFIG.usageBudget) {
+    const remaining = CONFIG.usageBudget - getTotalCost(readUsageLedger(ledgerPath));
+    const color = remaining > 0 ? chalk.green : chalk.red;
+    summary += `\n${chalk.cyan.bold('Budget:')} ${formatCost(CONFIG.usageBudget)} (${color(`${formatCost(Math.max(remaining, 0))} remaining`)})`;
+  }
+  if (unpricedCalls > 0) {
+    summary += `\n${chalk.dim(`${unpricedCalls} call(s) used models without known pricing and are not included in the cost`)}`;
+  }
+
+  terminal.log(boxen(summary, { padding: 1, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 1 } }));
+
+  const breakdowns = [
+    { by: 'command', title: 'By Command', label: 'Command' },
+    { by: 'task', title: 'By Task', label: 'Task ID' },
+    { by: 'day', title: 'By Day', label: 'Day' }
+  ].filter(breakdown => !options.by || breakdown.by === options.by);
+
+  const rowsBy = {};
+  breakdowns.forEach(breakdown => {
+    terminal.log(boxen(
+      chalk.cyan.bold(breakdown.title),
+      { padding: { left: 2, right: 2, top: 0, bottom: 0 }, margin: { top: 1, bottom: 0 }, borderColor: 'cyan', borderStyle: 'round' }
+    ));
+
+    const table = new Table({
+      head: [
+        chalk.cyan.bold(breakdown.label),
+        chalk.cyan.bold('Calls'),
+        chalk.cyan.bold('Prompt'),
+        chalk.cyan.bold('Completion'),
+        chalk.cyan.bold('Total'),
+        chalk.cyan.bold('Avg Latency'),
+        chalk.cyan.bold('Cost')
+      ],
+      colWidths: [22, 8, 12, 12, 12, 13, 12],
+      style: { head: [], border: [] }
+    });
+
+    rowsBy[breakdown.by] = summarizeUsage(entries, breakdown.by);
+    rowsBy[breakdown.by].forEach(row => {
+      table.push([
+        truncate(row.key, 19),
+        row.calls,
+        row.promptTokens.toLocaleString(),
+        row.completionTokens.toLocaleString(),
+        row.totalTokens.toLocaleString(),
+        `${row.avgLatencyMs} ms`,
+        formatCost(row.cost)
+      ]);
+    });
+
+    terminal.log(table.toString());
+  });
+
+  return { calls: entries.length, totalTokens, totalCost, unpricedCalls, breakdowns: rowsBy };
+}
+
+/**
+ * Display the change journal of a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Display options
+ * @param {number} [options.limit=20] - Number of most recent entries to show
+ * @returns {Array} The entries shown, most recent first
+ */
+function displayHistory(tasksPath, options = {}) {
+  displayBanner();
+
+  const { limit = 20 } = options;
+  const entries = readHistory(tasksPath);
+  if (entries.length === 0) {
+    terminal.log(boxen(
+      chalk.yellow(`No changes recorded for ${tasksPath} yet`),
+      { padding: 1, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1 } }
+    ));
+    return [];
+  }
+
+  const statusColors = { applied: chalk.green, undone: chalk.yellow, discarded: chalk.gray };
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('#'),
+      chalk.cyan.bold('When'),
+      chalk.cyan.bold('Command'),
+      chalk.cyan.bold('Revision'),
+      chalk.cyan.bold('Status'),
+      chalk.cyan.bold('Changes')
+    ],
+    colWidths: [6, 21, 18, 11, 11, 45],
+    wordWrap: true,
+    style: { head: [], border: [] }
+  });
+
+  const shown = entries.slice(-limit).reverse();
+  shown.forEach(entry => {
+    table.push([
+      entry.id,
+      new Date(entry.timestamp).toLocaleString(),
+      entry.command || chalk.gray('unknown'),
+      `${entry.revisionBefore} → ${entry.revisionAfter}`,
+      (statusColors[entry.status] || chalk.white)(entry.status),
+      summarizeChanges(entry.changes)
+    ]);
+  });
+
+  terminal.log(table.toString());
+  if (entries.length > limit) {
+    terminal.log(chalk.dim(`Showing the ${limit} most recent of ${entries.length} changes. Use --limit to see more.`));
+  }
+  terminal.log(chalk.dim(`Revert the latest change with ${chalk.yellow('task-master undo')}, restore it with ${chalk.yellow('task-master redo')}`));
+
+  return shown;
+}
+
+/**
+ * Display all prompt templates and where each one is loaded from
+ * @returns {Array} The prompts ({ name, source, description })
+ */
+function displayPromptList() {
+  const prompts = listPrompts();
+
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Name'),
+      chalk.cyan.bold('Source'),
+      chalk.cyan.bold('Description')
+    ],
+    colWidths: [22, 12, 70],
+    style: { head: [], border: [] },
+    wordWrap: true
+  });
+
+  prompts.forEach(prompt => {
+    table.push([
+      prompt.name,
+      prompt.source === 'project' ? chalk.yellow('project') : chalk.dim('built-in'),
+      prompt.description
+    ]);
+  });
+
+  terminal.log(table.toString());
+  terminal.log(chalk.dim(`\nOverride a template by creating ${path.join(CONFIG.promptsDir, '<name>.md')}`));
+  terminal.log(chalk.dim(`Start from the built-in version: task-master prompts show <name> --default > ${path.join(CONFIG.promptsDir, '<name>.md')}`));
+
+  return prompts;
+}
+
+/**
+ * Print a prompt template
+ * @param {string} name - Template name
+ * @param {Object} options - Display options
+ * @param {boolean} [options.builtIn=false] - Show the built-in template even if the project overrides it
+ * @returns {Object} The prompt ({ name, source, path, template })
+ */
+function displayPrompt(name, options = {}) {
+  const prompt = loadPrompt(name, { builtIn: options.builtIn });
+
+  // Print the raw template so it can be redirected into an override file
+  if (!process.stdout.isTTY) {
+    process.stdout.write(prompt.template);
+    return prompt;
+  }
+
+  terminal.log(boxen(
+    chalk.white.bold(`Prompt: ${prompt.name}`) + '\n' +
+    chalk.dim(`Source: ${prompt.source} (${prompt.path})`),
+    { padding: { left: 2, right: 2, top: 0, bottom: 0 }, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 1 } }
+  ));
+  terminal.log(prompt.template);
+
+  return prompt;
+}
+
+/**
+ * Show how a project's prompt override differs from the built-in template
+ * @param {string} name - Template name
+ * @returns {Array} Diff lines ({ type, line }), empty if the template is not overridden
+ */
+function displayPromptDiff(name) {
+  const builtIn = loadPrompt(name, { builtIn: true });
+  const current = loadPrompt(name);
+
+  if (current.source !== 'project') {
+    terminal.log(chalk.yellow(`Prompt "${name}" is not overridden in ${CONFIG.promptsDir}; the built-in template is used.`));
+    return [];
+  }
+
+  const changes = diffLines(builtIn.template, current.template);
+  if (changes.every(change => change.type === ' ')) {
+    terminal.log(chalk.green(`${current.path} is identical to the built-in template.`));
+    return changes;
+  }
+
+  terminal.log(chalk.red(`--- built-in: ${builtIn.path}`));
+  terminal.log(chalk.green(`+++ project: ${current.path}`));
+  changes.forEach(change => {
+    if (change.type === '-') terminal.log(chalk.red(`-${change.line}`));
+    else if (change.type === '+') terminal.log(chalk.green(`+${change.line}`));
+    else terminal.log(chalk.dim(` ${change.line}`));
+  });
+
+  return changes;
+}
+
+/**
+ * Render a task or subtask as plain text lines for a before/after comparison
+ * @param {Object} task - Task or subtask
+ * @returns {string} Text rendering
+ */
+function formatTaskForDiff(task) {
+  const lines = [
+    `Title: ${task.title || ''}`,
+    `Description: ${task.description || ''}`
+  ];
+  if (task.priority) lines.push(`Priority: ${task.priority}`);
+  lines.push(`Dependencies: ${(task.dependencies || []).join(', ') || 'None'}`);
+  lines.push('Details:', ...(task.details || '').split('\n'));
+  if (task.testStrategy !== undefined) {
+    lines.push('Test Strategy:', ...(task.testStrategy || '').split('\n'));
+  }
+  if (task.subtasks && task.subtasks.length > 0) {
+    lines.push('Subtasks:');
+    task.subtasks.forEach(subtask => {
+      lines.push(`  ${subtask.id}. [${subtask.status || 'pending'}] ${subtask.title}`);
+    });
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Show the lines of a task that an update changes
+ * @param {Object} before - Task before the update
+ * @param {Object} after - Task after the update
+ * @param {string} label - Task label, e.g. "Task 5" or "Subtask 5.2"
+ * @returns {boolean} True if anything changed
+ */
+function displayTaskDiff(before, after, label) {
+  const changes = diffLines(formatTaskForDiff(before), formatTaskForDiff(after));
+  if (changes.every(change => change.type === ' ')) {
+    terminal.log(chalk.yellow(`The update made no changes to ${label.toLowerCase()}.`));
+    return false;
+  }
+
+  terminal.log(boxen(
+    chalk.white.bold(`Proposed changes to ${label}`),
+    { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
+  ));
+  terminal.log(chalk.red('--- current'));
+  terminal.log(chalk.green('+++ updated'));
+  changes.forEach(change => {
+    if (change.type === '-') terminal.log(chalk.red(`-${change.line}`));
+    else if (change.type === '+') terminal.log(chalk.green(`+${change.line}`));
+    else terminal.log(chalk.dim(` ${change.line}`));
+  });
+  return true;
+}
+
+/**
+ * Show which task and subtask IDs changed after a move or renumber
+ * @param {Object} idMap - Old full ID -> new full ID
+ * @param {string} title - Heading of the summary
+ */
+function displayIdChanges(idMap, title) {
+  const changes = Object.entries(idMap);
+  if (changes.length === 0) {
+    terminal.log(chalk.yellow('No task IDs changed.'));
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan.bold('Old ID'), chalk.cyan.bold('New ID')],
+    colWidths: [10, 10]
+  });
+  changes
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+    .forEach(([oldId, newId]) => table.push([oldId, chalk.green(newId)]));
+
+  terminal.log(boxen(
+    chalk.white.bold(title) + '\n\n' +
+    chalk.white(`${changes.length} ID(s) changed; dependencies were updated to match.`),
+    { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
+  ));
+  terminal.log(table.toString());
+}
+
+/**
+ * Show the result of a list query as a table, one section per group
+ * @param {Object} result - Result of runTaskQuery
+ * @param {string[]} fieldColumns - Custom fields to show as columns
+ */
+function displayTaskQueryTable(result, fieldColumns = []) {
+  const headers = ['ID', 'Title', 'Status', 'Priority', 'Dependencies', 'Tags', ...fieldColumns];
+  const table = new Table({
+    head: headers.map(header => chalk.cyan.bold(header)),
+    wordWrap: true
+  });
+
+  const grouped = result.groups.length !== 1 || result.groups[0].key !== null;
+  result.groups.forEach(group => {
+    if (grouped) {
+      table.push([{
+        colSpan: headers.length,
+        content: chalk.white.bold(`${group.label} (${group.rows.length})`)
+      }]);
+    }
+    group.rows.forEach(row => {
+      table.push([
+        row.parentId === null ? chalk.cyan(row.id) : chalk.gray(`  ${row.id}`),
+        truncate(row.title, 40),
+        getStatusWithColor(row.status, true),
+        row.priority,
+        row.dependencies.length > 0 ? row.dependencies.join(', ') : chalk.gray('None'),
+        row.tags.map(tag => chalk.magenta(tag)).join(', '),
+        ...fieldColumns.map(name => (row.fields[name] === undefined ? '' : String(row.fields[name])))
+      ]);
+    });
+  });
+
+  if (result.count === 0) {
+    terminal.log(boxen(chalk.yellow('No tasks match the query'), { padding: 1, borderColor: 'yellow', borderStyle: 'round' }));
+    return;
+  }
+  terminal.log(table.toString());
+  terminal.log(chalk.gray(`Showing ${result.count} of ${result.total} ${result.total === 1 ? 'row' : 'rows'}`));
+}
+
+/**
+ * Search tasks and subtasks and show the ranked results with highlighted snippets
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} query - Words to look for
+ * @param {Object} options - Options
+ * @param {number} [options.limit] - Maximum number of results
+ * @param {number} [options.threshold] - Fuzziness between 0 (exact) and 1
+ * @param {number} [options.show] - Show the details of the result with this rank instead of the list
+ * @returns {Promise<Array>} Results of searchTasks
+ * @throws {Error} If the tasks file is missing, the query is invalid or there is no result with the requested rank
+ */
+async function displaySearchResults(tasksPath, query, options = {}) {
+  const data = readTasks(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  const results = searchTasks(data.tasks, query, options);
+
+  if (options.show && results.length > 0) {
+    if (options.show > results.length) {
+      throw new Error(`There ${results.length === 1 ? 'is only 1 match' : `are only ${results.length} matches`} for "${query}"`);
+    }
+    await displayTaskById(tasksPath, String(results[options.show - 1].id));
+    return results;
+  }
+
+  displayBanner();
+
+  if (results.length === 0) {
+    terminal.log(boxen(
+      chalk.yellow(`No tasks match "${query}"`) +
+      chalk.gray('\n\nTry fewer or shorter words, or a higher --threshold to allow more typos.'),
+      { padding: 1, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1 } }
+    ));
+    return results;
+  }
+
+  const mark = text => chalk.yellow.bold(text);
+  const labels = { description: 'Description', details: 'Details', testStrategy: 'Test strategy' };
+  const table = new Table({
+    head: ['#', 'ID', 'Title', 'Status'].map(header => chalk.cyan.bold(header)),
+    colWidths: [4, 8, 50, 15],
+    wordWrap: true
+  });
+
+  results.forEach((result, index) => {
+    const titleSnippet = result.snippets.find(snippet => snippet.field === 'title');
+    table.push([
+      chalk.gray(index + 1),
+      result.parentId === null ? chalk.cyan(result.id) : chalk.gray(result.id),
+      titleSnippet ? highlightSnippet(titleSnippet, mark) : result.title,
+      getStatusWithColor(result.status, true)
+    ]);
+    result.snippets
+      .filter(snippet => snippet.field !== 'title')
+      .forEach(snippet => {
+        table.push([
+          '',
+          { colSpan: 3, content: `${chalk.gray(`${labels[snippet.field]}:`)} ${highlightSnippet(snippet, mark)}` }
+        ]);
+      });
+  });
+
+  terminal.log(table.toString());
+  terminal.log(boxen(
+    `${chalk.white(`${results.length} ${results.length === 1 ? 'match' : 'matches'} for "${query}"`)}\n\n` +
+    `${chalk.cyan('task-master show ' + results[0].id)} - view the best match\n` +
+    `${chalk.cyan(`task-master search "${query}" --show <#>`)} - view the match with that rank`,
+    { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'gray', borderStyle: 'round', margin: { top: 1 } }
+  ));
+  return results;
+}
+
+/**
+ * Show the outcome of syncing task files with tasks.json
+ * @param {Array} results - Per-task results of planTaskFileSync
+ * @param {string[]} orphans - Task files that match no task
+ * @param {Object} options - Options
+ * @param {boolean} [options.dryRun=false] - Describe what would happen instead of what happened
+ */
+function displaySyncResults(results, orphans, options = {}) {
+  const labels = options.dryRun
+    ? { import: 'would import', export: 'would rewrite', conflict: 'conflict', invalid: 'invalid' }
+    : { import: 'imported', export: 'rewritten', conflict: 'conflict', invalid: 'invalid' };
+  const colors = { import: chalk.green, export: chalk.blue, conflict: chalk.red, invalid: chalk.red };
+
+  const changed = results.filter(result => result.action !== 'unchanged');
+  if (changed.length > 0) {
+    const table = new Table({
+      head: [chalk.cyan.bold('File'), chalk.cyan.bold('Result'), chalk.cyan.bold('Reason')],
+      colWidths: [16, 15, 55]
+    });
+    changed.forEach(result => {
+      table.push([result.file, colors[result.action](labels[result.action]), truncate(result.message || '', 52)]);
+    });
+    terminal.log(table.toString());
+  }
+
+  const count = action => results.filter(result => result.action === action).length;
+  const conflicts = count('conflict');
+  const invalid = count('invalid');
+  let summary = `${chalk.white(options.dryRun ? 'To import:' : 'Imported:')} ${count('import')}  ` +
+    `${chalk.white(options.dryRun ? 'To rewrite:' : 'Rewritten:')} ${count('export')}  ` +
+    `${chalk.white('Unchanged:')} ${count('unchanged')}  ` +
+    `${chalk.white('Conflicts:')} ${conflicts}  ${chalk.white('Invalid:')} ${invalid}`;
+  if (orphans.length > 0) {
+    summary += `\n${chalk.yellow(`Task files without a task (left alone): ${orphans.join(', ')}`)}`;
+  }
+  if (conflicts > 0) {
+    summary += `\n${chalk.yellow('Resolve conflicts by editing either side, or re-run with --prefer=file or --prefer=json.')}`;
+  }
+
+  terminal.log(boxen(summary, {
+    padding: 1,
+    borderColor: conflicts > 0 || invalid > 0 ? 'yellow' : 'green',
+    borderStyle: 'round',
+    margin: { top: 1 }
+  }));
 }
 
 // Export UI functions
@@ -1065,4 +1620,14 @@ export {
   displayNextTask,
   displayTaskById,
   displayComplexityReport,
+  displayUsageReport,
+  displayPromptList,
+  displayPrompt,
+  displayPromptDiff,
+  displayHistory,
+  displayTaskDiff,
+  displayIdChanges,
+  displaySyncResults,
+  displayTaskQueryTable,
+  displaySearchResults,
 }; 
\ No newline at end of file
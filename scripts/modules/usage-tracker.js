@@ -0,0 +1,219 @@
+/**
+ * usage-tracker.js
+ * Token usage and cost ledger for AI calls made by the Task Master CLI
+ *
+ * Each AI call appends one JSON line to the ledger (CONFIG.usageFile):
+ *   { timestamp, command, taskId, provider, model, promptTokens,
+ *     completionTokens, totalTokens, latencyMs, cost }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG, log, resolveProjectPath } from './utils.js';
+
+// USD per million tokens. Matched against the model name by longest prefix.
+const MODEL_PRICING = {
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'sonar-pro': { input: 3, output: 15 },
+  'sonar': { input: 1, output: 1 }
+};
+
+// Providers that never bill for tokens
+const FREE_PROVIDERS = ['local', 'mock'];
+
+// Context shared by every call made while a CLI command runs
+const usageContext = {
+  command: null
+};
+
+/**
+ * Set the name of the command that subsequent AI calls are attributed to
+ * @param {string} command - Command name (e.g. "expand")
+ */
+function setUsageCommand(command) {
+  usageContext.command = command || null;
+}
+
+/**
+ * Look up the price of a model
+ * @param {string} model - Model name
+ * @returns {Object|null} Prices in USD per million tokens, or null if unknown
+ */
+function getModelPricing(model) {
+  if (!model) {
+    return null;
+  }
+  const match = Object.keys(MODEL_PRICING)
+    .filter(prefix => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_PRICING[match] : null;
+}
+
+/**
+ * Estimate the cost of a call in USD
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {Object} usage - Usage with promptTokens and completionTokens
+ * @returns {number|null} Estimated cost, or null if the model's price is unknown
+ */
+function estimateCost(provider, model, usage) {
+  if (FREE_PROVIDERS.includes(provider)) {
+    return 0;
+  }
+  const pricing = getModelPricing(model);
+  if (!pricing) {
+    return null;
+  }
+  return (usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / 1000000;
+}
+
+/**
+ * Read every entry of the usage ledger
+ * @param {string} ledgerPath - Path to the ledger file
+ * @returns {Array} Ledger entries, oldest first
+ */
+function readUsageLedger(ledgerPath = resolveProjectPath(CONFIG.usageFile)) {
+  if (!fs.existsSync(ledgerPath)) {
+    return [];
+  }
+  return fs.readFileSync(ledgerPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        log('warn', `Skipping malformed line ${index + 1} in ${ledgerPath}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Append an AI call to the usage ledger. Failures are logged, never thrown,
+ * so a read-only ledger cannot break a command.
+ * @param {Object} call - Call details
+ * @param {string} call.provider - Provider name
+ * @param {string} call.model - Model name
+ * @param {Object} call.usage - Normalized usage from the provider
+ * @param {number} call.latencyMs - Wall-clock duration of the call
+ * @param {string|number} [call.taskId] - Task the call was made for
+ * @param {string} ledgerPath - Path to the ledger file
+ * @returns {Object} The entry that was recorded
+ */
+function recordUsage(call, ledgerPath = resolveProjectPath(CONFIG.usageFile)) {
+  const usage = call.usage || { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  const entry = {
+    timestamp: new Date().toISOString(),
+    command: usageContext.command,
+    taskId: call.taskId ?? null,
+    provider: call.provider,
+    model: call.model,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    totalTokens: usage.totalTokens,
+    latencyMs: call.latencyMs,
+    cost: estimateCost(call.provider, call.model, usage)
+  };
+
+  try {
+    const dir = path.dirname(ledgerPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.appendFileSync(ledgerPath, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    log('warn', `Could not write usage ledger ${ledgerPath}: ${error.message}`);
+  }
+
+  return entry;
+}
+
+/**
+ * Sum the estimated cost of ledger entries
+ * @param {Array} entries - Ledger entries
+ * @returns {number} Total cost in USD (entries with unknown cost count as zero)
+ */
+function getTotalCost(entries) {
+  return entries.reduce((sum, entry) => sum + (entry.cost || 0), 0);
+}
+
+/**
+ * Throw if the recorded spend has reached the configured budget
+ * @param {number|null} budget - Budget ceiling in USD, or null for no ceiling
+ * @param {string} ledgerPath - Path to the ledger file
+ */
+function assertWithinBudget(budget = CONFIG.usageBudget, ledgerPath = resolveProjectPath(CONFIG.usageFile)) {
+  if (!budget) {
+    return;
+  }
+  const spent = getTotalCost(readUsageLedger(ledgerPath));
+  if (spent >= budget) {
+    throw new Error(
+      `AI usage budget exceeded: $${spent.toFixed(4)} spent of $${budget.toFixed(2)} allowed (USAGE_BUDGET). ` +
+      `Raise the budget or archive ${ledgerPath} to continue.`
+    );
+  }
+}
+
+/**
+ * Group ledger entries and total them
+ * @param {Array} entries - Ledger entries
+ * @param {string} groupBy - "command", "task" or "day"
+ * @returns {Array} Rows of { key, calls, promptTokens, completionTokens, totalTokens, cost, avgLatencyMs }
+ */
+function summarizeUsage(entries, groupBy) {
+  const keyOf = {
+    command: entry => entry.command || '(unknown)',
+    task: entry => (entry.taskId !== null && entry.taskId !== undefined ? String(entry.taskId) : '(none)'),
+    day: entry => entry.timestamp.slice(0, 10)
+  }[groupBy];
+
+  if (!keyOf) {
+    throw new Error(`Invalid grouping "${groupBy}". Expected one of: command, task, day`);
+  }
+
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = keyOf(entry);
+    const row = groups.get(key) || {
+      key, calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, totalLatencyMs: 0
+    };
+    row.calls++;
+    row.promptTokens += entry.promptTokens || 0;
+    row.completionTokens += entry.completionTokens || 0;
+    row.totalTokens += entry.totalTokens || 0;
+    row.cost += entry.cost || 0;
+    row.totalLatencyMs += entry.latencyMs || 0;
+    groups.set(key, row);
+  });
+
+  return [...groups.values()]
+    .map(({ totalLatencyMs, ...row }) => ({ ...row, avgLatencyMs: Math.round(totalLatencyMs / row.calls) }))
+    .sort((a, b) => (groupBy === 'day' ? a.key.localeCompare(b.key) : b.cost - a.cost || b.totalTokens - a.totalTokens));
+}
+
+export {
+  MODEL_PRICING,
+  setUsageCommand,
+  getModelPricing,
+  estimateCost,
+  readUsageLedger,
+  recordUsage,
+  getTotalCost,
+  assertWithinBudget,
+  summarizeUsage
+};
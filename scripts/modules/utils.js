@@ -5,21 +5,74 @@
 
 import fs from 'fs';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 import chalk from 'chalk';
+import { recordChange } from './history.js';
+import { getStorage } from './storage.js';
+import { reportError, getQuietLogger, terminal } from './output.js';
 
 // Configuration and constants
 const CONFIG = {
+  aiProvider: process.env.AI_PROVIDER || 'gemini',
+  researchProvider: process.env.RESEARCH_PROVIDER || 'perplexity',
   model: process.env.MODEL || 'claude-3-7-sonnet-20250219',
+  researchModel: process.env.RESEARCH_MODEL || process.env.PERPLEXITY_MODEL || 'sonar-pro',
   maxTokens: parseInt(process.env.MAX_TOKENS || '4000'),
   temperature: parseFloat(process.env.TEMPERATURE || '0.7'),
+  maxRepairAttempts: parseInt(process.env.AI_MAX_REPAIRS || '2'),
+  maxRetries: parseInt(process.env.AI_MAX_RETRIES || '3'),
+  retryDelayMs: parseInt(process.env.AI_RETRY_DELAY_MS || '2000'),
+  concurrency: parseInt(process.env.AI_CONCURRENCY || '3'),
+  lockTimeoutMs: parseInt(process.env.LOCK_TIMEOUT_MS || '10000'),
   debug: process.env.DEBUG === "true",
   logLevel: process.env.LOG_LEVEL || "info",
   defaultSubtasks: parseInt(process.env.DEFAULT_SUBTASKS || "3"),
   defaultPriority: process.env.DEFAULT_PRIORITY || "medium",
   projectName: process.env.PROJECT_NAME || "Task Master",
+  promptsDir: process.env.TASKMASTER_PROMPTS_DIR || path.join('.taskmaster', 'prompts'),
+  cacheEnabled: process.env.AI_CACHE !== 'false',
+  cacheDir: process.env.AI_CACHE_DIR || path.join('.taskmaster', 'cache'),
+  cacheTTL: parseInt(process.env.AI_CACHE_TTL || '604800'), // Seconds; 0 keeps entries forever
+  projectConfigPath: process.env.TASKMASTER_CONFIG || path.join('.taskmaster', 'config.json'),
+  usageFile: process.env.USAGE_FILE || 'tasks/.usage.jsonl',
+  usageBudget: process.env.USAGE_BUDGET ? parseFloat(process.env.USAGE_BUDGET) : null,
   projectVersion: "1.5.0" // Hardcoded version - ALWAYS use this value, ignore environment variable
 };
 
+// Holds the project root while a function runs through withProjectRoot
+const projectContext = new AsyncLocalStorage();
+
+/**
+ * Get the root directory of the project being worked on
+ * @returns {string} The root given to withProjectRoot, else the working directory
+ */
+function getProjectRoot() {
+  return projectContext.getStore() || process.cwd();
+}
+
+/**
+ * Resolve a path of the project (CONFIG.projectConfigPath, CONFIG.cacheDir, ...)
+ * against its root; absolute paths are returned as they are
+ * @param {string} filepath - Path relative to the project root
+ * @returns {string} Absolute path
+ */
+function resolveProjectPath(filepath) {
+  return path.resolve(getProjectRoot(), filepath);
+}
+
+/**
+ * Run a function for a project other than the one in the working directory.
+ * Within the call, the project config, prompt overrides, AI cache and usage
+ * ledger are those of projectRoot. Used by in-process callers (the MCP server)
+ * that work on several projects at once and so cannot change directory.
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Function} fn - Function to run; may be async
+ * @returns {*} The function's result
+ */
+function withProjectRoot(projectRoot, fn) {
+  return projectContext.run(path.resolve(projectRoot), fn);
+}
+
 // Set up logging based on log level
 const LOG_LEVELS = {
   debug: 0,
@@ -42,9 +95,24 @@ function log(level, ...args) {
     success: chalk.green('✅')
   };
   
+  // With --json, errors end up in the result envelope instead
+  if (level === 'error') {
+    reportError(args.join(' '));
+  }
+  
+  // In-process callers (the MCP server) get the messages through their own logger
+  const logger = getQuietLogger();
+  if (logger) {
+    const method = level === 'success' ? 'info' : level;
+    if (typeof logger[method] === 'function') {
+      logger[method](args.join(' '));
+    }
+    return;
+  }
+  
   if (LOG_LEVELS[level] >= LOG_LEVELS[CONFIG.logLevel]) {
     const icon = icons[level] || '';
-    console.log(`${icon} ${args.join(' ')}`);
+    terminal.log(`${icon} ${args.join(' ')}`);
   }
 }
 
@@ -60,28 +128,263 @@ function readJSON(filepath) {
   } catch (error) {
     log('error', `Error reading JSON file ${filepath}:`, error.message);
     if (CONFIG.debug) {
-      console.error(error);
+      terminal.error(error);
     }
     return null;
   }
 }
 
 /**
- * Writes data to a JSON file
+ * Writes data to a JSON file. The data is written to a temporary file that is
+ * then renamed over the target, so readers never see a half-written file.
  * @param {string} filepath - Path to the JSON file
  * @param {Object} data - Data to write
  */
 function writeJSON(filepath, data) {
+  const tempPath = `${filepath}.${process.pid}.tmp`;
   try {
-    fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filepath);
   } catch (error) {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
     log('error', `Error writing JSON file ${filepath}:`, error.message);
     if (CONFIG.debug) {
-      console.error(error);
+      terminal.error(error);
+    }
+  }
+}
+
+// Lock files held by this process, mapped to how many times each was acquired
+const heldLocks = new Map();
+
+// Locks older than this are assumed to be left over from a crashed process
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+process.on('exit', () => {
+  heldLocks.forEach((depth, lockPath) => {
+    try {
+      fs.unlinkSync(lockPath);
+    } catch (error) {
+      // Already gone
+    }
+  });
+});
+
+/**
+ * Read the owner of a lock file
+ * @param {string} lockPath - Path to the lock file
+ * @returns {Object|null} { pid, acquiredAt }, or null if the lock is unreadable
+ */
+function readLockOwner(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a lock file was left behind by a process that is gone
+ * @param {string} lockPath - Path to the lock file
+ * @param {Object|null} owner - Lock owner as read from the file
+ * @returns {boolean} True if the lock can be removed
+ */
+function isLockStale(lockPath, owner) {
+  if (!owner) {
+    // Unreadable locks may still be being written; only give up on old ones
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS;
+    } catch (error) {
+      return true;
+    }
+  }
+  if (Date.now() - new Date(owner.acquiredAt).getTime() > STALE_LOCK_MS) {
+    return true;
+  }
+  try {
+    process.kill(owner.pid, 0);
+    return false;
+  } catch (error) {
+    return error.code !== 'EPERM';
+  }
+}
+
+/**
+ * Acquire the advisory lock of a file (<file>.lock), waiting while another
+ * process holds it. Locks are re-entrant within a process.
+ * @param {string} filepath - File to lock
+ * @param {Object} options - Lock options
+ * @param {number} [options.timeoutMs] - How long to wait for the lock (default: CONFIG.lockTimeoutMs)
+ * @throws {Error} If the lock is still held by another process after the timeout
+ */
+function acquireFileLock(filepath, options = {}) {
+  const { timeoutMs = CONFIG.lockTimeoutMs } = options;
+  const lockPath = `${filepath}.lock`;
+
+  if (heldLocks.has(lockPath)) {
+    heldLocks.set(lockPath, heldLocks.get(lockPath) + 1);
+    return;
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  const waitBuffer = new Int32Array(new SharedArrayBuffer(4));
+  while (true) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }), { flag: 'wx' });
+      heldLocks.set(lockPath, 1);
+      return;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // The directory does not exist yet, so there is nothing another process could be writing
+        heldLocks.set(lockPath, 1);
+        return;
+      }
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const owner = readLockOwner(lockPath);
+    if (isLockStale(lockPath, owner)) {
+      log('warn', `Removing stale lock ${lockPath}${owner ? ` left by process ${owner.pid}` : ''}`);
+      try {
+        fs.unlinkSync(lockPath);
+      } catch (error) {
+        // Another process removed it first
+      }
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(
+        `${filepath} is locked by another Task Master process${owner ? ` (pid ${owner.pid}, since ${owner.acquiredAt})` : ''}. ` +
+        `If no other process is running, delete ${lockPath}.`
+      );
+    }
+    Atomics.wait(waitBuffer, 0, 0, 50);
+  }
+}
+
+/**
+ * Release a lock acquired with acquireFileLock
+ * @param {string} filepath - Locked file
+ */
+function releaseFileLock(filepath) {
+  const lockPath = `${filepath}.lock`;
+  const depth = heldLocks.get(lockPath);
+  if (!depth) {
+    return;
+  }
+  if (depth > 1) {
+    heldLocks.set(lockPath, depth - 1);
+    return;
+  }
+  heldLocks.delete(lockPath);
+  try {
+    fs.unlinkSync(lockPath);
+  } catch (error) {
+    // Already gone
+  }
+}
+
+/**
+ * Run a function while holding the advisory lock of a file
+ * @param {string} filepath - File to lock
+ * @param {Function} fn - Function to run; may return a promise
+ * @returns {*} The function's result (a promise if fn is async)
+ */
+function withFileLock(filepath, fn) {
+  acquireFileLock(filepath);
+  let result;
+  try {
+    result = fn();
+  } catch (error) {
+    releaseFileLock(filepath);
+    throw error;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.finally(() => releaseFileLock(filepath));
+  }
+  releaseFileLock(filepath);
+  return result;
+}
+
+/**
+ * Get the name of the storage backend that holds the project's tasks
+ * @returns {string} Backend name from the project config ("json" unless migrated)
+ */
+function getStorageBackend() {
+  return readProjectConfig().storage || 'json';
+}
+
+/**
+ * Read tasks data from the project's storage backend
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} [backend] - Backend to read from (default: the project's backend)
+ * @returns {Object|null} Tasks data, or null if it does not exist or cannot be read
+ */
+function readTasks(tasksPath, backend = getStorageBackend()) {
+  try {
+    const storage = getStorage(backend);
+    if (!storage.exists(tasksPath)) {
+      throw new Error(`${storage.getLocation(tasksPath)} does not exist`);
+    }
+    return storage.read(tasksPath);
+  } catch (error) {
+    log('error', `Error reading tasks from ${tasksPath}:`, error.message);
+    if (CONFIG.debug) {
+      terminal.error(error);
     }
+    return null;
   }
 }
 
+/**
+ * Save tasks data, refusing to overwrite changes made by someone else.
+ *
+ * The revision in data.meta must still match the file on disk (i.e. nobody
+ * has saved the file since the data was read). The revision is then bumped,
+ * the data written to the project's storage backend and the change added to
+ * the history journal, all while holding the file's lock.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} data - Tasks data, as read from tasksPath
+ * @param {Object} options - Write options
+ * @param {boolean} [options.overwrite=false] - Replace the file without the revision check (e.g. parse-prd)
+ * @param {boolean} [options.history=true] - Record the change in the history journal (off for undo and redo)
+ * @throws {Error} With code 'ESTALE' if the file changed since the data was read
+ */
+function writeTasks(tasksPath, data, options = {}) {
+  const storage = getStorage(getStorageBackend());
+  withFileLock(tasksPath, () => {
+    const current = storage.exists(tasksPath) ? storage.read(tasksPath) : null;
+    const currentRevision = current?.meta?.revision || 0;
+    const expectedRevision = data.meta?.revision || 0;
+
+    if (current && !options.overwrite && expectedRevision !== currentRevision) {
+      const error = new Error(
+        `${tasksPath} was changed by another process while this command was running ` +
+        `(now at revision ${currentRevision}, this command read revision ${expectedRevision}). ` +
+        'Re-run the command to apply it to the latest tasks.'
+      );
+      error.code = 'ESTALE';
+      throw error;
+    }
+
+    data.meta = { ...data.meta, revision: currentRevision + 1 };
+    storage.write(tasksPath, data);
+
+    if (options.history !== false) {
+      try {
+        recordChange(tasksPath, current, data);
+      } catch (error) {
+        log('warn', `Could not record the change in the history journal: ${error.message}`);
+      }
+    }
+  });
+}
+
 /**
  * Sanitizes a prompt string for use in a shell command
  * @param {string} prompt The prompt to sanitize
@@ -92,6 +395,34 @@ function sanitizePrompt(prompt) {
   return prompt.replace(/"/g, '\\"');
 }
 
+/**
+ * Read the project settings that commands remember between runs
+ * @returns {Object} Settings from the project config file (empty if there is none)
+ */
+function readProjectConfig() {
+  const configPath = resolveProjectPath(CONFIG.projectConfigPath);
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+  return readJSON(configPath) || {};
+}
+
+/**
+ * Change settings in the project config file, creating it if needed
+ * @param {Object} changes - Settings to set
+ * @returns {Object} The updated settings
+ */
+function updateProjectConfig(changes) {
+  const config = { ...readProjectConfig(), ...changes };
+  const configPath = resolveProjectPath(CONFIG.projectConfigPath);
+  const dir = path.dirname(configPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  writeJSON(configPath, config);
+  return config;
+}
+
 /**
  * Reads and parses the complexity report if it exists
  * @param {string} customPath - Optional custom path to the report
@@ -99,7 +430,7 @@ function sanitizePrompt(prompt) {
  */
 function readComplexityReport(customPath = null) {
   try {
-    const reportPath = customPath || path.join(process.cwd(), 'scripts', 'task-complexity-report.json');
+    const reportPath = resolveProjectPath(customPath || path.join('scripts', 'task-complexity-report.json'));
     if (!fs.existsSync(reportPath)) {
       return null;
     }
@@ -321,14 +652,48 @@ function detectCamelCaseFlags(args) {
   return camelCaseFlags;
 }
 
+/**
+ * Run an async worker over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Worker results, in the order of the items
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+  return results;
+}
+
 // Export all utility functions and configuration
 export {
   CONFIG,
+  getProjectRoot,
+  resolveProjectPath,
+  withProjectRoot,
   LOG_LEVELS,
   log,
   readJSON,
   writeJSON,
+  getStorageBackend,
+  readTasks,
+  writeTasks,
+  acquireFileLock,
+  releaseFileLock,
+  withFileLock,
   sanitizePrompt,
+  readProjectConfig,
+  updateProjectConfig,
   readComplexityReport,
   findTaskInComplexityReport,
   taskExists,
@@ -337,5 +702,6 @@ export {
   truncate,
   findCycles,
   toKebabCase,
-  detectCamelCaseFlags
+  detectCamelCaseFlags,
+  runWithConcurrency
 }; 
\ No newline at end of file
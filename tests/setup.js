@@ -4,6 +4,9 @@
  * This file is run before each test suite to set up the test environment.
  */
 
+import os from 'os';
+import path from 'path';
+
 // Mock environment variables
 process.env.MODEL = 'sonar-pro';
 process.env.MAX_TOKENS = '64000';
@@ -14,6 +17,10 @@ process.env.DEFAULT_SUBTASKS = '3';
 process.env.DEFAULT_PRIORITY = 'medium';
 process.env.PROJECT_NAME = 'Test Project';
 process.env.PROJECT_VERSION = '1.0.0';
+// Keep the AI usage ledger out of the repository
+process.env.USAGE_FILE = path.join(os.tmpdir(), `task-master-test-usage-${process.pid}.jsonl`);
+// Tests that exercise the response cache turn it on with their own directory
+process.env.AI_CACHE = 'false';
 
 // Add global test helpers if needed
 global.wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,90 @@
+/**
+ * AI Cache module tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  getCacheStats,
+  clearCache
+} from '../../scripts/modules/ai-cache.js';
+
+describe('AI Cache Module', () => {
+  const params = { model: 'model-a', temperature: 0.2, system: 'Be brief', prompt: 'Hello' };
+  const response = { text: 'Hi', model: 'model-a', usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  describe('getCacheKey', () => {
+    test('should be stable for the same request', () => {
+      expect(getCacheKey('gemini', params)).toBe(getCacheKey('gemini', { ...params }));
+    });
+
+    test('should change with the provider, model, temperature or prompt', () => {
+      const key = getCacheKey('gemini', params);
+
+      expect(getCacheKey('openai', params)).not.toBe(key);
+      expect(getCacheKey('gemini', { ...params, model: 'model-b' })).not.toBe(key);
+      expect(getCacheKey('gemini', { ...params, temperature: 0.7 })).not.toBe(key);
+      expect(getCacheKey('gemini', { ...params, prompt: 'Hello!' })).not.toBe(key);
+    });
+
+    test('should change with the token limit or response schema', () => {
+      const key = getCacheKey('gemini', params);
+
+      expect(getCacheKey('gemini', { ...params, maxTokens: 100 })).not.toBe(getCacheKey('gemini', { ...params, maxTokens: 200 }));
+      expect(getCacheKey('gemini', { ...params, schema: { type: 'array' } })).not.toBe(key);
+      expect(getCacheKey('gemini', { ...params, schema: { type: 'array' } })).not.toBe(getCacheKey('gemini', { ...params, schema: { type: 'object' } }));
+    });
+  });
+
+  describe('getCachedResponse / setCachedResponse', () => {
+    test('should return null on a miss', () => {
+      expect(getCachedResponse(getCacheKey('gemini', params), { cacheDir })).toBeNull();
+    });
+
+    test('should return a stored response', () => {
+      const key = getCacheKey('gemini', params);
+      setCachedResponse(key, response, { cacheDir });
+
+      expect(getCachedResponse(key, { cacheDir })).toEqual(response);
+      expect(fs.existsSync(path.join(cacheDir, key.slice(0, 2), `${key}.json`))).toBe(true);
+    });
+
+    test('should drop entries older than the TTL', () => {
+      const key = getCacheKey('gemini', params);
+      const entryPath = path.join(cacheDir, key.slice(0, 2), `${key}.json`);
+      fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+      fs.writeFileSync(entryPath, JSON.stringify({ key, createdAt: '2020-01-01T00:00:00.000Z', response }));
+
+      expect(getCachedResponse(key, { cacheDir, ttl: 0 })).toEqual(response);
+      expect(getCachedResponse(key, { cacheDir, ttl: 60 })).toBeNull();
+      expect(fs.existsSync(entryPath)).toBe(false);
+    });
+  });
+
+  describe('getCacheStats / clearCache', () => {
+    test('should count and remove entries', () => {
+      setCachedResponse(getCacheKey('gemini', params), response, { cacheDir });
+      setCachedResponse(getCacheKey('openai', params), response, { cacheDir });
+
+      const stats = getCacheStats(cacheDir);
+      expect(stats.entries).toBe(2);
+      expect(stats.bytes).toBeGreaterThan(0);
+
+      expect(clearCache(cacheDir)).toBe(2);
+      expect(getCacheStats(cacheDir)).toEqual({ entries: 0, bytes: 0 });
+    });
+  });
+});
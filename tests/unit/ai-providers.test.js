@@ -0,0 +1,369 @@
+/**
+ * AI Providers module tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createGeminiProvider,
+  createAnthropicProvider,
+  createOpenAICompatibleProvider,
+  createReplayProvider,
+  createUsage,
+  hashPrompt,
+  registerProvider,
+  getProvider,
+  listProviders,
+  resetProviders
+} from '../../scripts/modules/ai-providers.js';
+import { withProjectRoot } from '../../scripts/modules/utils.js';
+
+// Helper to turn an array into an async iterable, like the SDK stream objects
+function asyncIterable(items) {
+  return {
+    async *[Symbol.asyncIterator]() {
+      for (const item of items) {
+        yield item;
+      }
+    }
+  };
+}
+
+const baseRequest = {
+  system: 'You are helpful.',
+  prompt: 'Say hello',
+  model: 'test-model',
+  maxTokens: 100,
+  temperature: 0.2
+};
+
+describe('AI Providers Module', () => {
+  describe('provider registry', () => {
+    test('should register the built-in providers', () => {
+      expect(listProviders()).toEqual(
+        expect.arrayContaining(['gemini', 'anthropic', 'openai', 'perplexity', 'local', 'mock'])
+      );
+    });
+
+    test('should throw a helpful error for unknown providers', () => {
+      expect(() => getProvider('does-not-exist')).toThrow('Unknown AI provider "does-not-exist"');
+    });
+
+    test('should create a provider once and reuse the instance', () => {
+      const factory = jest.fn(() => ({ name: 'custom' }));
+      registerProvider('custom', factory);
+
+      const first = getProvider('custom');
+      const second = getProvider('custom');
+
+      expect(first).toBe(second);
+      expect(factory).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report a missing API key when the provider is first used', () => {
+      const originalKey = process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+      registerProvider('openai-missing-key', () => createOpenAICompatibleProvider({
+        name: 'openai-missing-key',
+        apiKeyEnv: 'OPENAI_API_KEY'
+      }));
+
+      expect(() => getProvider('openai-missing-key')).toThrow('OPENAI_API_KEY environment variable is missing');
+
+      process.env.OPENAI_API_KEY = originalKey;
+    });
+  });
+
+  describe('createUsage', () => {
+    test('should total prompt and completion tokens', () => {
+      expect(createUsage(10, 5)).toEqual({ promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+    });
+
+    test('should default missing counts to zero', () => {
+      expect(createUsage(undefined, null)).toEqual({ promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+    });
+  });
+
+  describe('OpenAI-compatible provider', () => {
+    test('should send system and user messages and normalize the response', async () => {
+      const create = jest.fn().mockResolvedValue({
+        model: 'test-model',
+        choices: [{ message: { content: 'Hello!' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 3 }
+      });
+      const provider = createOpenAICompatibleProvider({
+        name: 'openai',
+        client: { chat: { completions: { create } } }
+      });
+
+      const result = await provider.complete(baseRequest);
+
+      expect(create).toHaveBeenCalledWith({
+        model: 'test-model',
+        max_tokens: 100,
+        temperature: 0.2,
+        messages: [
+          { role: 'system', content: 'You are helpful.' },
+          { role: 'user', content: 'Say hello' }
+        ]
+      });
+      expect(result).toEqual({
+        text: 'Hello!',
+        model: 'test-model',
+        usage: { promptTokens: 12, completionTokens: 3, totalTokens: 15 }
+      });
+    });
+
+    test('should request json_schema output for object schemas when supported', async () => {
+      const create = jest.fn().mockResolvedValue({ choices: [{ message: { content: '{}' } }] });
+      const provider = createOpenAICompatibleProvider({
+        name: 'openai',
+        jsonSchema: true,
+        client: { chat: { completions: { create } } }
+      });
+      const schema = { type: 'object', properties: {} };
+
+      await provider.complete({ ...baseRequest, schema });
+      await provider.complete({ ...baseRequest, schema: { type: 'array' } });
+
+      expect(create.mock.calls[0][0].response_format).toEqual({
+        type: 'json_schema',
+        json_schema: { name: 'response', schema }
+      });
+      expect(create.mock.calls[1][0].response_format).toBeUndefined();
+    });
+
+    test('should concatenate streamed deltas and forward each chunk', async () => {
+      const create = jest.fn().mockResolvedValue(asyncIterable([
+        { choices: [{ delta: { content: 'Hel' } }] },
+        { choices: [{ delta: { content: 'lo' } }] },
+        { choices: [], usage: { prompt_tokens: 4, completion_tokens: 2 } }
+      ]));
+      const provider = createOpenAICompatibleProvider({
+        name: 'local',
+        client: { chat: { completions: { create } } }
+      });
+      const onChunk = jest.fn();
+
+      const result = await provider.stream(baseRequest, onChunk);
+
+      expect(create.mock.calls[0][0].stream).toBe(true);
+      expect(onChunk).toHaveBeenCalledTimes(2);
+      expect(result.text).toBe('Hello');
+      expect(result.usage.totalTokens).toBe(6);
+    });
+  });
+
+  describe('Anthropic provider', () => {
+    test('should pass the system prompt separately and join text blocks', async () => {
+      const create = jest.fn().mockResolvedValue({
+        model: 'claude-test',
+        content: [{ type: 'text', text: 'Hi ' }, { type: 'text', text: 'there' }],
+        usage: { input_tokens: 8, output_tokens: 2 }
+      });
+      const provider = createAnthropicProvider({ client: { messages: { create } } });
+
+      const result = await provider.complete(baseRequest);
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        system: 'You are helpful.',
+        messages: [{ role: 'user', content: 'Say hello' }],
+        max_tokens: 100
+      }));
+      expect(result.text).toBe('Hi there');
+      expect(result.usage).toEqual({ promptTokens: 8, completionTokens: 2, totalTokens: 10 });
+    });
+
+    test('should collect usage from streaming events', async () => {
+      const create = jest.fn().mockResolvedValue(asyncIterable([
+        { type: 'message_start', message: { usage: { input_tokens: 7 } } },
+        { type: 'content_block_delta', delta: { text: 'Streamed' } },
+        { type: 'message_delta', usage: { output_tokens: 1 } }
+      ]));
+      const provider = createAnthropicProvider({ client: { messages: { create } } });
+
+      const result = await provider.stream(baseRequest);
+
+      expect(result.text).toBe('Streamed');
+      expect(result.usage).toEqual({ promptTokens: 7, completionTokens: 1, totalTokens: 8 });
+    });
+  });
+
+  describe('Gemini provider', () => {
+    test('should request the configured model and read usage metadata', async () => {
+      const generateContent = jest.fn().mockResolvedValue({
+        response: {
+          text: () => 'Gemini says hi',
+          usageMetadata: { promptTokenCount: 20, candidatesTokenCount: 4 }
+        }
+      });
+      const getGenerativeModel = jest.fn(() => ({ generateContent }));
+      const provider = createGeminiProvider({ client: { getGenerativeModel } });
+
+      const result = await provider.complete(baseRequest);
+
+      expect(getGenerativeModel).toHaveBeenCalledWith({
+        model: 'test-model',
+        systemInstruction: 'You are helpful.'
+      });
+      expect(generateContent).toHaveBeenCalledWith({
+        contents: [{ role: 'user', parts: [{ text: 'Say hello' }] }],
+        generationConfig: { maxOutputTokens: 100, temperature: 0.2 }
+      });
+      expect(result.text).toBe('Gemini says hi');
+      expect(result.usage.totalTokens).toBe(24);
+    });
+
+    test('should switch on JSON output when a schema is given', async () => {
+      const generateContent = jest.fn().mockResolvedValue({ response: { text: () => '[]' } });
+      const provider = createGeminiProvider({ client: { getGenerativeModel: () => ({ generateContent }) } });
+
+      await provider.complete({ ...baseRequest, schema: { type: 'array' } });
+
+      expect(generateContent.mock.calls[0][0].generationConfig.responseMimeType).toBe('application/json');
+    });
+
+    test('should reject malformed responses', async () => {
+      const provider = createGeminiProvider({
+        client: { getGenerativeModel: () => ({ generateContent: jest.fn().mockResolvedValue({}) }) }
+      });
+
+      await expect(provider.complete(baseRequest)).rejects.toThrow('Invalid response structure');
+    });
+  });
+
+  describe('replay provider', () => {
+    let fixturesDir;
+
+    beforeEach(() => {
+      fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-fixtures-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(fixturesDir, { recursive: true, force: true });
+    });
+
+    const recordedResponse = {
+      text: 'Recorded answer',
+      model: 'test-model',
+      usage: { promptTokens: 5, completionTokens: 2, totalTokens: 7 }
+    };
+
+    test('should hash the prompts, model, temperature and schema', () => {
+      expect(hashPrompt(baseRequest)).toBe(hashPrompt({ ...baseRequest, maxTokens: 10 }));
+      expect(hashPrompt(baseRequest)).not.toBe(hashPrompt({ ...baseRequest, prompt: 'Say goodbye' }));
+      expect(hashPrompt(baseRequest)).not.toBe(hashPrompt({ ...baseRequest, model: 'other' }));
+      expect(hashPrompt(baseRequest)).not.toBe(hashPrompt({ ...baseRequest, temperature: 1 }));
+      expect(hashPrompt(baseRequest)).not.toBe(hashPrompt({ ...baseRequest, schema: { type: 'array' } }));
+    });
+
+    test('should record each request through the provider it is routed to', async () => {
+      const main = { complete: jest.fn().mockResolvedValue(recordedResponse) };
+      const research = { complete: jest.fn().mockResolvedValue(recordedResponse) };
+      const recorder = createReplayProvider({
+        fixturesDir,
+        mode: 'record',
+        getUpstream: (request) => (request.research ? research : main)
+      });
+
+      await recorder.complete(baseRequest);
+      await recorder.complete({ ...baseRequest, research: true, model: 'sonar-pro' });
+
+      expect(main.complete).toHaveBeenCalledTimes(1);
+      expect(research.complete).toHaveBeenCalledTimes(1);
+      const fixture = JSON.parse(fs.readFileSync(
+        path.join(fixturesDir, `${hashPrompt({ ...baseRequest, model: 'sonar-pro' })}.json`), 'utf8'));
+      expect(fixture.request).toMatchObject({ model: 'sonar-pro', research: true });
+    });
+
+    test('should route research recordings to AI_MOCK_RESEARCH_UPSTREAM', async () => {
+      const original = { ...process.env };
+      process.env.AI_MOCK_MODE = 'record';
+      process.env.AI_MOCK_DIR = fixturesDir;
+      process.env.AI_MOCK_UPSTREAM = 'fake-main-upstream';
+      process.env.AI_MOCK_RESEARCH_UPSTREAM = 'fake-research-upstream';
+      const main = { complete: jest.fn().mockResolvedValue(recordedResponse) };
+      const research = { complete: jest.fn().mockResolvedValue(recordedResponse) };
+      registerProvider('fake-main-upstream', () => main);
+      registerProvider('fake-research-upstream', () => research);
+      resetProviders();
+      try {
+        await getProvider('mock').complete({ ...baseRequest, research: true });
+        expect(research.complete).toHaveBeenCalledTimes(1);
+        expect(main.complete).not.toHaveBeenCalled();
+      } finally {
+        process.env = original;
+        resetProviders();
+      }
+    });
+
+    test('should read the fixtures of the project the call works in', async () => {
+      const upstream = { complete: jest.fn().mockResolvedValue(recordedResponse) };
+      const recorder = createReplayProvider({
+        fixturesDir: path.join(fixturesDir, '.taskmaster', 'fixtures'),
+        mode: 'record',
+        getUpstream: () => upstream
+      });
+      await recorder.complete(baseRequest);
+
+      const original = { ...process.env };
+      delete process.env.AI_MOCK_MODE;
+      delete process.env.AI_MOCK_DIR;
+      resetProviders();
+      try {
+        const replayed = await withProjectRoot(fixturesDir, () => getProvider('mock').complete(baseRequest));
+        expect(replayed).toEqual(recordedResponse);
+        await expect(getProvider('mock').complete(baseRequest)).rejects.toThrow('No recorded AI response');
+      } finally {
+        process.env = original;
+        resetProviders();
+      }
+    });
+
+    test('should record upstream responses to disk and replay them offline', async () => {
+      const upstream = { complete: jest.fn().mockResolvedValue(recordedResponse) };
+      const recorder = createReplayProvider({ fixturesDir, mode: 'record', getUpstream: () => upstream });
+
+      await recorder.complete(baseRequest);
+
+      const fixtureFile = path.join(fixturesDir, `${hashPrompt(baseRequest)}.json`);
+      const fixture = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+      expect(fixture.request.prompt).toBe('Say hello');
+      expect(fixture.response).toEqual(recordedResponse);
+
+      const player = createReplayProvider({ fixturesDir });
+      await expect(player.complete(baseRequest)).resolves.toEqual(recordedResponse);
+      expect(upstream.complete).toHaveBeenCalledTimes(1);
+    });
+
+    test('should deliver a replayed stream as a single chunk', async () => {
+      const upstream = {
+        stream: jest.fn(async (request, onChunk) => {
+          onChunk('Recorded ');
+          onChunk('answer');
+          return recordedResponse;
+        })
+      };
+      await createReplayProvider({ fixturesDir, mode: 'record', getUpstream: () => upstream })
+        .stream(baseRequest, () => {});
+      const onChunk = jest.fn();
+
+      const result = await createReplayProvider({ fixturesDir }).stream(baseRequest, onChunk);
+
+      expect(onChunk).toHaveBeenCalledWith('Recorded answer');
+      expect(result.text).toBe('Recorded answer');
+    });
+
+    test('should explain how to record a missing response', async () => {
+      const player = createReplayProvider({ fixturesDir });
+
+      await expect(player.complete(baseRequest)).rejects.toThrow('AI_MOCK_MODE=record');
+    });
+
+    test('should reject unknown modes', () => {
+      expect(() => createReplayProvider({ fixturesDir, mode: 'live' })).toThrow('Invalid AI_MOCK_MODE "live"');
+    });
+  });
+});
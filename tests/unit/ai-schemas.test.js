@@ -0,0 +1,93 @@
+/**
+ * AI Schemas module tests
+ */
+
+import {
+  SUBTASKS_RESPONSE_SCHEMA,
+  COMPLEXITY_RESPONSE_SCHEMA,
+  PRD_RESPONSE_SCHEMA,
+  validateSchema,
+  extractJSON,
+  parseStructuredResponse
+} from '../../scripts/modules/ai-schemas.js';
+
+describe('AI Schemas Module', () => {
+  describe('validateSchema', () => {
+    test('should accept a valid subtask list', () => {
+      const subtasks = [
+        { id: 1, title: 'Set up schema', description: 'Create tables', dependencies: [], priority: 'high' },
+        { id: 2, title: 'Add endpoints', description: 'CRUD routes', dependencies: [1] }
+      ];
+
+      expect(validateSchema(subtasks, SUBTASKS_RESPONSE_SCHEMA)).toEqual([]);
+    });
+
+    test('should report missing fields, wrong types and enum violations with their paths', () => {
+      const subtasks = [
+        { id: '1', title: 'Set up schema', dependencies: ['a'], priority: 'urgent' }
+      ];
+
+      expect(validateSchema(subtasks, SUBTASKS_RESPONSE_SCHEMA)).toEqual([
+        '$[0].description is required',
+        '$[0].id must be integer, got string',
+        '$[0].dependencies[0] must be integer, got string',
+        '$[0].priority must be one of "high", "medium", "low", got "urgent"'
+      ]);
+    });
+
+    test('should enforce numeric bounds', () => {
+      const entries = [{ taskId: 1, complexityScore: 11, recommendedSubtasks: 3 }];
+
+      expect(validateSchema(entries, COMPLEXITY_RESPONSE_SCHEMA)).toEqual(['$[0].complexityScore must be <= 10, got 11']);
+    });
+
+    test('should reject an empty array where items are required', () => {
+      expect(validateSchema([], SUBTASKS_RESPONSE_SCHEMA)).toEqual(['$ must contain at least 1 item(s)']);
+    });
+
+    test('should report a wrong root type', () => {
+      expect(validateSchema([], PRD_RESPONSE_SCHEMA)).toEqual(['$ must be object, got array']);
+    });
+  });
+
+  describe('extractJSON', () => {
+    test('should parse plain JSON', () => {
+      expect(extractJSON('{"a": 1}')).toEqual({ a: 1 });
+    });
+
+    test('should parse JSON inside a code fence', () => {
+      expect(extractJSON('Here you go:\n```json\n[1, 2]\n```\nEnjoy!')).toEqual([1, 2]);
+    });
+
+    test('should find a balanced value surrounded by prose', () => {
+      const text = 'The tasks are [{"title": "Use [brackets] in strings"}] and that is all {really}.';
+
+      expect(extractJSON(text, 'array')).toEqual([{ title: 'Use [brackets] in strings' }]);
+    });
+
+    test('should prefer the expected root type', () => {
+      expect(extractJSON('Note {not json} then {"tasks": []}', 'object')).toEqual({ tasks: [] });
+    });
+
+    test('should throw when there is no JSON', () => {
+      expect(() => extractJSON('no json here')).toThrow('Response does not contain valid JSON');
+      expect(() => extractJSON('   ')).toThrow('Response is empty');
+    });
+  });
+
+  describe('parseStructuredResponse', () => {
+    test('should return data and no errors for a valid response', () => {
+      const result = parseStructuredResponse('{"tasks": [{"id": 1, "title": "T", "description": "D"}]}', PRD_RESPONSE_SCHEMA);
+
+      expect(result.errors).toEqual([]);
+      expect(result.data.tasks).toHaveLength(1);
+    });
+
+    test('should return parse errors instead of throwing', () => {
+      const result = parseStructuredResponse('not json', PRD_RESPONSE_SCHEMA);
+
+      expect(result.data).toBeNull();
+      expect(result.errors[0]).toContain('Response does not contain valid JSON');
+    });
+  });
+});
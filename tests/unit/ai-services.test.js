@@ -381,12 +381,237 @@ These subtasks will help you implement the parent task efficiently.`;
     });
   });
 
+  describe('complete function', () => {
+    let complete;
+    let registerProvider;
+
+    beforeAll(async () => {
+      ({ complete } = await import('../../scripts/modules/ai-services.js'));
+      ({ registerProvider } = await import('../../scripts/modules/ai-providers.js'));
+    });
+
+    test('should route requests through the named provider with defaults applied', async () => {
+      const providerComplete = jest.fn().mockResolvedValue({
+        text: 'routed',
+        model: 'fake-model',
+        usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 }
+      });
+      registerProvider('fake', () => ({ name: 'fake', complete: providerComplete }));
+
+      const result = await complete({ prompt: 'Hello', model: 'fake-model' }, { provider: 'fake' });
+
+      expect(providerComplete).toHaveBeenCalledWith(expect.objectContaining({
+        prompt: 'Hello',
+        model: 'fake-model',
+        maxTokens: expect.any(Number),
+        temperature: expect.any(Number)
+      }));
+      expect(result).toMatchObject({ text: 'routed', provider: 'fake' });
+    });
+
+    test('should record each call in the usage ledger', async () => {
+      const { CONFIG } = await import('../../scripts/modules/utils.js');
+      const { readUsageLedger } = await import('../../scripts/modules/usage-tracker.js');
+      registerProvider('fake-ledger', () => ({
+        name: 'fake-ledger',
+        complete: jest.fn().mockResolvedValue({
+          text: 'ok',
+          model: 'fake-model',
+          usage: { promptTokens: 3, completionTokens: 4, totalTokens: 7 }
+        })
+      }));
+
+      await complete({ prompt: 'Hello', model: 'fake-model' }, { provider: 'fake-ledger', taskId: 9 });
+
+      const entries = readUsageLedger(CONFIG.usageFile);
+      expect(entries[entries.length - 1]).toMatchObject({
+        provider: 'fake-ledger',
+        model: 'fake-model',
+        taskId: 9,
+        totalTokens: 7
+      });
+    });
+
+    test('should answer a repeated request from the response cache', async () => {
+      const fs = await import('fs');
+      const os = await import('os');
+      const path = await import('path');
+      const { CONFIG } = await import('../../scripts/modules/utils.js');
+      const { setCacheEnabled } = await import('../../scripts/modules/ai-cache.js');
+      const originalCacheDir = CONFIG.cacheDir;
+      CONFIG.cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-cache-'));
+      setCacheEnabled(true);
+
+      try {
+        const providerComplete = jest.fn().mockResolvedValue({
+          text: 'cached',
+          model: 'fake-model',
+          usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 }
+        });
+        registerProvider('fake-cached', () => ({ name: 'fake-cached', complete: providerComplete }));
+        const request = { prompt: 'Hello', model: 'fake-model' };
+
+        const first = await complete(request, { provider: 'fake-cached' });
+        const second = await complete(request, { provider: 'fake-cached' });
+        await complete(request, { provider: 'fake-cached', cache: false });
+
+        expect(first.cached).toBeUndefined();
+        expect(second).toMatchObject({ text: 'cached', provider: 'fake-cached', cached: true });
+        expect(providerComplete).toHaveBeenCalledTimes(2);
+      } finally {
+        setCacheEnabled(false);
+        fs.rmSync(CONFIG.cacheDir, { recursive: true, force: true });
+        CONFIG.cacheDir = originalCacheDir;
+      }
+    });
+  });
+
+  describe('rate limit retries', () => {
+    let complete;
+    let registerProvider;
+    const rateLimited = () => Object.assign(new Error('429 Too Many Requests'), { status: 429 });
+    const reply = { text: 'ok', model: 'fake-model', usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+
+    beforeAll(async () => {
+      ({ complete } = await import('../../scripts/modules/ai-services.js'));
+      ({ registerProvider } = await import('../../scripts/modules/ai-providers.js'));
+    });
+
+    test('should retry a rate-limited request with backoff', async () => {
+      const { CONFIG } = await import('../../scripts/modules/utils.js');
+      const originalDelay = CONFIG.retryDelayMs;
+      CONFIG.retryDelayMs = 1;
+      try {
+        const providerComplete = jest.fn()
+          .mockRejectedValueOnce(rateLimited())
+          .mockRejectedValueOnce(rateLimited())
+          .mockResolvedValueOnce(reply);
+        registerProvider('fake-throttled', () => ({ name: 'fake-throttled', complete: providerComplete }));
+
+        const result = await complete({ prompt: 'Hello' }, { provider: 'fake-throttled' });
+
+        expect(result.text).toBe('ok');
+        expect(providerComplete).toHaveBeenCalledTimes(3);
+      } finally {
+        CONFIG.retryDelayMs = originalDelay;
+      }
+    });
+
+    test('should not retry other errors', async () => {
+      const providerComplete = jest.fn().mockRejectedValue(new Error('API key not valid'));
+      registerProvider('fake-unauthorized', () => ({ name: 'fake-unauthorized', complete: providerComplete }));
+
+      await expect(complete({ prompt: 'Hello' }, { provider: 'fake-unauthorized' })).rejects.toThrow('API key not valid');
+      expect(providerComplete).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('completeStructured function', () => {
+    let completeStructured;
+    let registerProvider;
+    const schema = {
+      type: 'array',
+      items: { type: 'object', properties: { id: { type: 'integer' } }, required: ['id'] },
+      minItems: 1
+    };
+    const reply = (text) => ({ text, model: 'fake-model', usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } });
+
+    beforeAll(async () => {
+      ({ completeStructured } = await import('../../scripts/modules/ai-services.js'));
+      ({ registerProvider } = await import('../../scripts/modules/ai-providers.js'));
+    });
+
+    test('should pass the schema to the provider and return the parsed data', async () => {
+      const providerComplete = jest.fn().mockResolvedValue(reply('```json\n[{"id": 1}]\n```'));
+      registerProvider('fake-structured', () => ({ name: 'fake-structured', complete: providerComplete }));
+
+      const result = await completeStructured({ prompt: 'List' }, schema, { provider: 'fake-structured' });
+
+      expect(providerComplete.mock.calls[0][0].schema).toBe(schema);
+      expect(result.data).toEqual([{ id: 1 }]);
+    });
+
+    test('should send validation errors back to the model and use the repaired response', async () => {
+      const providerComplete = jest.fn()
+        .mockResolvedValueOnce(reply('[{"id": "one"}]'))
+        .mockResolvedValueOnce(reply('[{"id": 1}]'));
+      registerProvider('fake-repair', () => ({ name: 'fake-repair', complete: providerComplete }));
+
+      const result = await completeStructured({ prompt: 'List' }, schema, { provider: 'fake-repair' });
+
+      expect(providerComplete).toHaveBeenCalledTimes(2);
+      const repairPrompt = providerComplete.mock.calls[1][0].prompt;
+      expect(repairPrompt).toContain('List');
+      expect(repairPrompt).toContain('[{"id": "one"}]');
+      expect(repairPrompt).toContain('$[0].id must be integer, got string');
+      expect(result.data).toEqual([{ id: 1 }]);
+    });
+
+    test('should give up after the configured number of repairs', async () => {
+      const providerComplete = jest.fn().mockResolvedValue(reply('no json'));
+      registerProvider('fake-broken', () => ({ name: 'fake-broken', complete: providerComplete }));
+
+      await expect(completeStructured({ prompt: 'List' }, schema, { provider: 'fake-broken', maxRepairs: 1 }))
+        .rejects.toThrow('AI response does not match the expected format after 1 repair attempt(s)');
+      expect(providerComplete).toHaveBeenCalledTimes(2);
+    });
+
+    test('should only cache responses that pass validation', async () => {
+      const fs = await import('fs');
+      const os = await import('os');
+      const path = await import('path');
+      const { CONFIG } = await import('../../scripts/modules/utils.js');
+      const { setCacheEnabled } = await import('../../scripts/modules/ai-cache.js');
+      const originalCacheDir = CONFIG.cacheDir;
+      CONFIG.cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-cache-'));
+      setCacheEnabled(true);
+
+      try {
+        const providerComplete = jest.fn()
+          .mockResolvedValueOnce(reply('no json'))
+          .mockResolvedValueOnce(reply('[{"id": "one"}]'))
+          .mockResolvedValueOnce(reply('[{"id": 2}]'));
+        registerProvider('fake-cached-structured', () => ({ name: 'fake-cached-structured', complete: providerComplete }));
+        const request = { prompt: 'List', model: 'fake-model' };
+
+        // The invalid first answer is not kept, so the second run asks the provider again
+        await expect(completeStructured(request, schema, { provider: 'fake-cached-structured', maxRepairs: 0 }))
+          .rejects.toThrow('does not match the expected format');
+        const second = await completeStructured(request, schema, { provider: 'fake-cached-structured', maxRepairs: 1 });
+        expect(second.data).toEqual([{ id: 2 }]);
+        expect(providerComplete).toHaveBeenCalledTimes(3);
+
+        // The repaired answer is cached under the original request
+        const third = await completeStructured(request, schema, { provider: 'fake-cached-structured' });
+        expect(third).toMatchObject({ data: [{ id: 2 }], cached: true });
+        expect(providerComplete).toHaveBeenCalledTimes(3);
+      } finally {
+        setCacheEnabled(false);
+        fs.rmSync(CONFIG.cacheDir, { recursive: true, force: true });
+        CONFIG.cacheDir = originalCacheDir;
+      }
+    });
+
+    test('should stream the first attempt when asked to', async () => {
+      const providerStream = jest.fn(async (request, onChunk) => {
+        onChunk('[{"id": 3}]');
+        return reply('[{"id": 3}]');
+      });
+      registerProvider('fake-streaming', () => ({ name: 'fake-streaming', stream: providerStream }));
+
+      const result = await completeStructured({ prompt: 'List' }, schema, { provider: 'fake-streaming', stream: true });
+
+      expect(providerStream).toHaveBeenCalledTimes(1);
+      expect(result.data).toEqual([{ id: 3 }]);
+    });
+  });
+
   describe('Anthropic client configuration', () => {
     test('should include output-128k beta header in client configuration', async () => {
       // Read the file content to verify the change is present
       const fs = await import('fs');
       const path = await import('path');
-      const filePath = path.resolve('./scripts/modules/ai-services.js');
+      const filePath = path.resolve('./scripts/modules/ai-providers.js');
       const fileContent = fs.readFileSync(filePath, 'utf8');
       
       // Check if the beta header is in the file
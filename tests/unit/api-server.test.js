@@ -0,0 +1,247 @@
+/**
+ * REST API tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { createApiApp, startApiServer, isLoopbackHost } from '../../scripts/modules/api-server.js';
+import { readHistory } from '../../scripts/modules/history.js';
+
+describe('REST API', () => {
+  let tempDir;
+  let tasksPath;
+  let reportPath;
+  let app;
+
+  const readSavedTasks = () => JSON.parse(fs.readFileSync(tasksPath, 'utf8')).tasks;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-api-'));
+    tasksPath = path.join(tempDir, 'tasks', 'tasks.json');
+    reportPath = path.join(tempDir, 'task-complexity-report.json');
+    fs.mkdirSync(path.dirname(tasksPath));
+    fs.writeFileSync(tasksPath, JSON.stringify({
+      tasks: [
+        { id: 1, title: 'Set up repo', description: '', status: 'done', dependencies: [], priority: 'high' },
+        {
+          id: 2,
+          title: 'Auth API',
+          description: 'Login and tokens',
+          status: 'pending',
+          dependencies: [1],
+          priority: 'medium',
+          subtasks: [{ id: 1, title: 'Tokens', status: 'pending', dependencies: [] }]
+        },
+        { id: 3, title: 'Dashboard', description: '', status: 'pending', dependencies: [2], priority: 'low' }
+      ]
+    }));
+    app = createApiApp({ tasksPath, reportPath });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should list tasks with the query options of list', async () => {
+    const all = await request(app).get('/tasks?withSubtasks=true');
+    expect(all.status).toBe(200);
+    expect(all.body.ok).toBe(true);
+    expect(all.body.data.tasks.map(task => task.id)).toEqual([1, 2, '2.1', 3]);
+
+    const pending = await request(app).get('/tasks?status=pending&q=deps:ready');
+    expect(pending.body.data.tasks.map(task => task.id)).toEqual([2]);
+
+    const invalid = await request(app).get('/tasks?q=deps:maybe');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toEqual({ ok: false, error: { code: 'INVALID_INPUT', message: 'deps: takes ready, blocked, none' } });
+
+    const unknownSort = await request(app).get('/tasks?sort=zzz');
+    expect(unknownSort.status).toBe(400);
+    expect(unknownSort.body.error.code).toBe('INVALID_INPUT');
+  });
+
+  test('should get tasks and subtasks, or 404', async () => {
+    expect((await request(app).get('/tasks/2')).body.data.task.title).toBe('Auth API');
+    expect((await request(app).get('/tasks/2.1')).body.data.task).toMatchObject({ id: 1, title: 'Tokens', parentId: 2 });
+
+    const missing = await request(app).get('/tasks/9');
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('NOT_FOUND');
+
+    const invalid = await request(app).get('/tasks/abc');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.code).toBe('INVALID_INPUT');
+  });
+
+  test('should create and edit tasks without AI', async () => {
+    const created = await request(app)
+      .post('/tasks')
+      .send({ title: 'Reports', description: 'Weekly export', dependencies: [2], tags: 'ui,export' });
+    expect(created.status).toBe(201);
+    expect(created.body.data.task).toMatchObject({
+      id: 4, title: 'Reports', status: 'pending', priority: 'medium', dependencies: [2], tags: ['ui', 'export']
+    });
+
+    const edited = await request(app).patch('/tasks/4').send({ priority: 'high', details: 'CSV first' });
+    expect(edited.body.data.task).toMatchObject({ id: 4, priority: 'high', details: 'CSV first' });
+
+    const subtask = await request(app).patch('/tasks/2.1').send({ title: 'JWT tokens' });
+    expect(subtask.body.data.task).toMatchObject({ id: 1, title: 'JWT tokens', parentId: 2 });
+
+    expect(readSavedTasks().find(task => task.id === 4).priority).toBe('high');
+    expect(fs.existsSync(path.join(tempDir, 'tasks', 'task_004.txt'))).toBe(true);
+  });
+
+  test('should reject invalid task data', async () => {
+    const cases = [
+      [request(app).post('/tasks').send({ description: 'No title' }), 'A task needs a title'],
+      [request(app).post('/tasks').send({ title: 'X', dependencies: [9] }), 'Dependency 9 is not an existing task'],
+      [request(app).post('/tasks').send({ title: 'X', status: 'done' }), 'Cannot set status'],
+      [request(app).patch('/tasks/2').send({ priority: 'urgent' }), 'Invalid priority "urgent"'],
+      [request(app).patch('/tasks/2.1').send({ priority: 'high' }), 'Cannot set priority'],
+      [request(app).patch('/tasks/2').send({}), 'Nothing to change'],
+      [request(app).post('/tasks').set('Content-Type', 'application/json').send('{bad'), 'Invalid JSON body']
+    ];
+    for (const [pending, message] of cases) {
+      const res = await pending;
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('INVALID_INPUT');
+      expect(res.body.error.message).toContain(message);
+    }
+    expect(readSavedTasks()).toHaveLength(3);
+  });
+
+  test('should set the status of tasks and subtasks', async () => {
+    const res = await request(app).put('/tasks/2.1/status').send({ status: 'in-progress' });
+    expect(res.body.data).toEqual({ updated: [{ id: '2.1', from: 'pending', to: 'in-progress' }] });
+
+    const done = await request(app).put('/tasks/2/status').send({ status: 'done' });
+    expect(done.status).toBe(200);
+    expect(readSavedTasks()[1].subtasks[0].status).toBe('done');
+    expect(readHistory(tasksPath).map(entry => [entry.command, entry.args])).toEqual([
+      ['serve', { request: 'PUT /tasks/2.1/status' }],
+      ['serve', { request: 'PUT /tasks/2/status' }]
+    ]);
+
+    expect((await request(app).put('/tasks/2/status').send({})).status).toBe(400);
+    const bogus = await request(app).put('/tasks/2/status').send({ status: 'bogus' });
+    expect(bogus.status).toBe(400);
+    expect(bogus.body.error.code).toBe('INVALID_INPUT');
+    expect(readSavedTasks()[1].status).toBe('done');
+    expect((await request(app).put('/tasks/9/status').send({ status: 'done' })).status).toBe(404);
+  });
+
+  test('should add, list and remove subtasks', async () => {
+    const added = await request(app).post('/tasks/3/subtasks').send({ title: 'Layout', details: 'Grid' });
+    expect(added.status).toBe(201);
+    expect(added.body.data).toMatchObject({ parentId: 3, subtask: { id: 1, title: 'Layout', details: 'Grid' } });
+
+    const listed = await request(app).get('/tasks/3/subtasks');
+    expect(listed.body.data.subtasks.map(subtask => subtask.title)).toEqual(['Layout']);
+
+    const removed = await request(app).delete('/tasks/3/subtasks/1');
+    expect(removed.body.data).toEqual({ removed: '3.1', task: null });
+
+    const cleared = await request(app).delete('/tasks/2/subtasks');
+    expect(cleared.body.data).toEqual({ cleared: [2] });
+    expect(readSavedTasks()[1].subtasks).toEqual([]);
+
+    expect((await request(app).delete('/tasks/3/subtasks/7')).status).toBe(404);
+  });
+
+  test('should add and remove dependencies', async () => {
+    const added = await request(app).post('/tasks/3/dependencies').send({ dependsOn: 1 });
+    expect(added.body.data).toMatchObject({ taskId: 3, changed: true });
+    expect(added.body.data.dependencies.map(String)).toEqual(['2', '1']);
+
+    const listed = await request(app).get('/tasks/3/dependencies');
+    expect(listed.body.data.dependencies.map(String)).toEqual(['2', '1']);
+
+    const removed = await request(app).delete('/tasks/3/dependencies/2');
+    expect(removed.body.data).toMatchObject({ taskId: 3, changed: true });
+    expect(readSavedTasks()[2].dependencies.map(String)).toEqual(['1']);
+
+    expect((await request(app).post('/tasks/3/dependencies').send({})).status).toBe(400);
+    expect((await request(app).post('/tasks/9/dependencies').send({ dependsOn: 1 })).status).toBe(404);
+  });
+
+  test('should remove tasks and update their dependents', async () => {
+    const res = await request(app).delete('/tasks/2?dependents=repoint');
+    expect(res.body.data).toEqual({ removed: [2], updated: [3] });
+    expect(readSavedTasks().map(task => [task.id, task.dependencies])).toEqual([[1, []], [3, [1]]]);
+
+    expect((await request(app).delete('/tasks/9')).status).toBe(404);
+    expect((await request(app).delete('/tasks/1?dependents=keep')).status).toBe(400);
+  });
+
+  test('should return the next task and the complexity report', async () => {
+    expect((await request(app).get('/next')).body.data.task.id).toBe(2);
+
+    const noReport = await request(app).get('/complexity');
+    expect(noReport.status).toBe(404);
+
+    const report = { meta: { tasksAnalyzed: 1 }, complexityAnalysis: [{ taskId: 2, complexityScore: 7 }] };
+    fs.writeFileSync(reportPath, JSON.stringify(report));
+    expect((await request(app).get('/complexity')).body).toEqual({ ok: true, data: report });
+  });
+
+  test('should publish an OpenAPI document covering every route', async () => {
+    const res = await request(app).get('/openapi.json');
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toBe('3.0.3');
+    expect(Object.keys(res.body.paths)).toEqual(expect.arrayContaining([
+      '/tasks', '/tasks/{id}', '/tasks/{id}/status', '/tasks/{id}/subtasks', '/tasks/{id}/subtasks/{subtaskId}',
+      '/tasks/{id}/dependencies', '/tasks/{id}/dependencies/{dependsOn}', '/next', '/complexity'
+    ]));
+  });
+
+  test('should answer errors without a known code with 500', async () => {
+    fs.writeFileSync(tasksPath, '{ not json');
+    const res = await request(app).get('/next');
+    expect(res.status).toBe(500);
+    expect(res.body.error.code).toBe('ERROR');
+  });
+
+  test('should answer unknown routes with the error envelope', async () => {
+    const res = await request(app).get('/nope');
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ ok: false, error: { code: 'NOT_FOUND', message: 'Cannot GET /nope' } });
+  });
+
+  describe('authentication', () => {
+    const SECRET = 'test-secret';
+
+    test('should require a bearer token on every route but the OpenAPI document', async () => {
+      const secured = createApiApp({ tasksPath, reportPath, jwt: { secret: SECRET } });
+
+      const missing = await request(secured).post('/tasks').send({ title: 'Sneaky' });
+      expect(missing.status).toBe(401);
+      expect(missing.headers['www-authenticate']).toMatch(/^Bearer/);
+      expect(missing.body).toEqual({ ok: false, error: { code: 'UNAUTHORIZED', message: 'Missing bearer token' } });
+
+      const forged = await request(secured).get('/tasks').set('Authorization', `Bearer ${jwt.sign({ sub: 'eve' }, 'other')}`);
+      expect(forged.status).toBe(401);
+      expect(readSavedTasks()).toHaveLength(3);
+
+      const valid = await request(secured).get('/tasks/2').set('Authorization', `Bearer ${jwt.sign({ sub: 'alice' }, SECRET)}`);
+      expect(valid.body.data.task.title).toBe('Auth API');
+      expect((await request(secured).get('/openapi.json')).status).toBe(200);
+    });
+
+    test('should refuse to listen off loopback without a secret', async () => {
+      expect(isLoopbackHost('127.0.0.1')).toBe(true);
+      expect(isLoopbackHost('localhost')).toBe(true);
+      expect(isLoopbackHost('::1')).toBe(true);
+      expect(isLoopbackHost('0.0.0.0')).toBe(false);
+      expect(isLoopbackHost('192.168.1.5')).toBe(false);
+
+      await expect(startApiServer({ tasksPath, host: '0.0.0.0', port: 0 })).rejects.toMatchObject({ code: 'INVALID_INPUT' });
+
+      const server = await startApiServer({ tasksPath, host: '0.0.0.0', port: 0, jwt: { secret: SECRET } });
+      await new Promise(resolve => server.close(resolve));
+    });
+  });
+});
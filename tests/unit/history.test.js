@@ -0,0 +1,156 @@
+/**
+ * History module tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  setHistoryContext,
+  withHistoryContext,
+  diffTasksData,
+  applyTasksDiff,
+  findConflicts,
+  readHistory,
+  recordChange,
+  findUndoEntry,
+  findRedoEntry,
+  setEntryStatus,
+  summarizeChanges
+} from '../../scripts/modules/history.js';
+import { writeTasks } from '../../scripts/modules/utils.js';
+
+const task = (id, fields = {}) => ({ id, title: `Task ${id}`, status: 'pending', dependencies: [], ...fields });
+
+describe('History Module', () => {
+  describe('diffTasksData / applyTasksDiff', () => {
+    const before = {
+      meta: { projectName: 'Demo', revision: 3 },
+      tasks: [task(1), task(2, { dependencies: [1] }), task(3)]
+    };
+    const after = {
+      meta: { projectName: 'Demo', revision: 4 },
+      tasks: [
+        task(1, { status: 'done', subtasks: [{ id: 1, title: 'Sub', status: 'done', dependencies: [] }] }),
+        task(2),
+        task(4)
+      ]
+    };
+
+    test('should record only the tasks that changed, ignoring the revision', () => {
+      const changes = diffTasksData(before, after);
+
+      expect(changes.tasks.map(change => change.id)).toEqual([1, 2, 3, 4]);
+      expect(changes.tasks.find(change => change.id === 3).after).toBeNull();
+      expect(changes.tasks.find(change => change.id === 4).before).toBeNull();
+      expect(changes.fields).toEqual([]);
+      expect(summarizeChanges(changes)).toBe('added 4; changed 1, 2; removed 3');
+    });
+
+    test('should restore either side, including subtasks and dependencies', () => {
+      const changes = diffTasksData(before, after);
+
+      const reverted = applyTasksDiff({ ...after, meta: { ...after.meta, revision: 9 } }, changes, 'before');
+      expect(reverted.tasks).toEqual(before.tasks);
+      expect(reverted.meta).toEqual({ projectName: 'Demo', revision: 9 });
+
+      const reapplied = applyTasksDiff(reverted, changes, 'after');
+      expect(reapplied.tasks).toEqual(after.tasks);
+    });
+
+    test('should restore the task order and top-level fields', () => {
+      const reordered = { meta: { projectName: 'Renamed' }, tasks: [task(3), task(1), task(2, { dependencies: [1] })] };
+      const changes = diffTasksData(before, reordered);
+
+      expect(changes.order).not.toBeNull();
+      expect(changes.fields.map(change => change.key)).toEqual(['meta']);
+      const reverted = applyTasksDiff(reordered, changes, 'before');
+      expect(reverted.tasks.map(t => t.id)).toEqual([1, 2, 3]);
+      expect(reverted.meta.projectName).toBe('Demo');
+    });
+
+    test('should report tasks changed since the entry', () => {
+      const changes = diffTasksData(before, after);
+      const edited = { ...after, tasks: after.tasks.map(t => (t.id === 2 ? { ...t, title: 'Edited' } : t)) };
+
+      expect(findConflicts(after, changes, 'after')).toEqual([]);
+      expect(findConflicts(edited, changes, 'after')).toEqual(['task 2']);
+    });
+  });
+
+  describe('journal', () => {
+    let tempDir;
+    let tasksPath;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-history-'));
+      tasksPath = path.join(tempDir, 'tasks.json');
+      setHistoryContext('set-status', { id: '1', status: 'done' });
+    });
+
+    afterEach(() => {
+      setHistoryContext(null);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should record the command and skip saves that change nothing', () => {
+      const data = { tasks: [task(1)] };
+      recordChange(tasksPath, data, { tasks: [task(1, { status: 'done' })] });
+      recordChange(tasksPath, data, data);
+
+      const entries = readHistory(tasksPath);
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ id: 1, command: 'set-status', args: { id: '1', status: 'done' }, status: 'applied' });
+    });
+
+    test('should record the command of each concurrent call', async () => {
+      const pause = () => new Promise(resolve => setTimeout(resolve, 5));
+      await Promise.all([
+        withHistoryContext('serve', { request: 'PUT /tasks/1/status' }, async () => {
+          await pause();
+          recordChange(tasksPath, { tasks: [] }, { tasks: [task(1)] });
+        }),
+        withHistoryContext('mcp', { tool: 'addTask' }, async () => {
+          recordChange(tasksPath, { tasks: [task(1)] }, { tasks: [task(1), task(2)] });
+          await pause();
+        })
+      ]);
+      recordChange(tasksPath, { tasks: [task(1), task(2)] }, { tasks: [task(1)] });
+
+      expect(readHistory(tasksPath).map(entry => [entry.command, entry.args])).toEqual([
+        ['mcp', { tool: 'addTask' }],
+        ['serve', { request: 'PUT /tasks/1/status' }],
+        ['set-status', { id: '1', status: 'done' }]
+      ]);
+    });
+
+    test('should pick undo and redo entries and discard redo after a new change', () => {
+      recordChange(tasksPath, { tasks: [] }, { tasks: [task(1)] });
+      recordChange(tasksPath, { tasks: [task(1)] }, { tasks: [task(1), task(2)] });
+
+      expect(findUndoEntry(readHistory(tasksPath)).id).toBe(2);
+      setEntryStatus(tasksPath, 2, 'undone');
+      expect(findUndoEntry(readHistory(tasksPath)).id).toBe(1);
+      expect(findRedoEntry(readHistory(tasksPath)).id).toBe(2);
+
+      recordChange(tasksPath, { tasks: [task(1)] }, { tasks: [task(1), task(3)] });
+
+      const entries = readHistory(tasksPath);
+      expect(entries.map(entry => entry.status)).toEqual(['applied', 'discarded', 'applied']);
+      expect(findRedoEntry(entries)).toBeNull();
+    });
+
+    test('should be written by every tasks save', () => {
+      fs.writeFileSync(tasksPath, JSON.stringify({ meta: { revision: 1 }, tasks: [task(1)] }));
+      const data = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+      data.tasks[0].status = 'done';
+
+      writeTasks(tasksPath, data);
+
+      const [entry] = readHistory(tasksPath);
+      expect(entry).toMatchObject({ revisionBefore: 1, revisionAfter: 2 });
+      expect(entry.changes.tasks[0].before.status).toBe('pending');
+      expect(entry.changes.tasks[0].after.status).toBe('done');
+    });
+  });
+});
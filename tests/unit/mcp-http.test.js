@@ -0,0 +1,172 @@
+/**
+ * MCP HTTP transport tests
+ */
+
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { McpHttpServer } from '../../mcp-server/src/http.js';
+import { createJwtAuthenticator, getBearerToken } from '../../mcp-server/src/auth.js';
+import { getTransportOptions } from '../../mcp-server/src/index.js';
+
+const SECRET = 'test-secret';
+const tokenFor = (sub, options = {}) => jwt.sign({ sub }, SECRET, options);
+
+const createServer = (options = {}) => new McpHttpServer({
+  name: 'Test Server',
+  version: '1.0.0',
+  definitions: { tools: [], resources: [], resourcesTemplates: [], prompts: [] },
+  authenticate: createJwtAuthenticator({ secret: SECRET }),
+  ...options
+});
+
+/**
+ * Open an SSE stream and wait for the endpoint event
+ * @returns {Promise<Object>} - { sessionId, close }
+ */
+const openStream = (port, token) => new Promise((resolve, reject) => {
+  const req = http.get({ port, host: '127.0.0.1', path: '/sse', headers: { Authorization: `Bearer ${token}` } }, (res) => {
+    let received = '';
+    res.on('data', (chunk) => {
+      received += chunk;
+      const match = /sessionId=([\w-]+)/.exec(received);
+      if (match) {
+        resolve({ sessionId: match[1], close: () => req.destroy() });
+      }
+    });
+  });
+  req.on('error', reject);
+});
+
+describe('MCP HTTP transport', () => {
+  describe('getBearerToken', () => {
+    test('should read the token of a Bearer authorization header', () => {
+      expect(getBearerToken({ headers: { authorization: 'Bearer abc.def' } })).toBe('abc.def');
+      expect(getBearerToken({ headers: { authorization: 'Basic abc' } })).toBeNull();
+      expect(getBearerToken({ headers: {} })).toBeNull();
+    });
+  });
+
+  describe('createJwtAuthenticator', () => {
+    test('should return the payload of a valid token', () => {
+      const authenticate = createJwtAuthenticator({ secret: SECRET });
+      const payload = authenticate({ headers: { authorization: `Bearer ${tokenFor('alice')}` } });
+      expect(payload.sub).toBe('alice');
+    });
+
+    test('should reject missing, expired and foreign tokens', () => {
+      const authenticate = createJwtAuthenticator({ secret: SECRET, audience: 'task-master' });
+      const attempt = (token) => () => authenticate({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+      expect(attempt(null)).toThrow('Missing bearer token');
+      expect(attempt(tokenFor('alice', { audience: 'task-master', expiresIn: -10 }))).toThrow('jwt expired');
+      expect(attempt(jwt.sign({ sub: 'alice', aud: 'task-master' }, 'other-secret'))).toThrow('invalid signature');
+      expect(attempt(tokenFor('alice'))).toThrow('audience');
+      expect(attempt(jwt.sign({ aud: 'task-master' }, SECRET))).toThrow('no sub claim');
+      expect(attempt(jwt.sign({ sub: '', aud: 'task-master' }, SECRET))).toThrow('no sub claim');
+    });
+
+    test('should require a secret', () => {
+      expect(() => createJwtAuthenticator({})).toThrow('JWT secret is required');
+    });
+  });
+
+  describe('getTransportOptions', () => {
+    test('should default to stdio', () => {
+      expect(getTransportOptions({})).toEqual({ transportType: 'stdio' });
+    });
+
+    test('should read the sse options', () => {
+      const options = getTransportOptions({
+        MCP_TRANSPORT: 'sse',
+        MCP_PORT: '8080',
+        MCP_HOST: '0.0.0.0',
+        MCP_CORS_ORIGINS: 'https://a.example, https://b.example',
+        MCP_JWT_SECRET: SECRET
+      });
+      expect(options).toEqual({
+        transportType: 'sse',
+        http: {
+          port: 8080,
+          host: '0.0.0.0',
+          endpoint: '/sse',
+          corsOrigins: ['https://a.example', 'https://b.example'],
+          jwt: { secret: SECRET, issuer: undefined, audience: undefined }
+        }
+      });
+    });
+
+    test('should require a secret unless authentication is off', () => {
+      expect(() => getTransportOptions({ MCP_TRANSPORT: 'sse' })).toThrow('MCP_JWT_SECRET is required');
+      expect(getTransportOptions({ MCP_TRANSPORT: 'sse', MCP_AUTH: 'none' }).http.jwt).toBeNull();
+      expect(() => getTransportOptions({ MCP_TRANSPORT: 'websocket' })).toThrow('Unknown MCP_TRANSPORT');
+      expect(() => getTransportOptions({ MCP_TRANSPORT: 'sse', MCP_AUTH: 'none', MCP_PORT: 'abc' })).toThrow('Invalid MCP_PORT');
+    });
+
+    test('should refuse to listen off loopback without authentication', () => {
+      expect(getTransportOptions({ MCP_TRANSPORT: 'sse', MCP_AUTH: 'none', MCP_HOST: 'localhost' }).http.host).toBe('localhost');
+      expect(() => getTransportOptions({ MCP_TRANSPORT: 'sse', MCP_AUTH: 'none', MCP_HOST: '0.0.0.0' }))
+        .toThrow('Refusing to serve MCP on 0.0.0.0 without authentication');
+    });
+  });
+
+  describe('McpHttpServer', () => {
+    test('should answer health checks without a token', async () => {
+      const res = await request(createServer().app).get('/health');
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ ok: true, name: 'Test Server', version: '1.0.0', sessions: 0 });
+    });
+
+    test('should reject requests without a valid token', async () => {
+      const { app } = createServer();
+
+      const missing = await request(app).get('/sse');
+      expect(missing.status).toBe(401);
+      expect(missing.headers['www-authenticate']).toMatch(/^Bearer/);
+      expect(missing.body).toEqual({ ok: false, error: { code: 'UNAUTHORIZED', message: 'Missing bearer token' } });
+
+      const invalid = await request(app).post('/messages?sessionId=x').set('Authorization', 'Bearer nonsense');
+      expect(invalid.status).toBe(401);
+    });
+
+    test('should only allow the configured origins', async () => {
+      const { app } = createServer({ corsOrigins: ['https://a.example'] });
+      const preflight = (origin) => request(app)
+        .options('/sse')
+        .set('Origin', origin)
+        .set('Access-Control-Request-Method', 'GET');
+
+      expect((await preflight('https://a.example')).headers['access-control-allow-origin']).toBe('https://a.example');
+      expect((await preflight('https://evil.example')).headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    test('should only accept messages from the owner of a session', async () => {
+      const server = createServer();
+      const { port } = await server.start({ port: 0, host: '127.0.0.1' });
+      const stream = await openStream(port, tokenFor('alice'));
+      try {
+        const post = (sessionId, sub) => request(server.app)
+          .post(`/messages?sessionId=${sessionId}`)
+          .set('Authorization', `Bearer ${tokenFor(sub)}`)
+          .set('Content-Type', 'application/json')
+          .send({ jsonrpc: '2.0', id: 1, method: 'ping' });
+
+        expect(server.sessions).toHaveLength(1);
+        expect((await post('unknown', 'alice')).status).toBe(404);
+        expect((await post(stream.sessionId, 'bob')).status).toBe(403);
+        expect((await post(stream.sessionId, 'alice')).status).toBe(202);
+
+        // Tokens without a user cannot post into anyone's session
+        const anonymous = await request(server.app)
+          .post(`/messages?sessionId=${stream.sessionId}`)
+          .set('Authorization', `Bearer ${jwt.sign({}, SECRET)}`)
+          .send({ jsonrpc: '2.0', id: 2, method: 'ping' });
+        expect(anonymous.status).toBe(401);
+      } finally {
+        stream.close();
+        await server.stop();
+      }
+      expect(server.sessions).toHaveLength(0);
+    });
+  });
+});
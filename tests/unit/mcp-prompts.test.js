@@ -0,0 +1,143 @@
+/**
+ * MCP prompt tests
+ *
+ * The prompts are rendered by an McpHttpServer for an MCP client, against the
+ * sample tasks and a complexity report.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { McpHttpServer } from '../../mcp-server/src/http.js';
+import { registerTaskMasterPrompts } from '../../mcp-server/src/prompts/index.js';
+import { sampleTasks } from '../fixtures/sample-tasks.js';
+
+const complexityReport = {
+  meta: { tasksAnalyzed: 2 },
+  complexityAnalysis: [
+    { taskId: 2, complexityScore: 8, recommendedSubtasks: 5, reasoning: 'Touches auth and data.', expansionPrompt: 'Split by endpoint' },
+    { taskId: 3, complexityScore: 4, recommendedSubtasks: 3, reasoning: 'Plain components.' }
+  ]
+};
+
+describe('MCP prompts', () => {
+  let tempDir;
+  let server;
+  let client;
+
+  /**
+   * Render a prompt
+   * @param {string} name - Prompt name
+   * @param {Object} [args] - Prompt arguments
+   * @returns {Promise<string>} - Text of the prompt
+   */
+  const render = async (name, args) => {
+    const { messages } = await client.getPrompt({ name, arguments: args });
+    return messages[0].content.text;
+  };
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-prompts-'));
+    fs.mkdirSync(path.join(tempDir, 'tasks'));
+    fs.mkdirSync(path.join(tempDir, 'scripts'));
+    fs.writeFileSync(path.join(tempDir, 'tasks', 'tasks.json'), JSON.stringify(sampleTasks));
+    fs.writeFileSync(path.join(tempDir, 'scripts', 'task-complexity-report.json'), JSON.stringify(complexityReport));
+
+    const definitions = { tools: [], resources: [], resourcesTemplates: [], prompts: [] };
+    registerTaskMasterPrompts({ addPrompt: (prompt) => definitions.prompts.push(prompt) }, tempDir);
+    server = new McpHttpServer({ name: 'Test Server', version: '1.0.0', definitions });
+    const { port } = await server.start({ port: 0, host: '127.0.0.1' });
+
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(new SSEClientTransport(new URL(`http://127.0.0.1:${port}/sse`)));
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await server.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should list the four prompts', async () => {
+    const { prompts } = await client.listPrompts();
+    expect(prompts.map(prompt => prompt.name)).toEqual([
+      'start-next-task', 'expand-with-research', 'log-implementation-drift', 'review-task'
+    ]);
+  });
+
+  test('start-next-task should describe the next task with its dependencies and complexity', async () => {
+    const text = await render('start-next-task');
+
+    expect(text).toContain('task 2: "Create Core Functionality"');
+    expect(text).toContain('Implement user authentication, data processing, and API endpoints');
+    expect(text).toContain('Dependencies:\n- 1: Initialize Project (done)');
+    expect(text).toContain('Complexity analysis: score 8/10, 5 subtasks recommended. Touches auth and data. Suggested focus: Split by endpoint');
+    expect(text).toContain('Test strategy: Write unit tests for all core functions');
+  });
+
+  test('start-next-task should say so when no task is ready', async () => {
+    const blocked = { ...sampleTasks, tasks: sampleTasks.tasks.map(task => ({ ...task, status: task.id === 1 ? 'pending' : task.status, dependencies: [3] })) };
+    fs.writeFileSync(path.join(tempDir, 'tasks', 'tasks.json'), JSON.stringify(blocked));
+
+    expect(await render('start-next-task')).toContain('There is no task to work on');
+  });
+
+  test('expand-with-research should use the recommended number of subtasks unless one is given', async () => {
+    const text = await render('expand-with-research', { id: '3' });
+    expect(text).toContain('Break task 3, "Implement UI Components", down into 3 subtasks');
+    expect(text).toContain('Dependencies:\n- 2: Create Core Functionality (in-progress)');
+    expect(text).toContain('Complexity analysis: score 4/10, 3 subtasks recommended. Plain components.');
+    expect(text).not.toContain('Additional context');
+
+    const custom = await render('expand-with-research', { id: '3', num: '6', context: 'Use Tailwind' });
+    expect(custom).toContain('down into 6 subtasks');
+    expect(custom).toContain('Additional context: Use Tailwind');
+  });
+
+  test('review-task should list the subtasks, and the dependencies of subtasks by full ID', async () => {
+    const text = await render('review-task', { id: '3' });
+    expect(text).toContain('task 3, "Implement UI Components" (status: pending)');
+    expect(text).toContain('Subtasks:\n- 3.1: Create Header Component (pending)\n- 3.2: Create Footer Component (pending)');
+    expect(text).toContain('Complexity analysis: score 4/10');
+    expect(text).toContain('Test strategy: Test components with React Testing Library');
+
+    const withSiblings = JSON.parse(JSON.stringify(sampleTasks));
+    withSiblings.tasks[2].subtasks[1].dependencies = [1];
+    fs.writeFileSync(path.join(tempDir, 'tasks', 'tasks.json'), JSON.stringify(withSiblings));
+
+    const subtask = await render('review-task', { id: '3.2' });
+    expect(subtask).toContain('task 3.2, "Create Footer Component"');
+    expect(subtask).toContain('Dependencies:\n- 3.1: Create Header Component (pending)');
+    expect(subtask).not.toContain('Complexity analysis');
+  });
+
+  test('log-implementation-drift should list the tasks affected by the change', async () => {
+    const text = await render('log-implementation-drift', { id: '2', changes: 'Used sessions instead of JWT' });
+
+    expect(text).toContain('task 2, "Create Core Functionality", differs from what was planned');
+    expect(text).toContain('What was planned:\nImplement user authentication');
+    expect(text).toContain('What changed:\nUsed sessions instead of JWT');
+    expect(text).toContain('Tasks that depend on task 2 and are not done:\n- 3: Implement UI Components (pending)');
+    expect(text).toContain('from "3"');
+  });
+
+  test('should fail clearly for unknown or missing task IDs', async () => {
+    for (const [name, args, message] of [
+      ['expand-with-research', { id: '9' }, 'Task with ID 9 not found'],
+      ['review-task', { id: '9' }, 'Task with ID 9 not found'],
+      ['review-task', { id: '3.7' }, 'Task with ID 3.7 not found'],
+      ['log-implementation-drift', { id: '9', changes: 'None' }, 'Task with ID 9 not found']
+    ]) {
+      await expect(render(name, args)).rejects.toThrow(message);
+    }
+    await expect(render('review-task', {})).rejects.toThrow('Missing required argument: id');
+    await expect(render('log-implementation-drift', { id: '2' })).rejects.toThrow('Missing required argument: changes');
+  });
+
+  test('should fail clearly without a tasks file', async () => {
+    fs.rmSync(path.join(tempDir, 'tasks', 'tasks.json'));
+    await expect(render('start-next-task')).rejects.toThrow('No valid tasks found');
+  });
+});
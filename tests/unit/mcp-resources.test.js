@@ -0,0 +1,167 @@
+/**
+ * MCP resource tests
+ *
+ * The resources are served by an McpHttpServer and read by an MCP client, like
+ * an editor would.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { withProjectRoot, readTasks, writeTasks } from '../../scripts/modules/utils.js';
+import { migrateStorage } from '../../scripts/modules/task-manager.js';
+import { McpHttpServer } from '../../mcp-server/src/http.js';
+import {
+  registerTaskMasterResources,
+  watchTaskResources,
+  handleSubscriptions
+} from '../../mcp-server/src/resources/index.js';
+
+/**
+ * Collect what the register functions add, as the server does
+ * @returns {Object} - { registry, definitions }
+ */
+const createRegistry = () => {
+  const definitions = { tools: [], resources: [], resourcesTemplates: [], prompts: [] };
+  const registry = {
+    addTool: (tool) => definitions.tools.push(tool),
+    addResource: (resource) => definitions.resources.push(resource),
+    addResourceTemplate: (template) => definitions.resourcesTemplates.push(template),
+    addPrompt: (prompt) => definitions.prompts.push(prompt)
+  };
+  return { registry, definitions };
+};
+
+describe('MCP resources', () => {
+  let tempDir;
+  let tasksPath;
+  let server;
+  let stopWatching;
+  let client;
+
+  const readJson = async (uri) => JSON.parse((await client.readResource({ uri })).contents[0].text);
+
+  /**
+   * Wait up to 5 seconds for a condition, checking it every 100ms
+   * @param {Function} condition - Returns true once done
+   */
+  const waitFor = async (condition) => {
+    for (let waited = 0; !condition() && waited < 5000; waited += 100) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  };
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-resources-'));
+    tasksPath = path.join(tempDir, 'tasks', 'tasks.json');
+    fs.mkdirSync(path.dirname(tasksPath));
+    fs.writeFileSync(tasksPath, JSON.stringify({
+      tasks: [
+        { id: 1, title: 'Set up repo', description: '', status: 'done', dependencies: [], priority: 'high' },
+        {
+          id: 2,
+          title: 'Auth API',
+          description: 'Login and tokens',
+          status: 'pending',
+          dependencies: [1],
+          priority: 'medium',
+          subtasks: [{ id: 1, title: 'Tokens', status: 'pending', dependencies: [] }]
+        },
+        { id: 3, title: 'Dashboard', description: '', status: 'pending', dependencies: [2], priority: 'low' }
+      ]
+    }));
+
+    const { registry, definitions } = createRegistry();
+    registerTaskMasterResources(registry, tempDir);
+    server = new McpHttpServer({ name: 'Test Server', version: '1.0.0', definitions, prepareSession: handleSubscriptions });
+    stopWatching = await watchTaskResources(server, tempDir);
+    const { port } = await server.start({ port: 0, host: '127.0.0.1' });
+
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(new SSEClientTransport(new URL(`http://127.0.0.1:${port}/sse`)));
+  });
+
+  afterEach(async () => {
+    await client.close();
+    stopWatching();
+    await server.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should advertise resource subscriptions', () => {
+    expect(client.getServerCapabilities().resources).toEqual({ subscribe: true });
+  });
+
+  test('should read the task list and the next task', async () => {
+    expect((await readJson('tasks://list')).tasks.map(task => task.id)).toEqual([1, 2, 3]);
+    expect((await readJson('tasks://next')).task).toMatchObject({ id: 2, title: 'Auth API' });
+  });
+
+  test('should read tasks, subtasks and their subtasks through the templates', async () => {
+    expect((await readJson('tasks://2')).task).toMatchObject({ id: 2, title: 'Auth API', dependencies: [1] });
+    expect((await readJson('tasks://2.1')).task).toMatchObject({ id: 1, title: 'Tokens', parentId: 2 });
+    expect(await readJson('tasks://2/subtasks')).toEqual({
+      taskId: 2,
+      subtasks: [{ id: 1, title: 'Tokens', status: 'pending', dependencies: [] }]
+    });
+
+    const { resourceTemplates } = await client.listResourceTemplates();
+    expect(resourceTemplates.map(template => template.uriTemplate)).toEqual(['tasks://{id}/subtasks', 'tasks://{id}']);
+  });
+
+  test('should fail for tasks that do not exist and missing reports', async () => {
+    await expect(client.readResource({ uri: 'tasks://9' })).rejects.toThrow('Task with ID 9 not found');
+    await expect(client.readResource({ uri: 'reports://complexity' })).rejects.toThrow('No complexity report found');
+  });
+
+  test('should notify subscribed sessions when tasks.json changes', async () => {
+    const updated = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+      updated.push(notification.params.uri);
+    });
+    await client.subscribeResource({ uri: 'tasks://2' });
+    await client.subscribeResource({ uri: 'tasks://list' });
+
+    // Modification times are compared, so make sure the new one differs
+    const data = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+    data.tasks[1].status = 'in-progress';
+    fs.writeFileSync(tasksPath, JSON.stringify(data));
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(tasksPath, later, later);
+
+    await waitFor(() => updated.length >= 2);
+    expect(updated.sort()).toEqual(['tasks://2', 'tasks://list']);
+    expect((await readJson('tasks://2')).task.status).toBe('in-progress');
+
+    await client.unsubscribeResource({ uri: 'tasks://2' });
+  });
+
+  test('should keep notifying after the tasks move to another backend', async () => {
+    const updated = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+      updated.push(notification.params.uri);
+    });
+    await client.subscribeResource({ uri: 'tasks://list' });
+
+    withProjectRoot(tempDir, () => migrateStorage(tasksPath, 'directory'));
+    await waitFor(() => updated.length >= 1);
+    expect(fs.existsSync(tasksPath)).toBe(false);
+    // Removing tasks.json and switching the backend may each be notified
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const notified = updated.length;
+
+    const data = withProjectRoot(tempDir, () => readTasks(tasksPath));
+    data.tasks[1].status = 'in-progress';
+    withProjectRoot(tempDir, () => writeTasks(tasksPath, data));
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(path.join(tempDir, 'tasks', 'tasks.d'), later, later);
+
+    await waitFor(() => updated.length > notified);
+    expect(updated.length).toBe(notified + 1);
+    expect(new Set(updated)).toEqual(new Set(['tasks://list']));
+    expect((await readJson('tasks://list')).tasks[1].status).toBe('in-progress');
+  });
+});
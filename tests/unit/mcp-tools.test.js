@@ -0,0 +1,411 @@
+/**
+ * MCP tool tests
+ *
+ * The tools are called through an McpHttpServer by an MCP client, with a fake
+ * AI provider answering for the AI layer.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { CONFIG, getProjectRoot } from '../../scripts/modules/utils.js';
+import { registerProvider, createUsage } from '../../scripts/modules/ai-providers.js';
+import {
+  PRD_RESPONSE_SCHEMA,
+  COMPLEXITY_RESPONSE_SCHEMA,
+  TASK_UPDATE_RESPONSE_SCHEMA
+} from '../../scripts/modules/ai-schemas.js';
+import { readHistory } from '../../scripts/modules/history.js';
+import { McpHttpServer } from '../../mcp-server/src/http.js';
+import { registerTaskMasterTools } from '../../mcp-server/src/tools/index.js';
+import { runTaskMasterFunction, fixProjectRoot } from '../../mcp-server/src/tools/utils.js';
+import { sampleTasks } from '../fixtures/sample-tasks.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures');
+const log = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+/**
+ * A promise with its resolve function, to hold a call until the test lets it go
+ * @returns {Object} - { promise, resolve }
+ */
+const createGate = () => {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('MCP tools', () => {
+  let tempDir;
+  let projects;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-mcp-'));
+    projects = ['a', 'b'].map((name) => {
+      const root = path.join(tempDir, name);
+      fs.mkdirSync(path.join(root, 'tasks'), { recursive: true });
+      return root;
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('runTaskMasterFunction', () => {
+    test('should resolve paths against the project root without changing directory', async () => {
+      const cwd = process.cwd();
+      const result = await runTaskMasterFunction(log, { projectRoot: projects[0], file: 'tasks/other.json' }, (context) => ({
+        tasksPath: context.tasksPath,
+        report: context.resolvePath(undefined, 'scripts/report.json'),
+        projectRoot: getProjectRoot(),
+        cwd: process.cwd()
+      }));
+
+      expect(result).toEqual({
+        success: true,
+        data: {
+          tasksPath: path.join(projects[0], 'tasks', 'other.json'),
+          report: path.join(projects[0], 'scripts', 'report.json'),
+          projectRoot: projects[0],
+          cwd
+        }
+      });
+      expect(getProjectRoot()).toBe(cwd);
+    });
+
+    test('should run changes to the same tasks file one at a time, and others side by side', async () => {
+      const started = [];
+      const gate = createGate();
+      const call = (name, projectRoot, options) => runTaskMasterFunction(log, { projectRoot }, async () => {
+        started.push(name);
+        if (name === 'slow') {
+          await gate.promise;
+        }
+        return name;
+      }, options);
+
+      const calls = [
+        call('slow', projects[0]),
+        call('same file', projects[0]),
+        call('other project', projects[1]),
+        call('read', projects[0], { readOnly: true })
+      ];
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(started.sort()).toEqual(['other project', 'read', 'slow']);
+      // Other processes are not locked out while a call runs, only while it saves
+      expect(fs.existsSync(path.join(projects[0], 'tasks', 'tasks.json.lock'))).toBe(false);
+
+      gate.resolve();
+      const results = await Promise.all(calls);
+      expect(started[3]).toBe('same file');
+      expect(results.map((result) => result.data)).toEqual(['slow', 'same file', 'other project', 'read']);
+      expect(fs.existsSync(path.join(projects[0], 'tasks', 'tasks.json.lock'))).toBe(false);
+    });
+
+    test('should return the error and its code instead of throwing', async () => {
+      const failing = await runTaskMasterFunction(log, { projectRoot: projects[0] }, () => {
+        throw Object.assign(new Error('No such task'), { code: 'NOT_FOUND' });
+      });
+      expect(failing).toEqual({ success: false, error: 'No such task', code: 'NOT_FOUND' });
+
+      // A failed call does not hold up the next one on the same file
+      const next = await runTaskMasterFunction(log, { projectRoot: projects[0] }, () => 'ok');
+      expect(next).toEqual({ success: true, data: 'ok' });
+    });
+
+    test('should confine calls to a fixed project root', async () => {
+      const call = (location, file) => runTaskMasterFunction(log, location, ({ tasksPath, resolvePath }) =>
+        (file ? resolvePath(file) : tasksPath));
+
+      fixProjectRoot(projects[0]);
+      try {
+        expect(await call({ projectRoot: projects[0] })).toEqual({ success: true, data: path.join(projects[0], 'tasks', 'tasks.json') });
+        expect(await call({ projectRoot: `${projects[0]}/tasks/..`, file: 'tasks/other.json' })).toMatchObject({ success: true });
+        expect(await call({ projectRoot: projects[0] }, 'scripts/..report.json')).toMatchObject({ success: true });
+
+        expect(await call({ projectRoot: projects[1] })).toEqual({
+          success: false,
+          error: `This server only works in the project at ${projects[0]}`,
+          code: 'FORBIDDEN'
+        });
+        expect(await call({ projectRoot: projects[0], file: '../b/tasks/tasks.json' })).toMatchObject({ success: false, code: 'FORBIDDEN' });
+        expect(await call({ projectRoot: projects[0] }, '/etc/passwd')).toMatchObject({ success: false, code: 'FORBIDDEN' });
+      } finally {
+        fixProjectRoot(null);
+      }
+      expect(await call({ projectRoot: projects[1] })).toMatchObject({ success: true });
+    });
+  });
+
+  describe('tools', () => {
+    let server;
+    let client;
+    let tasksPath;
+    let originalProvider;
+
+    // Canned answers of the fake AI provider, by the schema it is asked for
+    const answers = new Map([
+      [PRD_RESPONSE_SCHEMA, {
+        tasks: [
+          { id: 1, title: 'Set up repo', description: 'Tooling', status: 'pending', dependencies: [], priority: 'high', details: '', testStrategy: '' },
+          { id: 2, title: 'Auth API', description: 'Login', status: 'pending', dependencies: [1], priority: 'medium', details: '', testStrategy: '' }
+        ]
+      }],
+      [TASK_UPDATE_RESPONSE_SCHEMA, [
+        { ...sampleTasks.tasks[2], description: 'Create the user interface components with sessions' }
+      ]],
+      [COMPLEXITY_RESPONSE_SCHEMA, sampleTasks.tasks.map(task => ({
+        taskId: task.id,
+        taskTitle: task.title,
+        complexityScore: task.id * 3,
+        recommendedSubtasks: task.id + 1,
+        expansionPrompt: `Break down ${task.title}`,
+        reasoning: 'Estimated by the fake provider'
+      }))]
+    ]);
+
+    const fakeProvider = {
+      name: 'test-tools',
+      cacheable: false,
+      complete: async (params) => ({
+        text: JSON.stringify(answers.get(params.schema) ?? {}),
+        model: 'fake-model',
+        usage: createUsage(10, 20)
+      }),
+      stream: async (params, onChunk) => {
+        const response = await fakeProvider.complete(params);
+        onChunk(response.text);
+        return response;
+      }
+    };
+
+    /**
+     * Call a tool in the temp project
+     * @param {string} name - Tool name
+     * @param {Object} [args] - Tool arguments besides projectRoot
+     * @returns {Promise<Object>} - { success, data } of a successful call, { success, error } of a failed one
+     */
+    const call = async (name, args = {}) => {
+      const { content, isError } = await client.callTool({ name, arguments: { projectRoot: tempDir, ...args } });
+      return isError ? { success: false, error: content[0].text } : { success: true, data: JSON.parse(content[0].text) };
+    };
+
+    /**
+     * Call a tool with arguments its schema rejects
+     * @param {string} name - Tool name
+     * @param {Object} args - Tool arguments besides projectRoot
+     * @returns {Promise} - Rejected with the invalid parameters error
+     */
+    const callInvalid = (name, args) =>
+      client.callTool({ name, arguments: { projectRoot: tempDir, ...args } });
+
+    const readSavedTasks = () => JSON.parse(fs.readFileSync(tasksPath, 'utf8')).tasks;
+
+    beforeAll(() => {
+      originalProvider = CONFIG.aiProvider;
+      registerProvider('test-tools', () => fakeProvider);
+      CONFIG.aiProvider = 'test-tools';
+    });
+
+    afterAll(() => {
+      CONFIG.aiProvider = originalProvider;
+    });
+
+    beforeEach(async () => {
+      tasksPath = path.join(tempDir, 'tasks', 'tasks.json');
+      fs.mkdirSync(path.join(tempDir, 'tasks'));
+      fs.mkdirSync(path.join(tempDir, 'scripts'));
+      fs.writeFileSync(tasksPath, JSON.stringify(sampleTasks));
+      fs.copyFileSync(path.join(fixturesDir, 'sample-prd.txt'), path.join(tempDir, 'scripts', 'prd.txt'));
+
+      const definitions = { tools: [], resources: [], resourcesTemplates: [], prompts: [] };
+      registerTaskMasterTools({ addTool: (tool) => definitions.tools.push(tool) });
+      server = new McpHttpServer({ name: 'Test Server', version: '1.0.0', definitions });
+      const { port } = await server.start({ port: 0, host: '127.0.0.1' });
+
+      client = new Client({ name: 'test-client', version: '1.0.0' });
+      await client.connect(new SSEClientTransport(new URL(`http://127.0.0.1:${port}/sse`)));
+    });
+
+    afterEach(async () => {
+      await client.close();
+      await server.stop();
+    });
+
+    test('should register all tools with their schemas', async () => {
+      const { tools } = await client.listTools();
+      const byName = Object.fromEntries(tools.map(tool => [tool.name, tool.inputSchema]));
+      expect(Object.keys(byName)).toEqual(expect.arrayContaining([
+        'parsePRD', 'updateTasks', 'generateTaskFiles', 'analyzeComplexity', 'complexityReport', 'clearSubtasks',
+        'addSubtask', 'removeSubtask', 'addDependency', 'removeDependency', 'validateDependencies', 'fixDependencies'
+      ]));
+      expect(byName.addDependency.required).toEqual(['id', 'dependsOn', 'projectRoot']);
+      expect(byName.generateTaskFiles.properties.format.enum).toEqual(['txt', 'md']);
+    });
+
+    test('parsePRD should write the tasks generated from the PRD', async () => {
+      const result = await call('parsePRD', { numTasks: 2, output: 'tasks/prd.json' });
+      expect(result).toMatchObject({ success: true, data: { tasks: [{ id: 1, title: 'Set up repo' }, { id: 2, dependencies: [1] }] } });
+      const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'tasks', 'prd.json'), 'utf8'));
+      expect(saved.tasks.map(task => task.title)).toEqual(['Set up repo', 'Auth API']);
+
+      const missing = await call('parsePRD', { input: 'missing.txt' });
+      expect(missing).toMatchObject({ success: false, error: expect.stringMatching(/^Error parsing PRD: ENOENT/) });
+      await expect(callInvalid('parsePRD', { numTasks: 'two' })).rejects.toThrow('Invalid parsePRD parameters');
+      expect(readSavedTasks()).toHaveLength(3);
+    });
+
+    test('updateTasks should save the tasks rewritten from the prompt', async () => {
+      const result = await call('updateTasks', { from: '3', prompt: 'Use sessions' });
+      expect(result.success).toBe(true);
+      expect(result.data.tasks.map(task => [task.id, task.description])).toEqual([
+        [3, 'Create the user interface components with sessions']
+      ]);
+      expect(readSavedTasks()[2].description).toBe('Create the user interface components with sessions');
+
+      await expect(callInvalid('updateTasks', { from: '3' })).rejects.toThrow('Invalid updateTasks parameters');
+    });
+
+    test('expandTask should fail without saving when no subtasks come back', async () => {
+      // The fake provider has no answer for the subtask schema
+      const result = await call('expandTask', { id: '2', num: 3 });
+      expect(result).toMatchObject({ success: false, error: expect.stringContaining('No subtasks were generated for task 2') });
+      expect(fs.readFileSync(tasksPath, 'utf8')).toBe(JSON.stringify(sampleTasks));
+    });
+
+    test('generateTaskFiles should write a file per task in the chosen format', async () => {
+      const result = await call('generateTaskFiles', { format: 'md', output: 'docs' });
+      expect(result).toEqual({
+        success: true,
+        data: {
+          outputDir: path.join(tempDir, 'docs'),
+          format: 'md',
+          generated: ['task_001.md', 'task_002.md', 'task_003.md'],
+          skipped: []
+        }
+      });
+      expect(fs.existsSync(path.join(tempDir, 'docs', 'task_003.md'))).toBe(true);
+
+      await expect(callInvalid('generateTaskFiles', { format: 'pdf' })).rejects.toThrow('Invalid generateTaskFiles parameters');
+    });
+
+    test('analyzeComplexity should write the report of the analysis', async () => {
+      const result = await call('analyzeComplexity', { threshold: 4 });
+      expect(result.success).toBe(true);
+      expect(result.data.meta).toMatchObject({ tasksAnalyzed: 3, thresholdScore: 4, usedResearch: false });
+      expect(result.data.complexityAnalysis.map(entry => [entry.taskId, entry.complexityScore])).toEqual([[1, 3], [2, 6], [3, 9]]);
+      expect(fs.existsSync(path.join(tempDir, 'scripts', 'task-complexity-report.json'))).toBe(true);
+
+      await expect(callInvalid('analyzeComplexity', { threshold: 'high' })).rejects.toThrow('Invalid analyzeComplexity parameters');
+    });
+
+    test('complexityReport should return the saved report, or fail without one', async () => {
+      const missing = await call('complexityReport');
+      expect(missing).toMatchObject({ success: false, error: expect.stringContaining('No complexity report found') });
+
+      const report = { meta: { tasksAnalyzed: 1 }, complexityAnalysis: [{ taskId: 2, complexityScore: 7 }] };
+      fs.writeFileSync(path.join(tempDir, 'scripts', 'task-complexity-report.json'), JSON.stringify(report));
+      expect(await call('complexityReport')).toEqual({ success: true, data: report });
+    });
+
+    test('clearSubtasks should clear the subtasks of the given tasks', async () => {
+      expect(await call('clearSubtasks', { id: '3' })).toEqual({ success: true, data: { cleared: [3] } });
+      expect(readSavedTasks()[2].subtasks).toEqual([]);
+      expect(readHistory(tasksPath)[0]).toMatchObject({ command: 'mcp', args: { tool: 'clearSubtasks', id: '3' } });
+
+      expect(await call('clearSubtasks')).toEqual({
+        success: false,
+        error: 'Error clearing subtasks: Please specify task IDs with id or set all'
+      });
+    });
+
+    test('addSubtask should add a subtask to the parent', async () => {
+      const result = await call('addSubtask', { parent: '2', title: 'Tokens', dependencies: ['3.1'] });
+      expect(result).toEqual({
+        success: true,
+        data: {
+          parentId: 2,
+          subtask: { id: 1, title: 'Tokens', description: '', details: '', status: 'pending', dependencies: ['3.1'], parentTaskId: 2 }
+        }
+      });
+      expect(readSavedTasks()[1].subtasks.map(subtask => subtask.title)).toEqual(['Tokens']);
+
+      expect(await call('addSubtask', { parent: '9', title: 'Orphan' })).toEqual({
+        success: false,
+        error: 'Error adding subtask: Parent task with ID 9 not found'
+      });
+    });
+
+    test('removeSubtask should remove a subtask or turn it into a task', async () => {
+      expect(await call('removeSubtask', { id: '3.1' })).toEqual({ success: true, data: { removed: '3.1', task: null } });
+
+      const converted = await call('removeSubtask', { id: '3.2', convert: true });
+      expect(converted).toMatchObject({ success: true, data: { removed: '3.2', task: { id: 4, title: 'Create Footer Component', dependencies: [3] } } });
+      expect(readSavedTasks().map(task => task.id)).toEqual([1, 2, 3, 4]);
+
+      expect(await call('removeSubtask', { id: '3.9' })).toMatchObject({ success: false, error: expect.stringMatching(/^Error removing subtask: /) });
+    });
+
+    test('addDependency should add a dependency but refuse cycles', async () => {
+      const result = await call('addDependency', { id: '3', dependsOn: '1' });
+      expect(result).toMatchObject({ success: true, data: { taskId: 3, changed: true } });
+      expect(result.data.dependencies.map(String)).toEqual(['2', '1']);
+
+      expect(await call('addDependency', { id: '1', dependsOn: '2' })).toEqual({
+        success: false,
+        error: 'Error adding dependency: Cannot add dependency 2 to task 1 as it would create a circular dependency.'
+      });
+      expect(readSavedTasks()[0].dependencies).toEqual([]);
+    });
+
+    test('removeDependency should remove a dependency', async () => {
+      expect(await call('removeDependency', { id: '2', dependsOn: '1' })).toEqual({
+        success: true,
+        data: { taskId: 2, dependencies: [], changed: true }
+      });
+      expect(readSavedTasks()[1].dependencies).toEqual([]);
+
+      expect(await call('removeDependency', { id: '9', dependsOn: '1' })).toEqual({
+        success: false,
+        error: 'Error removing dependency: Task 9 not found.'
+      });
+    });
+
+    test('validateDependencies should report the issues without fixing them', async () => {
+      expect(await call('validateDependencies')).toMatchObject({ success: true, data: { valid: true, issues: [] } });
+
+      const broken = JSON.parse(JSON.stringify(sampleTasks));
+      broken.tasks[1].dependencies = [1, 9];
+      fs.writeFileSync(tasksPath, JSON.stringify(broken));
+      const result = await call('validateDependencies');
+      expect(result).toMatchObject({
+        success: true,
+        data: { valid: false, issues: [{ type: 'missing', taskId: 2, dependencyId: 9 }] }
+      });
+      expect(readSavedTasks()[1].dependencies).toEqual([1, 9]);
+
+      expect(await call('validateDependencies', { file: 'tasks/missing.json' })).toMatchObject({
+        success: false,
+        error: expect.stringContaining('No valid tasks found')
+      });
+    });
+
+    test('fixDependencies should remove invalid dependencies', async () => {
+      const broken = JSON.parse(JSON.stringify(sampleTasks));
+      broken.tasks[1].dependencies = [1, 9];
+      fs.writeFileSync(tasksPath, JSON.stringify(broken));
+
+      const result = await call('fixDependencies');
+      expect(result).toMatchObject({ success: true, data: { changed: true, nonExistentDependenciesRemoved: 1 } });
+      expect(readSavedTasks()[1].dependencies).toEqual([1]);
+
+      expect(await call('fixDependencies', { file: 'tasks/missing.json' })).toMatchObject({
+        success: false,
+        error: expect.stringContaining('No valid tasks found')
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * JSON output tests
+ *
+ * --json patches process-wide output, so the CLI runs in a child process.
+ * runQuietly only affects the call it wraps and is tested in-process.
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { isJsonOutput, isQuietOutput, runQuietly, terminal, createCodedError, JSON_SCHEMA_VERSION } from '../../scripts/modules/output.js';
+import { log } from '../../scripts/modules/utils.js';
+
+const devScript = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../scripts/dev.js');
+
+describe('JSON Output', () => {
+  let tempDir;
+
+  const run = (...args) => {
+    const result = spawnSync('node', [devScript, ...args], { cwd: tempDir, encoding: 'utf8', timeout: 30000 });
+    return { status: result.status, envelope: JSON.parse(result.stdout) };
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-output-'));
+    fs.mkdirSync(path.join(tempDir, 'tasks'));
+    fs.writeFileSync(path.join(tempDir, 'tasks', 'tasks.json'), JSON.stringify({
+      tasks: [
+        { id: 1, title: 'Set up repo', status: 'done', dependencies: [] },
+        { id: 2, title: 'Auth API', status: 'pending', dependencies: [1, 9], subtasks: [{ id: 1, title: 'Tokens', status: 'pending', dependencies: [] }] }
+      ]
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should stay off unless --json is given', () => {
+    expect(isJsonOutput()).toBe(false);
+    expect(createCodedError('Gone', 'NOT_FOUND')).toMatchObject({ message: 'Gone', code: 'NOT_FOUND' });
+  });
+
+  test('should run functions quietly and pass their log messages on', async () => {
+    const printed = [];
+    const originalLog = console.log;
+    const printToList = (...args) => printed.push(args.join(' '));
+    console.log = printToList;
+    const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+    try {
+      const quiet = await runQuietly(async () => {
+        terminal.log('boxed output');
+        log('warn', 'Careful');
+        return isQuietOutput();
+      }, logger);
+      terminal.log('outside');
+
+      expect(quiet).toBe(true);
+      expect(isQuietOutput()).toBe(false);
+      expect(printed).toEqual(['outside']);
+      // The console itself is left alone
+      expect(console.log).toBe(printToList);
+      expect(logger.warn).toHaveBeenCalledWith('Careful');
+    } finally {
+      console.log = originalLog;
+    }
+  });
+
+  test('should print only the result envelope', () => {
+    const { status, envelope } = run('--json', 'list', 'status:pending');
+
+    expect(status).toBe(0);
+    expect(envelope).toMatchObject({ ok: true, command: 'list', schemaVersion: JSON_SCHEMA_VERSION });
+    expect(envelope.data).toMatchObject({ count: 1, total: 2, tasks: [{ id: 2, title: 'Auth API' }] });
+  });
+
+  test('should report subtasks with their parent ID and dependency issues as data', () => {
+    expect(run('show', '2.1', '--json').envelope.data.task).toEqual({ id: 1, title: 'Tokens', status: 'pending', dependencies: [], parentId: 2 });
+    expect(run('--json', 'validate-dependencies').envelope.data).toMatchObject({
+      valid: false,
+      issues: [{ type: 'missing', taskId: 2, dependencyId: 9 }],
+      dependencyCount: 2
+    });
+  });
+
+  test('should report dependency changes and generated task files', () => {
+    expect(run('--json', 'add-dependency', '--id=2', '--depends-on=1').envelope.data).toEqual({ taskId: 2, dependencies: [1, 9], changed: false });
+    expect(run('--json', 'remove-dependency', '--id=2', '--depends-on=1').envelope.data).toEqual({ taskId: 2, dependencies: [9], changed: true });
+    expect(run('--json', 'generate', '--force').envelope.data).toEqual({
+      outputDir: 'tasks',
+      format: 'txt',
+      generated: ['task_001.txt', 'task_002.txt'],
+      skipped: []
+    });
+  });
+
+  test('should turn failures into an error envelope', () => {
+    expect(run('--json', 'show', '42')).toEqual({
+      status: 1,
+      envelope: { ok: false, command: 'show', schemaVersion: JSON_SCHEMA_VERSION, error: { code: 'NOT_FOUND', message: 'Task with ID 42 not found' } }
+    });
+    expect(run('--json', 'set-status', '--id=1').envelope.error).toEqual({ code: 'ERROR', message: 'Both --id and --status are required' });
+    expect(run('--json', 'remove-task', '--id=2').envelope.error.code).toBe('CONFIRMATION_REQUIRED');
+    expect(run('--json', 'list', '--bogus').envelope.error.message).toBe("unknown option '--bogus'");
+  });
+
+  test('should keep the codes of errors that commands catch', () => {
+    const codes = [
+      [['list', 'foo:bar'], 'INVALID_INPUT'],
+      [['list', '--format', 'xml'], 'INVALID_INPUT'],
+      [['list', '--sort', 'zzz'], 'INVALID_INPUT'],
+      [['next', '--where', 'estimate'], 'INVALID_INPUT'],
+      [['set-field', '--id=1', '--field=estimate', '--value=3'], 'INVALID_INPUT'],
+      [['add-dependency', '--id=1', '--depends-on=2'], 'INVALID_INPUT'],
+      [['move', '--from=99', '--to=3'], 'NOT_FOUND'],
+      [['remove-task', '--id=9', '--yes'], 'NOT_FOUND'],
+      [['complexity-report'], 'NOT_FOUND']
+    ];
+    for (const [args, code] of codes) {
+      const { status, envelope } = run('--json', ...args);
+      expect({ args, status, code: envelope.error.code }).toEqual({ args, status: 1, code });
+    }
+  });
+});
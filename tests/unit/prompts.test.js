@@ -0,0 +1,109 @@
+/**
+ * Prompts module tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  PROMPT_TEMPLATES,
+  loadPrompt,
+  renderTemplate,
+  listPrompts,
+  diffLines
+} from '../../scripts/modules/prompts.js';
+
+describe('Prompts Module', () => {
+  describe('renderTemplate', () => {
+    test('should substitute plain and dotted variables', () => {
+      const result = renderTemplate('Task {{task.id}}: {{ task.title }} ({{count}})', {
+        task: { id: 3, title: 'Write docs' },
+        count: 2
+      });
+
+      expect(result).toBe('Task 3: Write docs (2)');
+    });
+
+    test('should include conditional blocks only for truthy variables', () => {
+      const template = 'Start\n{{#if extra}}Extra: {{extra}}\n{{/if}}End';
+
+      expect(renderTemplate(template, { extra: 'more' })).toBe('Start\nExtra: more\nEnd');
+      expect(renderTemplate(template, { extra: '' })).toBe('Start\nEnd');
+    });
+
+    test('should render missing fields of a known variable as empty', () => {
+      expect(renderTemplate('Priority: {{task.priority}}', { task: {} })).toBe('Priority:');
+    });
+
+    test('should reject variables the caller does not provide', () => {
+      expect(() => renderTemplate('Hello {{name}}', {}, 'greeting')).toThrow('Prompt "greeting" uses unknown variable "name"');
+    });
+
+    test('should not expand placeholders inside substituted values', () => {
+      expect(renderTemplate('PRD: {{prd}}', { prd: 'Use {{braces}} literally' })).toBe('PRD: Use {{braces}} literally');
+    });
+  });
+
+  describe('built-in templates', () => {
+    test.each(Object.entries(PROMPT_TEMPLATES))('%s renders with its declared variables', (name, info) => {
+      const variables = Object.fromEntries(info.variables.map(variable => [variable, `<${variable}>`]));
+      const { template, source } = loadPrompt(name, { builtIn: true });
+
+      expect(source).toBe('built-in');
+      expect(renderTemplate(template, variables, name).length).toBeGreaterThan(0);
+    });
+
+    test('should reject unknown template names', () => {
+      expect(() => loadPrompt('does-not-exist')).toThrow('Unknown prompt template "does-not-exist"');
+    });
+  });
+
+  describe('project overrides', () => {
+    let promptsDir;
+
+    beforeEach(() => {
+      promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-prompts-'));
+      fs.writeFileSync(path.join(promptsDir, 'expand-research.md'), 'Research {{task.title}} for our domain');
+    });
+
+    afterEach(() => {
+      fs.rmSync(promptsDir, { recursive: true, force: true });
+    });
+
+    test('should prefer the project override', () => {
+      const prompt = loadPrompt('expand-research', { promptsDir });
+
+      expect(prompt.source).toBe('project');
+      expect(prompt.template).toBe('Research {{task.title}} for our domain');
+    });
+
+    test('should still load the built-in template on request', () => {
+      expect(loadPrompt('expand-research', { promptsDir, builtIn: true }).source).toBe('built-in');
+    });
+
+    test('should report which templates are overridden', () => {
+      const sources = Object.fromEntries(listPrompts(promptsDir).map(prompt => [prompt.name, prompt.source]));
+
+      expect(sources['expand-research']).toBe('project');
+      expect(sources['parse-prd']).toBe('built-in');
+    });
+  });
+
+  describe('diffLines', () => {
+    test('should mark removed, added and unchanged lines', () => {
+      expect(diffLines('a\nb\nc', 'a\nx\nc')).toEqual([
+        { type: ' ', line: 'a' },
+        { type: '-', line: 'b' },
+        { type: '+', line: 'x' },
+        { type: ' ', line: 'c' }
+      ]);
+    });
+
+    test('should handle appended lines', () => {
+      expect(diffLines('a', 'a\nb')).toEqual([
+        { type: ' ', line: 'a' },
+        { type: '+', line: 'b' }
+      ]);
+    });
+  });
+});
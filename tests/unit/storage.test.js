@@ -0,0 +1,208 @@
+/**
+ * Storage module tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import {
+  createJsonStorage,
+  createDirectoryStorage,
+  createSqliteStorage,
+  getStorage,
+  listStorages
+} from '../../scripts/modules/storage.js';
+import { CONFIG, readTasks, writeTasks, updateProjectConfig } from '../../scripts/modules/utils.js';
+
+// better-sqlite3 is optional and may not be installed (or built) here
+const BetterSqlite = (() => {
+  try {
+    const Database = createRequire(import.meta.url)('better-sqlite3');
+    new Database(':memory:').close();
+    return Database;
+  } catch (error) {
+    return null;
+  }
+})();
+
+const sampleData = () => ({
+  meta: { projectName: 'Test Project', revision: 3 },
+  tasks: [
+    { id: 2, title: 'Second', status: 'pending', dependencies: [1] },
+    { id: 1, title: 'First', status: 'done', dependencies: [] }
+  ]
+});
+
+describe('Storage Module', () => {
+  let tempDir;
+  let tasksPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    tasksPath = path.join(tempDir, 'tasks', 'tasks.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should register the built-in backends', () => {
+    expect(listStorages()).toEqual(['json', 'sqlite', 'directory']);
+    expect(() => getStorage('mongo')).toThrow('Unknown storage backend "mongo"');
+  });
+
+  describe('json backend', () => {
+    test('should keep the data in tasks.json itself', () => {
+      const storage = createJsonStorage();
+
+      expect(storage.exists(tasksPath)).toBe(false);
+      fs.mkdirSync(path.dirname(tasksPath));
+      storage.write(tasksPath, sampleData());
+
+      expect(storage.getLocation(tasksPath)).toBe(tasksPath);
+      expect(JSON.parse(fs.readFileSync(tasksPath, 'utf8'))).toEqual(sampleData());
+      expect(storage.read(tasksPath)).toEqual(sampleData());
+    });
+  });
+
+  describe('directory backend', () => {
+    const storage = createDirectoryStorage();
+    const dir = () => path.join(tempDir, 'tasks', 'tasks.d');
+
+    test('should write one file per task and read them back in ID order', () => {
+      storage.write(tasksPath, sampleData());
+
+      expect(fs.readdirSync(dir()).sort()).toEqual(['.gitignore', '.revision', '_meta.json', 'task_001.json', 'task_002.json']);
+      expect(JSON.parse(fs.readFileSync(path.join(dir(), '_meta.json'), 'utf8'))).toEqual({ meta: { projectName: 'Test Project' } });
+      expect(storage.read(tasksPath)).toEqual({ ...sampleData(), tasks: [sampleData().tasks[1], sampleData().tasks[0]] });
+    });
+
+    test('should only rewrite tasks that changed and delete removed tasks', () => {
+      storage.write(tasksPath, sampleData());
+      const firstPath = path.join(dir(), 'task_001.json');
+      const past = new Date(Date.now() - 60000);
+      fs.utimesSync(firstPath, past, past);
+
+      const data = sampleData();
+      data.tasks = [data.tasks[1], { id: 3, title: 'Third', status: 'pending', dependencies: [] }];
+      data.meta.revision = 4;
+      storage.write(tasksPath, data);
+
+      expect(fs.statSync(firstPath).mtimeMs).toBeCloseTo(past.getTime(), -1);
+      expect(fs.existsSync(path.join(dir(), 'task_002.json'))).toBe(false);
+      expect(storage.read(tasksPath).tasks.map(task => task.id)).toEqual([1, 3]);
+      expect(storage.read(tasksPath).meta.revision).toBe(4);
+    });
+
+    test('should remove the whole directory', () => {
+      storage.write(tasksPath, sampleData());
+      storage.remove(tasksPath);
+
+      expect(storage.exists(tasksPath)).toBe(false);
+      expect(fs.existsSync(dir())).toBe(false);
+    });
+  });
+
+  describe('sqlite backend', () => {
+    // Just enough of better-sqlite3 for the statements the backend runs
+    const databases = new Map();
+    class FakeDatabase {
+      constructor(filename) {
+        fs.writeFileSync(filename, '');
+        if (!databases.has(filename)) {
+          databases.set(filename, { fields: [], tasks: [] });
+        }
+        this.tables = databases.get(filename);
+      }
+      exec(sql) {
+        if (sql.startsWith('DELETE')) {
+          this.tables.fields = [];
+          this.tables.tasks = [];
+        }
+      }
+      prepare(sql) {
+        const table = sql.includes('fields') ? 'fields' : 'tasks';
+        return {
+          run: (...values) => this.tables[table].push(table === 'fields'
+            ? { key: values[0], value: values[1] }
+            : { id: values[0], position: values[1], data: values[2] }),
+          all: () => [...this.tables[table]].sort((a, b) => a.position - b.position)
+        };
+      }
+      transaction(fn) {
+        return fn;
+      }
+      close() {}
+    }
+
+    test('should store one row per task next to tasks.json', () => {
+      const storage = createSqliteStorage({ Database: FakeDatabase });
+      storage.write(tasksPath, sampleData());
+
+      expect(storage.getLocation(tasksPath)).toBe(path.join(tempDir, 'tasks', 'tasks.db'));
+      expect(storage.exists(tasksPath)).toBe(true);
+      expect(storage.read(tasksPath)).toEqual(sampleData());
+    });
+
+    (BetterSqlite ? test : test.skip)('should round-trip the tasks through better-sqlite3', () => {
+      const storage = createSqliteStorage();
+      storage.write(tasksPath, sampleData());
+      const data = sampleData();
+      data.tasks = data.tasks.slice(1);
+      storage.write(tasksPath, data);
+
+      expect(storage.read(tasksPath)).toEqual(data);
+      const db = new BetterSqlite(storage.getLocation(tasksPath), { readonly: true });
+      try {
+        expect(db.prepare('SELECT id, position FROM tasks').all()).toEqual([{ id: 1, position: 0 }]);
+      } finally {
+        db.close();
+      }
+
+      storage.remove(tasksPath);
+      expect(storage.exists(tasksPath)).toBe(false);
+    });
+  });
+
+  describe('readTasks / writeTasks', () => {
+    let originalConfigPath;
+
+    beforeEach(() => {
+      originalConfigPath = CONFIG.projectConfigPath;
+      CONFIG.projectConfigPath = path.join(tempDir, '.taskmaster', 'config.json');
+    });
+
+    afterEach(() => {
+      CONFIG.projectConfigPath = originalConfigPath;
+    });
+
+    test('should use the backend set in the project config', () => {
+      updateProjectConfig({ storage: 'directory' });
+      const data = sampleData();
+      delete data.meta.revision;
+
+      writeTasks(tasksPath, data);
+      const saved = readTasks(tasksPath);
+
+      expect(fs.existsSync(tasksPath)).toBe(false);
+      expect(saved.meta.revision).toBe(1);
+      expect(saved.tasks.map(task => task.id)).toEqual([1, 2]);
+    });
+
+    test('should refuse to overwrite changes saved since the data was read', () => {
+      updateProjectConfig({ storage: 'directory' });
+      writeTasks(tasksPath, sampleData(), { overwrite: true });
+
+      const first = readTasks(tasksPath);
+      const second = readTasks(tasksPath);
+      writeTasks(tasksPath, first);
+
+      expect(() => writeTasks(tasksPath, second)).toThrow(expect.objectContaining({ code: 'ESTALE' }));
+    });
+
+    test('should return null when there are no tasks', () => {
+      expect(readTasks(tasksPath)).toBeNull();
+    });
+  });
+});
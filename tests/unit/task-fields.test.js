@@ -0,0 +1,119 @@
+/**
+ * Task fields module tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getFieldDefinitions,
+  parseTags,
+  parseFieldValue,
+  parseWhereClause,
+  createTaskFilter,
+  matchesTaskFilter
+} from '../../scripts/modules/task-fields.js';
+import { CONFIG, updateProjectConfig } from '../../scripts/modules/utils.js';
+
+const definitions = {
+  estimate: { type: 'number' },
+  component: { type: 'enum', values: ['api', 'ui'] },
+  blocked: { type: 'boolean' },
+  due: { type: 'date' },
+  owner: { type: 'string' }
+};
+
+const tasks = [
+  { id: 1, title: 'Auth API', status: 'pending', priority: 'high', tags: ['backend', 'API'], fields: { estimate: 3, component: 'api' } },
+  { id: 2, title: 'Login page', status: 'pending', tags: ['frontend'], fields: { estimate: 8, component: 'ui' } },
+  { id: 3, title: 'Docs', status: 'done' }
+];
+
+const matching = (options) => {
+  const filter = createTaskFilter(options);
+  return tasks.filter(task => matchesTaskFilter(task, filter)).map(task => task.id);
+};
+
+describe('Task Fields Module', () => {
+  describe('getFieldDefinitions', () => {
+    let tempDir;
+    let originalPath;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-fields-test-'));
+      originalPath = CONFIG.projectConfigPath;
+      CONFIG.projectConfigPath = path.join(tempDir, 'config.json');
+    });
+
+    afterEach(() => {
+      CONFIG.projectConfigPath = originalPath;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should read the declared fields with string as the default type', () => {
+      updateProjectConfig({ fields: { owner: {}, estimate: { type: 'number' } } });
+
+      expect(getFieldDefinitions()).toEqual({ owner: { type: 'string' }, estimate: { type: 'number' } });
+    });
+
+    test('should reject invalid declarations', () => {
+      updateProjectConfig({ fields: { status: {} } });
+      expect(() => getFieldDefinitions()).toThrow('Invalid custom field name "status"');
+
+      updateProjectConfig({ fields: { size: { type: 'enum' } } });
+      expect(() => getFieldDefinitions()).toThrow('declares no "values"');
+    });
+  });
+
+  describe('parseTags / parseFieldValue', () => {
+    test('should split, trim and de-duplicate tags', () => {
+      expect(parseTags(' backend, api,,backend ')).toEqual(['backend', 'api']);
+      expect(parseTags(['a', 'b,c'])).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should convert values to the declared type', () => {
+      expect(parseFieldValue('estimate', '2.5', definitions)).toBe(2.5);
+      expect(parseFieldValue('blocked', 'TRUE', definitions)).toBe(true);
+      expect(parseFieldValue('due', '2026-03-01', definitions)).toBe('2026-03-01');
+      expect(parseFieldValue('owner', ' 42 ', definitions)).toBe('42');
+    });
+
+    test('should reject values that do not fit the type', () => {
+      expect(() => parseFieldValue('estimate', 'soon', definitions)).toThrow('must be a number');
+      expect(() => parseFieldValue('component', 'db', definitions)).toThrow('must be one of: api, ui');
+      expect(() => parseFieldValue('due', '01/03/2026', definitions)).toThrow('must be a date');
+      expect(() => parseFieldValue('size', '1', definitions)).toThrow('Unknown field "size"');
+    });
+  });
+
+  describe('filters', () => {
+    test('should parse where clauses', () => {
+      expect(parseWhereClause('estimate <= 3')).toEqual({ field: 'estimate', operator: '<=', value: '3' });
+      expect(parseWhereClause('component!=ui')).toEqual({ field: 'component', operator: '!=', value: 'ui' });
+      expect(() => parseWhereClause('estimate')).toThrow('Invalid --where clause');
+      expect(() => parseWhereClause('estimate<')).toThrow('Invalid --where clause');
+    });
+
+    test('should return no filter without tags or clauses', () => {
+      expect(createTaskFilter({ tags: [], where: [] })).toBeNull();
+      expect(matching({})).toEqual([1, 2, 3]);
+    });
+
+    test('should require every tag, ignoring case', () => {
+      expect(matching({ tags: ['api'] })).toEqual([1]);
+      expect(matching({ tags: ['backend', 'frontend'] })).toEqual([]);
+    });
+
+    test('should compare numbers numerically and text case-insensitively', () => {
+      expect(matching({ where: ['estimate<=3'] })).toEqual([1]);
+      expect(matching({ where: ['estimate>=3', 'component=UI'] })).toEqual([2]);
+      expect(matching({ where: ['title~page'] })).toEqual([2]);
+      expect(matching({ where: ['priority=medium'] })).toEqual([2, 3]);
+    });
+
+    test('should only match tasks without the field with !=', () => {
+      expect(matching({ where: ['component!=api'] })).toEqual([2, 3]);
+      expect(matching({ where: ['tags!=frontend'] })).toEqual([1, 3]);
+    });
+  });
+});
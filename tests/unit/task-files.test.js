@@ -0,0 +1,230 @@
+/**
+ * Task files module tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getTaskFileName,
+  formatTaskFile,
+  parseTaskFile,
+  mergeTaskFile,
+  readSyncState,
+  writeSyncState,
+  writeTaskFile,
+  isTaskFileEdited,
+  planTaskFileSync
+} from '../../scripts/modules/task-files.js';
+
+const tasks = [
+  { id: 1, title: 'Setup', description: 'Set up the repo', status: 'done', dependencies: [], priority: 'high' },
+  {
+    id: 2,
+    title: 'Core',
+    description: 'Build the core',
+    status: 'pending',
+    dependencies: [1],
+    details: 'First line\n\nThird line',
+    testStrategy: 'Unit tests',
+    subtasks: [
+      { id: 1, title: 'Models', description: 'Data models', status: 'done', dependencies: [] },
+      { id: 2, title: 'Services [v2]', description: 'Services', status: 'pending', dependencies: [1, '1'], details: 'Use DI' }
+    ]
+  }
+];
+
+describe('Task Files Module', () => {
+  describe('formatTaskFile / parseTaskFile', () => {
+    test('should name task files by zero-padded ID', () => {
+      expect(getTaskFileName(5)).toBe('task_005.txt');
+      expect(getTaskFileName(1234)).toBe('task_1234.txt');
+    });
+
+    test('should read back what it writes', () => {
+      const parsed = parseTaskFile(formatTaskFile(tasks[1], tasks));
+
+      expect(parsed).toEqual({
+        id: 2,
+        title: 'Core',
+        status: 'pending',
+        dependencies: [1],
+        priority: 'medium',
+        description: 'Build the core',
+        details: 'First line\n\nThird line',
+        testStrategy: 'Unit tests',
+        subtasks: [
+          { id: 1, title: 'Models', status: 'done', dependencies: [], description: 'Data models', details: '' },
+          { id: 2, title: 'Services [v2]', status: 'pending', dependencies: [1, 1], description: 'Services', details: 'Use DI' }
+        ]
+      });
+    });
+
+    test('should ignore dependency status notes', () => {
+      const parsed = parseTaskFile('# Task ID: 3\n# Title: API\n# Dependencies: 1, 2.1 (Not found)\n');
+
+      expect(parsed.dependencies).toEqual([1, '2.1']);
+    });
+
+    test('should reject files without a task ID or title', () => {
+      expect(() => parseTaskFile('# Title: API\n')).toThrow('Missing "# Task ID:" line');
+      expect(() => parseTaskFile('# Task ID: 3\n')).toThrow('Missing "# Title:" line');
+      expect(() => parseTaskFile('# Task ID: three\n')).toThrow('Invalid task ID');
+    });
+  });
+
+  describe('Markdown format', () => {
+    test('should name Markdown task files with the .md extension', () => {
+      expect(getTaskFileName(5, 'md')).toBe('task_005.md');
+    });
+
+    test('should write front matter, dependency links and subtask checkboxes', () => {
+      const content = formatTaskFile(tasks[1], tasks, 'md');
+
+      expect(content.startsWith('---\nid: 2\nstatus: pending\npriority: medium\ndependencies: [1]\n---\n')).toBe(true);
+      expect(content).toContain('# Task 2: Core');
+      expect(content).toContain('**Depends on:** [Task 1: Setup](task_001.md)');
+      expect(content).toContain('- [x] **2.1 Models** (done): Data models');
+      expect(content).toContain('- [ ] **2.2 Services [v2]** (pending): Services');
+    });
+
+    test('should read back what it writes', () => {
+      const parsed = parseTaskFile(formatTaskFile(tasks[1], tasks, 'md'), 'md');
+
+      expect(parsed).toEqual(parseTaskFile(formatTaskFile(tasks[1], tasks)));
+    });
+
+    test('should take a toggled checkbox as the subtask status', () => {
+      const content = formatTaskFile(tasks[1], tasks, 'md')
+        .replace('- [ ] **2.2 Services [v2]** (pending)', '- [x] **2.2 Services [v2]** (pending)')
+        .replace('- [x] **2.1 Models** (done)', '- [ ] **2.1 Models** (done)');
+
+      const parsed = parseTaskFile(content, 'md');
+
+      expect(parsed.subtasks.map(subtask => subtask.status)).toEqual(['pending', 'done']);
+    });
+
+    test('should reject files without front matter', () => {
+      expect(() => parseTaskFile('# Task 2: Core\n', 'md')).toThrow('Missing front matter');
+      expect(() => parseTaskFile('---\nstatus: done\n---\n# Task 2: Core\n', 'md')).toThrow('invalid "id"');
+    });
+  });
+
+  describe('tags and custom fields', () => {
+    const tagged = { ...tasks[0], tags: ['backend', 'api'], fields: { estimate: 3, owner: '42', blocked: false } };
+
+    test('should write and read back tags and typed fields in both formats', () => {
+      const text = formatTaskFile(tagged, tasks);
+      expect(text).toContain('# Tags: backend, api\n# estimate: 3\n# owner: "42"\n# blocked: false\n');
+
+      const markdown = formatTaskFile(tagged, tasks, 'md');
+      expect(markdown).toContain('tags: [backend, api]\nestimate: 3\nowner: "42"\nblocked: false\n---');
+
+      [parseTaskFile(text), parseTaskFile(markdown, 'md')].forEach(parsed => {
+        expect(parsed.tags).toEqual(['backend', 'api']);
+        expect(parsed.fields).toEqual({ estimate: 3, owner: '42', blocked: false });
+      });
+    });
+
+    test('should merge edited tags and fields', () => {
+      const content = formatTaskFile(tagged, tasks)
+        .replace('# Tags: backend, api\n', '')
+        .replace('# estimate: 3', '# estimate: 5');
+
+      const merged = mergeTaskFile(tagged, parseTaskFile(content));
+
+      expect(merged.tags).toBeUndefined();
+      expect(merged.fields).toEqual({ estimate: 5, owner: '42', blocked: false });
+    });
+  });
+
+  describe('mergeTaskFile', () => {
+    test('should apply only the fields edited in the file', () => {
+      const content = formatTaskFile(tasks[1], tasks)
+        .replace('# Title: Core', '# Title: Core engine')
+        .replace('## 2. Services [v2] [pending]', '## 2. Services [v2] [done]');
+
+      const merged = mergeTaskFile(tasks[1], parseTaskFile(content));
+
+      expect(merged.title).toBe('Core engine');
+      expect(merged.subtasks[1].status).toBe('done');
+      // Defaults shown in the file are not written back
+      expect(merged.priority).toBeUndefined();
+      expect(merged.subtasks[1].dependencies).toEqual([1, '1']);
+    });
+
+    test('should add and remove subtasks edited in the file', () => {
+      const content = formatTaskFile(tasks[1], tasks)
+        .replace(/## 1\. Models[\s\S]*?(?=## 2\.)/, '')
+        + '## 3. Docs [pending]\n### Dependencies: 2.2\n### Description: Write docs\n### Details:\n\n';
+
+      const merged = mergeTaskFile(tasks[1], parseTaskFile(content));
+
+      expect(merged.subtasks.map(subtask => subtask.id)).toEqual([2, 3]);
+      expect(merged.subtasks[1]).toMatchObject({ title: 'Docs', dependencies: [2] });
+    });
+  });
+
+  describe('sync state and planTaskFileSync', () => {
+    let outputDir;
+
+    beforeEach(() => {
+      outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-files-test-'));
+      const state = readSyncState(outputDir);
+      tasks.forEach(task => writeTaskFile(outputDir, task, tasks, state));
+      writeSyncState(outputDir, state);
+    });
+
+    afterEach(() => {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    const actions = (taskList) => planTaskFileSync(taskList, outputDir, readSyncState(outputDir))
+      .results.map(result => result.action);
+
+    test('should report nothing to do right after writing', () => {
+      expect(actions(tasks)).toEqual(['unchanged', 'unchanged']);
+      expect(isTaskFileEdited(outputDir, 2, readSyncState(outputDir))).toBe(false);
+    });
+
+    test('should import files edited by hand', () => {
+      const filePath = path.join(outputDir, 'task_002.txt');
+      fs.writeFileSync(filePath, fs.readFileSync(filePath, 'utf8').replace('# Title: Core', '# Title: Core v2'));
+
+      expect(isTaskFileEdited(outputDir, 2, readSyncState(outputDir))).toBe(true);
+      expect(actions(tasks)).toEqual(['unchanged', 'import']);
+    });
+
+    test('should export tasks changed in tasks.json or with missing files', () => {
+      fs.unlinkSync(path.join(outputDir, 'task_001.txt'));
+      const changed = [tasks[0], { ...tasks[1], title: 'Core v2' }];
+
+      expect(actions(changed)).toEqual(['export', 'export']);
+    });
+
+    test('should report a conflict when both sides changed', () => {
+      const filePath = path.join(outputDir, 'task_002.txt');
+      fs.writeFileSync(filePath, fs.readFileSync(filePath, 'utf8').replace('# Title: Core', '# Title: Core (file)'));
+      const changed = [tasks[0], { ...tasks[1], title: 'Core (json)' }];
+
+      expect(actions(changed)).toEqual(['unchanged', 'conflict']);
+    });
+
+    test('should treat identical edits on both sides as unchanged', () => {
+      const filePath = path.join(outputDir, 'task_002.txt');
+      fs.writeFileSync(filePath, fs.readFileSync(filePath, 'utf8').replace('# Title: Core', '# Title: Same'));
+
+      expect(actions([tasks[0], { ...tasks[1], title: 'Same' }])).toEqual(['unchanged', 'unchanged']);
+    });
+
+    test('should flag unparseable files and files without a task', () => {
+      fs.writeFileSync(path.join(outputDir, 'task_002.txt'), 'not a task file');
+      fs.writeFileSync(path.join(outputDir, 'task_009.txt'), '# Task ID: 9\n# Title: Old\n');
+
+      const { results, orphans } = planTaskFileSync(tasks, outputDir, readSyncState(outputDir));
+
+      expect(results[1]).toMatchObject({ action: 'invalid', message: 'Missing "# Task ID:" line' });
+      expect(orphans).toEqual(['task_009.txt']);
+    });
+  });
+});
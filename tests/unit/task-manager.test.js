@@ -4,6 +4,7 @@
 
 import { jest } from '@jest/globals';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 
 // Mock implementations
@@ -223,11 +224,13 @@ const testAddTask = (tasksData, taskPrompt, dependencies = [], priority = 'mediu
 
 // Import after mocks
 import * as taskManager from '../../scripts/modules/task-manager.js';
+import { CONFIG, readProjectConfig, readTasks } from '../../scripts/modules/utils.js';
+import { createTaskFilter } from '../../scripts/modules/task-fields.js';
 import { sampleClaudeResponse } from '../fixtures/sample-claude-response.js';
 import { sampleTasks, emptySampleTasks } from '../fixtures/sample-tasks.js';
 
 // Destructure the required functions for convenience
-const { findNextTask, generateTaskFiles, clearSubtasks } = taskManager;
+const { findNextTask, generateTaskFiles, clearSubtasks, mergeTaskUpdate, planTaskRemoval, planTaskMove, migrateStorage, getTask } = taskManager;
 
 describe('Task Manager Module', () => {
   beforeEach(() => {
@@ -363,6 +366,19 @@ describe('Task Manager Module', () => {
       
       expect(nextTask).toBeNull();
     });
+
+    test('should only consider tasks matching the filter', () => {
+      const tasks = [
+        { id: 1, title: 'Schema', status: 'done', dependencies: [], tags: ['backend'] },
+        { id: 2, title: 'Page', status: 'pending', dependencies: [], priority: 'high', tags: ['frontend'] },
+        { id: 3, title: 'API', status: 'pending', dependencies: [1], priority: 'high', tags: ['backend'], fields: { estimate: 5 } },
+        { id: 4, title: 'Cache', status: 'pending', dependencies: [], tags: ['backend'], fields: { estimate: 2 } }
+      ];
+
+      expect(findNextTask(tasks, createTaskFilter({ tags: ['backend'] })).id).toBe(3);
+      expect(findNextTask(tasks, createTaskFilter({ tags: ['backend'], where: ['estimate<3'] })).id).toBe(4);
+      expect(findNextTask(tasks, createTaskFilter({ tags: ['mobile'] }))).toBeNull();
+    });
   });
 
   describe.skip('analyzeTaskComplexity function', () => {
@@ -619,6 +635,263 @@ describe('Task Manager Module', () => {
     });
   });
   
+  describe('mergeTaskUpdate function', () => {
+    const original = {
+      id: 5,
+      title: 'Build API',
+      description: 'Build the REST API',
+      status: 'in-progress',
+      dependencies: [1],
+      priority: 'high',
+      details: 'Use Fastify',
+      subtasks: [
+        { id: 1, title: 'Routes', description: 'Add routes', status: 'done', dependencies: [] },
+        { id: 2, title: 'Auth', description: 'Add auth', status: 'pending', dependencies: [1] }
+      ]
+    };
+
+    test('should keep the original ID and status', () => {
+      const merged = mergeTaskUpdate(original, { ...original, id: 9, status: 'pending', details: 'Use Express' });
+
+      expect(merged.id).toBe(5);
+      expect(merged.status).toBe('in-progress');
+      expect(merged.details).toBe('Use Express');
+    });
+
+    test('should never change completed subtasks', () => {
+      const merged = mergeTaskUpdate(original, {
+        ...original,
+        subtasks: [
+          { id: 1, title: 'Express routes', description: 'Add Express routes', status: 'pending' },
+          { id: 2, title: 'Express auth', description: 'Add auth middleware', status: 'done' }
+        ]
+      });
+
+      expect(merged.subtasks[0]).toEqual(original.subtasks[0]);
+      expect(merged.subtasks[1]).toEqual({
+        id: 2,
+        title: 'Express auth',
+        description: 'Add auth middleware',
+        status: 'pending',
+        dependencies: [1]
+      });
+    });
+
+    test('should keep the original subtasks when the update leaves them out', () => {
+      const { subtasks, ...withoutSubtasks } = original;
+      const merged = mergeTaskUpdate(original, { ...withoutSubtasks, title: 'Build Express API' });
+
+      expect(merged.title).toBe('Build Express API');
+      expect(merged.subtasks).toEqual(original.subtasks);
+    });
+
+    test('should append new subtasks as pending', () => {
+      const merged = mergeTaskUpdate(original, {
+        ...original,
+        subtasks: [...original.subtasks, { id: 3, title: 'Docs', description: 'Write docs', status: 'done' }]
+      });
+
+      expect(merged.subtasks).toHaveLength(3);
+      expect(merged.subtasks[2]).toEqual({ id: 3, title: 'Docs', description: 'Write docs', status: 'pending' });
+    });
+  });
+
+  describe('planTaskRemoval function', () => {
+    const tasks = [
+      { id: 1, title: 'Setup', status: 'done', dependencies: [] },
+      { id: 2, title: 'Core', status: 'pending', dependencies: [1] },
+      { id: 3, title: 'API', status: 'pending', dependencies: [2, 1] },
+      { id: 4, title: 'Docs', status: 'pending', dependencies: [3] },
+      {
+        id: 5,
+        title: 'Release',
+        status: 'pending',
+        dependencies: [],
+        subtasks: [
+          { id: 1, title: 'Tag', status: 'pending', dependencies: ['2.1', 2] }
+        ]
+      }
+    ];
+
+    test('should drop dependencies on the removed task', () => {
+      const plan = planTaskRemoval(tasks, 2, 'drop');
+
+      expect(plan.removed).toEqual([2]);
+      expect(plan.updated).toEqual([3, 5]);
+      expect(plan.tasks.find(t => t.id === 3).dependencies).toEqual([1]);
+      // Plain numbers in subtask dependencies refer to sibling subtasks
+      expect(plan.tasks.find(t => t.id === 5).subtasks[0].dependencies).toEqual([2]);
+    });
+
+    test('should repoint dependencies to the removed task\'s dependencies', () => {
+      const plan = planTaskRemoval(tasks, 3, 'repoint');
+
+      expect(plan.tasks.find(t => t.id === 4).dependencies).toEqual([2, 1]);
+    });
+
+    test('should not create duplicate or self dependencies when repointing', () => {
+      const plan = planTaskRemoval(tasks, 2, 'repoint');
+
+      expect(plan.tasks.find(t => t.id === 3).dependencies).toEqual([1]);
+    });
+
+    test('should remove dependent tasks recursively when cascading', () => {
+      const plan = planTaskRemoval(tasks, 2, 'cascade');
+
+      expect(plan.removed.sort()).toEqual([2, 3, 4]);
+      expect(plan.tasks.map(t => t.id)).toEqual([1, 5]);
+    });
+
+    test('should not modify the input tasks', () => {
+      const snapshot = JSON.stringify(tasks);
+      planTaskRemoval(tasks, 2, 'cascade');
+
+      expect(JSON.stringify(tasks)).toBe(snapshot);
+    });
+
+    test('should throw for an unknown task or strategy', () => {
+      expect(() => planTaskRemoval(tasks, 99)).toThrow('Task with ID 99 not found');
+      expect(() => planTaskRemoval(tasks, 2, 'keep')).toThrow('Invalid strategy');
+    });
+  });
+
+  describe('planTaskMove function', () => {
+    const tasks = [
+      { id: 1, title: 'Setup', status: 'done', dependencies: [] },
+      {
+        id: 2,
+        title: 'Core',
+        status: 'pending',
+        dependencies: [1],
+        subtasks: [
+          { id: 1, title: 'Models', status: 'pending', dependencies: [] },
+          { id: 2, title: 'Services', status: 'pending', dependencies: [1] }
+        ]
+      },
+      { id: 5, title: 'API', status: 'pending', dependencies: [2, '2.2'] }
+    ];
+
+    test('should close gaps in task IDs when renumbering', () => {
+      const plan = planTaskMove(tasks);
+
+      expect(plan.tasks.map(t => t.id)).toEqual([1, 2, 3]);
+      expect(plan.idMap).toEqual({ 5: '3' });
+    });
+
+    test('should reorder tasks and rewrite dependencies', () => {
+      const plan = planTaskMove(tasks, '5', '1');
+
+      expect(plan.tasks.map(t => t.title)).toEqual(['API', 'Setup', 'Core']);
+      expect(plan.tasks[0].dependencies).toEqual([3, '3.2']);
+      expect(plan.tasks[2].dependencies).toEqual([2]);
+      expect(plan.tasks[2].subtasks[1].dependencies).toEqual([1]);
+    });
+
+    test('should promote a subtask to a task', () => {
+      const plan = planTaskMove(tasks, '2.2', '3');
+
+      expect(plan.tasks.map(t => t.title)).toEqual(['Setup', 'Core', 'Services', 'API']);
+      expect(plan.tasks[2]).toMatchObject({ id: 3, dependencies: ['2.1'], priority: 'medium' });
+      expect(plan.tasks[1].subtasks).toHaveLength(1);
+      expect(plan.tasks[3].dependencies).toEqual([2, 3]);
+      expect(plan.idMap['2.2']).toBe('3');
+    });
+
+    test('should demote a task into another task', () => {
+      const plan = planTaskMove(tasks, '5', '2.1');
+
+      expect(plan.tasks).toHaveLength(2);
+      const subtasks = plan.tasks[1].subtasks;
+      expect(subtasks.map(s => s.title)).toEqual(['API', 'Models', 'Services']);
+      // The dependency on the new parent is dropped; the sibling reference becomes a local ID
+      expect(subtasks[0].dependencies).toEqual([3]);
+      expect(subtasks[2].dependencies).toEqual([2]);
+    });
+
+    test('should refuse to demote a task that has subtasks', () => {
+      expect(() => planTaskMove(tasks, '2', '1.1')).toThrow('has subtasks');
+    });
+
+    test('should reject unknown or malformed IDs', () => {
+      expect(() => planTaskMove(tasks, '9', '1')).toThrow('Task with ID 9 not found');
+      expect(() => planTaskMove(tasks, '2.7', '1')).toThrow('Subtask 2.7 not found');
+      expect(() => planTaskMove(tasks, '2', 'first')).toThrow('Invalid destination');
+    });
+  });
+
+  describe('migrateStorage function', () => {
+    let tempDir;
+    let tasksPath;
+    let originalConfigPath;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-storage-test-'));
+      tasksPath = path.join(tempDir, 'tasks.json');
+      originalConfigPath = CONFIG.projectConfigPath;
+      CONFIG.projectConfigPath = path.join(tempDir, '.taskmaster', 'config.json');
+      fs.writeFileSync(tasksPath, JSON.stringify({ meta: { revision: 2 }, tasks: sampleTasks.tasks }));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      CONFIG.projectConfigPath = originalConfigPath;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      console.log.mockRestore();
+    });
+
+    test('should copy the tasks, switch the project over and delete the old data', () => {
+      const result = migrateStorage(tasksPath, 'directory');
+
+      expect(result).toMatchObject({ from: 'json', to: 'directory', taskCount: sampleTasks.tasks.length });
+      expect(readProjectConfig().storage).toBe('directory');
+      expect(fs.existsSync(tasksPath)).toBe(false);
+      expect(readTasks(tasksPath).tasks.map(task => task.id)).toEqual(sampleTasks.tasks.map(task => task.id).sort((a, b) => a - b));
+    });
+
+    test('should keep the old data with keep and migrate back with force', () => {
+      migrateStorage(tasksPath, 'directory', { keep: true });
+
+      expect(fs.existsSync(tasksPath)).toBe(true);
+      expect(() => migrateStorage(tasksPath, 'json')).toThrow('already exists');
+
+      migrateStorage(tasksPath, 'json', { force: true });
+      expect(readProjectConfig().storage).toBe('json');
+      expect(fs.existsSync(path.join(tempDir, 'tasks.d'))).toBe(false);
+    });
+
+    test('should refuse to migrate to the backend already in use', () => {
+      expect(() => migrateStorage(tasksPath, 'json')).toThrow('already stored with the "json" backend');
+    });
+  });
+
+  describe('getTask function', () => {
+    let tempDir;
+    let tasksPath;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'get-task-test-'));
+      tasksPath = path.join(tempDir, 'tasks.json');
+      fs.writeFileSync(tasksPath, JSON.stringify(sampleTasks));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should return tasks, and subtasks with the ID of their task', () => {
+      const parent = sampleTasks.tasks.find(task => task.subtasks && task.subtasks.length > 0);
+      const subtask = getTask(tasksPath, `${parent.id}.${parent.subtasks[0].id}`);
+
+      expect(getTask(tasksPath, 1)).toMatchObject({ id: 1, title: sampleTasks.tasks[0].title });
+      expect(subtask).toEqual({ ...parent.subtasks[0], parentId: parent.id });
+    });
+
+    test('should throw a NOT_FOUND error for unknown IDs', () => {
+      expect(() => getTask(tasksPath, 99)).toThrow(expect.objectContaining({ code: 'NOT_FOUND' }));
+      expect(() => getTask(tasksPath, '1.99')).toThrow('Task with ID 1.99 not found');
+    });
+  });
+
   describe('generateTaskFiles function', () => {
     // Sample task data for testing
     const sampleTasks = {
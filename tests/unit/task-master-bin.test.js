@@ -0,0 +1,73 @@
+/**
+ * task-master binary tests
+ *
+ * bin/task-master.js forwards commands and the defaults of their options to
+ * dev.js, so commands run through it in a child process.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const binScript = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../bin/task-master.js');
+
+describe('task-master binary', () => {
+  let tempDir;
+
+  const run = (...args) => {
+    const result = spawnSync('node', [binScript, ...args], { cwd: tempDir, encoding: 'utf8', timeout: 30000 });
+    return { status: result.status, envelope: JSON.parse(result.stdout), stderr: result.stderr };
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-bin-'));
+    fs.mkdirSync(path.join(tempDir, 'tasks'));
+    fs.writeFileSync(path.join(tempDir, 'tasks', 'tasks.json'), JSON.stringify({
+      tasks: [
+        { id: 1, title: 'Set up repo', status: 'done', dependencies: [], tags: ['infra'] },
+        { id: 2, title: 'Auth API', status: 'pending', dependencies: [1], priority: 'high', tags: ['api'] },
+        { id: 3, title: 'Dashboard', status: 'pending', dependencies: [], tags: ['ui'] }
+      ]
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should list tasks with and without --tag and --where', () => {
+    const all = run('list', '--json');
+    expect(all.status).toBe(0);
+    expect(all.envelope.data.tasks.map(task => task.id)).toEqual([1, 2, 3]);
+
+    const tagged = run('list', '--tag', 'ui', '--where', 'status=pending', '--json');
+    expect(tagged.status).toBe(0);
+    expect(tagged.envelope.data.tasks.map(task => task.id)).toEqual([3]);
+  });
+
+  test('should show the next task with and without --tag', () => {
+    const next = run('next', '--json');
+    expect(next.status).toBe(0);
+    expect(next.envelope.data.task).toMatchObject({ id: 2 });
+
+    const tagged = run('next', '--tag', 'ui', '--json');
+    expect(tagged.status).toBe(0);
+    expect(tagged.envelope.data.task).toMatchObject({ id: 3 });
+  });
+
+  test('should move and remove tasks, generating task files unless --no-generate is given', () => {
+    const moved = run('move', '--from', '3', '--to', '1', '--json');
+    expect(moved.status).toBe(0);
+    expect(moved.envelope.data.idMap).toEqual({ 1: '2', 2: '3', 3: '1' });
+    expect(fs.existsSync(path.join(tempDir, 'tasks', 'task_003.txt'))).toBe(true);
+
+    const removed = run('remove-task', '--id', '1', '--yes', '--no-generate', '--json');
+    expect(removed.status).toBe(0);
+    expect(removed.envelope.data).toEqual({ removed: [1], updated: [] });
+
+    const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'tasks', 'tasks.json'), 'utf8'));
+    expect(saved.tasks.map(task => task.title)).toEqual(['Set up repo', 'Auth API']);
+  });
+});
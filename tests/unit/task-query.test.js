@@ -0,0 +1,144 @@
+/**
+ * Task query module tests
+ */
+
+import {
+  parseTaskQuery,
+  buildTaskRows,
+  sortTaskRows,
+  runTaskQuery,
+  formatTaskQueryResult
+} from '../../scripts/modules/task-query.js';
+
+const tasks = [
+  { id: 1, title: 'Set up repo', description: 'Init', status: 'done', priority: 'high', dependencies: [] },
+  {
+    id: 2,
+    title: 'Auth API',
+    description: 'OAuth login',
+    status: 'pending',
+    priority: 'high',
+    dependencies: [1],
+    tags: ['backend', 'api'],
+    fields: { estimate: 3, owner: 'Sam Lee' },
+    subtasks: [
+      { id: 1, title: 'Token endpoint', status: 'done', dependencies: [] },
+      { id: 2, title: 'Refresh tokens', status: 'pending', dependencies: [1] }
+    ]
+  },
+  { id: 3, title: 'Login page', description: 'Form, validation', status: 'pending', dependencies: [2], tags: ['frontend'], fields: { estimate: 8 } },
+  { id: 4, title: 'Docs', status: 'in-progress', priority: 'low', dependencies: [] }
+];
+
+const ids = (options) => runTaskQuery(tasks, options).groups.flatMap(group => group.rows.map(row => row.id));
+
+describe('Task Query Module', () => {
+  describe('parseTaskQuery', () => {
+    test('should parse keys, lists, negation, quotes and free text', () => {
+      expect(parseTaskQuery('status:pending,review -tags:api owner:"Sam Lee" login')).toEqual([
+        { key: 'status', values: ['pending', 'review'], negate: false },
+        { key: 'tag', values: ['api'], negate: true },
+        { key: 'owner', values: ['Sam Lee'], negate: false },
+        { text: 'login', negate: false }
+      ]);
+    });
+
+    test('should reject invalid terms', () => {
+      expect(() => parseTaskQuery('status:')).toThrow('has no value');
+      expect(() => parseTaskQuery('deps:maybe')).toThrow('deps: takes ready, blocked, none');
+      expect(() => parseTaskQuery('id:abc')).toThrow('id: takes IDs and ranges');
+      expect(() => parseTaskQuery('size:3', ['estimate'])).toThrow('Unknown query key "size"');
+    });
+  });
+
+  describe('buildTaskRows', () => {
+    test('should give subtask rows the priority, tags and fields of their task', () => {
+      const rows = buildTaskRows(tasks, true);
+
+      expect(rows.map(row => row.id)).toEqual([1, 2, '2.1', '2.2', 3, 4]);
+      expect(rows[3]).toMatchObject({ parentId: 2, priority: 'high', tags: ['backend', 'api'], dependencies: ['2.1'] });
+    });
+  });
+
+  describe('runTaskQuery', () => {
+    test('should match every term', () => {
+      expect(ids({ query: 'status:pending priority:high' })).toEqual([2]);
+      expect(ids({ query: '-status:done tag:api,frontend' })).toEqual([2, 3]);
+      expect(ids({ query: 'login' })).toEqual([2, 3]);
+      expect(ids({ query: 'id:2-4 -id:3' })).toEqual([2, 4]);
+    });
+
+    test('should match dependency states', () => {
+      expect(ids({ query: 'deps:ready -status:done' })).toEqual([2, 4]);
+      expect(ids({ query: 'deps:blocked' })).toEqual([3]);
+      expect(ids({ query: 'deps:none' })).toEqual([1, 4]);
+      expect(ids({ query: 'parent:2 deps:ready', withSubtasks: true })).toEqual(['2.1', '2.2']);
+    });
+
+    test('should match custom fields with operators', () => {
+      expect(ids({ query: 'estimate:<=3' })).toEqual([2]);
+      expect(ids({ query: 'estimate:>1 owner:"sam lee"' })).toEqual([2]);
+      expect(ids({ query: 'title:page' })).toEqual([3]);
+    });
+
+    test('should sort by several keys with descending order', () => {
+      expect(ids({ sort: 'priority,-id' })).toEqual([2, 1, 3, 4]);
+      expect(ids({ sort: 'status' })).toEqual([4, 2, 3, 1]);
+      expect(ids({ sort: '-estimate' })).toEqual([3, 2, 1, 4]);
+      expect(ids({ sort: '-estimate', fieldNames: ['estimate'] })).toEqual([3, 2, 1, 4]);
+    });
+
+    test('should reject unknown sort keys', () => {
+      const attempt = () => runTaskQuery(tasks, { sort: 'priority,-zzz', fieldNames: ['estimate'] });
+      expect(attempt).toThrow('Unknown sort key "zzz". Use one of: id, status, priority, deps, tag, title, description, estimate');
+      expect(attempt).toThrow(expect.objectContaining({ code: 'INVALID_INPUT' }));
+    });
+
+    test('should group rows and count them', () => {
+      const result = runTaskQuery(tasks, { groupBy: 'status' });
+      expect(result.groups.map(group => [group.key, group.rows.map(row => row.id)])).toEqual([
+        ['in-progress', [4]],
+        ['pending', [2, 3]],
+        ['done', [1]]
+      ]);
+
+      const byParent = runTaskQuery(tasks, { groupBy: 'parent', query: 'id:2,2.2' });
+      expect(byParent.groups.map(group => group.label)).toEqual(['Task 2: Auth API']);
+      expect(byParent).toMatchObject({ count: 2, total: 6 });
+
+      expect(() => runTaskQuery(tasks, { groupBy: 'owner' })).toThrow('Invalid --group-by "owner"');
+    });
+  });
+
+  describe('formatTaskQueryResult', () => {
+    test('should print JSON rows', () => {
+      const result = runTaskQuery(tasks, { query: 'id:3' });
+      const rows = JSON.parse(formatTaskQueryResult(result, 'json'));
+
+      expect(rows).toEqual([expect.objectContaining({ id: 3, tags: ['frontend'], fields: { estimate: 8 } })]);
+    });
+
+    test('should print CSV with quoted cells and field columns', () => {
+      const result = runTaskQuery(tasks, { query: 'id:2,3' });
+      const lines = formatTaskQueryResult(result, 'csv', ['estimate']).trim().split('\n');
+
+      expect(lines[0]).toBe('id,parentId,title,status,priority,dependencies,tags,estimate,owner,description');
+      expect(lines[1]).toBe('2,,Auth API,pending,high,1,"backend, api",3,Sam Lee,OAuth login');
+      expect(lines[2]).toBe('3,,Login page,pending,medium,2,frontend,8,,"Form, validation"');
+    });
+
+    test('should print one Markdown table per group', () => {
+      const result = runTaskQuery(tasks, { groupBy: 'priority', query: 'id:1,4' });
+      const markdown = formatTaskQueryResult(result, 'md');
+
+      expect(markdown).toContain('## high\n\n| id | title | status | priority |');
+      expect(markdown).toContain('## low\n\n');
+      expect(markdown).not.toContain('parentId');
+    });
+  });
+
+  test('should leave rows in place without sort keys', () => {
+    const rows = buildTaskRows(tasks, false);
+    expect(sortTaskRows(rows, '')).toBe(rows);
+  });
+});
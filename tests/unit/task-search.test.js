@@ -0,0 +1,93 @@
+/**
+ * Task search module tests
+ */
+
+import {
+  buildSearchDocuments,
+  createSnippet,
+  highlightSnippet,
+  searchTasks
+} from '../../scripts/modules/task-search.js';
+
+const tasks = [
+  {
+    id: 1,
+    title: 'Set up authentication',
+    description: 'Add OAuth login with passport',
+    details: 'Configure the Google strategy and store refresh tokens in the session table so users stay logged in.',
+    testStrategy: 'Log in with a test account',
+    status: 'pending',
+    dependencies: []
+  },
+  {
+    id: 2,
+    title: 'Write documentation',
+    description: 'Cover installation',
+    details: 'Mention how login works',
+    status: 'done',
+    dependencies: [],
+    subtasks: [
+      { id: 1, title: 'Authentication guide', description: 'Explain refresh tokens', status: 'pending', dependencies: [] }
+    ]
+  },
+  { id: 3, title: 'Deploy to production', description: 'Ship it', status: 'pending', dependencies: [] }
+];
+
+const ids = (query, options) => searchTasks(tasks, query, options).map(result => result.id);
+
+describe('Task Search Module', () => {
+  test('should turn tasks and subtasks into documents', () => {
+    const documents = buildSearchDocuments(tasks);
+
+    expect(documents.map(doc => doc.id)).toEqual([1, 2, '2.1', 3]);
+    expect(documents[2]).toMatchObject({ parentId: 2, title: 'Authentication guide', details: '', testStrategy: '' });
+  });
+
+  describe('searchTasks', () => {
+    test('should find tasks and subtasks despite typos', () => {
+      expect(ids('autentication').sort()).toEqual([1, '2.1']);
+      expect(ids('deploy')).toEqual([3]);
+    });
+
+    test('should require every word, in any order', () => {
+      expect(ids('tokens refresh').sort()).toEqual([1, '2.1']);
+      expect(ids('login tokens')).toEqual([1]);
+      expect(ids('deploy tokens')).toEqual([]);
+    });
+
+    test('should rank title matches above matches in other fields', () => {
+      expect(ids('documentation login')).toEqual([2]);
+      expect(ids('login')[0]).toBe(1);
+      expect(ids('authentication')).toEqual([1, '2.1']);
+    });
+
+    test('should return a snippet per matched field', () => {
+      const [result] = searchTasks(tasks, 'login');
+
+      expect(result.snippets.map(snippet => snippet.field)).toEqual(['description', 'testStrategy']);
+      expect(highlightSnippet(result.snippets[0], text => `[${text}]`)).toBe('Add OAuth [login] with passport');
+    });
+
+    test('should apply the limit and validate options', () => {
+      expect(ids('authentication', { limit: 1 })).toHaveLength(1);
+      expect(() => searchTasks(tasks, '  ')).toThrow('Please provide something to search for');
+      expect(() => searchTasks(tasks, 'login', { threshold: 2 })).toThrow('between 0 and 1');
+    });
+  });
+
+  describe('createSnippet', () => {
+    test('should cut long text around the longest match and shift the ranges', () => {
+      const text = `${'a'.repeat(50)} needle ${'b'.repeat(50)}`;
+      const snippet = createSnippet(text, [[51, 56], [0, 1]], 5);
+
+      expect(snippet.text).toBe('…aaaa needle bbbb…');
+      expect(snippet.ranges).toEqual([[6, 11]]);
+    });
+
+    test('should merge overlapping ranges and flatten line breaks', () => {
+      const snippet = createSnippet('one\ntwo', [[0, 1], [1, 2], [4, 5]]);
+
+      expect(snippet).toEqual({ text: 'one two', ranges: [[0, 2], [4, 5]] });
+    });
+  });
+});
@@ -7,7 +7,8 @@ import {
   getStatusWithColor, 
   formatDependenciesWithStatus, 
   createProgressBar,
-  getComplexityWithColor
+  getComplexityWithColor,
+  displaySearchResults
 } from '../../scripts/modules/ui.js';
 import { sampleTasks } from '../fixtures/sample-tasks.js';
 
@@ -225,4 +226,16 @@ describe('UI Module', () => {
       expect(result).toContain('🔴');
     });
   });
+
+  describe('displaySearchResults function', () => {
+    test('should throw instead of exiting when the tasks file is missing', async () => {
+      const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      try {
+        await expect(displaySearchResults('missing/tasks.json', 'auth')).rejects.toThrow('No valid tasks found in missing/tasks.json');
+        expect(exitSpy).not.toHaveBeenCalled();
+      } finally {
+        exitSpy.mockRestore();
+      }
+    });
+  });
 }); 
\ No newline at end of file
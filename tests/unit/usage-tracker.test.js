@@ -0,0 +1,143 @@
+/**
+ * Usage tracker module tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  setUsageCommand,
+  getModelPricing,
+  estimateCost,
+  readUsageLedger,
+  recordUsage,
+  getTotalCost,
+  assertWithinBudget,
+  summarizeUsage
+} from '../../scripts/modules/usage-tracker.js';
+
+const usage = (promptTokens, completionTokens) => ({
+  promptTokens,
+  completionTokens,
+  totalTokens: promptTokens + completionTokens
+});
+
+describe('Usage Tracker Module', () => {
+  let tempDir;
+  let ledgerPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-usage-'));
+    ledgerPath = path.join(tempDir, 'tasks', '.usage.jsonl');
+    setUsageCommand(null);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('pricing', () => {
+    test('should match the longest model prefix', () => {
+      expect(getModelPricing('sonar-pro')).toEqual({ input: 3, output: 15 });
+      expect(getModelPricing('sonar')).toEqual({ input: 1, output: 1 });
+      expect(getModelPricing('claude-3-7-sonnet-20250219')).toEqual({ input: 3, output: 15 });
+    });
+
+    test('should estimate cost per million tokens', () => {
+      expect(estimateCost('anthropic', 'claude-3-7-sonnet-20250219', usage(1000000, 100000))).toBeCloseTo(4.5);
+    });
+
+    test('should treat local and mock providers as free', () => {
+      expect(estimateCost('local', 'llama3', usage(500, 500))).toBe(0);
+      expect(estimateCost('mock', 'claude-3-opus', usage(500, 500))).toBe(0);
+    });
+
+    test('should return null for models with unknown pricing', () => {
+      expect(estimateCost('openai', 'some-new-model', usage(10, 10))).toBeNull();
+    });
+  });
+
+  describe('recordUsage', () => {
+    test('should append entries with command, task and cost to the ledger', () => {
+      setUsageCommand('expand');
+
+      recordUsage({ provider: 'gemini', model: 'gemini-1.5-flash', usage: usage(1000, 200), latencyMs: 850, taskId: 3 }, ledgerPath);
+      recordUsage({ provider: 'gemini', model: 'gemini-1.5-flash', usage: usage(10, 5), latencyMs: 100 }, ledgerPath);
+
+      const entries = readUsageLedger(ledgerPath);
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toMatchObject({
+        command: 'expand',
+        taskId: 3,
+        provider: 'gemini',
+        promptTokens: 1000,
+        completionTokens: 200,
+        totalTokens: 1200,
+        latencyMs: 850
+      });
+      expect(entries[1].taskId).toBeNull();
+      expect(entries[0].cost).toBeGreaterThan(0);
+    });
+
+    test('should return an empty list when no ledger exists', () => {
+      expect(readUsageLedger(ledgerPath)).toEqual([]);
+    });
+  });
+
+  describe('assertWithinBudget', () => {
+    test('should do nothing without a budget', () => {
+      recordUsage({ provider: 'anthropic', model: 'claude-3-opus', usage: usage(1000000, 0), latencyMs: 1 }, ledgerPath);
+
+      expect(() => assertWithinBudget(null, ledgerPath)).not.toThrow();
+    });
+
+    test('should throw once recorded spend reaches the budget', () => {
+      recordUsage({ provider: 'anthropic', model: 'claude-3-opus', usage: usage(1000000, 0), latencyMs: 1 }, ledgerPath);
+
+      expect(() => assertWithinBudget(20, ledgerPath)).not.toThrow();
+      expect(() => assertWithinBudget(10, ledgerPath)).toThrow('AI usage budget exceeded');
+    });
+  });
+
+  describe('summarizeUsage', () => {
+    const entries = [
+      { timestamp: '2025-03-02T10:00:00.000Z', command: 'expand', taskId: 1, promptTokens: 10, completionTokens: 5, totalTokens: 15, latencyMs: 100, cost: 0.5 },
+      { timestamp: '2025-03-01T10:00:00.000Z', command: 'expand', taskId: 2, promptTokens: 20, completionTokens: 5, totalTokens: 25, latencyMs: 300, cost: 1 },
+      { timestamp: '2025-03-02T11:00:00.000Z', command: 'parse-prd', taskId: null, promptTokens: 100, completionTokens: 50, totalTokens: 150, latencyMs: 900, cost: null }
+    ];
+
+    test('should group by command with totals and average latency', () => {
+      const rows = summarizeUsage(entries, 'command');
+
+      expect(rows[0]).toEqual({
+        key: 'expand',
+        calls: 2,
+        promptTokens: 30,
+        completionTokens: 10,
+        totalTokens: 40,
+        cost: 1.5,
+        avgLatencyMs: 200
+      });
+      expect(rows[1]).toMatchObject({ key: 'parse-prd', calls: 1, cost: 0 });
+    });
+
+    test('should group by task, labelling calls without a task', () => {
+      expect(summarizeUsage(entries, 'task').map(row => row.key)).toEqual(['2', '1', '(none)']);
+    });
+
+    test('should group by day in chronological order', () => {
+      expect(summarizeUsage(entries, 'day').map(row => [row.key, row.calls])).toEqual([
+        ['2025-03-01', 1],
+        ['2025-03-02', 2]
+      ]);
+    });
+
+    test('should reject unknown groupings', () => {
+      expect(() => summarizeUsage(entries, 'week')).toThrow('Invalid grouping "week"');
+    });
+
+    test('should total cost ignoring unpriced calls', () => {
+      expect(getTotalCost(entries)).toBeCloseTo(1.5);
+    });
+  });
+});
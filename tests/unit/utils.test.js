@@ -4,6 +4,7 @@
 
 import { jest } from '@jest/globals';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import chalk from 'chalk';
 
@@ -22,7 +23,14 @@ import {
   CONFIG,
   LOG_LEVELS,
   findTaskById,
-  toKebabCase
+  toKebabCase,
+  runWithConcurrency,
+  writeTasks,
+  acquireFileLock,
+  releaseFileLock,
+  withFileLock,
+  readProjectConfig,
+  updateProjectConfig
 } from '../../scripts/modules/utils.js';
 
 // Skip the import of detectCamelCaseFlags as we'll implement our own version for testing
@@ -229,15 +237,19 @@ describe('Utils Module', () => {
   });
 
   describe('writeJSON function', () => {
-    test('should write JSON data to a file', () => {
+    test('should write JSON data to a temporary file and rename it into place', () => {
       const testData = { key: 'value', nested: { prop: true } };
+      const renameSyncSpy = jest.spyOn(fs, 'renameSync').mockImplementation();
       
       writeJSON('output.json', testData);
       
+      const tempPath = `output.json.${process.pid}.tmp`;
       expect(fsWriteFileSyncSpy).toHaveBeenCalledWith(
-        'output.json', 
+        tempPath, 
         JSON.stringify(testData, null, 2)
       );
+      expect(renameSyncSpy).toHaveBeenCalledWith(tempPath, 'output.json');
+      renameSyncSpy.mockRestore();
     });
 
     test('should handle file write errors', () => {
@@ -508,6 +520,133 @@ describe('Utils Module', () => {
       expect(cycles).toContain('B');
     });
   });
+
+  describe('runWithConcurrency function', () => {
+    test('should never run more than the limit at once and keep result order', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const worker = async (item) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, item));
+        running--;
+        return item * 2;
+      };
+
+      const results = await runWithConcurrency([30, 10, 20, 5, 15], 2, worker);
+
+      expect(results).toEqual([60, 20, 40, 10, 30]);
+      expect(maxRunning).toBe(2);
+    });
+
+    test('should handle an empty list', async () => {
+      expect(await runWithConcurrency([], 3, async () => 1)).toEqual([]);
+    });
+  });
+});
+
+describe('Tasks file locking and revisions', () => {
+  let tempDir;
+  let tasksPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-lock-'));
+    tasksPath = path.join(tempDir, 'tasks.json');
+    fs.writeFileSync(tasksPath, JSON.stringify({ meta: { projectName: 'Test', revision: 4 }, tasks: [] }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('writeTasks should bump the revision and keep other meta fields', () => {
+    const data = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+    data.tasks.push({ id: 1, title: 'New' });
+
+    writeTasks(tasksPath, data);
+
+    const saved = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+    expect(saved.meta).toEqual({ projectName: 'Test', revision: 5 });
+    expect(saved.tasks).toHaveLength(1);
+    expect(data.meta.revision).toBe(5);
+  });
+
+  test('writeTasks should refuse data read before another save', () => {
+    const stale = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+    const fresh = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+    writeTasks(tasksPath, fresh);
+
+    expect(() => writeTasks(tasksPath, stale)).toThrow('was changed by another process');
+    expect(JSON.parse(fs.readFileSync(tasksPath, 'utf8')).meta.revision).toBe(5);
+  });
+
+  test('writeTasks should replace the file without a check when overwriting', () => {
+    writeTasks(tasksPath, { tasks: [{ id: 1 }] }, { overwrite: true });
+
+    expect(JSON.parse(fs.readFileSync(tasksPath, 'utf8')).meta.revision).toBe(5);
+  });
+
+  test('locks should be re-entrant and removed on release', () => {
+    const lockPath = `${tasksPath}.lock`;
+
+    withFileLock(tasksPath, () => {
+      expect(fs.existsSync(lockPath)).toBe(true);
+      withFileLock(tasksPath, () => {});
+      expect(fs.existsSync(lockPath)).toBe(true);
+    });
+
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('should release the lock when an async function finishes', async () => {
+    await withFileLock(tasksPath, async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    });
+
+    expect(fs.existsSync(`${tasksPath}.lock`)).toBe(false);
+  });
+
+  test('should time out while another live process holds the lock', () => {
+    fs.writeFileSync(`${tasksPath}.lock`, JSON.stringify({ pid: process.ppid, acquiredAt: new Date().toISOString() }));
+
+    expect(() => acquireFileLock(tasksPath, { timeoutMs: 100 })).toThrow('is locked by another Task Master process');
+  });
+
+  test('should take over a lock left by a process that no longer exists', () => {
+    fs.writeFileSync(`${tasksPath}.lock`, JSON.stringify({ pid: 999999999, acquiredAt: new Date().toISOString() }));
+
+    acquireFileLock(tasksPath, { timeoutMs: 100 });
+
+    expect(JSON.parse(fs.readFileSync(`${tasksPath}.lock`, 'utf8')).pid).toBe(process.pid);
+    releaseFileLock(tasksPath);
+  });
+});
+
+describe('Project config', () => {
+  let tempDir;
+  let originalPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-config-'));
+    originalPath = CONFIG.projectConfigPath;
+    CONFIG.projectConfigPath = path.join(tempDir, '.taskmaster', 'config.json');
+  });
+
+  afterEach(() => {
+    CONFIG.projectConfigPath = originalPath;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should be empty when there is no config file', () => {
+    expect(readProjectConfig()).toEqual({});
+  });
+
+  test('should create the config file and merge later changes', () => {
+    updateProjectConfig({ taskFileFormat: 'md' });
+    updateProjectConfig({ other: true });
+
+    expect(readProjectConfig()).toEqual({ taskFileFormat: 'md', other: true });
+  });
 });
 
 describe('CLI Flag Format Validation', () => {